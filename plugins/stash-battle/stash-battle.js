@@ -1,19 +1,748 @@
 "use strict";
 (() => {
   // src/constants.ts
+  var PLUGIN_ID = "stash-battle";
   var STORAGE_KEY = "stash-battle-state";
   var CACHE_DB_NAME = "stash-battle-cache";
-  var CACHE_DB_VERSION = 1;
+  var CACHE_DB_VERSION = 3;
   var CACHE_STORE_NAME = "scenes";
   var CACHE_MAX_AGE_MS = 5 * 60 * 1e3;
+  var HISTORY_STORE_NAME = "history";
+  var HISTORY_PANEL_LIMIT = 200;
+  var SNAPSHOT_STORE_NAME = "snapshots";
+  var SNAPSHOTS_KEPT = 10;
+  var RATING_WRITE_BATCH_SIZE = 10;
+  var UNDO_MAX_DEPTH = 20;
   var DEFAULT_FILTER_OPPONENTS = false;
   var FILTER_OPPONENTS_KEY = "sb_filterOpponents";
   var MUTE_PREVIEWS_KEY = "sb_mutePreviews";
+  var RATING_ENGINE_KEY = "sb_ratingEngine";
+  var TOURNAMENT_SIZE_KEY = "sb_tournamentSize";
+  var GRID_SIZE_KEY = "sb_gridSize";
+  var GRID_PICK_WORST_KEY = "sb_gridPickWorst";
+  var RANK_SIZE_KEY = "sb_rankSize";
+  var GAUNTLET_START_KEY = "sb_gauntletStart";
+  var BATTLE_STAT_FIELDS = {
+    battles: "battle_count",
+    wins: "battle_wins",
+    losses: "battle_losses",
+    draws: "battle_draws",
+    lastBattled: "battle_last",
+    // ISO timestamp of the latest battle
+    streak: "battle_streak",
+    // Current win streak (a loss or draw resets it)
+    bestStreak: "battle_best_streak",
+    titles: "battle_titles"
+    // Gauntlet / champion / tournament victories
+  };
+  var PRECISE_RATING_FIELD = "battle_rating";
+  var PRECISE_RATING_DECIMALS = 4;
+  var DEFAULT_RATING_ENGINE = "elo";
+  var ELO_DIVISOR = 40;
+  var DEFAULT_K_FACTOR_POLICY = "battles";
+  var K_FACTOR_TIERS = {
+    new: 12,
+    settling: 8,
+    established: 6,
+    stable: 4,
+    settlingAt: 3,
+    establishedAt: 8,
+    stableAt: 15
+  };
+  var GLICKO_STORE_KEY = "sb_glickoRatings";
+  var GLICKO_DEFAULT_RD = 350;
+  var GLICKO_DEFAULT_VOLATILITY = 0.06;
+  var GLICKO_TAU = 0.5;
+  var GLICKO_POINTS_PER_RATING = 10;
   var SWISS_OPPONENT_REACH_INITIAL = 10;
   var SWISS_OPPONENT_REACH_MULTIPLIER = 2;
+  var DEFAULT_SWISS_PAIRING = "band";
+  var SWISS_INFO_LEFT_SAMPLE = 32;
+  var SWISS_INFO_OPPONENT_WINDOW = 25;
+  var DEFAULT_GAUNTLET_START = "bottom";
   var CLIMB_OPPONENT_PICK_WINDOW = 5;
   var CLIMB_SMALL_POOL_WARN_AT = 10;
+  var TOURNAMENT_SIZES = [8, 16, 32, 64];
+  var DEFAULT_TOURNAMENT_SIZE = 16;
+  var GRID_SIZES = [4, 5, 6];
+  var DEFAULT_GRID_SIZE = 4;
+  var REVISIT_PICK_WINDOW = 10;
+  var RANK_SIZES = [5, 6, 7, 8];
+  var DEFAULT_RANK_SIZE = 6;
+  var CALIBRATION_POSITIONS = [0.5, 0.1, 0.3, 0.7, 0.9];
+  var CALIBRATION_PICK_WINDOW = 3;
+  var ROUND_ROBIN_MIN_SCENES = 3;
+  var ROUND_ROBIN_MAX_SCENES = 16;
   var CLIMB_K_PLAY_COUNT = 0;
+  var BT_PRIOR_GAMES = 1;
+  var BT_MAX_ITERATIONS = 1e3;
+  var BT_TOLERANCE = 1e-6;
+  var RESCALE_NORMAL_MEAN = 50;
+  var RESCALE_NORMAL_SD = 17;
+  var RESCALE_DEFAULT_CUSTOM_CURVE = "0:1, 25:35, 50:55, 75:72, 90:85, 100:100";
+  var RESCALE_HISTOGRAM_BINS = 10;
+  var TIER_CONFIG_KEY = "sb_tierConfig";
+  var TIER_DEFAULT_PREFIX = "Tier ";
+  var TIER_DEFAULT_PERCENTILES = "S:5, A:20, B:50, C:80, D:100";
+  var TIER_DEFAULT_RATINGS = "S:90, A:75, B:55, C:35, D:1";
+  var TIER_BULK_BATCH_SIZE = 100;
+
+  // src/graphql.ts
+  async function graphqlQuery(query, variables = {}) {
+    const response = await fetch("/graphql", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ query, variables })
+    });
+    const result = await response.json();
+    if (result.errors) {
+      console.error("[Stash Battle] GraphQL error:", result.errors);
+      throw new Error(result.errors[0].message);
+    }
+    return result.data;
+  }
+  var SCENE_FRAGMENT = `
+    id
+    title
+    date
+    rating100
+    play_count
+    custom_fields
+    paths {
+      screenshot
+      preview
+    }
+    files {
+      duration
+      path
+    }
+    studio {
+      name
+    }
+    performers {
+      name
+    }
+    tags {
+      name
+    }
+  `;
+  var PERFORMER_FRAGMENT = `
+    id
+    name
+    disambiguation
+    rating100
+    custom_fields
+    image_path
+    scene_count
+    birthdate
+    gender
+    country
+    tags {
+      name
+    }
+  `;
+  var GROUP_FRAGMENT = `
+    id
+    name
+    date
+    rating100
+    front_image_path
+    scene_count
+    duration
+    director
+    studio {
+      name
+    }
+    tags {
+      name
+    }
+  `;
+  var GALLERY_FRAGMENT = `
+    id
+    title
+    date
+    rating100
+    image_count
+    paths {
+      cover
+    }
+    files {
+      path
+    }
+    studio {
+      name
+    }
+    performers {
+      name
+    }
+    tags {
+      name
+    }
+  `;
+  var IMAGE_FRAGMENT = `
+    id
+    title
+    date
+    rating100
+    paths {
+      thumbnail
+    }
+    files: visual_files {
+      ... on BaseFile {
+        path
+      }
+    }
+    studio {
+      name
+    }
+    performers {
+      name
+    }
+    tags {
+      name
+    }
+  `;
+
+  // src/settings.ts
+  var SETTING_DEFS = [
+    {
+      kind: "number",
+      key: "eloDivisor",
+      group: "Rating",
+      label: "ELO divisor",
+      description: "Rating gap for 10:1 expected odds (chess uses 400 on its wider scale)",
+      defaultValue: ELO_DIVISOR,
+      min: 10,
+      max: 400
+    },
+    {
+      kind: "choice",
+      key: "kFactorPolicy",
+      group: "Rating",
+      label: "K-factor experience",
+      description: "What counts toward the K-factor tiers: battles fought, or Stash play count",
+      defaultValue: DEFAULT_K_FACTOR_POLICY,
+      options: [
+        { value: "battles", label: "Battle count" },
+        { value: "play_count", label: "Play count" }
+      ]
+    },
+    {
+      kind: "number",
+      key: "kFactorNew",
+      group: "Rating",
+      label: "K-factor: new",
+      description: "Max points per battle for scenes below the settling count",
+      defaultValue: K_FACTOR_TIERS.new,
+      min: 1,
+      max: 50
+    },
+    {
+      kind: "number",
+      key: "kFactorSettling",
+      group: "Rating",
+      label: "K-factor: settling",
+      description: "Max points per battle while settling",
+      defaultValue: K_FACTOR_TIERS.settling,
+      min: 1,
+      max: 50
+    },
+    {
+      kind: "number",
+      key: "kFactorEstablished",
+      group: "Rating",
+      label: "K-factor: established",
+      description: "Max points per battle once established",
+      defaultValue: K_FACTOR_TIERS.established,
+      min: 1,
+      max: 50
+    },
+    {
+      kind: "number",
+      key: "kFactorStable",
+      group: "Rating",
+      label: "K-factor: stable",
+      description: "Max points per battle for very established scenes",
+      defaultValue: K_FACTOR_TIERS.stable,
+      min: 1,
+      max: 50
+    },
+    {
+      kind: "number",
+      key: "kSettlingAt",
+      group: "Rating",
+      label: "Settling from count",
+      description: "Battles (or plays) where the settling K-factor starts",
+      defaultValue: K_FACTOR_TIERS.settlingAt,
+      min: 1,
+      max: 1e3
+    },
+    {
+      kind: "number",
+      key: "kEstablishedAt",
+      group: "Rating",
+      label: "Established from count",
+      description: "Battles (or plays) where the established K-factor starts",
+      defaultValue: K_FACTOR_TIERS.establishedAt,
+      min: 1,
+      max: 1e3
+    },
+    {
+      kind: "number",
+      key: "kStableAt",
+      group: "Rating",
+      label: "Stable from count",
+      description: "Battles (or plays) where the stable K-factor starts (settling ≤ established ≤ stable)",
+      defaultValue: K_FACTOR_TIERS.stableAt,
+      min: 1,
+      max: 1e3
+    },
+    {
+      kind: "number",
+      key: "climbKPlayCount",
+      group: "Rating",
+      label: "Climber experience",
+      description: "Battles (or plays) assumed for the climber's K-factor in Gauntlet/Champion (0 = new)",
+      defaultValue: CLIMB_K_PLAY_COUNT,
+      min: 0,
+      max: 1e3
+    },
+    {
+      kind: "number",
+      key: "glickoDefaultRd",
+      group: "Rating",
+      label: "Glicko-2 starting deviation",
+      description: "Uncertainty of a scene with no Glicko-2 history (higher = moves faster)",
+      defaultValue: GLICKO_DEFAULT_RD,
+      min: 30,
+      max: 1e3
+    },
+    {
+      kind: "number",
+      key: "glickoVolatilityThousandths",
+      group: "Rating",
+      label: "Glicko-2 starting volatility (×1000)",
+      description: "Volatility of a scene with no Glicko-2 history, in thousandths (60 = 0.06)",
+      defaultValue: Math.round(GLICKO_DEFAULT_VOLATILITY * 1e3),
+      min: 10,
+      max: 300
+    },
+    {
+      kind: "number",
+      key: "glickoTauHundredths",
+      group: "Rating",
+      label: "Glicko-2 τ (×100)",
+      description: "How fast volatility may change, in hundredths (50 = 0.5; Glickman suggests 30–120)",
+      defaultValue: Math.round(GLICKO_TAU * 100),
+      min: 10,
+      max: 200
+    },
+    {
+      kind: "choice",
+      key: "swissPairing",
+      group: "Matchmaking",
+      label: "Swiss pairing",
+      description: "Random opponent within the rank band, or the most informative pair (uncertain scenes, close ratings)",
+      defaultValue: DEFAULT_SWISS_PAIRING,
+      options: [
+        { value: "band", label: "Random in rank band" },
+        { value: "informative", label: "Most informative pair" }
+      ]
+    },
+    {
+      kind: "number",
+      key: "swissReachInitial",
+      group: "Matchmaking",
+      label: "Swiss rank band",
+      description: "Initial ±rank band for Swiss opponents",
+      defaultValue: SWISS_OPPONENT_REACH_INITIAL,
+      min: 1,
+      max: 1e3
+    },
+    {
+      kind: "number",
+      key: "swissReachMultiplier",
+      group: "Matchmaking",
+      label: "Swiss band growth",
+      description: "Multiplier applied to the band until candidates exist",
+      defaultValue: SWISS_OPPONENT_REACH_MULTIPLIER,
+      min: 2,
+      max: 10
+    },
+    {
+      kind: "number",
+      key: "climbPickWindow",
+      group: "Matchmaking",
+      label: "Climb pick window",
+      description: "Random pick among this many closest opponents above the climber",
+      defaultValue: CLIMB_OPPONENT_PICK_WINDOW,
+      min: 1,
+      max: 100
+    },
+    {
+      kind: "number",
+      key: "climbSmallPoolWarnAt",
+      group: "Matchmaking",
+      label: "Small pool warning",
+      description: "Warn in Gauntlet/Champion when both sides use a filter with fewer scenes than this",
+      defaultValue: CLIMB_SMALL_POOL_WARN_AT,
+      min: 0,
+      max: 1e3
+    },
+    {
+      kind: "number",
+      key: "cacheMaxAgeMinutes",
+      group: "Data",
+      label: "Cache refresh (minutes)",
+      description: "Age after which the scene cache refreshes in the background (0 = refetch every time)",
+      defaultValue: CACHE_MAX_AGE_MS / 6e4,
+      min: 0,
+      max: 1440
+    },
+    {
+      kind: "number",
+      key: "undoMaxDepth",
+      group: "Data",
+      label: "Undo depth",
+      description: "How many choices can be undone",
+      defaultValue: UNDO_MAX_DEPTH,
+      min: 1,
+      max: 200
+    },
+    {
+      kind: "number",
+      key: "historyPanelLimit",
+      group: "Data",
+      label: "History rows",
+      description: "Most recent matching battles listed in the History tab",
+      defaultValue: HISTORY_PANEL_LIMIT,
+      min: 10,
+      max: 5e3
+    },
+    {
+      kind: "number",
+      key: "snapshotsKept",
+      group: "Data",
+      label: "Automatic snapshots",
+      description: "Rating snapshots taken when the modal opens that are kept per entity type (0 = none taken)",
+      defaultValue: SNAPSHOTS_KEPT,
+      min: 0,
+      max: 100
+    },
+    {
+      kind: "number",
+      key: "btPriorGames",
+      group: "Data",
+      label: "Recalculation prior",
+      description: "Virtual win + loss per scene when recalculating rankings (higher = pulls sparse scenes to the middle)",
+      defaultValue: BT_PRIOR_GAMES,
+      min: 1,
+      max: 20
+    }
+  ];
+  function defaultSettings() {
+    return Object.fromEntries(SETTING_DEFS.map((def) => [def.key, def.defaultValue]));
+  }
+  var settings = defaultSettings();
+  var CONFIGURATION_QUERY = `
+      query StashBattleConfiguration {
+        configuration {
+          plugins
+        }
+      }
+    `;
+  var CONFIGURE_PLUGIN_MUTATION = `
+      mutation ConfigurePlugin($plugin_id: ID!, $input: Map!) {
+        configurePlugin(plugin_id: $plugin_id, input: $input)
+      }
+    `;
+  function validateSetting(def, raw) {
+    if (raw === null || raw === void 0 || raw === "") return null;
+    if (def.kind === "choice") {
+      return def.options.some((option) => option.value === raw) ? raw : null;
+    }
+    const value = Math.round(Number(raw));
+    if (!Number.isFinite(value) || value < def.min || value > def.max) return null;
+    return value;
+  }
+  function kThresholdsInOrder(values) {
+    return values.kSettlingAt <= values.kEstablishedAt && values.kEstablishedAt <= values.kStableAt;
+  }
+  function applyConfig(config) {
+    const values = settings;
+    for (const def of SETTING_DEFS) {
+      values[def.key] = validateSetting(def, config[def.key]) ?? def.defaultValue;
+    }
+    if (!kThresholdsInOrder(settings)) {
+      const [settling, established, stable] = [settings.kSettlingAt, settings.kEstablishedAt, settings.kStableAt].sort(
+        (a, b) => a - b
+      );
+      console.warn(
+        `[Stash Battle] ⚠️ K-factor tier boundaries out of order (${settings.kSettlingAt} / ${settings.kEstablishedAt} / ${settings.kStableAt}), using ${settling} / ${established} / ${stable}`
+      );
+      Object.assign(settings, { kSettlingAt: settling, kEstablishedAt: established, kStableAt: stable });
+    }
+  }
+  async function loadSettings() {
+    try {
+      const data = await graphqlQuery(
+        CONFIGURATION_QUERY
+      );
+      applyConfig(data.configuration.plugins?.[PLUGIN_ID] ?? {});
+      console.log("[Stash Battle] ⚙️ Settings loaded");
+    } catch (e) {
+      console.error("[Stash Battle] Failed to load settings:", e);
+    }
+  }
+  async function saveSettings(values) {
+    await graphqlQuery(CONFIGURE_PLUGIN_MUTATION, { plugin_id: PLUGIN_ID, input: values });
+    applyConfig(values);
+    console.log("[Stash Battle] ⚙️ Settings saved");
+  }
+  function getDefaultSettings() {
+    return defaultSettings();
+  }
+
+  // src/state.ts
+  function readBooleanPref(key, fallback) {
+    try {
+      const stored = localStorage.getItem(key);
+      if (stored !== null) return stored === "1";
+    } catch {
+    }
+    return fallback;
+  }
+  function readRatingEnginePref() {
+    try {
+      const stored = localStorage.getItem(RATING_ENGINE_KEY);
+      if (stored === "elo" || stored === "glicko2") return stored;
+    } catch {
+    }
+    return DEFAULT_RATING_ENGINE;
+  }
+  function readGauntletStartPref() {
+    try {
+      const stored = localStorage.getItem(GAUNTLET_START_KEY);
+      if (stored === "bottom" || stored === "top" || stored === "rank") return stored;
+    } catch {
+    }
+    return DEFAULT_GAUNTLET_START;
+  }
+  function readSizePref(key, sizes, fallback) {
+    try {
+      const stored = Number(localStorage.getItem(key));
+      if (sizes.includes(stored)) return stored;
+    } catch {
+    }
+    return fallback;
+  }
+  var state = {
+    entityType: "scene",
+    currentPair: { left: null, right: null },
+    currentRanks: { left: null, right: null },
+    currentGrid: null,
+    currentMode: "swiss",
+    gauntletClimber: null,
+    gauntletWins: 0,
+    gauntletClimberRank: 0,
+    gauntletDefeated: [],
+    gauntletFalling: false,
+    gauntletFallingScene: null,
+    gauntletRunStart: DEFAULT_GAUNTLET_START,
+    totalScenesCount: 0,
+    quickPlace: null,
+    calibration: null,
+    tournament: null,
+    roundRobin: null,
+    disableChoice: false,
+    savedFilterParams: "",
+    filterOpponents: readBooleanPref(FILTER_OPPONENTS_KEY, DEFAULT_FILTER_OPPONENTS),
+    mutePreviews: readBooleanPref(MUTE_PREVIEWS_KEY, false),
+    ratingEngine: readRatingEnginePref(),
+    tournamentSize: readSizePref(TOURNAMENT_SIZE_KEY, TOURNAMENT_SIZES, DEFAULT_TOURNAMENT_SIZE),
+    gridSize: readSizePref(GRID_SIZE_KEY, GRID_SIZES, DEFAULT_GRID_SIZE),
+    gridPickWorst: readBooleanPref(GRID_PICK_WORST_KEY, false),
+    rankSize: readSizePref(RANK_SIZE_KEY, RANK_SIZES, DEFAULT_RANK_SIZE),
+    gauntletStart: readGauntletStartPref(),
+    shuffledFilteredScenes: [],
+    shuffleIndex: 0,
+    shuffleFilterKey: null,
+    removedSceneIds: /* @__PURE__ */ new Set(),
+    memoryCache: {
+      allScenes: null,
+      filteredScenes: null,
+      filterKey: null,
+      timestamp: null
+    }
+  };
+  function resetGauntletState() {
+    state.gauntletClimber = null;
+    state.gauntletWins = 0;
+    state.gauntletClimberRank = 0;
+    state.gauntletDefeated = [];
+    state.gauntletFalling = false;
+    state.gauntletFallingScene = null;
+    state.gauntletRunStart = DEFAULT_GAUNTLET_START;
+    state.quickPlace = null;
+    state.calibration = null;
+    state.tournament = null;
+    state.roundRobin = null;
+  }
+  function isRunInProgress() {
+    if (state.currentMode === "gauntlet" || state.currentMode === "champion") return state.gauntletClimber !== null;
+    if (state.currentMode === "quickplace") return (state.quickPlace?.comparisons ?? 0) > 0;
+    if (state.currentMode === "calibrate") return (state.calibration?.results.length ?? 0) > 0;
+    if (state.currentMode === "tournament") return state.tournament !== null;
+    if (state.currentMode === "roundrobin") return state.roundRobin !== null;
+    return false;
+  }
+
+  // src/entities.ts
+  var ENTITIES = {
+    scene: { label: "Scene", plural: "scenes", fragment: SCENE_FRAGMENT, customFields: true },
+    performer: { label: "Performer", plural: "performers", fragment: PERFORMER_FRAGMENT, customFields: true },
+    group: { label: "Group", plural: "groups", fragment: GROUP_FRAGMENT, customFields: false },
+    gallery: { label: "Gallery", plural: "galleries", fragment: GALLERY_FRAGMENT, customFields: false },
+    image: { label: "Image", plural: "images", fragment: IMAGE_FRAGMENT, customFields: false }
+  };
+  function currentEntity() {
+    return ENTITIES[state.entityType];
+  }
+  var capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+  function listField(entity) {
+    return `find${capitalize(entity.plural)}`;
+  }
+  function lookupField(entity) {
+    return `find${entity.label}`;
+  }
+  function filterVariable(entity) {
+    return `${entity.label.toLowerCase()}_filter`;
+  }
+  function assertEntityType(entity) {
+    if (state.entityType === entity) return;
+    throw new Error(
+      `This preview was made for ${ENTITIES[entity].plural}, but ${currentEntity().plural} are battled now — preview again`
+    );
+  }
+  function entityTypeOfPage(pathname = window.location.pathname) {
+    const types = Object.keys(ENTITIES);
+    const match = types.find((type) => {
+      const listPath = `/${ENTITIES[type].plural}`;
+      return pathname === listPath || pathname.startsWith(`${listPath}/`);
+    });
+    return match ?? null;
+  }
+  function entityTypeFromPath(pathname = window.location.pathname) {
+    return entityTypeOfPage(pathname) ?? "scene";
+  }
+  function getEntityIdFromUrl() {
+    const match = window.location.pathname.match(new RegExp(`^/${currentEntity().plural}/(\\d+)$`));
+    return match ? match[1] : null;
+  }
+  function entityUrl(id) {
+    return `/${currentEntity().plural}/${encodeURIComponent(id)}${window.location.search}`;
+  }
+  function entityDisplayName(scene) {
+    return scene.title || scene.name || `${currentEntity().label} ${scene.id}`;
+  }
+  function entityStoreKey(base) {
+    return state.entityType === "scene" ? base : `${base}_${currentEntity().plural}`;
+  }
+  function entityUpdateMutation() {
+    const { label } = currentEntity();
+    return `
+      mutation ${label}Update($input: ${label}UpdateInput!) {
+        ${label.toLowerCase()}Update(input: $input) {
+          id
+          rating100
+        }
+      }
+    `;
+  }
+  function entityBulkUpdateMutation(entity = state.entityType) {
+    const { label } = ENTITIES[entity];
+    return `
+      mutation Bulk${label}Update($input: Bulk${label}UpdateInput!) {
+        bulk${label}Update(input: $input) {
+          id
+        }
+      }
+    `;
+  }
+  async function fetchEntityFields(id, fields) {
+    const entity = currentEntity();
+    const query = `
+      query Find${entity.label}($id: ID!) {
+        ${lookupField(entity)}(id: $id) {
+          ${fields}
+        }
+      }
+    `;
+    const result = await graphqlQuery(query, { id });
+    return result[lookupField(entity)] ?? null;
+  }
+  async function fetchEntityById(id) {
+    return fetchEntityFields(id, currentEntity().fragment);
+  }
+  async function fetchEntityRatings() {
+    const entity = currentEntity();
+    const query = `
+      query Find${capitalize(entity.plural)}Ratings($filter: FindFilterType) {
+        ${listField(entity)}(filter: $filter) {
+          ${entity.plural} {
+            id
+            rating100
+          }
+        }
+      }
+    `;
+    const result = await graphqlQuery(query, { filter: { per_page: -1 } });
+    const list = result[listField(entity)][entity.plural] || [];
+    return Object.fromEntries(list.map((scene) => [scene.id, scene.rating100 ?? null]));
+  }
+  async function fetchEntityTagIds(tagIds) {
+    if (tagIds.length === 0) return {};
+    const entity = currentEntity();
+    const variable = filterVariable(entity);
+    const query = `
+      query Find${capitalize(entity.plural)}Tags($filter: FindFilterType, $${variable}: ${entity.label}FilterType) {
+        ${listField(entity)}(filter: $filter, ${variable}: $${variable}) {
+          ${entity.plural} {
+            id
+            tags {
+              id
+            }
+          }
+        }
+      }
+    `;
+    const result = await graphqlQuery(query, {
+      filter: { per_page: -1 },
+      [variable]: { tags: { value: tagIds, modifier: "INCLUDES" } }
+    });
+    const list = result[listField(entity)][entity.plural] || [];
+    return Object.fromEntries(list.map((item) => [item.id, (item.tags ?? []).map((tag) => tag.id)]));
+  }
+  async function fetchEntities(filter, entityFilter) {
+    const entity = currentEntity();
+    const variable = filterVariable(entity);
+    const query = `
+      query Find${capitalize(entity.plural)}ByRating($filter: FindFilterType, $${variable}: ${entity.label}FilterType) {
+        ${listField(entity)}(filter: $filter, ${variable}: $${variable}) {
+          count
+          ${entity.plural} {
+            ${entity.fragment}
+          }
+        }
+      }
+    `;
+    const result = await graphqlQuery(query, { filter, [variable]: entityFilter });
+    const list = result[listField(entity)];
+    const scenes = list[entity.plural] || [];
+    return { scenes, count: list.count || scenes.length };
+  }
 
   // src/filters.ts
   function getSearchParams() {
@@ -59,7 +788,7 @@
   }
   var CRITERION_CATEGORIES = {
     // Boolean: no modifier, value is "true"/"false" string -> convert to boolean
-    boolean: /* @__PURE__ */ new Set(["organized", "interactive", "performer_favorite"]),
+    boolean: /* @__PURE__ */ new Set(["organized", "interactive", "performer_favorite", "filter_favorites"]),
     // StringEnum: URL has modifier but GraphQL just expects the string value directly
     stringEnum: /* @__PURE__ */ new Set(["is_missing", "has_markers"]),
     // Multi: value is array of {id, label} -> extract IDs only
@@ -89,7 +818,8 @@
     Square: "SQUARE"
   };
   var idOf = (v) => typeof v === "object" && v && v.id ? v.id : v;
-  function getSceneFilter(searchParams = getSearchParams()) {
+  var genderEnum = (label) => label.toUpperCase().replace(/[^A-Z]+/g, "_");
+  function getEntityFilter(searchParams = getSearchParams()) {
     const sceneFilter = {};
     if (!searchParams.has("c")) return null;
     for (const cStr of searchParams.getAll("c")) {
@@ -156,6 +886,14 @@
           };
           continue;
         }
+        if (filterType === "gender") {
+          const values = Array.isArray(rest.value) ? rest.value : [rest.value];
+          sceneFilter[filterType] = {
+            modifier: rest.modifier,
+            value_list: values.filter(Boolean).map((v) => genderEnum(String(v)))
+          };
+          continue;
+        }
         if (filterType === "duplicated") {
           sceneFilter[filterType] = {
             duplicated: rest.value === "true" || rest.value === true
@@ -184,123 +922,16 @@
   }
   function readFilters() {
     const searchParams = getSearchParams();
-    const sceneFilter = getSceneFilter(searchParams);
+    const entityFilter = getEntityFilter(searchParams);
     const q = searchParams.get("q") || "";
     return {
-      filterKey: JSON.stringify({ q, filter: sceneFilter || {} }),
-      sceneFilter,
-      filterActive: Boolean(sceneFilter || searchParams.has("c") || searchParams.get("q"))
+      filterKey: JSON.stringify({ q, filter: entityFilter || {} }),
+      entityFilter,
+      filterActive: Boolean(entityFilter || searchParams.has("c") || searchParams.get("q"))
     };
   }
-
-  // src/graphql.ts
-  async function graphqlQuery(query, variables = {}) {
-    const response = await fetch("/graphql", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ query, variables })
-    });
-    const result = await response.json();
-    if (result.errors) {
-      console.error("[Stash Battle] GraphQL error:", result.errors);
-      throw new Error(result.errors[0].message);
-    }
-    return result.data;
-  }
-  var SCENE_FRAGMENT = `
-    id
-    title
-    date
-    rating100
-    play_count
-    paths {
-      screenshot
-      preview
-    }
-    files {
-      duration
-      path
-    }
-    studio {
-      name
-    }
-    performers {
-      name
-    }
-    tags {
-      name
-    }
-  `;
-  var FIND_SCENES_QUERY = `
-      query FindScenesByRating($filter: FindFilterType, $scene_filter: SceneFilterType) {
-        findScenes(filter: $filter, scene_filter: $scene_filter) {
-          count
-          scenes {
-            ${SCENE_FRAGMENT}
-          }
-        }
-      }
-    `;
-  function getSceneIdFromUrl() {
-    const match = window.location.pathname.match(/^\/scenes\/(\d+)$/);
-    return match ? match[1] : null;
-  }
-  async function fetchSceneById(sceneId) {
-    const query = `
-      query FindScene($id: ID!) {
-        findScene(id: $id) {
-          ${SCENE_FRAGMENT}
-        }
-      }
-    `;
-    const result = await graphqlQuery(query, { id: sceneId });
-    return result.findScene;
-  }
-
-  // src/state.ts
-  function readBooleanPref(key, fallback) {
-    try {
-      const stored = localStorage.getItem(key);
-      if (stored !== null) return stored === "1";
-    } catch {
-    }
-    return fallback;
-  }
-  var state = {
-    currentPair: { left: null, right: null },
-    currentRanks: { left: null, right: null },
-    currentMode: "swiss",
-    gauntletClimber: null,
-    gauntletWins: 0,
-    gauntletClimberRank: 0,
-    gauntletDefeated: [],
-    gauntletFalling: false,
-    gauntletFallingScene: null,
-    totalScenesCount: 0,
-    disableChoice: false,
-    savedFilterParams: "",
-    filterOpponents: readBooleanPref(FILTER_OPPONENTS_KEY, DEFAULT_FILTER_OPPONENTS),
-    mutePreviews: readBooleanPref(MUTE_PREVIEWS_KEY, false),
-    shuffledFilteredScenes: [],
-    shuffleIndex: 0,
-    shuffleFilterKey: null,
-    removedSceneIds: /* @__PURE__ */ new Set(),
-    memoryCache: {
-      allScenes: null,
-      filteredScenes: null,
-      filterKey: null,
-      timestamp: null
-    }
-  };
-  function resetGauntletState() {
-    state.gauntletClimber = null;
-    state.gauntletWins = 0;
-    state.gauntletClimberRank = 0;
-    state.gauntletDefeated = [];
-    state.gauntletFalling = false;
-    state.gauntletFallingScene = null;
+  function checkForFilters() {
+    return readFilters().filterActive;
   }
 
   // src/cache.ts
@@ -319,9 +950,24 @@
         if (!db.objectStoreNames.contains(CACHE_STORE_NAME)) {
           db.createObjectStore(CACHE_STORE_NAME, { keyPath: "cacheKey" });
         }
+        if (!db.objectStoreNames.contains(HISTORY_STORE_NAME)) {
+          db.createObjectStore(HISTORY_STORE_NAME, { keyPath: "id", autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE_NAME)) {
+          db.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: "id", autoIncrement: true });
+        }
       };
     });
   }
+  function cacheMaxAgeMs() {
+    return settings.cacheMaxAgeMinutes * 60 * 1e3;
+  }
+  function allCacheKey() {
+    return `all-${currentEntity().plural}`;
+  }
+  function filteredCacheKey() {
+    return `filtered-${currentEntity().plural}`;
+  }
   async function getCachedScenes(cacheKey) {
     try {
       const db = await openCacheDB();
@@ -331,7 +977,7 @@
         const request = store.get(cacheKey);
         request.onsuccess = () => {
           const result = request.result;
-          if (result && Date.now() - result.timestamp < CACHE_MAX_AGE_MS) {
+          if (result && Date.now() - result.timestamp < cacheMaxAgeMs()) {
             resolve(result);
           } else {
             resolve(null);
@@ -393,7 +1039,7 @@
       return new Promise((resolve, reject) => {
         const transaction = db.transaction(CACHE_STORE_NAME, "readwrite");
         const store = transaction.objectStore(CACHE_STORE_NAME);
-        const request = store.delete("filtered-scenes");
+        const request = store.delete(filteredCacheKey());
         request.onsuccess = () => {
           state.memoryCache.filteredScenes = null;
           state.memoryCache.filterKey = null;
@@ -410,21 +1056,17 @@
     }
   }
   async function backgroundRefreshAllScenes() {
-    const cacheKey = "all-scenes";
+    const cacheKey = allCacheKey();
+    const entityType = state.entityType;
     try {
       console.log("[Stash Battle] 🔄 Background refresh started (all scenes)...");
       const startTime = Date.now();
-      const result = await graphqlQuery(FIND_SCENES_QUERY, {
-        filter: {
-          per_page: -1,
-          sort: "rating",
-          direction: "DESC"
-        },
-        scene_filter: null
-      });
-      const scenes = result.findScenes.scenes || [];
-      const count = result.findScenes.count || scenes.length;
+      const { scenes, count } = await fetchEntities({ per_page: -1, sort: "rating", direction: "DESC" }, null);
       const fetchTime = Date.now() - startTime;
+      if (state.entityType !== entityType) {
+        console.log("[Stash Battle] ⚠️ Entity type changed during refresh, discarding results");
+        return;
+      }
       const oldCount = state.memoryCache.allScenes ? state.memoryCache.allScenes.length : 0;
       if (count !== oldCount) {
         console.log(
@@ -442,15 +1084,15 @@
     }
   }
   async function getAllScenesCached() {
-    const cacheKey = "all-scenes";
+    const cacheKey = allCacheKey();
     if (state.memoryCache.allScenes) {
       const cacheAge = Math.round((Date.now() - (state.memoryCache.timestamp ?? 0)) / 1e3);
-      const isStale = Date.now() - (state.memoryCache.timestamp ?? 0) >= CACHE_MAX_AGE_MS;
+      const isStale = Date.now() - (state.memoryCache.timestamp ?? 0) >= cacheMaxAgeMs();
       console.log(
         `[Stash Battle] 💾 Memory cache hit (all scenes): ${state.memoryCache.allScenes.length} scenes, age: ${cacheAge}s${isStale ? " [STALE]" : ""}`
       );
       if (isStale) {
-        console.log(`[Stash Battle] ⏰ Cache stale (>${CACHE_MAX_AGE_MS / 1e3}s), triggering background refresh...`);
+        console.log(`[Stash Battle] ⏰ Cache stale (>${cacheMaxAgeMs() / 1e3}s), triggering background refresh...`);
         backgroundRefreshAllScenes();
       }
       return { scenes: state.memoryCache.allScenes, count: state.memoryCache.allScenes.length };
@@ -459,30 +1101,21 @@
     const cached = await getCachedScenes(cacheKey);
     if (cached) {
       const cacheAge = Math.round((Date.now() - cached.timestamp) / 1e3);
-      const isStale = Date.now() - cached.timestamp >= CACHE_MAX_AGE_MS;
+      const isStale = Date.now() - cached.timestamp >= cacheMaxAgeMs();
       console.log(
         `[Stash Battle] 💿 IndexedDB cache hit (all scenes): ${cached.scenes.length} scenes, age: ${cacheAge}s${isStale ? " [STALE]" : ""}`
       );
       state.memoryCache.allScenes = cached.scenes;
       state.memoryCache.timestamp = cached.timestamp;
       if (isStale) {
-        console.log(`[Stash Battle] ⏰ Cache stale (>${CACHE_MAX_AGE_MS / 1e3}s), triggering background refresh...`);
+        console.log(`[Stash Battle] ⏰ Cache stale (>${cacheMaxAgeMs() / 1e3}s), triggering background refresh...`);
         backgroundRefreshAllScenes();
       }
       return { scenes: cached.scenes, count: cached.count };
     }
     console.log("[Stash Battle] 🌐 No cache found, fetching all scenes from network (first load)...");
     const startTime = Date.now();
-    const result = await graphqlQuery(FIND_SCENES_QUERY, {
-      filter: {
-        per_page: -1,
-        sort: "rating",
-        direction: "DESC"
-      },
-      scene_filter: null
-    });
-    const scenes = result.findScenes.scenes || [];
-    const count = result.findScenes.count || scenes.length;
+    const { scenes, count } = await fetchEntities({ per_page: -1, sort: "rating", direction: "DESC" }, null);
     const fetchTime = Date.now() - startTime;
     state.memoryCache.allScenes = scenes;
     state.memoryCache.timestamp = Date.now();
@@ -491,22 +1124,17 @@
     return { scenes, count };
   }
   async function backgroundRefreshFilteredScenes(filters) {
-    const cacheKey = "filtered-scenes";
+    const cacheKey = filteredCacheKey();
+    const entityType = state.entityType;
     try {
       console.log("[Stash Battle] 🔄 Background refresh started (filtered scenes)...");
       const startTime = Date.now();
-      const result = await graphqlQuery(FIND_SCENES_QUERY, {
-        filter: getFindFilter({
-          per_page: -1,
-          sort: "rating",
-          direction: "DESC"
-        }),
-        scene_filter: filters.sceneFilter
-      });
-      const scenes = result.findScenes.scenes || [];
-      const count = result.findScenes.count || scenes.length;
+      const { scenes, count } = await fetchEntities(
+        getFindFilter({ per_page: -1, sort: "rating", direction: "DESC" }),
+        filters.entityFilter
+      );
       const fetchTime = Date.now() - startTime;
-      if (state.memoryCache.filterKey === filters.filterKey) {
+      if (state.entityType === entityType && state.memoryCache.filterKey === filters.filterKey) {
         const oldCount = state.memoryCache.filteredScenes ? state.memoryCache.filteredScenes.length : 0;
         if (count !== oldCount) {
           console.log(
@@ -527,17 +1155,17 @@
     }
   }
   async function getFilteredScenesCached(filters) {
-    const { filterKey, sceneFilter } = filters;
-    const cacheKey = "filtered-scenes";
+    const { filterKey, entityFilter } = filters;
+    const cacheKey = filteredCacheKey();
     console.log("[Stash Battle] 🔎 Filter active, checking filtered cache...");
     if (state.memoryCache.filteredScenes && state.memoryCache.filterKey === filterKey) {
       const cacheAge = Math.round((Date.now() - (state.memoryCache.timestamp ?? 0)) / 1e3);
-      const isStale = Date.now() - (state.memoryCache.timestamp ?? 0) >= CACHE_MAX_AGE_MS;
+      const isStale = Date.now() - (state.memoryCache.timestamp ?? 0) >= cacheMaxAgeMs();
       console.log(
         `[Stash Battle] 💾 Memory cache hit (filtered): ${state.memoryCache.filteredScenes.length} scenes, age: ${cacheAge}s${isStale ? " [STALE]" : ""}`
       );
       if (isStale) {
-        console.log(`[Stash Battle] ⏰ Cache stale (>${CACHE_MAX_AGE_MS / 1e3}s), triggering background refresh...`);
+        console.log(`[Stash Battle] ⏰ Cache stale (>${cacheMaxAgeMs() / 1e3}s), triggering background refresh...`);
         backgroundRefreshFilteredScenes(filters);
       }
       return { scenes: state.memoryCache.filteredScenes, count: state.memoryCache.filteredScenes.length };
@@ -546,7 +1174,7 @@
     const cached = await getCachedScenes(cacheKey);
     if (cached && cached.filterKey === filterKey) {
       const cacheAge = Math.round((Date.now() - cached.timestamp) / 1e3);
-      const isStale = Date.now() - cached.timestamp >= CACHE_MAX_AGE_MS;
+      const isStale = Date.now() - cached.timestamp >= cacheMaxAgeMs();
       console.log(
         `[Stash Battle] 💿 IndexedDB cache hit (filtered): ${cached.scenes.length} scenes, age: ${cacheAge}s${isStale ? " [STALE]" : ""}`
       );
@@ -554,7 +1182,7 @@
       state.memoryCache.filterKey = filterKey;
       state.memoryCache.timestamp = cached.timestamp;
       if (isStale) {
-        console.log(`[Stash Battle] ⏰ Cache stale (>${CACHE_MAX_AGE_MS / 1e3}s), triggering background refresh...`);
+        console.log(`[Stash Battle] ⏰ Cache stale (>${cacheMaxAgeMs() / 1e3}s), triggering background refresh...`);
         backgroundRefreshFilteredScenes(filters);
       }
       return { scenes: cached.scenes, count: cached.count };
@@ -566,16 +1194,10 @@
     }
     console.log("[Stash Battle] 🌐 Fetching filtered scenes from network...");
     const startTime = Date.now();
-    const result = await graphqlQuery(FIND_SCENES_QUERY, {
-      filter: getFindFilter({
-        per_page: -1,
-        sort: "rating",
-        direction: "DESC"
-      }),
-      scene_filter: sceneFilter
-    });
-    const scenes = result.findScenes.scenes || [];
-    const count = result.findScenes.count || scenes.length;
+    const { scenes, count } = await fetchEntities(
+      getFindFilter({ per_page: -1, sort: "rating", direction: "DESC" }),
+      entityFilter
+    );
     const fetchTime = Date.now() - startTime;
     state.memoryCache.filteredScenes = scenes;
     state.memoryCache.filterKey = filterKey;
@@ -648,72 +1270,325 @@
     }
   }
 
-  // src/storage.ts
-  function saveState() {
-    const snapshot = {
-      currentPair: state.currentPair,
-      currentRanks: state.currentRanks,
-      currentMode: state.currentMode,
-      gauntletClimber: state.gauntletClimber,
-      gauntletWins: state.gauntletWins,
-      gauntletClimberRank: state.gauntletClimberRank,
-      gauntletDefeated: state.gauntletDefeated,
-      gauntletFalling: state.gauntletFalling,
-      gauntletFallingScene: state.gauntletFallingScene,
-      totalScenesCount: state.totalScenesCount,
-      savedFilterParams: window.location.search
-    };
+  // src/preciseRating.ts
+  var MIN_RATING = 1;
+  var MAX_RATING = 100;
+  var knownPrecise = /* @__PURE__ */ new Map();
+  function normalizePreciseRating(value) {
+    const clamped = Math.min(MAX_RATING, Math.max(MIN_RATING, value));
+    return Number(clamped.toFixed(PRECISE_RATING_DECIMALS));
+  }
+  function projectRating(value) {
+    return Math.min(MAX_RATING, Math.max(MIN_RATING, Math.round(value)));
+  }
+  function storedPreciseRating(scene) {
+    const known = knownPrecise.get(scene.id);
+    if (known !== void 0) return known;
+    const raw = scene.custom_fields?.[PRECISE_RATING_FIELD];
+    const value = typeof raw === "string" ? Number(raw) : raw;
+    return typeof value === "number" && Number.isFinite(value) ? value : null;
+  }
+  function getPreciseRating(scene) {
+    const rating100 = scene.rating100 || MIN_RATING;
+    const stored = storedPreciseRating(scene);
+    return stored !== null && projectRating(stored) === rating100 ? stored : rating100;
+  }
+  function rememberPreciseRating(sceneId, value) {
+    knownPrecise.set(sceneId, value);
+  }
+  function forgetPreciseRatings() {
+    knownPrecise.clear();
+  }
+  function sortByPreciseRating(scenes) {
+    return scenes.map((scene) => ({ scene, key: preciseSortKey(scene) })).sort((a, b) => b.key - a.key).map((entry) => entry.scene);
+  }
+  function preciseSortKey(scene) {
+    return scene.rating100 ? getPreciseRating(scene) : 0;
+  }
+
+  // src/rating.ts
+  var pendingWrites = /* @__PURE__ */ new Set();
+  function trackWrite(write) {
+    pendingWrites.add(write);
+    write.then(
+      () => pendingWrites.delete(write),
+      () => pendingWrites.delete(write)
+    );
+    return write;
+  }
+  async function flushRatingWrites() {
+    await Promise.allSettled([...pendingWrites]);
+  }
+  async function updateSceneCustomFields(sceneId, fields, remove = []) {
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+      await trackWrite(
+        graphqlQuery(entityUpdateMutation(), {
+          input: {
+            id: sceneId,
+            custom_fields: { partial: fields, ...remove.length > 0 && { remove } }
+          }
+        })
+      );
     } catch (e) {
-      console.error("[Stash Battle] Failed to save state:", e);
+      console.error(`[Stash Battle] Failed to update scene ${sceneId} custom fields:`, e);
     }
   }
-  function loadState() {
+  async function updateSceneRating(sceneId, rating100, precise) {
     try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        state.currentPair = parsed.currentPair || { left: null, right: null };
-        state.currentRanks = parsed.currentRanks || { left: null, right: null };
-        state.currentMode = parsed.currentMode || "swiss";
-        state.gauntletClimber = parsed.gauntletClimber ?? parsed.gauntletChampion ?? null;
-        state.gauntletWins = parsed.gauntletWins || 0;
-        state.gauntletClimberRank = parsed.gauntletClimberRank ?? parsed.gauntletChampionRank ?? 0;
-        state.gauntletDefeated = parsed.gauntletDefeated || [];
-        state.gauntletFalling = parsed.gauntletFalling || false;
-        state.gauntletFallingScene = parsed.gauntletFallingScene || null;
-        state.totalScenesCount = parsed.totalScenesCount || 0;
-        state.savedFilterParams = parsed.savedFilterParams || "";
-        return true;
+      await writeSceneRating(sceneId, rating100, precise);
+    } catch (e) {
+      const action = rating100 === null ? "clear" : "update";
+      console.error(`[Stash Battle] Failed to ${action} scene ${sceneId} rating:`, e);
+    }
+  }
+  async function writeSceneRating(sceneId, rating100, precise) {
+    const keepsPrecise = precise !== void 0 && rating100 !== null && currentEntity().customFields;
+    const preciseValue = keepsPrecise ? normalizePreciseRating(precise) : void 0;
+    let stashRating = rating100 === null ? null : Math.max(1, Math.min(100, rating100));
+    if (preciseValue !== void 0) {
+      stashRating = projectRating(preciseValue);
+      rememberPreciseRating(sceneId, preciseValue);
+    }
+    await trackWrite(
+      graphqlQuery(entityUpdateMutation(), {
+        input: {
+          id: sceneId,
+          rating100: stashRating,
+          ...preciseValue !== void 0 && { custom_fields: { partial: { [PRECISE_RATING_FIELD]: preciseValue } } }
+        }
+      })
+    );
+    if (stashRating === null) {
+      console.log(`[Stash Battle] 📝 Cleared scene ${sceneId} rating in Stash`);
+      clearSceneInCache(sceneId);
+    } else {
+      console.log(
+        `[Stash Battle] 📝 Updated scene ${sceneId} rating to ${stashRating}${preciseValue !== void 0 ? ` (${preciseValue})` : ""} in Stash`
+      );
+      updateSceneInCache(sceneId, stashRating);
+    }
+  }
+
+  // src/battleStats.ts
+  var knownCounts = /* @__PURE__ */ new Map();
+  var updateQueues = /* @__PURE__ */ new Map();
+  var replacedMarks = /* @__PURE__ */ new Map();
+  function readCount(fields, key) {
+    const value = Number(fields?.[key] ?? 0);
+    return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+  }
+  function readTimestamp(fields, key) {
+    const raw = fields?.[key];
+    const value = typeof raw === "string" ? Date.parse(raw) : NaN;
+    return Number.isFinite(value) ? value : null;
+  }
+  function countsFromFields(fields) {
+    return {
+      battles: readCount(fields, BATTLE_STAT_FIELDS.battles),
+      wins: readCount(fields, BATTLE_STAT_FIELDS.wins),
+      losses: readCount(fields, BATTLE_STAT_FIELDS.losses),
+      draws: readCount(fields, BATTLE_STAT_FIELDS.draws),
+      titles: readCount(fields, BATTLE_STAT_FIELDS.titles),
+      streak: readCount(fields, BATTLE_STAT_FIELDS.streak),
+      bestStreak: readCount(fields, BATTLE_STAT_FIELDS.bestStreak),
+      lastBattled: readTimestamp(fields, BATTLE_STAT_FIELDS.lastBattled)
+    };
+  }
+  function getBattleCounts(scene) {
+    return knownCounts.get(scene.id) ?? countsFromFields(scene.custom_fields);
+  }
+  async function fetchBattleCounts(sceneId) {
+    const scene = await fetchEntityFields(sceneId, "id custom_fields");
+    return countsFromFields(scene?.custom_fields);
+  }
+  function forgetBattleCounts() {
+    knownCounts.clear();
+    replacedMarks.clear();
+  }
+  function nextMarks(sceneId, current, delta) {
+    const { streak, bestStreak, lastBattled } = current;
+    const marks = { streak, bestStreak, lastBattled };
+    if (delta.battles === 0) return marks;
+    const replaced = replacedMarks.get(sceneId) ?? [];
+    replacedMarks.set(sceneId, replaced);
+    if (delta.battles > 0) {
+      replaced.push(marks);
+      const nextStreak = delta.wins > 0 ? streak + delta.wins : 0;
+      return { streak: nextStreak, bestStreak: Math.max(bestStreak, nextStreak), lastBattled: Date.now() };
+    }
+    return replaced.pop() ?? marks;
+  }
+  function adjustCounts(sceneId, delta) {
+    const previous = updateQueues.get(sceneId) ?? Promise.resolve();
+    const next = previous.then(async () => {
+      try {
+        const current = knownCounts.get(sceneId) ?? await fetchBattleCounts(sceneId);
+        const updated = {
+          battles: Math.max(0, current.battles + delta.battles),
+          wins: Math.max(0, current.wins + delta.wins),
+          losses: Math.max(0, current.losses + delta.losses),
+          draws: Math.max(0, current.draws + delta.draws),
+          titles: Math.max(0, current.titles + delta.titles),
+          ...nextMarks(sceneId, current, delta)
+        };
+        knownCounts.set(sceneId, updated);
+        const { lastBattled } = updated;
+        await updateSceneCustomFields(
+          sceneId,
+          {
+            [BATTLE_STAT_FIELDS.battles]: updated.battles,
+            [BATTLE_STAT_FIELDS.wins]: updated.wins,
+            [BATTLE_STAT_FIELDS.losses]: updated.losses,
+            [BATTLE_STAT_FIELDS.draws]: updated.draws,
+            [BATTLE_STAT_FIELDS.titles]: updated.titles,
+            [BATTLE_STAT_FIELDS.streak]: updated.streak,
+            [BATTLE_STAT_FIELDS.bestStreak]: updated.bestStreak,
+            ...lastBattled !== null && { [BATTLE_STAT_FIELDS.lastBattled]: new Date(lastBattled).toISOString() }
+          },
+          lastBattled === null ? [BATTLE_STAT_FIELDS.lastBattled] : []
+        );
+      } catch (e) {
+        console.error(`[Stash Battle] Failed to update battle counts for scene ${sceneId}:`, e);
       }
+    });
+    updateQueues.set(sceneId, next);
+    return next;
+  }
+  function resultDeltas(result, sign) {
+    const draw = result.outcome === "draw" ? sign : 0;
+    const decided = result.outcome === "draw" ? 0 : sign;
+    return [
+      { battles: sign, wins: decided, losses: 0, draws: draw, titles: 0 },
+      { battles: sign, wins: 0, losses: decided, draws: draw, titles: 0 }
+    ];
+  }
+  function countBattleResult(result) {
+    if (!currentEntity().customFields) return Promise.resolve();
+    const [winnerDelta, loserDelta] = resultDeltas(result, 1);
+    return Promise.all([adjustCounts(result.winnerId, winnerDelta), adjustCounts(result.loserId, loserDelta)]).then(
+      () => void 0
+    );
+  }
+  function uncountBattleResult(result) {
+    if (!currentEntity().customFields) return Promise.resolve();
+    const [winnerDelta, loserDelta] = resultDeltas(result, -1);
+    return Promise.all([adjustCounts(result.winnerId, winnerDelta), adjustCounts(result.loserId, loserDelta)]).then(
+      () => void 0
+    );
+  }
+  function countChampionTitle(sceneId) {
+    if (!currentEntity().customFields) return Promise.resolve();
+    return adjustCounts(sceneId, { battles: 0, wins: 0, losses: 0, draws: 0, titles: 1 });
+  }
+  function uncountChampionTitle(sceneId) {
+    if (!currentEntity().customFields) return Promise.resolve();
+    return adjustCounts(sceneId, { battles: 0, wins: 0, losses: 0, draws: 0, titles: -1 });
+  }
+
+  // src/history.ts
+  function isCurrentEntity(record) {
+    return (record.entity ?? "scene") === state.entityType;
+  }
+  async function recordBattle(record) {
+    try {
+      const db = await openCacheDB();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE_NAME, "readwrite");
+        const store = transaction.objectStore(HISTORY_STORE_NAME);
+        const request = store.add(record);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        transaction.oncomplete = () => db.close();
+      });
     } catch (e) {
-      console.error("[Stash Battle] Failed to load state:", e);
+      console.error("[Stash Battle] History write error:", e);
+      return null;
+    }
+  }
+  async function getBattleHistory() {
+    try {
+      const db = await openCacheDB();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE_NAME, "readonly");
+        const store = transaction.objectStore(HISTORY_STORE_NAME);
+        const request = store.getAll();
+        request.onsuccess = () => resolve((request.result || []).filter(isCurrentEntity));
+        request.onerror = () => reject(request.error);
+        transaction.oncomplete = () => db.close();
+      });
+    } catch (e) {
+      console.error("[Stash Battle] History read error:", e);
+      return [];
+    }
+  }
+  async function deleteBattleRecord(id) {
+    try {
+      const db = await openCacheDB();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE_NAME, "readwrite");
+        const store = transaction.objectStore(HISTORY_STORE_NAME);
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        transaction.oncomplete = () => db.close();
+      });
+    } catch (e) {
+      console.error("[Stash Battle] History delete error:", e);
+    }
+  }
+  async function clearBattleHistory() {
+    try {
+      const db = await openCacheDB();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE_NAME, "readwrite");
+        const store = transaction.objectStore(HISTORY_STORE_NAME);
+        const request = store.openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            console.log(`[Stash Battle] 🗑️ Battle history cleared (${state.entityType} battles)`);
+            resolve();
+            return;
+          }
+          if (isCurrentEntity(cursor.value)) cursor.delete();
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+        transaction.oncomplete = () => db.close();
+      });
+    } catch (e) {
+      console.error("[Stash Battle] ❌ History clear error:", e);
     }
-    return false;
   }
 
   // src/elo.ts
-  var MIN_RATING = 1;
-  var MAX_RATING = 100;
-  function getKFactor(playCount) {
-    if (playCount < 3) return 12;
-    if (playCount < 8) return 8;
-    if (playCount < 15) return 6;
-    return 4;
+  var MIN_RATING2 = 1;
+  var MAX_RATING2 = 100;
+  function getKFactor(experience) {
+    if (experience < settings.kSettlingAt) return settings.kFactorNew;
+    if (experience < settings.kEstablishedAt) return settings.kFactorSettling;
+    if (experience < settings.kStableAt) return settings.kFactorEstablished;
+    return settings.kFactorStable;
   }
   function clampRating(rating) {
-    return Math.min(MAX_RATING, Math.max(MIN_RATING, rating));
+    return Math.min(MAX_RATING2, Math.max(MIN_RATING2, rating));
   }
   function expectedScore(ratingA, ratingB) {
     const ratingDiff = ratingB - ratingA;
-    return 1 / (1 + Math.pow(10, ratingDiff / 40));
+    return 1 / (1 + Math.pow(10, ratingDiff / settings.eloDivisor));
   }
-  function calculateRatingChanges(input) {
+  function calculateRatingChanges(input, outcome = "win") {
     const { winner, loser } = input;
-    const expected = expectedScore(winner.rating, loser.rating);
-    const winnerChange = Math.max(1, Math.round(getKFactor(winner.playCount) * (1 - expected)));
-    const loserChange = -Math.max(1, Math.round(getKFactor(loser.playCount) * expected));
+    const expected2 = expectedScore(winner.rating, loser.rating);
+    let winnerChange;
+    let loserChange;
+    if (outcome === "draw") {
+      winnerChange = getKFactor(winner.experience) * (0.5 - expected2);
+      loserChange = getKFactor(loser.experience) * (expected2 - 0.5);
+    } else {
+      winnerChange = getKFactor(winner.experience) * (1 - expected2);
+      loserChange = -getKFactor(loser.experience) * expected2;
+    }
     const winnerNew = clampRating(winner.rating + winnerChange);
     const loserNew = clampRating(loser.rating + loserChange);
     return {
@@ -722,557 +1597,3809 @@
     };
   }
 
-  // src/navigation.ts
-  function navigateToUrl(url) {
-    closeModal();
-    const path = url.startsWith("/") ? url : new URL(url).pathname + new URL(url).search;
-    window.history.pushState({}, "", path);
-    window.dispatchEvent(new PopStateEvent("popstate", { state: {} }));
+  // src/glicko.ts
+  var GLICKO_SCALE = 173.7178;
+  var GLICKO_CENTER = 1500;
+  var CONVERGENCE_EPSILON = 1e-6;
+  function g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
   }
-
-  // src/rating.ts
-  var SCENE_UPDATE_MUTATION = `
-      mutation SceneUpdate($input: SceneUpdateInput!) {
-        sceneUpdate(input: $input) {
-          id
-          rating100
-        }
-      }
-    `;
-  async function updateSceneRating(sceneId, rating100) {
-    const stashRating = rating100 === null ? null : Math.max(1, Math.min(100, rating100));
-    try {
-      await graphqlQuery(SCENE_UPDATE_MUTATION, {
-        input: {
-          id: sceneId,
-          rating100: stashRating
-        }
-      });
-      if (stashRating === null) {
-        console.log(`[Stash Battle] 📝 Cleared scene ${sceneId} rating in Stash`);
-        clearSceneInCache(sceneId);
+  function expected(mu, muJ, phiJ) {
+    return 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+  }
+  function updatedVolatility(phi, sigma, delta, v, tau) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+      const ex = Math.exp(x);
+      const denom = 2 * Math.pow(phi * phi + v + ex, 2);
+      return ex * (delta * delta - phi * phi - v - ex) / denom - (x - a) / (tau * tau);
+    };
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+      B = Math.log(delta * delta - phi * phi - v);
+    } else {
+      let k = 1;
+      while (f(a - k * tau) < 0) k++;
+      B = a - k * tau;
+    }
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_EPSILON) {
+      const C = A + (A - B) * fA / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
       } else {
-        console.log(`[Stash Battle] 📝 Updated scene ${sceneId} rating to ${stashRating} in Stash`);
-        updateSceneInCache(sceneId, stashRating);
+        fA = fA / 2;
       }
-    } catch (e) {
-      const action = stashRating === null ? "clear" : "update";
-      console.error(`[Stash Battle] Failed to ${action} scene ${sceneId} rating:`, e);
+      B = C;
+      fB = fC;
+    }
+    return Math.exp(A / 2);
+  }
+  function glicko2Update(player, results, tau) {
+    const mu = (player.rating - GLICKO_CENTER) / GLICKO_SCALE;
+    const phi = player.rd / GLICKO_SCALE;
+    if (results.length === 0) {
+      const phiStar2 = Math.sqrt(phi * phi + player.volatility * player.volatility);
+      return { ...player, rd: phiStar2 * GLICKO_SCALE };
+    }
+    let vInv = 0;
+    let deltaSum = 0;
+    for (const { opponent, score } of results) {
+      const muJ = (opponent.rating - GLICKO_CENTER) / GLICKO_SCALE;
+      const phiJ = opponent.rd / GLICKO_SCALE;
+      const gJ = g(phiJ);
+      const e = expected(mu, muJ, phiJ);
+      vInv += gJ * gJ * e * (1 - e);
+      deltaSum += gJ * (score - e);
     }
+    const v = 1 / vInv;
+    const delta = v * deltaSum;
+    const sigmaPrime = updatedVolatility(phi, player.volatility, delta, v, tau);
+    const phiStar = Math.sqrt(phi * phi + sigmaPrime * sigmaPrime);
+    const phiPrime = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const muPrime = mu + phiPrime * phiPrime * deltaSum;
+    return {
+      rating: muPrime * GLICKO_SCALE + GLICKO_CENTER,
+      rd: phiPrime * GLICKO_SCALE,
+      volatility: sigmaPrime
+    };
   }
 
-  // src/pairs.ts
-  function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  // src/ratingEngine.ts
+  var GLICKO_CENTER2 = 1500;
+  var glickoRecords = null;
+  var glickoStoreKey = null;
+  function loadGlickoRecords() {
+    const storeKey = entityStoreKey(GLICKO_STORE_KEY);
+    if (glickoRecords && glickoStoreKey === storeKey) return glickoRecords;
+    glickoStoreKey = storeKey;
+    try {
+      const stored = localStorage.getItem(storeKey);
+      glickoRecords = stored ? JSON.parse(stored) : {};
+    } catch (e) {
+      console.error("[Stash Battle] Failed to load Glicko-2 ratings:", e);
+      glickoRecords = {};
     }
-    return shuffled;
+    return glickoRecords;
   }
-  var lastShownSceneId = null;
-  function getNextFilteredScene(leftPool, filterKey) {
-    if (state.shuffleFilterKey !== null && filterKey !== state.shuffleFilterKey) {
-      console.log("[Stash Battle] 🔀 Filter changed, resetting removed scenes tracking");
-      state.removedSceneIds.clear();
+  function saveGlickoRecords() {
+    try {
+      const records2 = loadGlickoRecords();
+      localStorage.setItem(glickoStoreKey, JSON.stringify(records2));
+    } catch (e) {
+      console.error("[Stash Battle] Failed to save Glicko-2 ratings:", e);
     }
-    const availableScenes = leftPool.filter((s) => !state.removedSceneIds.has(s.id));
-    if (availableScenes.length === 0) {
-      console.log("[Stash Battle] 🏁 Filtered pool exhausted - all scenes rated!");
-      return null;
+  }
+  function glickoFromPrecise(precise) {
+    return GLICKO_CENTER2 + (precise - 50) * GLICKO_POINTS_PER_RATING;
+  }
+  function preciseFromGlicko(rating) {
+    return normalizePreciseRating(50 + (rating - GLICKO_CENTER2) / GLICKO_POINTS_PER_RATING);
+  }
+  function getGlickoRating(scene) {
+    const rating100 = scene.rating100 || 1;
+    const seed = glickoFromPrecise(getPreciseRating(scene));
+    const record = loadGlickoRecords()[scene.id];
+    if (!record) {
+      return {
+        rating: seed,
+        rd: settings.glickoDefaultRd,
+        volatility: settings.glickoVolatilityThousandths / 1e3
+      };
     }
-    if (filterKey !== state.shuffleFilterKey || state.shuffledFilteredScenes.length === 0) {
-      console.log("[Stash Battle] 🔀 Shuffling filtered scenes (filter changed or first load)");
-      state.shuffledFilteredScenes = shuffleArray(availableScenes);
-      state.shuffleIndex = 0;
-      state.shuffleFilterKey = filterKey;
-      lastShownSceneId = null;
+    if (record.rating100 !== rating100) {
+      return { rating: seed, rd: record.rd, volatility: record.volatility };
     }
-    if (state.shuffleIndex >= state.shuffledFilteredScenes.length) {
-      console.log("[Stash Battle] 🔀 Reshuffling (completed full cycle)");
-      state.shuffledFilteredScenes = shuffleArray(availableScenes);
-      state.shuffleIndex = 0;
-      if (lastShownSceneId && state.shuffledFilteredScenes.length > 1 && state.shuffledFilteredScenes[0].id === lastShownSceneId) {
-        const swapIdx = 1 + Math.floor(Math.random() * (state.shuffledFilteredScenes.length - 1));
-        [state.shuffledFilteredScenes[0], state.shuffledFilteredScenes[swapIdx]] = [
-          state.shuffledFilteredScenes[swapIdx],
-          state.shuffledFilteredScenes[0]
-        ];
-        console.log("[Stash Battle] 🔄 Swapped first scene to avoid repeat");
+    return { rating: record.rating, rd: record.rd, volatility: record.volatility };
+  }
+  function getRatingUncertainty(scene) {
+    const record = loadGlickoRecords()[scene.id];
+    return record ? record.rd / GLICKO_POINTS_PER_RATING : null;
+  }
+  function rateGlicko(winner, loser, outcome) {
+    const winnerScore = outcome === "draw" ? 0.5 : 1;
+    const winnerBefore = getGlickoRating(winner);
+    const loserBefore = getGlickoRating(loser);
+    const tau = settings.glickoTauHundredths / 100;
+    const winnerAfter = glicko2Update(winnerBefore, [{ opponent: loserBefore, score: winnerScore }], tau);
+    const loserAfter = glicko2Update(loserBefore, [{ opponent: winnerBefore, score: 1 - winnerScore }], tau);
+    const winnerPrecise = preciseFromGlicko(winnerAfter.rating);
+    const loserPrecise = preciseFromGlicko(loserAfter.rating);
+    const winnerNew100 = projectRating(winnerPrecise);
+    const loserNew100 = projectRating(loserPrecise);
+    return {
+      deltas: {
+        winner: winnerNew100 - (winner.rating100 || 1),
+        loser: loserNew100 - (loser.rating100 || 1)
+      },
+      precise: { winner: winnerPrecise, loser: loserPrecise },
+      commit(sides) {
+        const records2 = loadGlickoRecords();
+        if (sides.winner) records2[winner.id] = { ...winnerAfter, rating100: winnerNew100 };
+        if (sides.loser) records2[loser.id] = { ...loserAfter, rating100: loserNew100 };
+        if (sides.winner || sides.loser) saveGlickoRecords();
       }
+    };
+  }
+  function rateComparison(winner, loser, outcome = "win") {
+    if (state.ratingEngine === "glicko2") {
+      return rateGlicko(winner.scene, loser.scene, outcome);
     }
-    const scene = state.shuffledFilteredScenes[state.shuffleIndex];
-    state.shuffleIndex++;
-    lastShownSceneId = scene.id;
-    console.log(
-      `[Stash Battle] 📍 Picked scene ${scene.id} (${state.shuffledFilteredScenes.length - state.shuffleIndex} remaining in pool, ${state.removedSceneIds.size} removed this session)`
+    const winnerBefore = getPreciseRating(winner.scene);
+    const loserBefore = getPreciseRating(loser.scene);
+    const change = calculateRatingChanges(
+      {
+        winner: { rating: winnerBefore, experience: winner.experience },
+        loser: { rating: loserBefore, experience: loser.experience }
+      },
+      outcome
     );
-    return scene;
+    const winnerPrecise = normalizePreciseRating(winnerBefore + change.winner);
+    const loserPrecise = normalizePreciseRating(loserBefore + change.loser);
+    return {
+      deltas: {
+        winner: projectRating(winnerPrecise) - (winner.scene.rating100 || 1),
+        loser: projectRating(loserPrecise) - (loser.scene.rating100 || 1)
+      },
+      precise: { winner: winnerPrecise, loser: loserPrecise },
+      commit: () => {
+      }
+    };
   }
-  function buildOpponentPool(allScenes, leftPool, filters) {
-    if (state.filterOpponents && filters.filterActive) {
-      return leftPool;
+  function snapshotEngineState(sceneIds) {
+    const records2 = loadGlickoRecords();
+    return sceneIds.map((id) => ({ id, glicko: records2[id] ? { ...records2[id] } : null }));
+  }
+  function restoreEngineState(snapshot) {
+    const records2 = loadGlickoRecords();
+    for (const { id, glicko } of snapshot) {
+      if (glicko) records2[id] = glicko;
+      else delete records2[id];
     }
-    const ratedOnly = allScenes.filter((s) => s.rating100 != null);
-    return ratedOnly.length >= 1 ? ratedOnly : allScenes;
+    saveGlickoRecords();
   }
-  async function resetLeftPool() {
-    await clearFilteredCache();
-    state.shuffledFilteredScenes = [];
-    state.shuffleIndex = 0;
-    state.shuffleFilterKey = null;
-    state.removedSceneIds.clear();
+
+  // src/undo.ts
+  var undoStack = [];
+  function cloneScene(scene) {
+    return scene ? structuredClone(scene) : null;
   }
-  async function loadScenePools(filters) {
-    if (filters.filterActive) {
-      console.log("[Stash Battle] 📋 Filter active, fetching filtered + all scenes");
-      const [filteredResult, allResult2] = await Promise.all([
-        getFilteredScenesCached(filters),
-        getAllScenesCached()
-      ]);
-      return {
-        leftPool: filteredResult.scenes || [],
-        allScenes: allResult2.scenes || []
-      };
-    }
-    console.log("[Stash Battle] 📋 No filter active, using all scenes");
-    const allResult = await getAllScenesCached();
-    const allScenes = allResult.scenes || [];
-    return { leftPool: allScenes, allScenes };
+  function pushUndoEntry(scenes, grid = null) {
+    const ids = scenes.map((s) => s.id);
+    undoStack.push({
+      mode: state.currentMode,
+      pair: grid ? { left: null, right: null } : { left: cloneScene(scenes[0]), right: cloneScene(scenes[1]) },
+      ranks: { ...state.currentRanks },
+      grid: grid ? structuredClone(grid) : null,
+      gauntletClimber: cloneScene(state.gauntletClimber),
+      gauntletWins: state.gauntletWins,
+      gauntletClimberRank: state.gauntletClimberRank,
+      gauntletDefeated: [...state.gauntletDefeated],
+      gauntletFalling: state.gauntletFalling,
+      gauntletFallingScene: cloneScene(state.gauntletFallingScene),
+      gauntletRunStart: state.gauntletRunStart,
+      totalScenesCount: state.totalScenesCount,
+      quickPlace: state.quickPlace ? structuredClone(state.quickPlace) : null,
+      calibration: state.calibration ? structuredClone(state.calibration) : null,
+      tournament: state.tournament ? structuredClone(state.tournament) : null,
+      roundRobin: state.roundRobin ? structuredClone(state.roundRobin) : null,
+      ratings: scenes.map((s) => ({
+        id: s.id,
+        rating100: s.rating100 ?? null,
+        precise: s.rating100 ? getPreciseRating(s) : null
+      })),
+      engine: snapshotEngineState(ids),
+      newlyRemovedIds: ids.filter((id) => !state.removedSceneIds.has(id)),
+      historyRecords: [],
+      battleResults: [],
+      championTitles: []
+    });
+    while (undoStack.length > settings.undoMaxDepth) undoStack.shift();
   }
-  function pickLeftScene(forcedLeftScene, leftPool, filterKey) {
-    return forcedLeftScene || getNextFilteredScene(leftPool, filterKey);
+  function attachHistoryRecord(record) {
+    const entry = undoStack[undoStack.length - 1];
+    if (entry) entry.historyRecords.push(record);
   }
-  function hasLeftAvailable(leftPool, forcedLeftScene) {
-    return forcedLeftScene !== null || leftPool.some((s) => !state.removedSceneIds.has(s.id));
+  function attachBattleResult(result) {
+    const entry = undoStack[undoStack.length - 1];
+    if (entry) entry.battleResults.push(result);
   }
-  async function buildSwissPools(forcedLeftScene) {
-    let filters = readFilters();
-    let { leftPool, allScenes } = await loadScenePools(filters);
-    if (allScenes.length < 2) {
-      throw new Error("Not enough scenes for comparison.");
-    }
-    let rightPool = buildOpponentPool(allScenes, leftPool, filters);
-    const needsLeftRefresh = !hasLeftAvailable(leftPool, forcedLeftScene);
-    const needsOpponentRestart = state.filterOpponents && filters.filterActive && rightPool.length < 2;
-    if (!needsLeftRefresh && !needsOpponentRestart) {
-      return { leftPool, rightPool, filterKey: filters.filterKey };
-    }
-    if (needsLeftRefresh) {
-      console.log("[Stash Battle] 🏁 Pool exhausted, fetching fresh from network...");
-    } else {
-      console.log("[Stash Battle] 🔄 Filtered opponent pool too small, restarting cycle...");
+  function attachChampionTitle(sceneId) {
+    const entry = undoStack[undoStack.length - 1];
+    if (entry) entry.championTitles.push(sceneId);
+  }
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+  function clearUndoStack() {
+    undoStack.length = 0;
+  }
+  async function popAndRestoreUndoEntry() {
+    const entry = undoStack.pop();
+    if (!entry) return null;
+    await flushRatingWrites();
+    await Promise.all(entry.ratings.map((r) => updateSceneRating(r.id, r.rating100, r.precise ?? void 0)));
+    restoreEngineState(entry.engine);
+    for (const record of entry.historyRecords) {
+      const recordId = await record;
+      if (recordId !== null) await deleteBattleRecord(recordId);
     }
-    await resetLeftPool();
-    leftPool = filters.filterActive ? (await getFilteredScenesCached(filters)).scenes || [] : allScenes;
-    filters = readFilters();
-    rightPool = buildOpponentPool(allScenes, leftPool, filters);
-    if (needsOpponentRestart && rightPool.length < 2) {
-      throw new Error("Not enough scenes in your filter for a match. You need at least 2 scenes.");
+    entry.battleResults.forEach((result) => void uncountBattleResult(result));
+    entry.championTitles.forEach((sceneId) => void uncountChampionTitle(sceneId));
+    state.currentMode = entry.mode;
+    state.currentPair = { left: cloneScene(entry.pair.left), right: cloneScene(entry.pair.right) };
+    state.currentRanks = { ...entry.ranks };
+    state.currentGrid = entry.grid ? structuredClone(entry.grid) : null;
+    state.gauntletClimber = entry.gauntletClimber;
+    state.gauntletWins = entry.gauntletWins;
+    state.gauntletClimberRank = entry.gauntletClimberRank;
+    state.gauntletDefeated = entry.gauntletDefeated;
+    state.gauntletFalling = entry.gauntletFalling;
+    state.gauntletFallingScene = entry.gauntletFallingScene;
+    state.gauntletRunStart = entry.gauntletRunStart;
+    state.totalScenesCount = entry.totalScenesCount;
+    state.quickPlace = entry.quickPlace;
+    state.calibration = entry.calibration;
+    state.tournament = entry.tournament;
+    state.roundRobin = entry.roundRobin;
+    entry.newlyRemovedIds.forEach((id) => state.removedSceneIds.delete(id));
+    const undone = entry.grid ? `${entry.mode === "rank" ? "ranking" : "grid pick"} of Scenes ${entry.grid.scenes.map((s) => s.id).join(", ")}` : `choice (Scene ${entry.pair.left?.id} vs Scene ${entry.pair.right?.id})`;
+    console.log(`[Stash Battle] ↶ Undid ${undone}, ${undoStack.length} more undoable`);
+    return entry;
+  }
+
+  // src/bulkRatings.ts
+  function afterBulkWrite(changes) {
+    const newRatings = new Map(changes.map((c) => [c.id, c.rating100]));
+    for (const scene of [state.currentPair.left, state.currentPair.right, ...state.currentGrid?.scenes ?? []]) {
+      if (scene && newRatings.has(scene.id)) scene.rating100 = newRatings.get(scene.id);
     }
-    return {
-      leftPool,
-      rightPool,
-      filterKey: filters.filterKey
-    };
+    clearUndoStack();
   }
-  async function fetchSwissPair(forcedLeftScene = null) {
-    const { leftPool, rightPool, filterKey } = await buildSwissPools(forcedLeftScene);
-    const scene1 = pickLeftScene(forcedLeftScene, leftPool, filterKey);
-    if (!scene1) {
-      throw new Error("No scenes match your filter criteria.");
+  async function writeRatingsInBulk(changes, onProgress) {
+    for (let i = 0; i < changes.length; i++) {
+      await updateSceneRating(changes[i].id, changes[i].rating100);
+      onProgress(i + 1, changes.length);
     }
-    const { scene2, ranks } = pickSwissOpponent(scene1, rightPool);
-    return { scenes: [scene1, scene2], ranks };
+    afterBulkWrite(changes);
   }
-  function pickSwissOpponent(scene1, rightPool) {
-    const scene1IdxInPool = rightPool.findIndex((s) => s.id === scene1.id);
-    const effectiveScene1Idx = scene1IdxInPool >= 0 ? scene1IdxInPool : rightPool.length;
-    const scene1RankInPool = scene1IdxInPool >= 0 ? scene1IdxInPool + 1 : null;
-    const candidates = [];
-    for (let reach = Math.min(SWISS_OPPONENT_REACH_INITIAL, rightPool.length); candidates.length === 0 && reach <= rightPool.length; reach = Math.min(reach * SWISS_OPPONENT_REACH_MULTIPLIER, rightPool.length)) {
-      for (let i = effectiveScene1Idx - reach; i <= effectiveScene1Idx + reach; i++) {
-        if (i >= 0 && i < rightPool.length && i !== scene1IdxInPool) {
-          candidates.push({ scene: rightPool[i], idx: i });
+  async function writeRatingsInBatches(changes, onProgress) {
+    const failures = [];
+    for (let start = 0; start < changes.length; start += RATING_WRITE_BATCH_SIZE) {
+      const batch = changes.slice(start, start + RATING_WRITE_BATCH_SIZE);
+      const results = await Promise.allSettled(batch.map((c) => writeSceneRating(c.id, c.rating100)));
+      results.forEach((result, i) => {
+        if (result.status === "rejected") {
+          const error = result.reason instanceof Error ? result.reason.message : String(result.reason);
+          console.error(`[Stash Battle] ❌ Rating write failed for ${batch[i].id}:`, result.reason);
+          failures.push({ id: batch[i].id, error });
         }
-      }
-    }
-    if (candidates.length === 0) {
-      throw new Error("Not enough scenes for comparison. You need at least 2 scenes.");
+      });
+      onProgress(start + batch.length, changes.length, failures.length);
     }
-    const pick = candidates[Math.floor(Math.random() * candidates.length)];
-    return {
-      scene2: pick.scene,
-      ranks: [scene1RankInPool, pick.idx + 1]
-    };
+    const failedIds = new Set(failures.map((f) => f.id));
+    afterBulkWrite(changes.filter((c) => !failedIds.has(c.id)));
+    return failures;
   }
-  function pickClosestClimbOpponent(remainingOpponents) {
-    const closest = remainingOpponents.slice(-CLIMB_OPPONENT_PICK_WINDOW);
-    return closest[Math.floor(Math.random() * closest.length)];
+
+  // src/snapshots.ts
+  async function readAllSnapshots() {
+    const db = await openCacheDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(SNAPSHOT_STORE_NAME, "readonly");
+      const request = transaction.objectStore(SNAPSHOT_STORE_NAME).getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => db.close();
+    });
   }
-  function getRemainingClimbOpponents(climber, rightPool, climberIndex) {
-    return rightPool.filter((s, idx) => {
-      if (s.id === climber.id || state.gauntletDefeated.includes(s.id)) return false;
-      return idx < climberIndex || (s.rating100 || 0) >= (climber.rating100 || 0);
+  async function addSnapshot(snapshot) {
+    const db = await openCacheDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(SNAPSHOT_STORE_NAME, "readwrite");
+      const request = transaction.objectStore(SNAPSHOT_STORE_NAME).add(snapshot);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => db.close();
     });
   }
-  async function getClimbOpponentPool() {
-    const filters = readFilters();
-    const { leftPool, allScenes } = await loadScenePools(filters);
-    return buildOpponentPool(allScenes, leftPool, filters);
+  async function removeSnapshots(ids) {
+    if (ids.length === 0) return;
+    const db = await openCacheDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(SNAPSHOT_STORE_NAME, "readwrite");
+      const store = transaction.objectStore(SNAPSHOT_STORE_NAME);
+      for (const id of ids) store.delete(id);
+      transaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
-  async function applyClimbWinRating(climber, beatenOpponent, eloRating) {
-    climber.rating100 = eloRating;
-    const rightPool = await getClimbOpponentPool();
-    const climberIndex = rightPool.findIndex((s) => s.id === climber.id);
-    if (getRemainingClimbOpponents(climber, rightPool, climberIndex).length > 0) {
-      return eloRating;
-    }
-    const minWinnerRating = Math.min(100, (beatenOpponent.rating100 ?? 0) + 1);
-    if (eloRating < minWinnerRating) {
-      await updateSceneRating(climber.id, minWinnerRating);
-      climber.rating100 = minWinnerRating;
+  async function listSnapshots() {
+    try {
+      const snapshots = await readAllSnapshots();
+      return snapshots.filter((s) => s.entity === state.entityType).sort((a, b) => b.timestamp - a.timestamp);
+    } catch (e) {
+      console.error("[Stash Battle] Snapshot read error:", e);
+      return [];
     }
-    return climber.rating100 ?? eloRating;
   }
-  function findLowestRated(scenes, excludeId) {
-    for (let i = scenes.length - 1; i >= 0; i--) {
-      const s = scenes[i];
-      if (s.id !== excludeId && s.rating100 != null) {
-        return { scene: s, index: i };
-      }
+  async function deleteSnapshot(id) {
+    try {
+      await removeSnapshots([id]);
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Snapshot delete error:", e);
     }
-    const fallbackIndex = scenes.findIndex((s) => s.id !== excludeId);
-    return { scene: scenes[fallbackIndex], index: fallbackIndex };
   }
-  async function fetchGauntletPair(forcedLeftScene = null) {
-    const filters = readFilters();
-    console.log("[Stash Battle] 📋 Fetching scenes for gauntlet...");
-    const { leftPool, allScenes } = await loadScenePools(filters);
-    let rightPool = buildOpponentPool(allScenes, leftPool, filters);
-    state.totalScenesCount = rightPool.length;
-    if (allScenes.length < 2) {
-      throw new Error("Not enough scenes for comparison.");
-    }
-    if (state.gauntletFalling && state.gauntletFallingScene) {
-      const fallingScene = state.gauntletFallingScene;
-      const fallingIndex = rightPool.findIndex((s) => s.id === fallingScene.id);
-      const belowOpponents = rightPool.filter((s, idx) => {
-        if (s.id === fallingScene.id || state.gauntletDefeated.includes(s.id)) return false;
-        return idx > fallingIndex;
-      });
-      if (belowOpponents.length === 0) {
-        const finalRank = rightPool.length;
-        const lastDefeatedById = state.gauntletDefeated[state.gauntletDefeated.length - 1];
-        const lastOpponent = rightPool.find((s) => s.id === lastDefeatedById);
-        const finalRating = Math.max(1, (lastOpponent?.rating100 || 1) - 1);
-        updateSceneRating(fallingScene.id, finalRating);
-        return {
-          scenes: [fallingScene],
-          ranks: [finalRank],
-          isVictory: false,
-          isFalling: true,
-          isPlacement: true,
-          placementRank: finalRank,
-          placementRating: finalRating
-        };
-      } else {
-        const nextBelow = belowOpponents[0];
-        const nextBelowIndex = rightPool.findIndex((s) => s.id === nextBelow.id);
-        state.gauntletClimberRank = fallingIndex + 1;
-        return {
-          scenes: [fallingScene, nextBelow],
-          ranks: [fallingIndex + 1, nextBelowIndex + 1],
-          isVictory: false,
-          isFalling: true
-        };
+  function sameRatings(a, b) {
+    const ids = Object.keys(a);
+    return ids.length === Object.keys(b).length && ids.every((id) => id in b && a[id] === b[id]);
+  }
+  async function pruneSnapshots() {
+    const automatic = (await listSnapshots()).filter((s) => s.kind === "session");
+    const excess = automatic.slice(settings.snapshotsKept).map((s) => s.id);
+    await removeSnapshots(excess);
+    if (excess.length > 0) console.log(`[Stash Battle] 🧹 Pruned ${excess.length} old rating snapshots`);
+  }
+  async function takeSnapshot(kind) {
+    if (kind === "session" && settings.snapshotsKept === 0) return null;
+    const entity = state.entityType;
+    try {
+      const ratings = await fetchEntityRatings();
+      if (entity !== state.entityType) return null;
+      if (kind === "session") {
+        const [latest] = await listSnapshots();
+        if (latest && sameRatings(latest.ratings, ratings)) {
+          console.log("[Stash Battle] 📸 Ratings unchanged since the last snapshot, skipping");
+          return null;
+        }
       }
+      const snapshot = { timestamp: Date.now(), entity, kind, ratings };
+      snapshot.id = await addSnapshot(snapshot);
+      console.log(`[Stash Battle] 📸 Rating snapshot saved (${kind}): ${Object.keys(ratings).length} ${entity} ratings`);
+      if (kind === "session") await pruneSnapshots();
+      return snapshot;
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Snapshot failed:", e);
+      return null;
     }
-    if (!state.gauntletClimber) {
-      state.gauntletDefeated = [];
-      state.gauntletFalling = false;
-      state.gauntletFallingScene = null;
-      const challenger = forcedLeftScene || getNextFilteredScene(leftPool, filters.filterKey);
-      if (!challenger) {
-        throw new Error("No scenes match your filter criteria.");
+  }
+  async function diffSnapshot(snapshot) {
+    const [current, { scenes }] = await Promise.all([fetchEntityRatings(), getAllScenesCached()]);
+    const byId = new Map(scenes.map((scene) => [scene.id, scene]));
+    const rows = [];
+    let removed = 0;
+    for (const [id, rating] of Object.entries(snapshot.ratings)) {
+      if (!(id in current)) {
+        removed++;
+        continue;
       }
-      const challengerIndex = rightPool.findIndex((s) => s.id === challenger.id);
-      const { scene: lowestRated, index: lowestIndex } = findLowestRated(rightPool, challenger.id);
-      state.gauntletClimberRank = challengerIndex >= 0 ? challengerIndex + 1 : rightPool.length;
-      return {
-        scenes: [challenger, lowestRated],
-        ranks: [state.gauntletClimberRank, lowestIndex + 1],
-        isVictory: false,
-        isFalling: false
-      };
+      if (current[id] === rating) continue;
+      const scene = byId.get(id);
+      rows.push({ id, title: scene ? entityDisplayName(scene) : "", snapshot: rating, current: current[id] });
     }
-    const climber = state.gauntletClimber;
-    const climberIndex = rightPool.findIndex((s) => s.id === climber.id);
-    state.gauntletClimberRank = climberIndex >= 0 ? climberIndex + 1 : 1;
-    const remainingOpponents = getRemainingClimbOpponents(climber, rightPool, climberIndex);
-    if (remainingOpponents.length === 0) {
-      state.gauntletClimberRank = 1;
-      return {
-        scenes: [climber],
-        ranks: [1],
+    const added = Object.keys(current).filter((id) => !(id in snapshot.ratings)).length;
+    rows.sort((a, b) => Number(a.id) - Number(b.id));
+    return { rows, removed, added };
+  }
+  async function restoreSnapshot(snapshot, rows, onProgress) {
+    assertEntityType(snapshot.entity);
+    if (!await takeSnapshot("restore")) throw new Error("Could not save the current ratings before restoring");
+    await writeRatingsInBulk(
+      rows.map((r) => ({ id: r.id, rating100: r.snapshot })),
+      onProgress
+    );
+    console.log(`[Stash Battle] ⏪ Restored ${rows.length} ratings from snapshot`);
+    return rows.length;
+  }
+
+  // src/storage.ts
+  function saveState() {
+    const snapshot = {
+      entityType: state.entityType,
+      currentPair: state.currentPair,
+      currentRanks: state.currentRanks,
+      currentGrid: state.currentGrid,
+      currentMode: state.currentMode,
+      gauntletClimber: state.gauntletClimber,
+      gauntletWins: state.gauntletWins,
+      gauntletClimberRank: state.gauntletClimberRank,
+      gauntletDefeated: state.gauntletDefeated,
+      gauntletFalling: state.gauntletFalling,
+      gauntletFallingScene: state.gauntletFallingScene,
+      gauntletRunStart: state.gauntletRunStart,
+      totalScenesCount: state.totalScenesCount,
+      quickPlace: state.quickPlace,
+      calibration: state.calibration,
+      tournament: state.tournament,
+      roundRobin: state.roundRobin,
+      savedFilterParams: window.location.search
+    };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+    } catch (e) {
+      console.error("[Stash Battle] Failed to save state:", e);
+    }
+  }
+  function loadState() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const parsed = JSON.parse(saved);
+        state.entityType = parsed.entityType ?? "scene";
+        state.currentPair = parsed.currentPair || { left: null, right: null };
+        state.currentRanks = parsed.currentRanks || { left: null, right: null };
+        state.currentGrid = parsed.currentGrid ?? null;
+        state.currentMode = parsed.currentMode || "swiss";
+        state.gauntletClimber = parsed.gauntletClimber ?? parsed.gauntletChampion ?? null;
+        state.gauntletWins = parsed.gauntletWins || 0;
+        state.gauntletClimberRank = parsed.gauntletClimberRank ?? parsed.gauntletChampionRank ?? 0;
+        state.gauntletDefeated = parsed.gauntletDefeated || [];
+        state.gauntletFalling = parsed.gauntletFalling || false;
+        state.gauntletFallingScene = parsed.gauntletFallingScene || null;
+        state.gauntletRunStart = parsed.gauntletRunStart ?? "bottom";
+        state.totalScenesCount = parsed.totalScenesCount || 0;
+        state.quickPlace = parsed.quickPlace ?? null;
+        state.calibration = parsed.calibration ?? null;
+        state.tournament = parsed.tournament ?? null;
+        state.roundRobin = parsed.roundRobin ?? null;
+        state.savedFilterParams = parsed.savedFilterParams || "";
+        return true;
+      }
+    } catch (e) {
+      console.error("[Stash Battle] Failed to load state:", e);
+    }
+    return false;
+  }
+
+  // src/tiers.ts
+  function parseTiers(text, basis) {
+    const tiers = [];
+    for (const part of text.split(/[,;\n]/)) {
+      if (!part.trim()) continue;
+      const match = part.trim().match(/^(.+?)\s*:\s*(\d+(?:\.\d+)?)$/);
+      if (!match) return null;
+      const cutoff = Number(match[2]);
+      if (basis === "percentile" ? cutoff <= 0 || cutoff > 100 : cutoff < 1 || cutoff > 100) return null;
+      tiers.push({ name: match[1].trim(), cutoff });
+    }
+    if (tiers.length === 0) return null;
+    if (new Set(tiers.map((t) => t.name.toLowerCase())).size !== tiers.length) return null;
+    for (let i = 1; i < tiers.length; i++) {
+      const [previous, cutoff] = [tiers[i - 1].cutoff, tiers[i].cutoff];
+      if (basis === "percentile" ? cutoff <= previous : cutoff >= previous) return null;
+    }
+    return tiers;
+  }
+  function formatTiers(tiers) {
+    return tiers.map((t) => `${t.name}:${t.cutoff}`).join(", ");
+  }
+  function tierTagName(config, tier) {
+    return `${config.prefix}${tier.name}`.trim();
+  }
+  function loadTierConfig() {
+    const fallback = {
+      basis: "percentile",
+      prefix: TIER_DEFAULT_PREFIX,
+      tiers: parseTiers(TIER_DEFAULT_PERCENTILES, "percentile"),
+      autoSync: false
+    };
+    try {
+      const stored = localStorage.getItem(entityStoreKey(TIER_CONFIG_KEY));
+      return stored ? { ...fallback, ...JSON.parse(stored) } : fallback;
+    } catch (e) {
+      console.error("[Stash Battle] Failed to load tier setup:", e);
+      return fallback;
+    }
+  }
+  function saveTierConfig(config) {
+    try {
+      localStorage.setItem(entityStoreKey(TIER_CONFIG_KEY), JSON.stringify(config));
+    } catch (e) {
+      console.error("[Stash Battle] Failed to save tier setup:", e);
+    }
+  }
+  function assignTiers(scenes, config) {
+    const rated = sortByPreciseRating(scenes).filter((scene) => scene.rating100);
+    const assigned = /* @__PURE__ */ new Map();
+    rated.forEach((scene, i) => {
+      const tier = config.basis === "percentile" ? config.tiers.find((t) => i < Math.round(rated.length * t.cutoff / 100)) : config.tiers.find((t) => scene.rating100 >= t.cutoff);
+      if (tier) assigned.set(scene.id, tier.name);
+    });
+    return assigned;
+  }
+  async function findTagId(name) {
+    const query = `
+      query FindTierTag($tag_filter: TagFilterType) {
+        findTags(tag_filter: $tag_filter) {
+          tags {
+            id
+            name
+          }
+        }
+      }
+    `;
+    const result = await graphqlQuery(query, {
+      tag_filter: { name: { value: name, modifier: "EQUALS" } }
+    });
+    const tag = result.findTags.tags.find((t) => t.name.toLowerCase() === name.toLowerCase());
+    return tag?.id ?? null;
+  }
+  async function createTag(name) {
+    const mutation = `
+      mutation CreateTierTag($input: TagCreateInput!) {
+        tagCreate(input: $input) {
+          id
+        }
+      }
+    `;
+    const result = await graphqlQuery(mutation, { input: { name } });
+    console.log(`[Stash Battle] 🏷️ Created tag "${name}"`);
+    return result.tagCreate.id;
+  }
+  async function planTierSync(config) {
+    var _a, _b;
+    const entity = state.entityType;
+    const tagIds = await Promise.all(config.tiers.map((tier) => findTagId(tierTagName(config, tier))));
+    const tierOfTag = /* @__PURE__ */ new Map();
+    tagIds.forEach((id, i) => id !== null && tierOfTag.set(id, config.tiers[i].name));
+    const [{ scenes }, held] = await Promise.all([getAllScenesCached(), fetchEntityTagIds([...tierOfTag.keys()])]);
+    const targets = assignTiers(scenes, config);
+    const plan = {
+      entity,
+      tiers: config.tiers.map((tier, i) => ({
+        name: tier.name,
+        tag: tierTagName(config, tier),
+        tagId: tagIds[i],
+        now: 0,
+        after: 0
+      })),
+      moves: [],
+      additions: {},
+      removals: {},
+      outsidePool: 0
+    };
+    const counts = new Map(plan.tiers.map((count) => [count.name, count]));
+    const tiersHeld = (id) => config.tiers.map((t) => t.name).filter((name) => (held[id] ?? []).some((tagId) => tierOfTag.get(tagId) === name));
+    for (const scene of scenes) {
+      const current = tiersHeld(scene.id);
+      const to = targets.get(scene.id) ?? null;
+      current.forEach((name) => counts.get(name).now++);
+      if (to !== null) counts.get(to).after++;
+      const extra = current.filter((name) => name !== to);
+      const missing = to !== null && !current.includes(to);
+      if (!missing && extra.length === 0) continue;
+      plan.moves.push({ id: scene.id, title: entityDisplayName(scene), from: current[0] ?? null, to });
+      if (missing) ((_a = plan.additions)[to] ?? (_a[to] = [])).push(scene.id);
+      for (const name of extra) ((_b = plan.removals)[name] ?? (_b[name] = [])).push(scene.id);
+    }
+    const poolIds = new Set(scenes.map((scene) => scene.id));
+    for (const id of Object.keys(held).filter((id2) => !poolIds.has(id2))) {
+      plan.outsidePool++;
+      for (const name of tiersHeld(id)) {
+        counts.get(name).now++;
+        counts.get(name).after++;
+      }
+    }
+    console.log(`[Stash Battle] 🏷️ Tier sync dry run: ${plan.moves.length} of ${scenes.length} change tier`);
+    return plan;
+  }
+  async function applyTierSync(plan, onProgress) {
+    assertEntityType(plan.entity);
+    const mutation = entityBulkUpdateMutation(plan.entity);
+    const tagIds = /* @__PURE__ */ new Map();
+    for (const tier of plan.tiers) {
+      if (tier.tagId !== null) tagIds.set(tier.name, tier.tagId);
+      else if (plan.additions[tier.name]?.length) tagIds.set(tier.name, await createTag(tier.tag));
+    }
+    const writes = [];
+    const queue = (lists, mode) => {
+      for (const [name, ids] of Object.entries(lists)) {
+        for (let start = 0; start < ids.length; start += TIER_BULK_BATCH_SIZE) {
+          writes.push({ tagId: tagIds.get(name), mode, ids: ids.slice(start, start + TIER_BULK_BATCH_SIZE) });
+        }
+      }
+    };
+    queue(plan.removals, "REMOVE");
+    queue(plan.additions, "ADD");
+    for (let i = 0; i < writes.length; i++) {
+      const { tagId, mode, ids } = writes[i];
+      await graphqlQuery(mutation, { input: { ids, tag_ids: { ids: [tagId], mode } } });
+      onProgress(i + 1, writes.length);
+    }
+    console.log(`[Stash Battle] 🏷️ Tier tags synced: ${plan.moves.length} changed tier`);
+    return plan.moves.length;
+  }
+  var autoSyncRunning = false;
+  async function syncTiersAfterSession() {
+    const config = loadTierConfig();
+    if (!config.autoSync || autoSyncRunning) return;
+    autoSyncRunning = true;
+    try {
+      const plan = await planTierSync(config);
+      if (plan.entity !== state.entityType) return;
+      if (plan.moves.length > 0) await applyTierSync(plan, () => void 0);
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Tier tag sync failed:", e);
+    } finally {
+      autoSyncRunning = false;
+    }
+  }
+
+  // src/calibration.ts
+  function startCalibration(scene, unratedLeft) {
+    return {
+      scene,
+      positionsLeft: [...CALIBRATION_POSITIONS],
+      position: CALIBRATION_POSITIONS[0],
+      results: [],
+      unratedLeft,
+      reference: 50
+    };
+  }
+  function calibrationBattles() {
+    return CALIBRATION_POSITIONS.length;
+  }
+  function isCalibrationDone(calibration) {
+    return calibration.positionsLeft.length === 0;
+  }
+  function calibrationRating(calibration, reference) {
+    const surplus = (rating) => calibration.results.reduce((sum, r) => sum + r.score - expectedScore(rating, r.opponentRating), 0) + 1 - 2 * expectedScore(rating, reference);
+    let lo = 1;
+    let hi = 100;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (surplus(mid) > 0) lo = mid;
+      else hi = mid;
+    }
+    return normalizePreciseRating((lo + hi) / 2);
+  }
+  function nextCalibrationPosition(calibration, estimateFraction) {
+    const { positionsLeft } = calibration;
+    let index = 0;
+    if (calibration.results.length > 0) {
+      positionsLeft.forEach((p, i) => {
+        if (Math.abs(p - estimateFraction) < Math.abs(positionsLeft[index] - estimateFraction)) index = i;
+      });
+    }
+    return positionsLeft[index];
+  }
+  function recordCalibrationResult(calibration, result) {
+    const index = calibration.positionsLeft.indexOf(calibration.position);
+    if (index !== -1) calibration.positionsLeft.splice(index, 1);
+    calibration.results.push(result);
+  }
+
+  // src/grid.ts
+  function impliedOutcomes(ids, bestId, worstId) {
+    const outcomes = ids.filter((id) => id !== bestId).map((id) => ({ winnerId: bestId, loserId: id }));
+    if (worstId !== null && worstId !== bestId) {
+      for (const id of ids) {
+        if (id !== bestId && id !== worstId) outcomes.push({ winnerId: id, loserId: worstId });
+      }
+    }
+    return outcomes;
+  }
+  function rankingOutcomes(orderedIds) {
+    return orderedIds.flatMap((winnerId, i) => orderedIds.slice(i + 1).map((loserId) => ({ winnerId, loserId })));
+  }
+  function rateGridOutcomes(sides, outcomes) {
+    const totals = /* @__PURE__ */ new Map();
+    for (const { winnerId, loserId } of outcomes) {
+      const winner = sides.get(winnerId);
+      const loser = sides.get(loserId);
+      if (!winner || !loser) continue;
+      const deltas = calculateRatingChanges({ winner, loser });
+      totals.set(winnerId, (totals.get(winnerId) ?? 0) + deltas.winner);
+      totals.set(loserId, (totals.get(loserId) ?? 0) + deltas.loser);
+    }
+    return new Map([...sides].map(([id, side]) => [id, normalizePreciseRating(side.rating + (totals.get(id) ?? 0))]));
+  }
+
+  // src/navigation.ts
+  function navigateToUrl(url) {
+    closeModal();
+    const path = url.startsWith("/") ? url : new URL(url).pathname + new URL(url).search;
+    window.history.pushState({}, "", path);
+    window.dispatchEvent(new PopStateEvent("popstate", { state: {} }));
+  }
+
+  // src/pairInformation.ts
+  function ratingUncertainty(scene) {
+    if (state.ratingEngine === "glicko2") {
+      return Math.min(1, getGlickoRating(scene).rd / settings.glickoDefaultRd);
+    }
+    return 1 / Math.sqrt(1 + getBattleCounts(scene).battles);
+  }
+  function outcomeEntropy(p) {
+    if (p <= 0 || p >= 1) return 0;
+    return -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p));
+  }
+  function pairInformation(a, b, uncertaintyA = ratingUncertainty(a), uncertaintyB = ratingUncertainty(b)) {
+    const p = expectedScore(getPreciseRating(a), getPreciseRating(b));
+    return outcomeEntropy(p) * ((uncertaintyA + uncertaintyB) / 2);
+  }
+
+  // src/quickPlace.ts
+  function startQuickPlace(scene, poolSize) {
+    return {
+      scene,
+      lo: 0,
+      hi: poolSize,
+      comparisons: 0,
+      maxComparisons: Math.ceil(Math.log2(poolSize + 1)),
+      aboveRating: null,
+      belowRating: null
+    };
+  }
+  function quickPlaceProbe(search) {
+    return Math.floor((search.lo + search.hi) / 2);
+  }
+  function recordQuickPlaceResult(search, benchmarkRating, won) {
+    const probe = quickPlaceProbe(search);
+    if (won) {
+      search.hi = probe;
+      search.belowRating = benchmarkRating;
+    } else {
+      search.lo = probe + 1;
+      search.aboveRating = benchmarkRating;
+    }
+    search.comparisons++;
+  }
+  function settleQuickPlaceDraw(search, benchmarkRating) {
+    search.lo = search.hi = quickPlaceProbe(search) + 1;
+    search.aboveRating = search.belowRating = benchmarkRating;
+    search.comparisons++;
+  }
+  function isQuickPlaceSettled(search) {
+    return search.lo >= search.hi;
+  }
+  function quickPlaceRank(search) {
+    return search.lo + 1;
+  }
+  function quickPlaceRating(search) {
+    const { aboveRating, belowRating } = search;
+    if (aboveRating !== null && belowRating !== null) return (aboveRating + belowRating) / 2;
+    if (belowRating !== null) return Math.min(100, belowRating + 1);
+    if (aboveRating !== null) return Math.max(1, aboveRating - 1);
+    return 50;
+  }
+
+  // src/roundRobin.ts
+  function roundRobinSchedule(count) {
+    const BYE = -1;
+    const players = Array.from({ length: count }, (_, i) => i);
+    if (count % 2 === 1) players.push(BYE);
+    const n = players.length;
+    const schedule = [];
+    for (let round = 0; round < n - 1; round++) {
+      const matches = [];
+      for (let i = 0; i < n / 2; i++) {
+        const a = players[i];
+        const b = players[n - 1 - i];
+        if (a !== BYE && b !== BYE) matches.push(round % 2 === 0 ? [a, b] : [b, a]);
+      }
+      const last = schedule[schedule.length - 1];
+      const start = last ? Math.max(0, matches.findIndex(([a, b]) => !last.includes(a) && !last.includes(b))) : 0;
+      schedule.push(...matches.slice(start), ...matches.slice(0, start));
+      players.splice(1, 0, players.pop());
+    }
+    return schedule;
+  }
+  function createRoundRobin(entrants) {
+    return { entrants: [...entrants], schedule: roundRobinSchedule(entrants.length), results: [] };
+  }
+  function nextRoundRobinMatch(roundRobin) {
+    return roundRobin.schedule[roundRobin.results.length] ?? null;
+  }
+  function recordRoundRobinResult(roundRobin, winnerId, loserId, outcome) {
+    const next = nextRoundRobinMatch(roundRobin);
+    if (!next) return false;
+    const ids = next.map((e) => roundRobin.entrants[e].id);
+    if (!ids.includes(winnerId) || !ids.includes(loserId) || winnerId === loserId) return false;
+    roundRobin.results.push(outcome === "draw" ? "draw" : next[ids.indexOf(winnerId)]);
+    return true;
+  }
+  function headToHeadPoints(roundRobin, entrant, group) {
+    let points = 0;
+    roundRobin.results.forEach((result, i) => {
+      const [a, b] = roundRobin.schedule[i];
+      if (a !== entrant && b !== entrant || !group.has(a) || !group.has(b)) return;
+      if (result === "draw") points += 0.5;
+      else if (result === entrant) points += 1;
+    });
+    return points;
+  }
+  function roundRobinTable(roundRobin, scenes = []) {
+    const current = new Map(scenes.map((s) => [s.id, s]));
+    const rows = roundRobin.entrants.map((scene, entrant) => ({
+      entrant,
+      scene: current.get(scene.id) ?? scene,
+      wins: 0,
+      draws: 0,
+      losses: 0,
+      points: 0
+    }));
+    roundRobin.results.forEach((result, i) => {
+      const [a, b] = roundRobin.schedule[i];
+      if (result === "draw") {
+        for (const e of [a, b]) {
+          rows[e].draws++;
+          rows[e].points += 0.5;
+        }
+        return;
+      }
+      rows[result].wins++;
+      rows[result].points++;
+      rows[result === a ? b : a].losses++;
+    });
+    const tiedOnPoints = /* @__PURE__ */ new Map();
+    for (const row of rows) {
+      const group = tiedOnPoints.get(row.points) ?? /* @__PURE__ */ new Set();
+      group.add(row.entrant);
+      tiedOnPoints.set(row.points, group);
+    }
+    const headToHead = rows.map((row) => headToHeadPoints(roundRobin, row.entrant, tiedOnPoints.get(row.points)));
+    return [...rows].sort(
+      (x, y) => y.points - x.points || headToHead[y.entrant] - headToHead[x.entrant] || x.entrant - y.entrant
+    );
+  }
+  function buildSpreadRatings(table) {
+    const ratings = table.map((r) => r.scene.rating100).filter((r) => !!r);
+    const top = Math.max(...ratings);
+    const bottom = Math.min(...ratings);
+    if (ratings.length < 2 || top === bottom) return null;
+    const step = (top - bottom) / (table.length - 1);
+    return table.map((row, i) => ({
+      id: row.scene.id,
+      title: entityDisplayName(row.scene),
+      before: row.scene.rating100 ?? null,
+      after: Math.round(top - step * i)
+    }));
+  }
+  async function applySpreadRatings(rows, onProgress) {
+    const changed = rows.filter((r) => r.after !== r.before);
+    await writeRatingsInBulk(
+      changed.map((r) => ({ id: r.id, rating100: r.after })),
+      onProgress
+    );
+    console.log(`[Stash Battle] 🔄 Round robin: ${changed.length} spread ratings written`);
+    return changed.length;
+  }
+
+  // src/tournament.ts
+  function bracketSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const sum = order.length * 2 + 1;
+      order = order.flatMap((seed) => [seed, sum - seed]);
+    }
+    return order;
+  }
+  function fitTournamentSize(poolSize, preferred) {
+    const fitting = TOURNAMENT_SIZES.filter((size) => size <= preferred && size <= poolSize);
+    return fitting.length > 0 ? fitting[fitting.length - 1] : null;
+  }
+  function createTournament(entrants) {
+    const order = bracketSeedOrder(entrants.length);
+    const rounds = [];
+    const firstRound = [];
+    for (let i = 0; i < order.length; i += 2) {
+      firstRound.push({ top: order[i] - 1, bottom: order[i + 1] - 1, winner: null });
+    }
+    rounds.push(firstRound);
+    for (let matches = firstRound.length / 2; matches >= 1; matches /= 2) {
+      rounds.push(Array.from({ length: matches }, () => ({ top: null, bottom: null, winner: null })));
+    }
+    return { entrants: [...entrants], rounds, roundIntroPending: true };
+  }
+  function nextTournamentMatch(tournament) {
+    for (let round = 0; round < tournament.rounds.length; round++) {
+      const index = tournament.rounds[round].findIndex((m) => m.winner === null);
+      if (index !== -1) return { round, index, match: tournament.rounds[round][index] };
+    }
+    return null;
+  }
+  function currentRoundIndex(tournament) {
+    return nextTournamentMatch(tournament)?.round ?? tournament.rounds.length - 1;
+  }
+  function recordTournamentWinner(tournament, sceneId) {
+    const next = nextTournamentMatch(tournament);
+    if (!next) return false;
+    const { round, index, match } = next;
+    const winner = [match.top, match.bottom].find((e) => e !== null && tournament.entrants[e].id === sceneId);
+    if (winner === void 0 || winner === null) return false;
+    match.winner = winner;
+    const following = tournament.rounds[round + 1];
+    if (following) {
+      const slot = following[Math.floor(index / 2)];
+      if (index % 2 === 0) slot.top = winner;
+      else slot.bottom = winner;
+      if (tournament.rounds[round].every((m) => m.winner !== null)) tournament.roundIntroPending = true;
+    }
+    return true;
+  }
+  function tournamentChampion(tournament) {
+    const final = tournament.rounds[tournament.rounds.length - 1][0];
+    return final.winner === null ? null : tournament.entrants[final.winner];
+  }
+  function tournamentWins(tournament, entrant) {
+    return tournament.rounds.reduce((wins, round) => wins + round.filter((m) => m.winner === entrant).length, 0);
+  }
+  function roundName(tournament, round) {
+    const entrantsLeft = tournament.entrants.length / 2 ** round;
+    if (entrantsLeft === 2) return "Final";
+    if (entrantsLeft === 4) return "Semifinals";
+    if (entrantsLeft === 8) return "Quarterfinals";
+    return `Round of ${entrantsLeft}`;
+  }
+
+  // src/pairs.ts
+  function shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+  var poolNoun = () => currentEntity().plural;
+  var lastShownSceneId = null;
+  function getNextFilteredScene(leftPool, filterKey) {
+    if (state.shuffleFilterKey !== null && filterKey !== state.shuffleFilterKey) {
+      console.log("[Stash Battle] 🔀 Filter changed, resetting removed scenes tracking");
+      state.removedSceneIds.clear();
+    }
+    const availableScenes = leftPool.filter((s) => !state.removedSceneIds.has(s.id));
+    if (availableScenes.length === 0) {
+      console.log("[Stash Battle] 🏁 Filtered pool exhausted - all scenes rated!");
+      return null;
+    }
+    if (filterKey !== state.shuffleFilterKey || state.shuffledFilteredScenes.length === 0) {
+      console.log("[Stash Battle] 🔀 Shuffling filtered scenes (filter changed or first load)");
+      state.shuffledFilteredScenes = shuffleArray(availableScenes);
+      state.shuffleIndex = 0;
+      state.shuffleFilterKey = filterKey;
+      lastShownSceneId = null;
+    }
+    if (state.shuffleIndex >= state.shuffledFilteredScenes.length) {
+      console.log("[Stash Battle] 🔀 Reshuffling (completed full cycle)");
+      state.shuffledFilteredScenes = shuffleArray(availableScenes);
+      state.shuffleIndex = 0;
+      if (lastShownSceneId && state.shuffledFilteredScenes.length > 1 && state.shuffledFilteredScenes[0].id === lastShownSceneId) {
+        const swapIdx = 1 + Math.floor(Math.random() * (state.shuffledFilteredScenes.length - 1));
+        [state.shuffledFilteredScenes[0], state.shuffledFilteredScenes[swapIdx]] = [
+          state.shuffledFilteredScenes[swapIdx],
+          state.shuffledFilteredScenes[0]
+        ];
+        console.log("[Stash Battle] 🔄 Swapped first scene to avoid repeat");
+      }
+    }
+    const scene = state.shuffledFilteredScenes[state.shuffleIndex];
+    state.shuffleIndex++;
+    lastShownSceneId = scene.id;
+    console.log(
+      `[Stash Battle] 📍 Picked scene ${scene.id} (${state.shuffledFilteredScenes.length - state.shuffleIndex} remaining in pool, ${state.removedSceneIds.size} removed this session)`
+    );
+    return scene;
+  }
+  function buildOpponentPool(allScenes, leftPool, filters) {
+    if (state.filterOpponents && filters.filterActive) {
+      return sortByPreciseRating(leftPool);
+    }
+    const ratedOnly = allScenes.filter((s) => s.rating100 != null);
+    return sortByPreciseRating(ratedOnly.length >= 1 ? ratedOnly : allScenes);
+  }
+  async function resetLeftPool() {
+    await clearFilteredCache();
+    state.shuffledFilteredScenes = [];
+    state.shuffleIndex = 0;
+    state.shuffleFilterKey = null;
+    state.removedSceneIds.clear();
+  }
+  async function loadScenePools(filters) {
+    if (filters.filterActive) {
+      console.log("[Stash Battle] 📋 Filter active, fetching filtered + all scenes");
+      const [filteredResult, allResult2] = await Promise.all([
+        getFilteredScenesCached(filters),
+        getAllScenesCached()
+      ]);
+      return {
+        leftPool: filteredResult.scenes || [],
+        allScenes: allResult2.scenes || []
+      };
+    }
+    console.log("[Stash Battle] 📋 No filter active, using all scenes");
+    const allResult = await getAllScenesCached();
+    const allScenes = allResult.scenes || [];
+    return { leftPool: allScenes, allScenes };
+  }
+  function pickLeftScene(forcedLeftScene, leftPool, filterKey) {
+    return forcedLeftScene || getNextFilteredScene(leftPool, filterKey);
+  }
+  function hasLeftAvailable(leftPool, forcedLeftScene) {
+    return forcedLeftScene !== null || leftPool.some((s) => !state.removedSceneIds.has(s.id));
+  }
+  async function buildSwissPools(forcedLeftScene) {
+    let filters = readFilters();
+    let { leftPool, allScenes } = await loadScenePools(filters);
+    if (allScenes.length < 2) {
+      throw new Error(`Not enough ${poolNoun()} for comparison.`);
+    }
+    let rightPool = buildOpponentPool(allScenes, leftPool, filters);
+    const needsLeftRefresh = !hasLeftAvailable(leftPool, forcedLeftScene);
+    const needsOpponentRestart = state.filterOpponents && filters.filterActive && rightPool.length < 2;
+    if (!needsLeftRefresh && !needsOpponentRestart) {
+      return { leftPool, rightPool, filterKey: filters.filterKey };
+    }
+    if (needsLeftRefresh) {
+      console.log("[Stash Battle] 🏁 Pool exhausted, fetching fresh from network...");
+    } else {
+      console.log("[Stash Battle] 🔄 Filtered opponent pool too small, restarting cycle...");
+    }
+    await resetLeftPool();
+    leftPool = filters.filterActive ? (await getFilteredScenesCached(filters)).scenes || [] : allScenes;
+    filters = readFilters();
+    rightPool = buildOpponentPool(allScenes, leftPool, filters);
+    if (needsOpponentRestart && rightPool.length < 2) {
+      throw new Error(`Not enough ${poolNoun()} in your filter for a match. You need at least 2 ${poolNoun()}.`);
+    }
+    return {
+      leftPool,
+      rightPool,
+      filterKey: filters.filterKey
+    };
+  }
+  async function fetchSwissPair(forcedLeftScene = null) {
+    const { leftPool, rightPool, filterKey } = await buildSwissPools(forcedLeftScene);
+    if (settings.swissPairing === "informative") {
+      return pickInformativePair(forcedLeftScene, leftPool, rightPool, filterKey);
+    }
+    const scene1 = pickLeftScene(forcedLeftScene, leftPool, filterKey);
+    if (!scene1) {
+      throw new Error(`No ${poolNoun()} match your filter criteria.`);
+    }
+    const { scene2, ranks } = pickSwissOpponent(scene1, rightPool);
+    return { scenes: [scene1, scene2], ranks };
+  }
+  function pickSwissOpponent(scene1, rightPool) {
+    const scene1IdxInPool = rightPool.findIndex((s) => s.id === scene1.id);
+    const effectiveScene1Idx = scene1IdxInPool >= 0 ? scene1IdxInPool : rightPool.length;
+    const scene1RankInPool = scene1IdxInPool >= 0 ? scene1IdxInPool + 1 : null;
+    const candidates = [];
+    for (let reach = Math.min(settings.swissReachInitial, rightPool.length); candidates.length === 0 && reach <= rightPool.length; reach = Math.min(reach * settings.swissReachMultiplier, rightPool.length)) {
+      for (let i = effectiveScene1Idx - reach; i <= effectiveScene1Idx + reach; i++) {
+        if (i >= 0 && i < rightPool.length && i !== scene1IdxInPool) {
+          candidates.push({ scene: rightPool[i], idx: i });
+        }
+      }
+    }
+    if (candidates.length === 0) {
+      throw new Error(`Not enough ${poolNoun()} for comparison. You need at least 2 ${poolNoun()}.`);
+    }
+    const pick = candidates[Math.floor(Math.random() * candidates.length)];
+    return {
+      scene2: pick.scene,
+      ranks: [scene1RankInPool, pick.idx + 1]
+    };
+  }
+  function startCycleOnFilterChange(filterKey) {
+    if (state.shuffleFilterKey === filterKey) return;
+    if (state.shuffleFilterKey !== null) state.removedSceneIds.clear();
+    state.shuffleFilterKey = filterKey;
+    state.shuffledFilteredScenes = [];
+    state.shuffleIndex = 0;
+  }
+  async function fetchRevisitPair(forcedLeftScene = null) {
+    const { leftPool, rightPool, filterKey } = await buildSwissPools(forcedLeftScene);
+    startCycleOnFilterChange(filterKey);
+    let scene1 = forcedLeftScene;
+    if (!scene1) {
+      const stalest = shuffleArray(leftPool.filter((s) => !state.removedSceneIds.has(s.id))).sort((a, b) => (getBattleCounts(a).lastBattled ?? 0) - (getBattleCounts(b).lastBattled ?? 0)).slice(0, REVISIT_PICK_WINDOW);
+      scene1 = stalest[Math.floor(Math.random() * stalest.length)] ?? null;
+    }
+    if (!scene1) {
+      throw new Error(`No ${poolNoun()} match your filter criteria.`);
+    }
+    const lastBattled = getBattleCounts(scene1).lastBattled;
+    console.log(
+      `[Stash Battle] 🕰️ Revisiting scene ${scene1.id} (last battled ${lastBattled !== null ? new Date(lastBattled).toLocaleDateString() : "never"})`
+    );
+    const { scene2, ranks } = pickSwissOpponent(scene1, rightPool);
+    return { scenes: [scene1, scene2], ranks };
+  }
+  function pickInformativePair(forcedLeftScene, leftPool, rightPool, filterKey) {
+    startCycleOnFilterChange(filterKey);
+    const leftCandidates = forcedLeftScene ? [forcedLeftScene] : shuffleArray(leftPool.filter((s) => !state.removedSceneIds.has(s.id))).map((scene) => ({ scene, uncertainty: ratingUncertainty(scene) })).sort((a, b) => b.uncertainty - a.uncertainty).slice(0, SWISS_INFO_LEFT_SAMPLE).map((entry) => entry.scene);
+    if (leftCandidates.length === 0) {
+      throw new Error(`No ${poolNoun()} match your filter criteria.`);
+    }
+    const poolIndex = new Map(rightPool.map((s, i) => [s.id, i]));
+    const opponentUncertainty = /* @__PURE__ */ new Map();
+    let best = null;
+    for (const left of leftCandidates) {
+      const leftIdx2 = poolIndex.get(left.id);
+      const center = leftIdx2 ?? rightPool.length;
+      const leftUncertainty = ratingUncertainty(left);
+      const from = Math.max(0, center - SWISS_INFO_OPPONENT_WINDOW);
+      const to = Math.min(rightPool.length - 1, center + SWISS_INFO_OPPONENT_WINDOW);
+      for (let i = from; i <= to; i++) {
+        const right = rightPool[i];
+        if (right.id === left.id) continue;
+        let rightUncertainty = opponentUncertainty.get(right.id);
+        if (rightUncertainty === void 0) {
+          rightUncertainty = ratingUncertainty(right);
+          opponentUncertainty.set(right.id, rightUncertainty);
+        }
+        const score = pairInformation(left, right, leftUncertainty, rightUncertainty);
+        if (!best || score > best.score) best = { left, right, rightIdx: i, score };
+      }
+    }
+    if (!best) {
+      throw new Error(`Not enough ${poolNoun()} for comparison. You need at least 2 ${poolNoun()}.`);
+    }
+    console.log(
+      `[Stash Battle] 🧠 Informative pair: Scene ${best.left.id} vs Scene ${best.right.id} (score ${best.score.toFixed(3)}, ${leftCandidates.length} left candidates)`
+    );
+    const leftIdx = poolIndex.get(best.left.id);
+    return {
+      scenes: [best.left, best.right],
+      ranks: [leftIdx !== void 0 ? leftIdx + 1 : null, best.rightIdx + 1]
+    };
+  }
+  async function fetchGridScenes(forcedScene, size) {
+    const { leftPool, rightPool, filterKey } = await buildSwissPools(forcedScene);
+    state.totalScenesCount = rightPool.length;
+    const anchor = pickLeftScene(forcedScene, leftPool, filterKey);
+    if (!anchor) {
+      throw new Error(`No ${poolNoun()} match your filter criteria.`);
+    }
+    const anchorIdx = rightPool.findIndex((s) => s.id === anchor.id);
+    const center = anchorIdx >= 0 ? anchorIdx : rightPool.length;
+    const wanted = size - 1;
+    const nearest = rightPool.map((scene, idx) => ({ scene, distance: Math.abs(idx - center) })).filter((c) => c.scene.id !== anchor.id).sort((a, b) => a.distance - b.distance).slice(0, wanted * 2);
+    if (nearest.length === 0) {
+      throw new Error(`Not enough ${poolNoun()} for comparison. You need at least 2 ${poolNoun()}.`);
+    }
+    const scenes = shuffleArray([anchor, ...shuffleArray(nearest).slice(0, wanted).map((c) => c.scene)]);
+    const poolIndex = new Map(rightPool.map((s, i) => [s.id, i]));
+    return {
+      scenes,
+      ranks: scenes.map((s) => {
+        const idx = poolIndex.get(s.id);
+        return idx !== void 0 ? idx + 1 : null;
+      })
+    };
+  }
+  function pickClosestClimbOpponent(remainingOpponents) {
+    const closest = remainingOpponents.slice(-settings.climbPickWindow);
+    return closest[Math.floor(Math.random() * closest.length)];
+  }
+  function getRemainingClimbOpponents(climber, rightPool, climberIndex) {
+    return rightPool.filter((s, idx) => {
+      if (s.id === climber.id || state.gauntletDefeated.includes(s.id)) return false;
+      return idx < climberIndex || preciseSortKey(s) >= preciseSortKey(climber);
+    });
+  }
+  async function getClimbOpponentPool() {
+    const filters = readFilters();
+    const { leftPool, allScenes } = await loadScenePools(filters);
+    return buildOpponentPool(allScenes, leftPool, filters);
+  }
+  async function applyClimbWinRating(climber, beatenOpponent, eloRating) {
+    climber.rating100 = eloRating;
+    const rightPool = await getClimbOpponentPool();
+    const climberIndex = rightPool.findIndex((s) => s.id === climber.id);
+    if (getRemainingClimbOpponents(climber, rightPool, climberIndex).length > 0) {
+      return eloRating;
+    }
+    const minWinnerRating = Math.min(100, (beatenOpponent.rating100 ?? 0) + 1);
+    if (eloRating < minWinnerRating) {
+      await updateSceneRating(climber.id, minWinnerRating);
+      climber.rating100 = minWinnerRating;
+    }
+    return climber.rating100 ?? eloRating;
+  }
+  function findLowestRated(scenes, excludeId) {
+    for (let i = scenes.length - 1; i >= 0; i--) {
+      const s = scenes[i];
+      if (s.id !== excludeId && s.rating100 != null) {
+        return { scene: s, index: i };
+      }
+    }
+    const fallbackIndex = scenes.findIndex((s) => s.id !== excludeId);
+    return { scene: scenes[fallbackIndex], index: fallbackIndex };
+  }
+  function pickGauntletStartOpponent(rightPool, challenger, challengerIndex) {
+    let start = state.gauntletStart;
+    if (start === "rank" && (challenger.rating100 == null || challengerIndex < 0)) start = "bottom";
+    if (start === "rank" && challengerIndex === 0) start = "top";
+    state.gauntletRunStart = start;
+    if (start === "top") {
+      const topIndex = rightPool.findIndex((s) => s.id !== challenger.id);
+      return { scene: rightPool[topIndex], index: topIndex };
+    }
+    if (start === "rank") {
+      return { scene: rightPool[challengerIndex - 1], index: challengerIndex - 1 };
+    }
+    return findLowestRated(rightPool, challenger.id);
+  }
+  async function fetchGauntletPair(forcedLeftScene = null) {
+    const filters = readFilters();
+    console.log("[Stash Battle] 📋 Fetching scenes for gauntlet...");
+    const { leftPool, allScenes } = await loadScenePools(filters);
+    let rightPool = buildOpponentPool(allScenes, leftPool, filters);
+    state.totalScenesCount = rightPool.length;
+    if (allScenes.length < 2) {
+      throw new Error(`Not enough ${poolNoun()} for comparison.`);
+    }
+    if (state.gauntletFalling && state.gauntletFallingScene) {
+      const fallingScene = state.gauntletFallingScene;
+      const fallingIndex = rightPool.findIndex((s) => s.id === fallingScene.id);
+      const lastBeaterId = state.gauntletDefeated[state.gauntletDefeated.length - 1];
+      const fromIndex = state.gauntletRunStart === "top" ? rightPool.findIndex((s) => s.id === lastBeaterId) : fallingIndex;
+      const belowOpponents = rightPool.filter((s, idx) => {
+        if (s.id === fallingScene.id || state.gauntletDefeated.includes(s.id)) return false;
+        return idx > fromIndex;
+      });
+      if (belowOpponents.length === 0) {
+        const finalRank = rightPool.length;
+        const lastDefeatedById = state.gauntletDefeated[state.gauntletDefeated.length - 1];
+        const lastOpponent = rightPool.find((s) => s.id === lastDefeatedById);
+        const finalRating = Math.max(1, (lastOpponent?.rating100 || 1) - 1);
+        updateSceneRating(fallingScene.id, finalRating);
+        return {
+          scenes: [fallingScene],
+          ranks: [finalRank],
+          isVictory: false,
+          isFalling: true,
+          isPlacement: true,
+          placementRank: finalRank,
+          placementRating: finalRating
+        };
+      } else {
+        const nextBelow = belowOpponents[0];
+        const nextBelowIndex = rightPool.findIndex((s) => s.id === nextBelow.id);
+        state.gauntletClimberRank = fallingIndex >= 0 ? fallingIndex + 1 : rightPool.length;
+        return {
+          scenes: [fallingScene, nextBelow],
+          ranks: [fallingIndex >= 0 ? fallingIndex + 1 : null, nextBelowIndex + 1],
+          isVictory: false,
+          isFalling: true
+        };
+      }
+    }
+    if (!state.gauntletClimber) {
+      state.gauntletDefeated = [];
+      state.gauntletFalling = false;
+      state.gauntletFallingScene = null;
+      const challenger = forcedLeftScene || getNextFilteredScene(leftPool, filters.filterKey);
+      if (!challenger) {
+        throw new Error(`No ${poolNoun()} match your filter criteria.`);
+      }
+      const challengerIndex = rightPool.findIndex((s) => s.id === challenger.id);
+      const { scene: opponent, index: opponentIndex } = pickGauntletStartOpponent(rightPool, challenger, challengerIndex);
+      state.gauntletClimberRank = challengerIndex >= 0 ? challengerIndex + 1 : rightPool.length;
+      return {
+        scenes: [challenger, opponent],
+        ranks: [state.gauntletClimberRank, opponentIndex + 1],
+        isVictory: false,
+        isFalling: false
+      };
+    }
+    const climber = state.gauntletClimber;
+    const climberIndex = rightPool.findIndex((s) => s.id === climber.id);
+    state.gauntletClimberRank = climberIndex >= 0 ? climberIndex + 1 : 1;
+    const remainingOpponents = getRemainingClimbOpponents(climber, rightPool, climberIndex);
+    if (remainingOpponents.length === 0) {
+      state.gauntletClimberRank = 1;
+      return {
+        scenes: [climber],
+        ranks: [1],
         isVictory: true,
         isFalling: false
       };
     }
-    const nextOpponent = pickClosestClimbOpponent(remainingOpponents);
-    const nextOpponentIndex = rightPool.findIndex((s) => s.id === nextOpponent.id);
+    const nextOpponent = pickClosestClimbOpponent(remainingOpponents);
+    const nextOpponentIndex = rightPool.findIndex((s) => s.id === nextOpponent.id);
+    return {
+      scenes: [climber, nextOpponent],
+      ranks: [climberIndex + 1, nextOpponentIndex + 1],
+      isVictory: false,
+      isFalling: false
+    };
+  }
+  async function fetchChampionPair(forcedLeftScene = null) {
+    const filters = readFilters();
+    console.log("[Stash Battle] 📋 Fetching scenes for champion...");
+    const { leftPool, allScenes } = await loadScenePools(filters);
+    let rightPool = buildOpponentPool(allScenes, leftPool, filters);
+    state.totalScenesCount = rightPool.length;
+    if (allScenes.length < 2) {
+      throw new Error(`Not enough ${poolNoun()} for comparison.`);
+    }
+    if (!state.gauntletClimber) {
+      state.gauntletDefeated = [];
+      if (!forcedLeftScene && leftPool.length < 1) {
+        throw new Error(`No ${poolNoun()} match your filter criteria.`);
+      }
+      const challenger = forcedLeftScene || getNextFilteredScene(leftPool, filters.filterKey);
+      if (!challenger) {
+        throw new Error(`No ${poolNoun()} match your filter criteria.`);
+      }
+      const challengerIndex = rightPool.findIndex((s) => s.id === challenger.id);
+      const { scene: lowestRated, index: lowestIndex } = findLowestRated(rightPool, challenger.id);
+      state.gauntletClimberRank = challengerIndex >= 0 ? challengerIndex + 1 : rightPool.length;
+      return {
+        scenes: [challenger, lowestRated],
+        ranks: [state.gauntletClimberRank, lowestIndex + 1],
+        isVictory: false
+      };
+    }
+    const climber = state.gauntletClimber;
+    const climberIndex = rightPool.findIndex((s) => s.id === climber.id);
+    state.gauntletClimberRank = climberIndex >= 0 ? climberIndex + 1 : 1;
+    const remainingOpponents = getRemainingClimbOpponents(climber, rightPool, climberIndex);
+    if (remainingOpponents.length === 0) {
+      state.gauntletClimberRank = 1;
+      return {
+        scenes: [climber],
+        ranks: [1],
+        isVictory: true
+      };
+    }
+    const nextOpponent = pickClosestClimbOpponent(remainingOpponents);
+    const nextOpponentIndex = rightPool.findIndex((s) => s.id === nextOpponent.id);
+    return {
+      scenes: [climber, nextOpponent],
+      ranks: [climberIndex + 1, nextOpponentIndex + 1],
+      isVictory: false
+    };
+  }
+  async function fetchQuickPlacePair(forcedLeftScene = null) {
+    const filters = readFilters();
+    console.log("[Stash Battle] 📋 Fetching scenes for quick place...");
+    const { leftPool, allScenes } = await loadScenePools(filters);
+    const buildPool = (excludeId) => buildOpponentPool(allScenes, leftPool, filters).filter((s) => s.rating100 && s.id !== excludeId);
+    if (!state.quickPlace) {
+      if (!forcedLeftScene && leftPool.length < 1) {
+        throw new Error(`No ${poolNoun()} match your filter criteria.`);
+      }
+      const challenger = forcedLeftScene || getNextFilteredScene(leftPool, filters.filterKey);
+      if (!challenger) {
+        throw new Error(`No ${poolNoun()} match your filter criteria.`);
+      }
+      state.quickPlace = startQuickPlace(challenger, buildPool(challenger.id).length);
+    }
+    const search = state.quickPlace;
+    const pool = buildPool(search.scene.id);
+    if (pool.length < 1) {
+      throw new Error(`Not enough rated ${poolNoun()} to place against.`);
+    }
+    search.hi = Math.min(search.hi, pool.length);
+    search.lo = Math.min(search.lo, search.hi);
+    state.totalScenesCount = pool.length + 1;
+    const probe = Math.min(quickPlaceProbe(search), pool.length - 1);
+    return {
+      scenes: [search.scene, pool[probe]],
+      ranks: [null, probe + 1]
+    };
+  }
+  async function fetchCalibrationPair(forcedLeftScene = null) {
+    const filters = readFilters();
+    console.log("[Stash Battle] 📋 Fetching scenes for calibration...");
+    const { leftPool, allScenes } = await loadScenePools(filters);
+    const unrated = leftPool.filter((s) => s.rating100 == null);
+    if (!state.calibration) {
+      const scene = forcedLeftScene || unrated[Math.floor(Math.random() * unrated.length)];
+      if (!scene) {
+        return { scenes: [], ranks: [], isComplete: true };
+      }
+      state.calibration = startCalibration(scene, unrated.length);
+    }
+    const calibration = state.calibration;
+    calibration.scene = allScenes.find((s) => s.id === calibration.scene.id) ?? calibration.scene;
+    calibration.unratedLeft = unrated.length;
+    const faced = new Set(calibration.results.map((r) => r.opponentId));
+    const pool = buildOpponentPool(allScenes, leftPool, filters).filter(
+      (s) => s.rating100 && s.id !== calibration.scene.id
+    );
+    const candidates = pool.filter((s) => !faced.has(s.id));
+    if (candidates.length < 1) {
+      throw new Error(`Not enough rated ${poolNoun()} to calibrate against.`);
+    }
+    state.totalScenesCount = pool.length + 1;
+    calibration.reference = getPreciseRating(pool[Math.floor(pool.length / 2)]);
+    const estimate = calibrationRating(calibration, calibration.reference);
+    const estimateIdx = pool.findIndex((s) => getPreciseRating(s) < estimate);
+    const estimateFraction = (estimateIdx === -1 ? pool.length : estimateIdx) / pool.length;
+    calibration.position = nextCalibrationPosition(calibration, estimateFraction);
+    const target = calibration.position * (pool.length - 1);
+    const poolIndex = new Map(pool.map((s, i) => [s.id, i]));
+    const nearest = [...candidates].sort((a, b) => Math.abs((poolIndex.get(a.id) ?? 0) - target) - Math.abs((poolIndex.get(b.id) ?? 0) - target)).slice(0, CALIBRATION_PICK_WINDOW);
+    const benchmark = nearest[Math.floor(Math.random() * nearest.length)];
+    return {
+      scenes: [calibration.scene, benchmark],
+      ranks: [null, (poolIndex.get(benchmark.id) ?? 0) + 1],
+      isComplete: false
+    };
+  }
+  async function rankInRatedPool(precise, excludeId) {
+    const pool = await getClimbOpponentPool();
+    return pool.filter((s) => s.rating100 && s.id !== excludeId && getPreciseRating(s) > precise).length + 1;
+  }
+  async function fetchTournamentPair() {
+    const filters = readFilters();
+    console.log("[Stash Battle] 📋 Fetching scenes for tournament...");
+    const { leftPool, allScenes } = await loadScenePools(filters);
+    if (!state.tournament) {
+      const pool = sortByPreciseRating(leftPool);
+      const size = fitTournamentSize(pool.length, state.tournamentSize);
+      if (size === null) {
+        throw new Error(
+          `Not enough ${poolNoun()} for a tournament: it needs at least ${TOURNAMENT_SIZES[0]} and ${pool.length} match your filter.`
+        );
+      }
+      if (size < state.tournamentSize) {
+        console.log(`[Stash Battle] 🏟️ Only ${pool.length} scenes in the pool, seeding a ${size}-scene bracket`);
+      }
+      state.tournament = createTournament(pool.slice(0, size));
+      console.log(`[Stash Battle] 🏟️ Tournament seeded: ${size} scenes`);
+    }
+    const tournament = state.tournament;
+    state.totalScenesCount = tournament.entrants.length;
+    const byId = new Map(allScenes.map((s) => [s.id, s]));
+    const current = (entrant) => {
+      const seeded = tournament.entrants[entrant];
+      return byId.get(seeded.id) ?? seeded;
+    };
+    const champion = tournamentChampion(tournament);
+    if (champion) {
+      return { scenes: [byId.get(champion.id) ?? champion], ranks: [null], isRoundBreak: false, isVictory: true };
+    }
+    if (tournament.roundIntroPending) {
+      return { scenes: [], ranks: [], isRoundBreak: true, isVictory: false };
+    }
+    const next = nextTournamentMatch(tournament);
+    if (!next || next.match.top === null || next.match.bottom === null) {
+      throw new Error("Tournament bracket is out of sync. Switch modes to start a new tournament.");
+    }
+    return {
+      scenes: [current(next.match.top), current(next.match.bottom)],
+      ranks: [next.match.top + 1, next.match.bottom + 1],
+      isRoundBreak: false,
+      isVictory: false
+    };
+  }
+  async function fetchRoundRobinPair() {
+    const filters = readFilters();
+    console.log("[Stash Battle] 📋 Fetching scenes for round robin...");
+    const { leftPool, allScenes } = await loadScenePools(filters);
+    if (!state.roundRobin) {
+      if (leftPool.length < ROUND_ROBIN_MIN_SCENES || leftPool.length > ROUND_ROBIN_MAX_SCENES) {
+        throw new Error(
+          `Round robin plays every pair, so it needs ${ROUND_ROBIN_MIN_SCENES}–${ROUND_ROBIN_MAX_SCENES} ${poolNoun()} and ${leftPool.length} match your filter. Narrow or widen the filter.`
+        );
+      }
+      state.roundRobin = createRoundRobin(sortByPreciseRating(leftPool));
+      console.log(
+        `[Stash Battle] 🔄 Round robin scheduled: ${leftPool.length} scenes, ${state.roundRobin.schedule.length} matches`
+      );
+    }
+    const roundRobin = state.roundRobin;
+    state.totalScenesCount = roundRobin.entrants.length;
+    const byId = new Map(allScenes.map((s) => [s.id, s]));
+    const current = (entrant) => {
+      const scheduled = roundRobin.entrants[entrant];
+      return byId.get(scheduled.id) ?? scheduled;
+    };
+    const next = nextRoundRobinMatch(roundRobin);
+    if (!next) {
+      return { scenes: roundRobin.entrants.map((_, i) => current(i)), ranks: [], isComplete: true };
+    }
+    return {
+      scenes: next.map(current),
+      ranks: next.map((entrant) => entrant + 1),
+      isComplete: false
+    };
+  }
+
+  // src/ui/html.ts
+  var HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;"
+  };
+  function escapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+  }
+
+  // src/ui/sceneTitle.ts
+  function resolveSceneTitle(scene) {
+    if (scene.title) return scene.title;
+    if (scene.name) return scene.disambiguation ? `${scene.name} (${scene.disambiguation})` : scene.name;
+    const path = scene.files?.[0]?.path;
+    if (path) {
+      const pathParts = path.split(/[/\\]/);
+      return pathParts[pathParts.length - 1].replace(/\.[^/.]+$/, "");
+    }
+    return "";
+  }
+
+  // src/ui/sceneCard.ts
+  function formatDuration(seconds) {
+    if (!seconds) return "N/A";
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds % 3600 / 60);
+    const s = Math.floor(seconds % 60);
+    if (h > 0) {
+      return `${h}:${m.toString().padStart(2, "0")}:${s.toString().padStart(2, "0")}`;
+    }
+    return `${m}:${s.toString().padStart(2, "0")}`;
+  }
+  function formatDaysAgo(timestamp) {
+    const startOfDay = (t) => new Date(t).setHours(0, 0, 0, 0);
+    const days = Math.round((startOfDay(Date.now()) - startOfDay(timestamp)) / 864e5);
+    if (days <= 0) return "today";
+    if (days === 1) return "yesterday";
+    return `${days} days ago`;
+  }
+  function ageFromBirthdate(birthdate) {
+    const [year, month, day] = (birthdate ?? "").split("-").map(Number);
+    if (!year || !month || !day) return null;
+    const now = /* @__PURE__ */ new Date();
+    const hadBirthday = now.getMonth() + 1 > month || now.getMonth() + 1 === month && now.getDate() >= day;
+    return now.getFullYear() - year - (hadBirthday ? 0 : 1);
+  }
+  function sceneImagePath(scene) {
+    const { paths } = scene;
+    return paths?.screenshot ?? paths?.cover ?? paths?.thumbnail ?? scene.image_path ?? scene.front_image_path ?? null;
+  }
+  function runningTime(scene) {
+    if (state.entityType === "scene") return formatDuration(scene.files?.[0]?.duration);
+    if (state.entityType === "group") return formatDuration(scene.duration);
+    return null;
+  }
+  function metaItem(label, value) {
+    return `<div class="sb-meta-item"><strong>${label}:</strong> ${value}</div>`;
+  }
+  function entityMetaHtml(scene) {
+    const studio = scene.studio ? scene.studio.name : "No studio";
+    const performers = scene.performers && scene.performers.length > 0 ? scene.performers.map((p) => p.name).join(", ") : "No performers";
+    const date = scene.date || "Unknown";
+    switch (state.entityType) {
+      case "performer": {
+        const age = ageFromBirthdate(scene.birthdate);
+        const details = [age !== null ? String(age) : "Unknown", scene.country].filter(Boolean).join(" · ");
+        return [metaItem("Age", details), metaItem("Scenes", scene.scene_count ?? 0)].join("");
+      }
+      case "group":
+        return [
+          metaItem("Studio", studio),
+          metaItem("Director", scene.director || "Unknown"),
+          metaItem("Scenes", scene.scene_count ?? 0),
+          metaItem("Date", date)
+        ].join("");
+      case "gallery":
+        return [
+          metaItem("Studio", studio),
+          metaItem("Performers", performers),
+          metaItem("Images", scene.image_count ?? 0),
+          metaItem("Date", date)
+        ].join("");
+      case "image":
+        return [metaItem("Studio", studio), metaItem("Performers", performers), metaItem("Date", date)].join("");
+      default:
+        return [
+          metaItem("Studio", studio),
+          metaItem("Performers", performers),
+          metaItem("Play Count", scene.play_count || 0)
+        ].join("");
+    }
+  }
+  function createSceneCard(scene, side, rank = null, statusBadge = null) {
+    const duration = runningTime(scene);
+    const tags = scene.tags ? scene.tags.slice(0, 5).map((t) => t.name) : [];
+    const title = resolveSceneTitle(scene);
+    const screenshotPath = sceneImagePath(scene);
+    const previewPath = scene.paths ? scene.paths.preview : null;
+    const precise = scene.rating100 ? getPreciseRating(scene) : null;
+    const preciseHtml = precise !== null && !Number.isInteger(precise) ? ` <span class="sb-precise-rating">(${precise.toFixed(2)})</span>` : "";
+    const stashRating = scene.rating100 ? `${scene.rating100}/100${preciseHtml}` : "Unrated";
+    let uncertaintyHtml = "";
+    if (state.ratingEngine === "glicko2") {
+      const uncertainty = getRatingUncertainty(scene);
+      uncertaintyHtml = `<div class="sb-meta-item"><strong>Uncertainty:</strong> ${uncertainty === null ? "New" : `±${Math.round(uncertainty)}`}</div>`;
+    }
+    const counts = getBattleCounts(scene);
+    const battlesText = counts.battles > 0 ? `${counts.battles} (${counts.wins}–${counts.losses}–${counts.draws})` : "None yet";
+    const battlesHtml = currentEntity().customFields ? metaItem("Battles", battlesText) : "";
+    const honours = [
+      counts.bestStreak > 1 ? `🔥 ${counts.bestStreak} wins in a row` : "",
+      counts.titles > 0 ? `👑 ${counts.titles === 1 ? "1 title" : `${counts.titles} titles`}` : ""
+    ].filter(Boolean);
+    const honoursHtml = honours.length > 0 ? metaItem("Best", honours.join(" · ")) : "";
+    const lastBattledHtml = counts.lastBattled !== null ? metaItem("Last battled", formatDaysAgo(counts.lastBattled)) : "";
+    let rankDisplay = "";
+    if (rank !== null && rank !== void 0) {
+      rankDisplay = `<span class="sb-scene-rank">#${rank}</span>`;
+    }
+    let statusBadgeHtml = "";
+    if (typeof statusBadge === "string") {
+      statusBadgeHtml = `<div class="sb-streak-badge">${statusBadge}</div>`;
+    } else if (statusBadge !== null && statusBadge > 0) {
+      statusBadgeHtml = `<div class="sb-streak-badge">🔥 ${statusBadge} win${statusBadge > 1 ? "s" : ""}</div>`;
+    }
+    const sceneUrl = entityUrl(scene.id);
+    const noun = currentEntity().label;
+    return `
+      <div class="sb-scene-card" data-side="${side}" data-entity="${state.entityType}">
+        <div class="sb-scene-image-container" data-scene-url="${sceneUrl}">
+          ${screenshotPath ? `<img class="sb-scene-image" src="${screenshotPath}" alt="${title}" loading="lazy" />` : `<div class="sb-scene-image sb-no-image">No Screenshot</div>`}
+          ${previewPath ? `<video class="sb-hover-preview" src="${previewPath}" loop playsinline></video>` : ""}
+          ${duration !== null ? `<div class="sb-scene-duration">${duration}</div>` : ""}
+          ${statusBadgeHtml}
+          <div class="sb-click-hint">Click to open ${noun.toLowerCase()}</div>
+        </div>
+
+        <div class="sb-scene-body" data-winner="${scene.id}">
+          <div class="sb-scene-info">
+            <div class="sb-scene-title-row">
+              <h3 class="sb-scene-title">${title}</h3>
+              ${rankDisplay}
+            </div>
+
+            <div class="sb-scene-meta">
+              ${entityMetaHtml(scene)}
+              ${battlesHtml}
+              ${honoursHtml}
+              ${lastBattledHtml}
+              <div class="sb-meta-item"><strong>Rating:</strong> ${stashRating}</div>
+              ${uncertaintyHtml}
+              <div class="sb-meta-item sb-tags-row"><strong>Tags:</strong> ${tags.length > 0 ? tags.map((tag) => `<span class="sb-tag">${tag}</span>`).join("") : '<span class="sb-none">None</span>'}</div>
+            </div>
+          </div>
+
+          <div class="sb-choose-btn">
+            ✓ Choose This ${noun}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // src/ui/rankList.ts
+  function rowDetails(scene) {
+    const studio = scene.studio ? escapeHtml(scene.studio.name) : "No studio";
+    switch (state.entityType) {
+      case "performer": {
+        const age = ageFromBirthdate(scene.birthdate);
+        return [age !== null ? `Age ${age}` : "Age unknown", `${scene.scene_count ?? 0} scenes`];
+      }
+      case "group":
+        return [studio, `${scene.scene_count ?? 0} scenes`, formatDuration(scene.duration)];
+      case "gallery":
+        return [studio, `${scene.image_count ?? 0} images`];
+      case "image":
+        return [studio, scene.date || "Undated"];
+      default:
+        return [studio, formatDuration(scene.files?.[0]?.duration)];
+    }
+  }
+  function rankListHtml(grid) {
+    const { label } = currentEntity();
+    const rows = grid.scenes.map((scene, i) => {
+      const title = escapeHtml(resolveSceneTitle(scene) || `${label} ${scene.id}`);
+      const screenshotPath = sceneImagePath(scene);
+      const rank = grid.ranks[i];
+      const meta = [...rowDetails(scene), scene.rating100 ? `${scene.rating100}/100` : "Unrated"].join(" · ");
+      return `
+          <li class="sb-rank-row" draggable="true" tabindex="0" data-scene-id="${escapeHtml(scene.id)}">
+            <span class="sb-rank-handle" aria-hidden="true">⠿</span>
+            <span class="sb-rank-position">${i + 1}</span>
+            <div class="sb-rank-thumb" data-scene-url="${entityUrl(scene.id)}" title="Open ${label.toLowerCase()}">
+              ${screenshotPath ? `<img src="${screenshotPath}" alt="" loading="lazy" />` : `<div class="sb-no-image">No Screenshot</div>`}
+            </div>
+            <div class="sb-rank-info">
+              <div class="sb-rank-title">${title}</div>
+              <div class="sb-rank-meta">${meta}</div>
+            </div>
+            ${rank !== null ? `<span class="sb-scene-rank">#${rank}</span>` : ""}
+            <span class="sb-rank-result"></span>
+          </li>`;
+    });
+    return `<ol class="sb-rank-list">${rows.join("")}</ol>`;
+  }
+  function rowsOf(list) {
+    return Array.from(list.querySelectorAll(".sb-rank-row"));
+  }
+  function renumber(list) {
+    rowsOf(list).forEach((row, i) => {
+      const position = row.querySelector(".sb-rank-position");
+      if (position) position.textContent = String(i + 1);
+    });
+  }
+  function readRankOrder(list) {
+    return rowsOf(list).map((row) => row.dataset.sceneId);
+  }
+  function bindRankList(list, onSubmit) {
+    let dragged = null;
+    for (const row of rowsOf(list)) {
+      row.addEventListener("dragstart", (e) => {
+        dragged = row;
+        row.classList.add("sb-rank-dragging");
+        e.dataTransfer?.setData("text/plain", row.dataset.sceneId ?? "");
+        if (e.dataTransfer) e.dataTransfer.effectAllowed = "move";
+      });
+      row.addEventListener("dragend", () => {
+        row.classList.remove("sb-rank-dragging");
+        dragged = null;
+        renumber(list);
+      });
+      row.addEventListener("keydown", (e) => {
+        if (list.classList.contains("sb-rank-locked")) return;
+        if (e.key === "Enter") {
+          e.preventDefault();
+          onSubmit();
+          return;
+        }
+        if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+        e.preventDefault();
+        const up = e.key === "ArrowUp";
+        const neighbour = up ? row.previousElementSibling : row.nextElementSibling;
+        if (!neighbour) return;
+        if (e.shiftKey || e.altKey) {
+          if (up) neighbour.before(row);
+          else neighbour.after(row);
+          renumber(list);
+          row.focus();
+        } else {
+          neighbour.focus();
+        }
+      });
+      row.querySelector(".sb-rank-thumb")?.addEventListener("click", (e) => {
+        const url = e.currentTarget.dataset.sceneUrl;
+        if (url) navigateToUrl(url);
+      });
+    }
+    list.addEventListener("dragover", (e) => {
+      if (!dragged || list.classList.contains("sb-rank-locked")) return;
+      e.preventDefault();
+      const target = e.target.closest(".sb-rank-row");
+      if (!target || target === dragged) return;
+      const box = target.getBoundingClientRect();
+      if (e.clientY < box.top + box.height / 2) target.before(dragged);
+      else target.after(dragged);
+    });
+    list.addEventListener("drop", (e) => e.preventDefault());
+  }
+  function showRankResults(list, before, after) {
+    list.classList.add("sb-rank-locked");
+    for (const row of rowsOf(list)) {
+      row.draggable = false;
+      const id = row.dataset.sceneId;
+      const from = before.get(id) ?? null;
+      const to = after.get(id);
+      const result = row.querySelector(".sb-rank-result");
+      if (!result || to === void 0) continue;
+      const change = to - (from ?? 0);
+      result.classList.add(change >= 0 ? "sb-rank-up" : "sb-rank-down");
+      result.textContent = `${from ?? "Unrated"} → ${to} (${change > 0 ? "+" : ""}${change})`;
+    }
+  }
+
+  // src/ui/bracket.ts
+  function slotHtml(tournament, match, entrant) {
+    if (entrant === null) {
+      return `<div class="sb-bracket-slot sb-bracket-tbd"><span class="sb-bracket-seed"></span>TBD</div>`;
+    }
+    const scene = tournament.entrants[entrant];
+    const result = match.winner === null ? "" : match.winner === entrant ? "sb-bracket-winner" : "sb-bracket-loser";
+    const title = resolveSceneTitle(scene) || `Scene ${scene.id}`;
+    return `
+                <div class="sb-bracket-slot ${result}" title="${escapeHtml(title)}">
+                  <span class="sb-bracket-seed">${entrant + 1}</span>${escapeHtml(title)}
+                </div>`;
+  }
+  function renderBracketHtml(tournament) {
+    const next = nextTournamentMatch(tournament);
+    const columns = tournament.rounds.map((matches, round) => {
+      const matchesHtml = matches.map((match, index) => {
+        const isNext = next !== null && next.round === round && next.index === index;
+        return `
+              <div class="sb-bracket-match ${isNext ? "sb-bracket-next" : ""}">
+                ${slotHtml(tournament, match, match.top)}
+                ${slotHtml(tournament, match, match.bottom)}
+              </div>`;
+      });
+      return `
+            <div class="sb-bracket-round">
+              <h4 class="sb-bracket-round-name">${roundName(tournament, round)}</h4>
+              <div class="sb-bracket-matches">${matchesHtml.join("")}</div>
+            </div>`;
+    });
+    return `<div class="sb-bracket">${columns.join("")}</div>`;
+  }
+
+  // src/ui/screens.ts
+  function buildEndScreenHtml(scene, crown, headline, statsHtml, buttonLabel, extraHtml = "") {
+    const title = resolveSceneTitle(scene);
+    const screenshotPath = sceneImagePath(scene);
+    return `
+      <div class="sb-end-screen">
+        <div class="sb-end-screen-icon">${crown}</div>
+        <h2 class="sb-end-screen-headline">${headline}</h2>
+        <div class="sb-end-screen-scene">
+          ${screenshotPath ? `<img class="sb-end-screen-image" src="${screenshotPath}" alt="${title}" />` : `<div class="sb-end-screen-image sb-no-image">No Screenshot</div>`}
+        </div>
+        <h3 class="sb-end-screen-name">${title}</h3>
+        <p class="sb-end-screen-stats">${statsHtml}</p>
+        <div class="sb-end-screen-buttons">
+          <button id="sb-new-gauntlet" class="btn btn-primary">${buttonLabel}</button>
+          ${canUndo() ? `<button id="sb-end-undo" class="btn btn-secondary">↶ Undo Last Choice</button>` : ""}
+        </div>
+        ${extraHtml}
+      </div>
+    `;
+  }
+  function showEndScreen(html) {
+    const comparisonArea = document.getElementById("sb-comparison-area");
+    if (!comparisonArea) return;
+    comparisonArea.innerHTML = html;
+    const actionsEl = document.querySelector(".sb-actions");
+    if (actionsEl) actionsEl.style.display = "none";
+    comparisonArea.querySelector("#sb-new-gauntlet")?.addEventListener("click", () => {
+      if (actionsEl) actionsEl.style.display = "";
+      loadNewPair();
+    });
+    comparisonArea.querySelector("#sb-end-undo")?.addEventListener("click", () => {
+      void undoLastChoice();
+    });
+  }
+  function finishRunShowEndScreen(html) {
+    resetGauntletState();
+    saveState();
+    showEndScreen(html);
+  }
+  function crownChampion(champion) {
+    void countChampionTitle(champion.id);
+    attachChampionTitle(champion.id);
+  }
+  function showVictoryScreen(champion) {
+    crownChampion(champion);
+    const totalScenes = state.totalScenesCount;
+    const winStreak = state.gauntletWins;
+    const { plural } = currentEntity();
+    const conquest = state.currentMode === "gauntlet" && state.gauntletRunStart === "top" ? `Took #1 of ${totalScenes} ${plural} in its first battle!` : `Conquered all ${totalScenes} ${plural} with a ${winStreak} win streak!`;
+    const ratingLine = champion.rating100 != null ? `<br>Rating: <strong>${champion.rating100}/100</strong>` : "";
+    const html = buildEndScreenHtml(
+      champion,
+      "👑",
+      "CHAMPION!",
+      `${conquest}${ratingLine}`,
+      "Start New Gauntlet"
+    );
+    finishRunShowEndScreen(html);
+  }
+  function showPlacementScreen(scene, rank, finalRating, comparisons) {
+    const comparisonsLine = comparisons !== void 0 ? `<br>Placed in ${comparisons} comparison${comparisons === 1 ? "" : "s"}` : "";
+    const html = buildEndScreenHtml(
+      scene,
+      "📍",
+      "PLACED!",
+      `Rank <strong>#${rank}</strong> of ${state.totalScenesCount}<br>Rating: <strong>${finalRating}/100</strong>${comparisonsLine}`,
+      "Start New Run"
+    );
+    finishRunShowEndScreen(html);
+  }
+  function showCalibrationScreen(scene, rank, finalRating, battles, unratedLeft) {
+    const { label, plural } = currentEntity();
+    const unratedLine = unratedLeft === 0 ? `No unrated ${plural} left in this filter` : `${unratedLeft} unrated ${unratedLeft === 1 ? label.toLowerCase() : plural} left in this filter`;
+    const html = buildEndScreenHtml(
+      scene,
+      "🎚️",
+      "CALIBRATED!",
+      `Rank <strong>#${rank}</strong> of ${state.totalScenesCount}<br>Rating: <strong>${finalRating}/100</strong> after ${battles} battles<br>${unratedLine}`,
+      unratedLeft === 0 ? "Done" : `Calibrate Next ${label}`
+    );
+    finishRunShowEndScreen(html);
+  }
+  function showCalibrationDoneScreen() {
+    const html = `
+      <div class="sb-end-screen">
+        <div class="sb-end-screen-icon">✅</div>
+        <h2 class="sb-end-screen-headline">ALL CALIBRATED</h2>
+        <p class="sb-end-screen-stats">Every ${currentEntity().label.toLowerCase()} in this filter has a rating. Swiss mode keeps refining them.</p>
+        <div class="sb-end-screen-buttons">
+          <button id="sb-calibration-swiss" class="btn btn-primary">Switch to Swiss</button>
+          ${canUndo() ? `<button id="sb-end-undo" class="btn btn-secondary">↶ Undo Last Choice</button>` : ""}
+        </div>
+      </div>
+    `;
+    finishRunShowEndScreen(html);
+    document.getElementById("sb-calibration-swiss")?.addEventListener("click", () => {
+      state.currentMode = "swiss";
+      syncModeControls();
+      const actionsEl = document.querySelector(".sb-actions");
+      if (actionsEl) actionsEl.style.display = "";
+      saveState();
+      loadNewPair();
+    });
+  }
+  function showTournamentRoundScreen() {
+    const tournament = state.tournament;
+    const comparisonArea = document.getElementById("sb-comparison-area");
+    if (!tournament || !comparisonArea) return;
+    const round = currentRoundIndex(tournament);
+    const name = roundName(tournament, round);
+    const headline = round === 0 ? `${tournament.entrants.length}-${currentEntity().label} Tournament` : `${name} Up Next`;
+    comparisonArea.innerHTML = `
+      <div class="sb-end-screen sb-bracket-screen">
+        <h2 class="sb-end-screen-headline">🏟️ ${headline}</h2>
+        ${renderBracketHtml(tournament)}
+        <div class="sb-end-screen-buttons">
+          <button id="sb-bracket-continue" class="btn btn-primary">Start ${name}</button>
+          ${canUndo() ? `<button id="sb-end-undo" class="btn btn-secondary">↶ Undo Last Choice</button>` : ""}
+        </div>
+      </div>
+    `;
+    const actionsEl = document.querySelector(".sb-actions");
+    if (actionsEl) actionsEl.style.display = "none";
+    comparisonArea.querySelector("#sb-bracket-continue")?.addEventListener("click", () => {
+      tournament.roundIntroPending = false;
+      saveState();
+      if (actionsEl) actionsEl.style.display = "";
+      loadNewPair();
+    });
+    comparisonArea.querySelector("#sb-end-undo")?.addEventListener("click", () => {
+      void undoLastChoice();
+    });
+  }
+  function showTournamentVictoryScreen(champion) {
+    const tournament = state.tournament;
+    if (!tournament) return;
+    crownChampion(champion);
+    const entrant = tournament.entrants.findIndex((s) => s.id === champion.id);
+    const wins = tournamentWins(tournament, entrant);
+    const ratingLine = champion.rating100 != null ? `<br>Rating: <strong>${champion.rating100}/100</strong>` : "";
+    const html = buildEndScreenHtml(
+      champion,
+      "👑",
+      "TOURNAMENT CHAMPION!",
+      `Seed <strong>#${entrant + 1}</strong> won all ${wins} matches of a ${tournament.entrants.length}-${currentEntity().label.toLowerCase()} bracket!${ratingLine}`,
+      "Start New Tournament",
+      renderBracketHtml(tournament)
+    );
+    finishRunShowEndScreen(html);
+  }
+  function showRoundRobinTableScreen(scenes) {
+    const roundRobin = state.roundRobin;
+    const comparisonArea = document.getElementById("sb-comparison-area");
+    if (!roundRobin || !comparisonArea) return;
+    const table = roundRobinTable(roundRobin, scenes);
+    const spread = buildSpreadRatings(table);
+    const changed = spread ? spread.filter((r) => r.after !== r.before).length : 0;
+    const { label, plural } = currentEntity();
+    const rowsHtml = table.map((row, i) => {
+      const title = resolveSceneTitle(row.scene) || `${label} ${row.scene.id}`;
+      const rating = row.scene.rating100 ?? "—";
+      return `
+            <tr>
+              <td>${i + 1}</td>
+              <td><span class="sb-history-scene">${escapeHtml(title)}</span> <span class="sb-history-id">#${escapeHtml(row.scene.id)}</span></td>
+              <td>${row.wins}</td>
+              <td>${row.draws}</td>
+              <td>${row.losses}</td>
+              <td><strong>${row.points}</strong></td>
+              <td>${spread ? `${rating} → ${spread[i].after}` : rating}</td>
+            </tr>`;
+    });
+    const spreadHtml = spread ? `<p class="sb-panel-summary">
+          Spread ratings by finishing position from ${spread[0].after} down to ${spread[spread.length - 1].after} (the entrants' current range)?
+        </p>
+        <button id="sb-rr-spread" class="btn btn-secondary" ${changed === 0 ? "disabled" : ""}>Write ${changed} ratings to Stash</button>
+        <span id="sb-rr-spread-progress" class="sb-panel-summary"></span>` : `<p class="sb-panel-summary">The entrants need at least two different ratings to spread ratings from the table.</p>`;
+    const html = `
+      <div class="sb-end-screen sb-rr-table-screen">
+        <div class="sb-end-screen-icon">🔄</div>
+        <h2 class="sb-end-screen-headline">ROUND ROBIN COMPLETE</h2>
+        <p class="sb-end-screen-stats">${table.length} ${plural}, ${roundRobin.schedule.length} matches — points, then head-to-head</p>
+        <table class="sb-table sb-rr-table">
+          <thead>
+            <tr><th>#</th><th>${escapeHtml(label)}</th><th>W</th><th>D</th><th>L</th><th>Pts</th><th>Rating</th></tr>
+          </thead>
+          <tbody>${rowsHtml.join("")}</tbody>
+        </table>
+        <div class="sb-rr-spread">${spreadHtml}</div>
+        <div class="sb-end-screen-buttons">
+          <button id="sb-new-gauntlet" class="btn btn-primary">Start New Round Robin</button>
+          ${canUndo() ? `<button id="sb-end-undo" class="btn btn-secondary">↶ Undo Last Choice</button>` : ""}
+        </div>
+      </div>
+    `;
+    finishRunShowEndScreen(html);
+    const spreadBtn = comparisonArea.querySelector("#sb-rr-spread");
+    const progress = comparisonArea.querySelector("#sb-rr-spread-progress");
+    spreadBtn?.addEventListener("click", async () => {
+      if (!spread || !window.confirm(`Overwrite ${changed} ${label.toLowerCase()} ratings in Stash? Undo history will be cleared.`)) return;
+      spreadBtn.disabled = true;
+      const written = await applySpreadRatings(spread, (done, total) => {
+        if (progress) progress.textContent = `Writing ${done} / ${total}...`;
+      });
+      if (progress) progress.textContent = `✓ ${written} ratings written`;
+      comparisonArea.querySelector("#sb-end-undo")?.remove();
+      updateUndoButton();
+    });
+  }
+
+  // src/bradleyTerry.ts
+  function fitBradleyTerry(outcomes, options) {
+    const ids = [];
+    const index = /* @__PURE__ */ new Map();
+    const indexOf = (id) => {
+      let i = index.get(id);
+      if (i === void 0) {
+        i = ids.length;
+        ids.push(id);
+        index.set(id, i);
+      }
+      return i;
+    };
+    const pairGames = /* @__PURE__ */ new Map();
+    const wins = [];
+    for (const { winnerId, loserId, draw } of outcomes) {
+      if (winnerId === loserId) continue;
+      const w = indexOf(winnerId);
+      const l = indexOf(loserId);
+      wins[w] = (wins[w] ?? 0) + (draw ? 0.5 : 1);
+      wins[l] = (wins[l] ?? 0) + (draw ? 0.5 : 0);
+      const [a, b] = w < l ? [w, l] : [l, w];
+      const key = `${a}:${b}`;
+      const entry = pairGames.get(key);
+      if (entry) entry.games++;
+      else pairGames.set(key, { a, b, games: 1 });
+    }
+    const n = ids.length;
+    const pairs = [...pairGames.values()];
+    let strength = new Array(n).fill(1);
+    let iterations = 0;
+    let converged = false;
+    while (iterations < options.maxIterations && !converged) {
+      iterations++;
+      const denominators = strength.map((p) => 2 * options.priorGames / (p + 1));
+      for (const { a, b, games } of pairs) {
+        const share = games / (strength[a] + strength[b]);
+        denominators[a] += share;
+        denominators[b] += share;
+      }
+      const next = strength.map((_, i) => ((wins[i] ?? 0) + options.priorGames) / denominators[i]);
+      converged = next.every((p, i) => Math.abs(Math.log(p) - Math.log(strength[i])) <= options.tolerance);
+      strength = next;
+    }
     return {
-      scenes: [climber, nextOpponent],
-      ranks: [climberIndex + 1, nextOpponentIndex + 1],
-      isVictory: false,
-      isFalling: false
+      strengths: new Map(ids.map((id, i) => [id, Math.log(strength[i])])),
+      iterations,
+      converged
     };
   }
-  async function fetchChampionPair(forcedLeftScene = null) {
-    const filters = readFilters();
-    console.log("[Stash Battle] 📋 Fetching scenes for champion...");
-    const { leftPool, allScenes } = await loadScenePools(filters);
-    let rightPool = buildOpponentPool(allScenes, leftPool, filters);
-    state.totalScenesCount = rightPool.length;
-    if (allScenes.length < 2) {
-      throw new Error("Not enough scenes for comparison.");
+
+  // src/recalculate.ts
+  function strengthsToRatings(strengths, currentMean) {
+    const points = [...strengths].map(([id, s]) => [id, s / Math.LN10 * settings.eloDivisor]);
+    const fittedMean = points.reduce((sum, [, p]) => sum + p, 0) / points.length;
+    const values = points.map(([, p]) => p);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    let offset = currentMean - fittedMean;
+    let scale = 1;
+    if (max - min > 99) {
+      scale = 99 / (max - min);
+      offset = 1 - min * scale;
+    } else {
+      offset = Math.min(offset, 100 - max);
+      offset = Math.max(offset, 1 - min);
     }
-    if (!state.gauntletClimber) {
-      state.gauntletDefeated = [];
-      if (!forcedLeftScene && leftPool.length < 1) {
-        throw new Error("No scenes match your filter criteria.");
+    return new Map(points.map(([id, p]) => [id, Math.round(p * scale + offset)]));
+  }
+  async function buildRecalculationPreview() {
+    const entity = state.entityType;
+    const [records2, { scenes }] = await Promise.all([getBattleHistory(), getAllScenesCached()]);
+    const inLibrary = new Set(scenes.map((s) => s.id));
+    const outcomes = records2.filter((r) => inLibrary.has(r.winnerId) && inLibrary.has(r.loserId)).map((r) => ({ winnerId: r.winnerId, loserId: r.loserId, draw: r.outcome === "draw" }));
+    const battledIds = new Set(records2.flatMap((r) => [r.winnerId, r.loserId]));
+    const skippedScenes = [...battledIds].filter((id) => !inLibrary.has(id)).length;
+    if (outcomes.length === 0) {
+      return { entity, rows: [], battles: 0, skippedScenes, converged: true };
+    }
+    const fit = fitBradleyTerry(outcomes, {
+      priorGames: settings.btPriorGames,
+      maxIterations: BT_MAX_ITERATIONS,
+      tolerance: BT_TOLERANCE
+    });
+    const fitted = scenes.filter((s) => fit.strengths.has(s.id));
+    const rated = fitted.filter((s) => s.rating100);
+    const currentMean = rated.length ? rated.reduce((sum, s) => sum + s.rating100, 0) / rated.length : 50;
+    const newRatings = strengthsToRatings(fit.strengths, currentMean);
+    const rankBefore = new Map(scenes.filter((s) => s.rating100).map((s, i) => [s.id, i + 1]));
+    const after = scenes.map((s) => ({ scene: s, rating: newRatings.get(s.id) ?? s.rating100 ?? 0 })).sort((a, b) => b.rating - a.rating);
+    const rankAfter = new Map(after.map((entry, i) => [entry.scene.id, i + 1]));
+    const rows = after.filter((entry) => newRatings.has(entry.scene.id)).map(({ scene }) => ({
+      id: scene.id,
+      title: entityDisplayName(scene),
+      before: scene.rating100 ?? null,
+      after: newRatings.get(scene.id),
+      rankBefore: rankBefore.get(scene.id) ?? null,
+      rankAfter: rankAfter.get(scene.id)
+    }));
+    console.log(
+      `[Stash Battle] 🧮 Bradley–Terry fit: ${rows.length} scenes from ${outcomes.length} battles, ${fit.iterations} iterations${fit.converged ? "" : " (not converged)"}`
+    );
+    return { entity, rows, battles: outcomes.length, skippedScenes, converged: fit.converged };
+  }
+  async function applyRecalculation(preview, onProgress) {
+    assertEntityType(preview.entity);
+    const changed = preview.rows.filter((r) => r.after !== r.before);
+    await writeRatingsInBulk(
+      changed.map((r) => ({ id: r.id, rating100: r.after })),
+      onProgress
+    );
+    console.log(`[Stash Battle] 🧮 Recalculated rankings: ${changed.length} ratings written`);
+    return changed.length;
+  }
+
+  // src/ui/recalcPanel.ts
+  function formatRankChange(row) {
+    if (row.rankBefore === null) return `<span class="sb-delta-up">new</span>`;
+    const moved = row.rankBefore - row.rankAfter;
+    if (moved === 0) return `<span class="sb-delta-none">–</span>`;
+    return moved > 0 ? `<span class="sb-delta-up">▲${moved}</span>` : `<span class="sb-delta-down">▼${-moved}</span>`;
+  }
+  function previewRow(row) {
+    const changed = row.before !== row.after;
+    return `
+            <tr class="${changed ? "" : "sb-recalc-unchanged"}">
+              <td>${row.rankBefore ?? "–"} → ${row.rankAfter}</td>
+              <td>${formatRankChange(row)}</td>
+              <td><span class="sb-history-scene">${escapeHtml(row.title)}</span> <span class="sb-history-id">#${escapeHtml(row.id)}</span></td>
+              <td>${row.before ?? "–"} → ${row.after}</td>
+            </tr>`;
+  }
+  async function renderRecalculationPreview(container, onClose) {
+    container.innerHTML = `<div class="sb-loading">Fitting ratings to the battle log...</div>`;
+    let preview;
+    try {
+      preview = await buildRecalculationPreview();
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Recalculation preview failed:", e);
+      container.innerHTML = `
+        <div class="sb-error">Could not fit the battle log: ${escapeHtml(e instanceof Error ? e.message : String(e))}</div>
+        <div class="sb-recalc-actions"><button id="sb-recalc-cancel" class="btn btn-secondary">Back</button></div>
+      `;
+      container.querySelector("#sb-recalc-cancel")?.addEventListener("click", onClose);
+      return;
+    }
+    const { label, plural } = currentEntity();
+    if (preview.rows.length === 0) {
+      container.innerHTML = `
+        <div class="sb-panel-empty">No battles between ${plural} in your library to recalculate from.</div>
+        <div class="sb-recalc-actions"><button id="sb-recalc-cancel" class="btn btn-secondary">Back</button></div>
+      `;
+      container.querySelector("#sb-recalc-cancel")?.addEventListener("click", onClose);
+      return;
+    }
+    const changedCount = preview.rows.filter((r) => r.before !== r.after).length;
+    const notes = [
+      preview.skippedScenes ? `${preview.skippedScenes} deleted ${plural} skipped` : "",
+      preview.converged ? "" : "fit did not fully converge"
+    ].filter(Boolean);
+    container.innerHTML = `
+      <p class="sb-panel-summary">
+        Fitted ${preview.rows.length} ${plural} from ${preview.battles} battles — ${changedCount} ratings would change${notes.length ? ` (${notes.join(", ")})` : ""}.
+        ${plural.charAt(0).toUpperCase() + plural.slice(1)} that were never battled keep their rating.
+      </p>
+      <div class="sb-recalc-actions">
+        <button id="sb-recalc-apply" class="btn btn-primary" ${changedCount === 0 ? "disabled" : ""}>Write ${changedCount} ratings to Stash</button>
+        <button id="sb-recalc-cancel" class="btn btn-secondary">Cancel</button>
+        <span id="sb-recalc-progress" class="sb-panel-summary"></span>
+      </div>
+      <table class="sb-table">
+        <thead>
+          <tr><th>Rank</th><th>Moved</th><th>${escapeHtml(label)}</th><th>Rating</th></tr>
+        </thead>
+        <tbody>
+          ${preview.rows.map(previewRow).join("")}
+        </tbody>
+      </table>
+    `;
+    const applyBtn = container.querySelector("#sb-recalc-apply");
+    const cancelBtn = container.querySelector("#sb-recalc-cancel");
+    const progress = container.querySelector("#sb-recalc-progress");
+    cancelBtn?.addEventListener("click", onClose);
+    applyBtn?.addEventListener("click", async () => {
+      if (!window.confirm(`Overwrite ${changedCount} ${label.toLowerCase()} ratings in Stash? Undo history will be cleared.`)) return;
+      applyBtn.disabled = true;
+      if (cancelBtn) cancelBtn.disabled = true;
+      try {
+        const written = await applyRecalculation(preview, (done, total) => {
+          if (progress) progress.textContent = `Writing ${done} / ${total}...`;
+        });
+        updateUndoButton();
+        window.alert(`Recalculated rankings: ${written} ratings updated.`);
+      } catch (e) {
+        console.error("[Stash Battle] ❌ Recalculation failed:", e);
+        window.alert(`Recalculation failed: ${e instanceof Error ? e.message : String(e)}`);
       }
-      const challenger = forcedLeftScene || getNextFilteredScene(leftPool, filters.filterKey);
-      if (!challenger) {
-        throw new Error("No scenes match your filter criteria.");
+      onClose();
+    });
+  }
+
+  // src/ui/historyPanel.ts
+  var MODE_LABELS = {
+    swiss: "Swiss",
+    gauntlet: "Gauntlet",
+    champion: "Champion",
+    quickplace: "Quick Place",
+    tournament: "Tournament",
+    roundrobin: "Round Robin",
+    grid: "Best of N",
+    rank: "Drag to Rank",
+    calibrate: "Calibrate",
+    revisit: "Revisit"
+  };
+  var records = [];
+  var historyFilter = { text: "", mode: "", currentFilterOnly: false };
+  function formatRating(rating) {
+    return rating === null ? "–" : String(rating);
+  }
+  function formatDelta(delta) {
+    if (delta === 0) return "±0";
+    return delta > 0 ? `+${delta}` : String(delta);
+  }
+  function sideCell(id, title, before, after, delta) {
+    const deltaClass = delta > 0 ? "sb-delta-up" : delta < 0 ? "sb-delta-down" : "sb-delta-none";
+    return `
+      <div class="sb-history-scene">${escapeHtml(title || `${currentEntity().label} ${id}`)} <span class="sb-history-id">#${escapeHtml(id)}</span></div>
+      <div class="sb-history-rating">${formatRating(before)} → ${formatRating(after)} <span class="${deltaClass}">${formatDelta(delta)}</span></div>
+    `;
+  }
+  function matchesFilter(record, filterKey) {
+    if (historyFilter.mode && record.mode !== historyFilter.mode) return false;
+    if (historyFilter.currentFilterOnly && record.filterKey !== filterKey) return false;
+    const text = historyFilter.text.trim().toLowerCase();
+    if (!text) return true;
+    return [record.winnerId, record.loserId, record.winnerTitle, record.loserTitle].some(
+      (v) => v.toLowerCase().includes(text)
+    );
+  }
+  function renderHistoryTable() {
+    const tableArea = document.getElementById("sb-history-results");
+    if (!tableArea) return;
+    const filterKey = readFilters().filterKey;
+    const matching = records.filter((r) => matchesFilter(r, filterKey));
+    const shown = matching.slice(-settings.historyPanelLimit).reverse();
+    if (shown.length === 0) {
+      tableArea.innerHTML = `<div class="sb-panel-empty">${records.length === 0 ? "No battles recorded yet." : "No battles match these filters."}</div>`;
+      return;
+    }
+    tableArea.innerHTML = `
+      <p class="sb-panel-summary">Showing ${shown.length} of ${matching.length} matching battles (${records.length} total)</p>
+      <table class="sb-table">
+        <thead>
+          <tr><th>When</th><th>Mode</th><th>Winner</th><th>Loser</th></tr>
+        </thead>
+        <tbody>
+          ${shown.map(
+      (r) => `
+            <tr>
+              <td class="sb-history-time">${new Date(r.timestamp).toLocaleString()}</td>
+              <td>${MODE_LABELS[r.mode] ?? r.mode}${r.outcome === "draw" ? `<div class="sb-history-draw">🤝 Draw</div>` : ""}</td>
+              <td>${sideCell(r.winnerId, r.winnerTitle, r.winnerBefore, r.winnerAfter, r.winnerDelta)}</td>
+              <td>${sideCell(r.loserId, r.loserTitle, r.loserBefore, r.loserAfter, r.loserDelta)}</td>
+            </tr>`
+    ).join("")}
+        </tbody>
+      </table>
+    `;
+  }
+  async function renderHistoryPanel() {
+    const panel = document.getElementById("sb-history-panel");
+    if (!panel) return;
+    panel.innerHTML = `<div class="sb-loading">Loading history...</div>`;
+    records = await getBattleHistory();
+    panel.innerHTML = `
+      <div class="sb-panel-controls">
+        <input type="search" id="sb-history-search" class="sb-input" placeholder="Search title or ${currentEntity().label.toLowerCase()} ID" value="${escapeHtml(historyFilter.text)}">
+        <select id="sb-history-mode" class="sb-input">
+          <option value="">All modes</option>
+          ${Object.keys(MODE_LABELS).map((m) => `<option value="${m}" ${historyFilter.mode === m ? "selected" : ""}>${MODE_LABELS[m]}</option>`).join("")}
+        </select>
+        <label>
+          <input type="checkbox" id="sb-history-current-filter" ${historyFilter.currentFilterOnly ? "checked" : ""}>
+           Current filter only
+        </label>
+        <button id="sb-history-recalc" class="btn btn-secondary" ${records.length === 0 ? "disabled" : ""}>🧮 Recalculate Rankings</button>
+        <button id="sb-history-clear" class="btn btn-secondary">🗑️ Clear History</button>
+      </div>
+      <div id="sb-history-results"></div>
+    `;
+    panel.querySelector("#sb-history-search")?.addEventListener("input", (e) => {
+      historyFilter = { ...historyFilter, text: e.target.value };
+      renderHistoryTable();
+    });
+    panel.querySelector("#sb-history-mode")?.addEventListener("change", (e) => {
+      historyFilter = { ...historyFilter, mode: e.target.value };
+      renderHistoryTable();
+    });
+    panel.querySelector("#sb-history-current-filter")?.addEventListener("change", (e) => {
+      historyFilter = { ...historyFilter, currentFilterOnly: e.target.checked };
+      renderHistoryTable();
+    });
+    panel.querySelector("#sb-history-recalc")?.addEventListener("click", () => {
+      const results = document.getElementById("sb-history-results");
+      if (results) void renderRecalculationPreview(results, () => void renderHistoryPanel());
+    });
+    panel.querySelector("#sb-history-clear")?.addEventListener("click", async () => {
+      if (!window.confirm(`Delete the ${currentEntity().label.toLowerCase()} battle history? Ratings in Stash are not affected.`)) return;
+      await clearBattleHistory();
+      await renderHistoryPanel();
+    });
+    renderHistoryTable();
+  }
+
+  // src/ui/settingsPanel.ts
+  function settingRow(def) {
+    if (def.kind === "choice") {
+      const defaultLabel = def.options.find((o) => o.value === def.defaultValue)?.label ?? def.defaultValue;
+      return `
+          <label class="sb-setting">
+            <span class="sb-setting-label">${escapeHtml(def.label)}</span>
+            <select class="sb-input" data-setting-key="${def.key}">
+              ${def.options.map(
+        (o) => `<option value="${escapeHtml(o.value)}" ${settings[def.key] === o.value ? "selected" : ""}>${escapeHtml(o.label)}</option>`
+      ).join("")}
+            </select>
+            <span class="sb-setting-desc">${escapeHtml(def.description)} (default ${escapeHtml(defaultLabel)})</span>
+          </label>`;
+    }
+    return `
+          <label class="sb-setting">
+            <span class="sb-setting-label">${escapeHtml(def.label)}</span>
+            <input type="number" class="sb-input" data-setting-key="${def.key}" min="${def.min}" max="${def.max}" step="1" value="${settings[def.key]}">
+            <span class="sb-setting-desc">${escapeHtml(def.description)} (default ${def.defaultValue}, ${def.min}–${def.max})</span>
+          </label>`;
+  }
+  function setStatus(panel, message, isError = false) {
+    const status = panel.querySelector("#sb-settings-status");
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle("sb-settings-error", isError);
+  }
+  function readForm(panel) {
+    const values = { ...settings };
+    const fields = values;
+    let valid = true;
+    panel.querySelectorAll("[data-setting-key]").forEach((input) => {
+      const def = SETTING_DEFS.find((d) => d.key === input.dataset.settingKey);
+      if (!def) return;
+      const value = validateSetting(def, input.value);
+      input.classList.toggle("sb-input-invalid", value === null);
+      if (value === null) valid = false;
+      else fields[def.key] = value;
+    });
+    if (valid && !kThresholdsInOrder(values)) {
+      for (const key of ["kSettlingAt", "kEstablishedAt", "kStableAt"]) {
+        panel.querySelector(`[data-setting-key="${key}"]`)?.classList.add("sb-input-invalid");
       }
-      const challengerIndex = rightPool.findIndex((s) => s.id === challenger.id);
-      const { scene: lowestRated, index: lowestIndex } = findLowestRated(rightPool, challenger.id);
-      state.gauntletClimberRank = challengerIndex >= 0 ? challengerIndex + 1 : rightPool.length;
-      return {
-        scenes: [challenger, lowestRated],
-        ranks: [state.gauntletClimberRank, lowestIndex + 1],
-        isVictory: false
-      };
+      return null;
     }
-    const climber = state.gauntletClimber;
-    const climberIndex = rightPool.findIndex((s) => s.id === climber.id);
-    state.gauntletClimberRank = climberIndex >= 0 ? climberIndex + 1 : 1;
-    const remainingOpponents = getRemainingClimbOpponents(climber, rightPool, climberIndex);
-    if (remainingOpponents.length === 0) {
-      state.gauntletClimberRank = 1;
+    return valid ? values : null;
+  }
+  async function renderSettingsPanel() {
+    const panel = document.getElementById("sb-settings-panel");
+    if (!panel) return;
+    panel.innerHTML = `<div class="sb-loading">Loading settings...</div>`;
+    await loadSettings();
+    const groups = [...new Set(SETTING_DEFS.map((d) => d.group))];
+    panel.innerHTML = `
+      <p class="sb-panel-summary">
+        Saved to the plugin's configuration in Stash (also editable under Settings → Plugins). Changes apply from the next battle.
+      </p>
+      ${groups.map(
+      (group) => `
+        <fieldset class="sb-settings-group">
+          <legend>${escapeHtml(group)}</legend>
+          ${SETTING_DEFS.filter((d) => d.group === group).map(settingRow).join("")}
+        </fieldset>`
+    ).join("")}
+      <div class="sb-panel-controls">
+        <button id="sb-settings-save" class="btn btn-primary">Save Settings</button>
+        <button id="sb-settings-defaults" class="btn btn-secondary">Reset to Defaults</button>
+        <span id="sb-settings-status" class="sb-panel-summary"></span>
+      </div>
+    `;
+    panel.querySelector("#sb-settings-defaults")?.addEventListener("click", () => {
+      const defaults = getDefaultSettings();
+      panel.querySelectorAll("[data-setting-key]").forEach((input) => {
+        input.value = String(defaults[input.dataset.settingKey]);
+        input.classList.remove("sb-input-invalid");
+      });
+      setStatus(panel, "Defaults filled in — save to apply.");
+    });
+    panel.querySelector("#sb-settings-save")?.addEventListener("click", async (e) => {
+      const values = readForm(panel);
+      if (!values) {
+        setStatus(panel, "Some values are out of range or out of order — fix the highlighted fields.", true);
+        return;
+      }
+      const saveBtn = e.currentTarget;
+      saveBtn.disabled = true;
+      try {
+        await saveSettings(values);
+        updateClimbPoolWarning();
+        setStatus(panel, "Settings saved.");
+      } catch (err) {
+        console.error("[Stash Battle] Failed to save settings:", err);
+        setStatus(panel, "Saving failed — see the browser console.", true);
+      } finally {
+        saveBtn.disabled = false;
+      }
+    });
+  }
+
+  // src/exportRankings.ts
+  var CSV_COLUMNS = [
+    "rank",
+    "id",
+    "rating100",
+    "title",
+    "studio",
+    "performers",
+    "path",
+    "battles",
+    "wins",
+    "losses",
+    "draws",
+    "bestStreak",
+    "titles",
+    "lastBattled"
+  ];
+  async function buildRankingExport(scope) {
+    const { scenes } = scope === "filtered" ? await getFilteredScenesCached(readFilters()) : await getAllScenesCached();
+    const keepsStats = currentEntity().customFields;
+    const sorted = sortByPreciseRating(scenes);
+    const rows = sorted.map((scene, i) => {
+      const counts = keepsStats ? getBattleCounts(scene) : null;
       return {
-        scenes: [climber],
-        ranks: [1],
-        isVictory: true
+        rank: scene.rating100 ? i + 1 : null,
+        id: scene.id,
+        rating100: scene.rating100 ?? null,
+        title: resolveSceneTitle(scene),
+        studio: scene.studio?.name ?? "",
+        performers: (scene.performers ?? []).map((p) => p.name),
+        path: scene.files?.[0]?.path ?? "",
+        battles: counts?.battles ?? null,
+        wins: counts?.wins ?? null,
+        losses: counts?.losses ?? null,
+        draws: counts?.draws ?? null,
+        bestStreak: counts?.bestStreak ?? null,
+        titles: counts?.titles ?? null,
+        lastBattled: counts && counts.lastBattled !== null ? new Date(counts.lastBattled).toISOString() : null
       };
+    });
+    console.log(`[Stash Battle] 📤 Export built: ${rows.length} ${currentEntity().plural} (${scope})`);
+    return { entityType: state.entityType, scope, exportedAt: (/* @__PURE__ */ new Date()).toISOString(), rows };
+  }
+  function csvCell(value) {
+    const text = Array.isArray(value) ? value.join(", ") : String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+  function exportToCsv(data) {
+    const lines = [CSV_COLUMNS.join(",")];
+    for (const row of data.rows) lines.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(","));
+    return `${lines.join("\r\n")}\r
+`;
+  }
+  function exportToJson(data) {
+    return JSON.stringify(data, null, 2);
+  }
+  function exportFileName(data, format) {
+    const { plural } = currentEntity();
+    return `stash-battle-${plural}${data.scope === "filtered" ? "-filtered" : ""}-${data.exportedAt.slice(0, 10)}.${format}`;
+  }
+
+  // src/ui/exportPanel.ts
+  function downloadText(text, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+  async function runExport(container, format) {
+    const scope = container.querySelector("#sb-export-scope")?.value ?? "all";
+    const status = container.querySelector("#sb-export-status");
+    const buttons = container.querySelectorAll("[data-export-format]");
+    buttons.forEach((btn) => btn.disabled = true);
+    if (status) status.textContent = "Loading...";
+    try {
+      const data = await buildRankingExport(scope);
+      const text = format === "csv" ? `\uFEFF${exportToCsv(data)}` : exportToJson(data);
+      downloadText(text, exportFileName(data, format), format === "csv" ? "text/csv" : "application/json");
+      if (status) status.textContent = `Exported ${data.rows.length} ${currentEntity().plural}.`;
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Export failed:", e);
+      if (status) status.textContent = "Export failed — see the console.";
+    } finally {
+      buttons.forEach((btn) => btn.disabled = false);
     }
-    const nextOpponent = pickClosestClimbOpponent(remainingOpponents);
-    const nextOpponentIndex = rightPool.findIndex((s) => s.id === nextOpponent.id);
-    return {
-      scenes: [climber, nextOpponent],
-      ranks: [climberIndex + 1, nextOpponentIndex + 1],
-      isVictory: false
+  }
+  function renderExportTool(container) {
+    const { plural } = currentEntity();
+    const filterActive = checkForFilters();
+    container.innerHTML = `
+      <h3 class="sb-tool-title">📤 Export Rankings</h3>
+      <p class="sb-panel-summary">
+        Save the ${plural} best first with rank, rating, title, studio, performers, file path and battle stats.
+      </p>
+      <div class="sb-panel-controls">
+        <label>
+          ${plural.charAt(0).toUpperCase() + plural.slice(1)}
+          <select id="sb-export-scope" class="sb-input">
+            <option value="all">Whole library</option>
+            <option value="filtered" ${filterActive ? "selected" : "disabled"}>Current filter</option>
+          </select>
+        </label>
+        <button class="btn btn-secondary" data-export-format="csv">Export CSV</button>
+        <button class="btn btn-secondary" data-export-format="json">Export JSON</button>
+        <span id="sb-export-status" class="sb-panel-summary"></span>
+      </div>
+    `;
+    container.querySelectorAll("[data-export-format]").forEach((btn) => {
+      btn.addEventListener("click", () => void runExport(container, btn.dataset.exportFormat));
+    });
+  }
+
+  // src/importRatings.ts
+  var COLUMN_NAMES = {
+    id: ["id"],
+    path: ["path", "file", "file_path"],
+    title: ["title", "name"],
+    rating: ["rating100", "rating"]
+  };
+  function parseCsvRecords(text, delimiter) {
+    const records2 = [];
+    let record = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          cell += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === delimiter) {
+        record.push(cell);
+        cell = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        record.push(cell);
+        records2.push(record);
+        record = [];
+        cell = "";
+      } else {
+        cell += c;
+      }
+    }
+    if (cell !== "" || record.length > 0) {
+      record.push(cell);
+      records2.push(record);
+    }
+    return records2.filter((r) => r.some((value) => value.trim() !== ""));
+  }
+  function columnLookup(keys) {
+    const find = (names) => keys.find((key) => names.includes(key.trim().toLowerCase()));
+    const lookup = {
+      id: find(COLUMN_NAMES.id),
+      path: find(COLUMN_NAMES.path),
+      title: find(COLUMN_NAMES.title),
+      rating: find(COLUMN_NAMES.rating)
+    };
+    if (lookup.rating === void 0) throw new Error("No rating column (rating100 or rating)");
+    if (lookup.id === void 0 && lookup.path === void 0 && lookup.title === void 0) {
+      throw new Error("No column to match by (id, path or title)");
+    }
+    return lookup;
+  }
+  function textOf(value) {
+    return value === null || value === void 0 ? "" : String(value).trim();
+  }
+  function parseJsonRows(text) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data?.rows;
+    if (!Array.isArray(list)) throw new Error("JSON must be an array of rows or an object with a rows array");
+    const objects = list.filter((item) => typeof item === "object" && item !== null);
+    const lookup = columnLookup([...new Set(objects.flatMap((item) => Object.keys(item)))]);
+    return objects.map((item, i) => ({
+      row: i + 1,
+      id: lookup.id ? textOf(item[lookup.id]) : "",
+      path: lookup.path ? textOf(item[lookup.path]) : "",
+      title: lookup.title ? textOf(item[lookup.title]) : "",
+      rating: textOf(item[lookup.rating])
+    }));
+  }
+  function parseCsvRows(text) {
+    const headerLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = !headerLine.includes(",") && headerLine.includes(";") ? ";" : ",";
+    const [header, ...records2] = parseCsvRecords(text, delimiter);
+    if (!header) throw new Error("The file is empty");
+    const lookup = columnLookup(header);
+    const cell = (record, key) => key === void 0 ? "" : textOf(record[header.indexOf(key)]);
+    return records2.map((record, i) => ({
+      row: i + 1,
+      id: cell(record, lookup.id),
+      path: cell(record, lookup.path),
+      title: cell(record, lookup.title),
+      rating: cell(record, lookup.rating)
+    }));
+  }
+  function parseImportFile(text, fileName) {
+    const content = text.replace(/^\uFEFF/, "");
+    const isJson = /\.json$/i.test(fileName) || !/\.csv$/i.test(fileName) && /^\s*[[{]/.test(content);
+    return isJson ? parseJsonRows(content) : parseCsvRows(content);
+  }
+  var normalizePath = (path) => path.replace(/\\/g, "/");
+  var normalizeTitle = (title) => title.trim().toLowerCase();
+  function indexBy(scenes, keysOf) {
+    const index = /* @__PURE__ */ new Map();
+    for (const scene of scenes) {
+      for (const key of new Set(keysOf(scene))) {
+        if (!key) continue;
+        const list = index.get(key);
+        if (list) list.push(scene);
+        else index.set(key, [scene]);
+      }
+    }
+    return index;
+  }
+  function parseRating(text) {
+    if (text === "") return "";
+    const value = Number(text);
+    if (!Number.isFinite(value) || value < 1 || value > 100) return null;
+    return Math.round(value);
+  }
+  async function planImport(rows, options) {
+    const entity = state.entityType;
+    const [current, { scenes }] = await Promise.all([fetchEntityRatings(), getAllScenesCached()]);
+    const byId = new Map(scenes.map((scene) => [scene.id, scene]));
+    const byPath = indexBy(scenes, (scene) => (scene.files ?? []).map((file) => normalizePath(file.path ?? "")));
+    const byTitle = indexBy(scenes, (scene) => [normalizeTitle(resolveSceneTitle(scene))]);
+    const { label, plural } = currentEntity();
+    const noun = label.toLowerCase();
+    const plan = { entity, changes: [], unchanged: 0, skipped: [] };
+    const claimedBy = /* @__PURE__ */ new Map();
+    const match = (row) => {
+      const tries = options.matchBy === "auto" ? ["id", "path", "title"] : [options.matchBy];
+      let ambiguous = "";
+      for (const by of tries) {
+        if (by === "id" && row.id && Object.prototype.hasOwnProperty.call(current, row.id)) {
+          return { scene: byId.get(row.id) ?? { id: row.id, rating100: current[row.id] }, matchedBy: "id" };
+        }
+        const found = by === "path" && row.path ? byPath.get(normalizePath(row.path)) : by === "title" && row.title ? byTitle.get(normalizeTitle(row.title)) : void 0;
+        if (found?.length === 1) return { scene: found[0], matchedBy: by };
+        if (found && found.length > 1 && !ambiguous) {
+          ambiguous = `${by === "path" ? "Path" : "Title"} matches ${found.length} ${plural}`;
+        }
+      }
+      return ambiguous || `No ${noun} with this ${tries.join(" / ")}`;
     };
+    for (const row of rows) {
+      const rating = parseRating(row.rating);
+      if (rating === null) {
+        plan.skipped.push({ row, reason: `Rating "${row.rating}" is not a number from 1 to 100` });
+        continue;
+      }
+      if (rating === "" && !options.clearEmpty) {
+        plan.skipped.push({ row, reason: "No rating" });
+        continue;
+      }
+      const matched = match(row);
+      if (typeof matched === "string") {
+        plan.skipped.push({ row, reason: matched });
+        continue;
+      }
+      const { scene, matchedBy } = matched;
+      const firstRow = claimedBy.get(scene.id);
+      if (firstRow !== void 0) {
+        plan.skipped.push({ row, reason: `Same ${noun} as row ${firstRow}` });
+        continue;
+      }
+      claimedBy.set(scene.id, row.row);
+      const before = current[scene.id] ?? null;
+      const after = rating === "" ? null : rating;
+      if (before === after) plan.unchanged++;
+      else plan.changes.push({ row, scene, matchedBy, before, after });
+    }
+    console.log(
+      `[Stash Battle] 📥 Import dry run: ${plan.changes.length} changes, ${plan.unchanged} unchanged, ${plan.skipped.length} skipped`
+    );
+    return plan;
+  }
+  async function applyImport(plan, onProgress) {
+    assertEntityType(plan.entity);
+    const { changes } = plan;
+    if (!await takeSnapshot("import")) throw new Error("Could not save the current ratings before importing");
+    const failures = await writeRatingsInBatches(
+      changes.map((c) => ({ id: c.scene.id, rating100: c.after })),
+      onProgress
+    );
+    console.log(`[Stash Battle] 📥 Imported ${changes.length - failures.length} ratings (${failures.length} failed)`);
+    return failures;
+  }
+
+  // src/ui/importPanel.ts
+  var MATCH_LABELS = { id: "ID", path: "Path", title: "Title" };
+  function formatRating2(rating) {
+    return rating === null ? "Unrated" : String(rating);
+  }
+  function rowKey(row) {
+    const parts = [row.id && `#${row.id}`, row.path, row.title].filter(Boolean);
+    return escapeHtml(parts.join(" · ") || "(empty)");
+  }
+  function changeRow(change) {
+    return `
+            <tr>
+              <td>${change.row.row}</td>
+              <td><span class="sb-history-scene">${escapeHtml(entityDisplayName(change.scene))}</span> <span class="sb-history-id">#${escapeHtml(change.scene.id)}</span></td>
+              <td>${MATCH_LABELS[change.matchedBy]}</td>
+              <td>${formatRating2(change.before)} → ${formatRating2(change.after)}</td>
+            </tr>`;
+  }
+  function skipRow(skip) {
+    return `
+            <tr>
+              <td>${skip.row.row}</td>
+              <td>${rowKey(skip.row)}</td>
+              <td>${escapeHtml(skip.reason)}</td>
+            </tr>`;
+  }
+  function skippedTable(skipped, title) {
+    if (skipped.length === 0) return "";
+    return `
+      <h4 class="sb-tool-subtitle">${title} (${skipped.length})</h4>
+      <table class="sb-table">
+        <thead>
+          <tr><th>Row</th><th>File</th><th>Reason</th></tr>
+        </thead>
+        <tbody>
+          ${skipped.map(skipRow).join("")}
+        </tbody>
+      </table>`;
+  }
+  function failuresHtml(failures, written) {
+    const { label } = currentEntity();
+    const rows = failures.map(
+      (f) => `
+            <tr>
+              <td>${escapeHtml(`${label} ${f.id}`)}</td>
+              <td>${escapeHtml(f.error)}</td>
+            </tr>`
+    );
+    return `
+      <p class="sb-panel-summary">${written} ratings written, ${failures.length} failed.</p>
+      <table class="sb-table">
+        <thead>
+          <tr><th>${escapeHtml(label)}</th><th>Error</th></tr>
+        </thead>
+        <tbody>
+          ${rows.join("")}
+        </tbody>
+      </table>`;
+  }
+  function renderPlan(area, plan) {
+    const { changes, unchanged, skipped } = plan;
+    area.innerHTML = `
+      <p class="sb-panel-summary">
+        Dry run: ${changes.length} ratings would change, ${unchanged} already match, ${skipped.length} rows are not imported. Nothing has been written yet.
+      </p>
+      <div class="sb-recalc-actions">
+        <button id="sb-import-apply" class="btn btn-primary" ${changes.length === 0 ? "disabled" : ""}>Write ${changes.length} ratings to Stash</button>
+        <span id="sb-import-progress" class="sb-panel-summary"></span>
+      </div>
+      ${changes.length > 0 ? `
+      <table class="sb-table">
+        <thead>
+          <tr><th>Row</th><th>${escapeHtml(currentEntity().label)}</th><th>Matched by</th><th>Rating</th></tr>
+        </thead>
+        <tbody>
+          ${changes.map(changeRow).join("")}
+        </tbody>
+      </table>` : ""}
+      ${skippedTable(skipped, "Not imported")}
+    `;
+    const applyBtn = area.querySelector("#sb-import-apply");
+    const progress = area.querySelector("#sb-import-progress");
+    applyBtn?.addEventListener("click", async () => {
+      const noun = currentEntity().label.toLowerCase();
+      const message = `Write ${changes.length} ${noun} ratings from the file to Stash? The current ratings are saved as a snapshot first. Undo history will be cleared.`;
+      if (!window.confirm(message)) return;
+      applyBtn.disabled = true;
+      try {
+        const failures = await applyImport(plan, (done, total, failed) => {
+          if (progress) progress.textContent = `Writing ${done} / ${total}...${failed > 0 ? ` (${failed} failed)` : ""}`;
+        });
+        updateUndoButton();
+        const written = changes.length - failures.length;
+        if (failures.length === 0) {
+          window.alert(`Imported ratings: ${written} ratings updated.`);
+          area.innerHTML = "";
+        } else {
+          area.innerHTML = failuresHtml(failures, written);
+        }
+      } catch (e) {
+        console.error("[Stash Battle] ❌ Import failed:", e);
+        window.alert(`Import failed: ${e instanceof Error ? e.message : String(e)}`);
+        applyBtn.disabled = false;
+      }
+    });
+  }
+  async function runDryRun(container) {
+    const area = container.querySelector("#sb-import-preview");
+    const file = container.querySelector("#sb-import-file")?.files?.[0];
+    if (!area) return;
+    if (!file) {
+      area.innerHTML = `<div class="sb-panel-empty">Choose a CSV or JSON file first.</div>`;
+      return;
+    }
+    const matchBy = container.querySelector("#sb-import-match")?.value ?? "auto";
+    const clearEmpty = container.querySelector("#sb-import-clear-empty")?.checked ?? false;
+    area.innerHTML = `<div class="sb-loading">Matching rows...</div>`;
+    try {
+      const rows = parseImportFile(await file.text(), file.name);
+      renderPlan(area, await planImport(rows, { matchBy, clearEmpty }));
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Import dry run failed:", e);
+      area.innerHTML = `<div class="sb-error">Could not read ${escapeHtml(file.name)}: ${escapeHtml(e instanceof Error ? e.message : String(e))}</div>`;
+    }
+  }
+  function renderImportTool(container) {
+    const { plural } = currentEntity();
+    container.innerHTML = `
+      <h3 class="sb-tool-title">📥 Import Ratings</h3>
+      <p class="sb-panel-summary">
+        Set ${plural} ratings from a CSV or JSON file (an export, or a list ranked elsewhere) with a <code>rating100</code> or <code>rating</code> column.
+        Rows are matched by <code>id</code>, <code>path</code> or <code>title</code> — on another Stash instance ids differ, so match by path or title there.
+      </p>
+      <div class="sb-panel-controls">
+        <input id="sb-import-file" type="file" class="sb-input" accept=".csv,.json,text/csv,application/json">
+        <label>
+          Match by
+          <select id="sb-import-match" class="sb-input">
+            <option value="auto">ID, then path, then title</option>
+            <option value="id">ID only</option>
+            <option value="path">File path only</option>
+            <option value="title">Title only</option>
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" id="sb-import-clear-empty">
+           Empty ratings clear the rating
+        </label>
+        <button id="sb-import-preview-btn" class="btn btn-secondary">Dry run</button>
+      </div>
+      <div id="sb-import-preview"></div>
+    `;
+    container.querySelector("#sb-import-preview-btn")?.addEventListener("click", () => void runDryRun(container));
   }
 
-  // src/ui/sceneTitle.ts
-  function resolveSceneTitle(scene) {
-    if (scene.title) return scene.title;
-    const path = scene.files?.[0]?.path;
-    if (path) {
-      const pathParts = path.split(/[/\\]/);
-      return pathParts[pathParts.length - 1].replace(/\.[^/.]+$/, "");
+  // src/rescale.ts
+  function probit(p) {
+    const a = [
+      -39.69683028665376,
+      220.9460984245205,
+      -275.9285104469687,
+      138.357751867269,
+      -30.66479806614716,
+      2.506628277459239
+    ];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [
+      -0.007784894002430293,
+      -0.3223964580411365,
+      -2.400758277161838,
+      -2.549732539343734,
+      4.374664141464968,
+      2.938163982698783
+    ];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+    if (p < low) {
+      const q2 = Math.sqrt(-2 * Math.log(p));
+      const num2 = ((((c[0] * q2 + c[1]) * q2 + c[2]) * q2 + c[3]) * q2 + c[4]) * q2 + c[5];
+      return num2 / ((((d[0] * q2 + d[1]) * q2 + d[2]) * q2 + d[3]) * q2 + 1);
     }
-    return "";
+    if (p > 1 - low) {
+      const q2 = Math.sqrt(-2 * Math.log(1 - p));
+      const num2 = ((((c[0] * q2 + c[1]) * q2 + c[2]) * q2 + c[3]) * q2 + c[4]) * q2 + c[5];
+      return -num2 / ((((d[0] * q2 + d[1]) * q2 + d[2]) * q2 + d[3]) * q2 + 1);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    const num = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q;
+    return num / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
   }
-
-  // src/ui/sceneCard.ts
-  function formatDuration(seconds) {
-    if (!seconds) return "N/A";
-    const h = Math.floor(seconds / 3600);
-    const m = Math.floor(seconds % 3600 / 60);
-    const s = Math.floor(seconds % 60);
-    if (h > 0) {
-      return `${h}:${m.toString().padStart(2, "0")}:${s.toString().padStart(2, "0")}`;
+  function parseCustomCurve(text) {
+    const points = [];
+    for (const part of text.split(/[,;\n]/)) {
+      if (!part.trim()) continue;
+      const match = part.trim().match(/^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/);
+      if (!match) return null;
+      const percentile = Number(match[1]);
+      const rating = Number(match[2]);
+      if (percentile > 100 || rating < 1 || rating > 100) return null;
+      points.push({ percentile, rating });
     }
-    return `${m}:${s.toString().padStart(2, "0")}`;
+    points.sort((x, y) => x.percentile - y.percentile);
+    if (points.length < 2) return null;
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].percentile === points[i - 1].percentile || points[i].rating < points[i - 1].rating) return null;
+    }
+    return points;
   }
-  function createSceneCard(scene, side, rank = null, statusBadge = null) {
-    const file = scene.files && scene.files[0] ? scene.files[0] : {};
-    const duration = file.duration;
-    const performers = scene.performers && scene.performers.length > 0 ? scene.performers.map((p) => p.name).join(", ") : "No performers";
-    const studio = scene.studio ? scene.studio.name : "No studio";
-    const tags = scene.tags ? scene.tags.slice(0, 5).map((t) => t.name) : [];
-    const title = resolveSceneTitle(scene);
-    const screenshotPath = scene.paths ? scene.paths.screenshot : null;
-    const previewPath = scene.paths ? scene.paths.preview : null;
-    const stashRating = scene.rating100 ? `${scene.rating100}/100` : "Unrated";
-    let rankDisplay = "";
-    if (rank !== null && rank !== void 0) {
-      rankDisplay = `<span class="sb-scene-rank">#${rank}</span>`;
+  function interpolate(points, percentile) {
+    if (percentile <= points[0].percentile) return points[0].rating;
+    for (let i = 1; i < points.length; i++) {
+      const hi = points[i];
+      if (percentile <= hi.percentile) {
+        const lo = points[i - 1];
+        return lo.rating + (percentile - lo.percentile) / (hi.percentile - lo.percentile) * (hi.rating - lo.rating);
+      }
     }
-    let statusBadgeHtml = "";
-    if (typeof statusBadge === "string") {
-      statusBadgeHtml = `<div class="sb-streak-badge">${statusBadge}</div>`;
-    } else if (statusBadge !== null && statusBadge > 0) {
-      statusBadgeHtml = `<div class="sb-streak-badge">🔥 ${statusBadge} win${statusBadge > 1 ? "s" : ""}</div>`;
+    return points[points.length - 1].rating;
+  }
+  function targetRating(options, p) {
+    let value;
+    switch (options.curve) {
+      case "uniform":
+        value = 1 + p * 99;
+        break;
+      case "normal":
+        value = options.mean + options.sd * probit(p);
+        break;
+      case "custom":
+        value = interpolate(options.points, p * 100);
+        break;
     }
-    const currentParams = window.location.search;
-    const sceneUrl = `/scenes/${scene.id}${currentParams}`;
-    return `
-      <div class="sb-scene-card" data-side="${side}">
-        <div class="sb-scene-image-container" data-scene-url="${sceneUrl}">
-          ${screenshotPath ? `<img class="sb-scene-image" src="${screenshotPath}" alt="${title}" loading="lazy" />` : `<div class="sb-scene-image sb-no-image">No Screenshot</div>`}
-          ${previewPath ? `<video class="sb-hover-preview" src="${previewPath}" loop playsinline></video>` : ""}
-          <div class="sb-scene-duration">${formatDuration(duration)}</div>
-          ${statusBadgeHtml}
-          <div class="sb-click-hint">Click to open scene</div>
-        </div>
-
-        <div class="sb-scene-body" data-winner="${scene.id}">
-          <div class="sb-scene-info">
-            <div class="sb-scene-title-row">
-              <h3 class="sb-scene-title">${title}</h3>
-              ${rankDisplay}
-            </div>
+    return Math.max(1, Math.min(100, Math.round(value)));
+  }
+  function ratingHistogram(ratings) {
+    const bins = new Array(RESCALE_HISTOGRAM_BINS).fill(0);
+    const width = 100 / RESCALE_HISTOGRAM_BINS;
+    for (const rating of ratings) {
+      bins[Math.min(RESCALE_HISTOGRAM_BINS - 1, Math.floor((rating - 1) / width))]++;
+    }
+    return bins;
+  }
+  async function buildRescalePreview(options) {
+    const entity = state.entityType;
+    const { scenes } = await getAllScenesCached();
+    const rated = sortByPreciseRating(scenes.filter((s) => s.rating100));
+    const n = rated.length;
+    const rows = rated.map((scene, i) => ({
+      id: scene.id,
+      title: entityDisplayName(scene),
+      before: scene.rating100,
+      after: targetRating(options, (n - i - 0.5) / n)
+    }));
+    return {
+      entity,
+      rows,
+      histogramBefore: ratingHistogram(rows.map((r) => r.before)),
+      histogramAfter: ratingHistogram(rows.map((r) => r.after))
+    };
+  }
+  async function applyRescale(preview, onProgress) {
+    assertEntityType(preview.entity);
+    const changed = preview.rows.filter((r) => r.after !== r.before);
+    await writeRatingsInBulk(
+      changed.map((r) => ({ id: r.id, rating100: r.after })),
+      onProgress
+    );
+    console.log(`[Stash Battle] 📊 Rescaled ratings: ${changed.length} ratings written`);
+    return changed.length;
+  }
 
-            <div class="sb-scene-meta">
-              <div class="sb-meta-item"><strong>Studio:</strong> ${studio}</div>
-              <div class="sb-meta-item"><strong>Performers:</strong> ${performers}</div>
-              <div class="sb-meta-item"><strong>Play Count:</strong> ${scene.play_count || 0}</div>
-              <div class="sb-meta-item"><strong>Rating:</strong> ${stashRating}</div>
-              <div class="sb-meta-item sb-tags-row"><strong>Tags:</strong> ${tags.length > 0 ? tags.map((tag) => `<span class="sb-tag">${tag}</span>`).join("") : '<span class="sb-none">None</span>'}</div>
+  // src/ui/rescalePanel.ts
+  function histogramHtml(before, after) {
+    const max = Math.max(1, ...before, ...after);
+    const width = 100 / RESCALE_HISTOGRAM_BINS;
+    const rows = before.map((count, i) => {
+      const from = Math.round(i * width) + 1;
+      const to = Math.round((i + 1) * width);
+      return `
+            <div class="sb-histogram-row">
+              <span class="sb-histogram-label">${from}–${to}</span>
+              <div class="sb-histogram-bars">
+                <div class="sb-histogram-bar sb-histogram-before" style="width:${count / max * 100}%"></div>
+                <div class="sb-histogram-bar sb-histogram-after" style="width:${after[i] / max * 100}%"></div>
+              </div>
+              <span class="sb-histogram-count">${count} → ${after[i]}</span>
+            </div>`;
+    });
+    return `
+          <div class="sb-histogram">
+            <div class="sb-histogram-legend">
+              <span class="sb-histogram-key sb-histogram-before"></span> Before
+              <span class="sb-histogram-key sb-histogram-after"></span> After
             </div>
-          </div>
-
-          <div class="sb-choose-btn">
-            ✓ Choose This Scene
-          </div>
-        </div>
+            ${rows.reverse().join("")}
+          </div>`;
+  }
+  function previewRow2(row, rank) {
+    return `
+            <tr class="${row.before === row.after ? "sb-recalc-unchanged" : ""}">
+              <td>${rank}</td>
+              <td><span class="sb-history-scene">${escapeHtml(row.title)}</span> <span class="sb-history-id">#${escapeHtml(row.id)}</span></td>
+              <td>${row.before} → ${row.after}</td>
+            </tr>`;
+  }
+  function readOptions(container) {
+    const curve = container.querySelector("#sb-rescale-curve")?.value;
+    const mean = Number(container.querySelector("#sb-rescale-mean")?.value);
+    const sd = Number(container.querySelector("#sb-rescale-sd")?.value);
+    const customInput = container.querySelector("#sb-rescale-custom");
+    const points = curve === "custom" ? parseCustomCurve(customInput?.value ?? "") : [];
+    customInput?.classList.toggle("sb-input-invalid", points === null);
+    if (points === null) return null;
+    return {
+      curve,
+      mean: Number.isFinite(mean) ? mean : RESCALE_NORMAL_MEAN,
+      sd: Number.isFinite(sd) && sd > 0 ? sd : RESCALE_NORMAL_SD,
+      points
+    };
+  }
+  function showCurveInputs(container) {
+    const curve = container.querySelector("#sb-rescale-curve")?.value;
+    container.querySelectorAll("[data-rescale-curve]").forEach((el) => {
+      el.hidden = el.dataset.rescaleCurve !== curve;
+    });
+  }
+  async function renderPreview(container, options) {
+    const area = container.querySelector("#sb-rescale-preview");
+    if (!area) return;
+    area.innerHTML = `<div class="sb-loading">Computing new ratings...</div>`;
+    let preview;
+    try {
+      preview = await buildRescalePreview(options);
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Rescale preview failed:", e);
+      area.innerHTML = `<div class="sb-error">Could not compute the new ratings: ${escapeHtml(e instanceof Error ? e.message : String(e))}</div>`;
+      return;
+    }
+    const { label, plural } = currentEntity();
+    if (preview.rows.length === 0) {
+      area.innerHTML = `<div class="sb-panel-empty">No rated ${plural} to rescale.</div>`;
+      return;
+    }
+    const changedCount = preview.rows.filter((r) => r.before !== r.after).length;
+    area.innerHTML = `
+      <p class="sb-panel-summary">
+        ${preview.rows.length} rated ${plural} keep their order — ${changedCount} ratings would change. Unrated ${plural} are not touched.
+      </p>
+      ${histogramHtml(preview.histogramBefore, preview.histogramAfter)}
+      <div class="sb-recalc-actions">
+        <button id="sb-rescale-apply" class="btn btn-primary" ${changedCount === 0 ? "disabled" : ""}>Write ${changedCount} ratings to Stash</button>
+        <span id="sb-rescale-progress" class="sb-panel-summary"></span>
+      </div>
+      <table class="sb-table">
+        <thead>
+          <tr><th>Rank</th><th>${escapeHtml(label)}</th><th>Rating</th></tr>
+        </thead>
+        <tbody>
+          ${preview.rows.map((row, i) => previewRow2(row, i + 1)).join("")}
+        </tbody>
+      </table>
+    `;
+    const applyBtn = area.querySelector("#sb-rescale-apply");
+    const progress = area.querySelector("#sb-rescale-progress");
+    applyBtn?.addEventListener("click", async () => {
+      if (!window.confirm(`Overwrite ${changedCount} ${label.toLowerCase()} ratings in Stash? Undo history will be cleared.`)) return;
+      applyBtn.disabled = true;
+      try {
+        const written = await applyRescale(preview, (done, total) => {
+          if (progress) progress.textContent = `Writing ${done} / ${total}...`;
+        });
+        updateUndoButton();
+        window.alert(`Rescaled ratings: ${written} ratings updated.`);
+      } catch (e) {
+        console.error("[Stash Battle] ❌ Rescale failed:", e);
+        window.alert(`Rescale failed: ${e instanceof Error ? e.message : String(e)}`);
+      }
+      area.innerHTML = "";
+    });
+  }
+  function renderRescaleTool(container) {
+    container.innerHTML = `
+      <h3 class="sb-tool-title">📊 Rescale Ratings</h3>
+      <p class="sb-panel-summary">
+        Keep the current rank order but spread ratings over a target curve — breaks up ties where many ${currentEntity().plural} sit at 98–100.
+      </p>
+      <div class="sb-panel-controls">
+        <label>
+          Target
+          <select id="sb-rescale-curve" class="sb-input">
+            <option value="uniform">Uniform (percentile)</option>
+            <option value="normal">Normal (bell curve)</option>
+            <option value="custom">Custom curve</option>
+          </select>
+        </label>
+        <label data-rescale-curve="normal" hidden>
+          Mean <input id="sb-rescale-mean" type="number" class="sb-input" min="1" max="100" value="${RESCALE_NORMAL_MEAN}">
+        </label>
+        <label data-rescale-curve="normal" hidden>
+          Std. dev. <input id="sb-rescale-sd" type="number" class="sb-input" min="1" max="50" value="${RESCALE_NORMAL_SD}">
+        </label>
+        <label data-rescale-curve="custom" hidden title="percentile:rating pairs, bottom (0) to top (100); ratings must not decrease">
+          Points <input id="sb-rescale-custom" type="text" class="sb-input sb-rescale-custom" value="${escapeHtml(RESCALE_DEFAULT_CUSTOM_CURVE)}">
+        </label>
+        <button id="sb-rescale-preview-btn" class="btn btn-secondary">Preview</button>
       </div>
+      <div id="sb-rescale-preview"></div>
     `;
+    container.querySelector("#sb-rescale-curve")?.addEventListener("change", () => showCurveInputs(container));
+    container.querySelector("#sb-rescale-preview-btn")?.addEventListener("click", () => {
+      const options = readOptions(container);
+      if (options) void renderPreview(container, options);
+    });
   }
 
-  // src/ui/screens.ts
-  function buildEndScreenHtml(scene, crown, headline, statsHtml, buttonLabel) {
-    const title = resolveSceneTitle(scene);
-    const screenshotPath = scene.paths?.screenshot ?? null;
+  // src/ui/snapshotPanel.ts
+  var KIND_LABELS = {
+    session: "Session start",
+    manual: "Manual",
+    restore: "Before restore",
+    import: "Before import"
+  };
+  function formatRating3(rating) {
+    return rating === null ? "Unrated" : String(rating);
+  }
+  function snapshotRow(snapshot) {
+    const ratings = Object.values(snapshot.ratings);
+    const rated = ratings.filter((r) => r !== null).length;
     return `
-      <div class="sb-end-screen">
-        <div class="sb-end-screen-icon">${crown}</div>
-        <h2 class="sb-end-screen-headline">${headline}</h2>
-        <div class="sb-end-screen-scene">
-          ${screenshotPath ? `<img class="sb-end-screen-image" src="${screenshotPath}" alt="${title}" />` : `<div class="sb-end-screen-image sb-no-image">No Screenshot</div>`}
-        </div>
-        <h3 class="sb-end-screen-name">${title}</h3>
-        <p class="sb-end-screen-stats">${statsHtml}</p>
-        <button id="sb-new-gauntlet" class="btn btn-primary">${buttonLabel}</button>
+            <tr>
+              <td class="sb-history-time">${new Date(snapshot.timestamp).toLocaleString()}</td>
+              <td>${KIND_LABELS[snapshot.kind]}</td>
+              <td>${rated} of ${ratings.length}</td>
+              <td class="sb-snapshot-actions">
+                <button class="btn btn-secondary btn-sm" data-snapshot-compare="${snapshot.id}">Compare</button>
+                <button class="btn btn-secondary btn-sm" data-snapshot-delete="${snapshot.id}">Delete</button>
+              </td>
+            </tr>`;
+  }
+  function diffRow(row) {
+    const { label } = currentEntity();
+    return `
+            <tr>
+              <td><input type="checkbox" class="sb-snapshot-pick" data-id="${escapeHtml(row.id)}" checked></td>
+              <td><span class="sb-history-scene">${escapeHtml(row.title || `${label} ${row.id}`)}</span> <span class="sb-history-id">#${escapeHtml(row.id)}</span></td>
+              <td>${formatRating3(row.current)} → ${formatRating3(row.snapshot)}</td>
+            </tr>`;
+  }
+  async function renderDiff(container, snapshot) {
+    const area = container.querySelector("#sb-snapshot-diff");
+    if (!area) return;
+    const { plural } = currentEntity();
+    area.innerHTML = `<div class="sb-loading">Comparing with Stash...</div>`;
+    let diff;
+    try {
+      diff = await diffSnapshot(snapshot);
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Snapshot compare failed:", e);
+      area.innerHTML = `<div class="sb-error">Could not compare with Stash: ${escapeHtml(e instanceof Error ? e.message : String(e))}</div>`;
+      return;
+    }
+    const notes = [
+      diff.added > 0 ? `${diff.added} ${plural} added since are not touched` : "",
+      diff.removed > 0 ? `${diff.removed} no longer in the library` : ""
+    ].filter(Boolean);
+    const taken = new Date(snapshot.timestamp).toLocaleString();
+    if (diff.rows.length === 0) {
+      area.innerHTML = `<div class="sb-panel-empty">Every rating still matches the snapshot of ${taken}.${notes.length > 0 ? ` (${notes.join("; ")})` : ""}</div>`;
+      return;
+    }
+    area.innerHTML = `
+      <p class="sb-panel-summary">
+        ${diff.rows.length} ratings changed since the snapshot of ${taken}${notes.length > 0 ? ` — ${notes.join("; ")}` : ""}.
+      </p>
+      <div class="sb-recalc-actions">
+        <button id="sb-snapshot-restore" class="btn btn-primary">Restore ${diff.rows.length} ratings</button>
+        <span id="sb-snapshot-progress" class="sb-panel-summary"></span>
       </div>
+      <table class="sb-table">
+        <thead>
+          <tr><th><input type="checkbox" id="sb-snapshot-pick-all" checked></th><th>${escapeHtml(currentEntity().label)}</th><th>Now → Snapshot</th></tr>
+        </thead>
+        <tbody>
+          ${diff.rows.map(diffRow).join("")}
+        </tbody>
+      </table>
     `;
+    const restoreBtn = area.querySelector("#sb-snapshot-restore");
+    const progress = area.querySelector("#sb-snapshot-progress");
+    const picks = Array.from(area.querySelectorAll(".sb-snapshot-pick"));
+    const pickAll = area.querySelector("#sb-snapshot-pick-all");
+    const selectedRows = () => {
+      const ids = new Set(picks.filter((p) => p.checked).map((p) => p.dataset.id));
+      return diff.rows.filter((row) => ids.has(row.id));
+    };
+    const updateRestoreButton = () => {
+      const count = selectedRows().length;
+      if (!restoreBtn) return;
+      restoreBtn.textContent = `Restore ${count} ratings`;
+      restoreBtn.disabled = count === 0;
+    };
+    pickAll?.addEventListener("change", () => {
+      picks.forEach((p) => p.checked = pickAll.checked);
+      updateRestoreButton();
+    });
+    picks.forEach((p) => p.addEventListener("change", updateRestoreButton));
+    restoreBtn?.addEventListener("click", async () => {
+      const rows = selectedRows();
+      const message = `Write ${rows.length} ${currentEntity().label.toLowerCase()} ratings back from the snapshot of ${taken}? The current ratings are saved as a snapshot first. Undo history will be cleared.`;
+      if (!window.confirm(message)) return;
+      restoreBtn.disabled = true;
+      try {
+        const written = await restoreSnapshot(snapshot, rows, (done, total) => {
+          if (progress) progress.textContent = `Writing ${done} / ${total}...`;
+        });
+        updateUndoButton();
+        window.alert(`Restored ratings: ${written} ratings updated.`);
+      } catch (e) {
+        console.error("[Stash Battle] ❌ Snapshot restore failed:", e);
+        window.alert(`Restore failed: ${e instanceof Error ? e.message : String(e)}`);
+      }
+      await renderSnapshotList(container);
+      area.innerHTML = "";
+    });
   }
-  function showEndScreen(html) {
-    const comparisonArea = document.getElementById("sb-comparison-area");
-    if (!comparisonArea) return;
-    comparisonArea.innerHTML = html;
-    const actionsEl = document.querySelector(".sb-actions");
-    if (actionsEl) actionsEl.style.display = "none";
-    comparisonArea.querySelector("#sb-new-gauntlet")?.addEventListener("click", () => {
-      if (actionsEl) actionsEl.style.display = "";
-      loadNewPair();
+  async function renderSnapshotList(container) {
+    const list = container.querySelector("#sb-snapshot-list");
+    if (!list) return;
+    const snapshots = await listSnapshots();
+    if (snapshots.length === 0) {
+      list.innerHTML = `<div class="sb-panel-empty">No snapshots yet.</div>`;
+      return;
+    }
+    list.innerHTML = `
+      <table class="sb-table">
+        <thead>
+          <tr><th>Taken</th><th>Kind</th><th>Rated</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${snapshots.map(snapshotRow).join("")}
+        </tbody>
+      </table>
+    `;
+    const byId = new Map(snapshots.map((s) => [String(s.id), s]));
+    list.querySelectorAll("[data-snapshot-compare]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const snapshot = byId.get(btn.dataset.snapshotCompare ?? "");
+        if (snapshot) void renderDiff(container, snapshot);
+      });
+    });
+    list.querySelectorAll("[data-snapshot-delete]").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        if (!window.confirm("Delete this snapshot? Ratings in Stash are not affected.")) return;
+        await deleteSnapshot(Number(btn.dataset.snapshotDelete));
+        const diffArea = container.querySelector("#sb-snapshot-diff");
+        if (diffArea) diffArea.innerHTML = "";
+        await renderSnapshotList(container);
+      });
     });
   }
-  function finishRunShowEndScreen(html) {
-    resetGauntletState();
-    saveState();
-    showEndScreen(html);
+  function renderSnapshotTool(container) {
+    const { plural } = currentEntity();
+    const automatic = settings.snapshotsKept > 0 ? `One is taken when the modal opens if ratings changed since the last one (the latest ${settings.snapshotsKept} are kept).` : "Automatic snapshots are off (Settings → Automatic snapshots).";
+    container.innerHTML = `
+      <h3 class="sb-tool-title">🗂️ Rating Snapshots</h3>
+      <p class="sb-panel-summary">
+        Saved copies of every ${currentEntity().label.toLowerCase()} rating, to roll back a session of battles or a bulk tool. ${automatic}
+      </p>
+      <div class="sb-panel-controls">
+        <button id="sb-snapshot-take" class="btn btn-secondary">📸 Take snapshot now</button>
+        <span id="sb-snapshot-status" class="sb-panel-summary"></span>
+      </div>
+      <div id="sb-snapshot-list"><div class="sb-loading">Loading snapshots...</div></div>
+      <div id="sb-snapshot-diff"></div>
+    `;
+    const takeBtn = container.querySelector("#sb-snapshot-take");
+    const status = container.querySelector("#sb-snapshot-status");
+    takeBtn?.addEventListener("click", async () => {
+      takeBtn.disabled = true;
+      if (status) status.textContent = `Reading ${plural}...`;
+      const snapshot = await takeSnapshot("manual");
+      if (status) {
+        status.textContent = snapshot ? `Saved ${Object.keys(snapshot.ratings).length} ratings.` : "Snapshot failed — see the console.";
+      }
+      takeBtn.disabled = false;
+      await renderSnapshotList(container);
+    });
+    void renderSnapshotList(container);
   }
-  function showVictoryScreen(champion) {
-    const totalScenes = state.totalScenesCount;
-    const winStreak = state.gauntletWins;
-    const ratingLine = champion.rating100 != null ? `<br>Rating: <strong>${champion.rating100}/100</strong>` : "";
-    const html = buildEndScreenHtml(
-      champion,
-      "👑",
-      "CHAMPION!",
-      `Conquered all ${totalScenes} scenes with a ${winStreak} win streak!${ratingLine}`,
-      "Start New Gauntlet"
+
+  // src/ui/tierPanel.ts
+  var DEFAULT_TIERS = {
+    percentile: TIER_DEFAULT_PERCENTILES,
+    rating: TIER_DEFAULT_RATINGS
+  };
+  var TIERS_HINT = {
+    percentile: "name:percent pairs, best first — each tier reaches down to the top N% of the rated library",
+    rating: "name:rating pairs, best first — each tier takes ratings from N up to the tier above"
+  };
+  function readConfig(container) {
+    const basis = container.querySelector("#sb-tier-basis")?.value;
+    const tiersInput = container.querySelector("#sb-tier-tiers");
+    const prefix = container.querySelector("#sb-tier-prefix")?.value ?? "";
+    const autoSync = container.querySelector("#sb-tier-auto")?.checked ?? false;
+    const tiers = parseTiers(tiersInput?.value ?? "", basis);
+    tiersInput?.classList.toggle("sb-input-invalid", tiers === null);
+    return tiers ? { basis, prefix, tiers, autoSync } : null;
+  }
+  function countsHtml(plan) {
+    const rows = plan.tiers.map(
+      (tier) => `
+            <tr class="${tier.now === tier.after ? "sb-recalc-unchanged" : ""}">
+              <td>${escapeHtml(tier.name)}</td>
+              <td>${escapeHtml(tier.tag)}${tier.tagId === null ? " <em>(new)</em>" : ""}</td>
+              <td>${tier.now} → ${tier.after}</td>
+            </tr>`
     );
-    finishRunShowEndScreen(html);
+    return `
+      <table class="sb-table">
+        <thead>
+          <tr><th>Tier</th><th>Tag</th><th>Tagged</th></tr>
+        </thead>
+        <tbody>
+          ${rows.join("")}
+        </tbody>
+      </table>`;
   }
-  function showPlacementScreen(scene, rank, finalRating) {
-    const html = buildEndScreenHtml(
-      scene,
-      "📍",
-      "PLACED!",
-      `Rank <strong>#${rank}</strong> of ${state.totalScenesCount}<br>Rating: <strong>${finalRating}/100</strong>`,
-      "Start New Run"
+  function movesHtml(plan) {
+    const label = (tier) => tier === null ? "No tier" : escapeHtml(tier);
+    const transitions = /* @__PURE__ */ new Map();
+    for (const move of plan.moves) {
+      const key = JSON.stringify([move.from, move.to]);
+      const entry = transitions.get(key) ?? { from: move.from, to: move.to, count: 0 };
+      entry.count++;
+      transitions.set(key, entry);
+    }
+    const rows = [...transitions.values()].sort((a, b) => b.count - a.count).map(
+      (t) => `
+            <tr>
+              <td>${label(t.from)} → ${label(t.to)}${t.from === t.to ? " (extra tier tags removed)" : ""}</td>
+              <td>${t.count}</td>
+            </tr>`
     );
-    finishRunShowEndScreen(html);
+    return `
+      <h4 class="sb-tool-subtitle">Moves</h4>
+      <table class="sb-table">
+        <thead>
+          <tr><th>Tier</th><th>${escapeHtml(currentEntity().plural)}</th></tr>
+        </thead>
+        <tbody>
+          ${rows.join("")}
+        </tbody>
+      </table>`;
+  }
+  async function renderPreview2(container, config) {
+    const area = container.querySelector("#sb-tier-preview");
+    if (!area) return;
+    const { plural } = currentEntity();
+    area.innerHTML = `<div class="sb-loading">Reading tier tags...</div>`;
+    let plan;
+    try {
+      plan = await planTierSync(config);
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Tier preview failed:", e);
+      area.innerHTML = `<div class="sb-error">Could not read the tier tags: ${escapeHtml(e instanceof Error ? e.message : String(e))}</div>`;
+      return;
+    }
+    const count = plan.moves.length;
+    const outside = plan.outsidePool > 0 ? ` ${plan.outsidePool} tagged ${plural} added since the cache was loaded keep their tags.` : "";
+    area.innerHTML = `
+      <p class="sb-panel-summary">
+        ${count === 0 ? "Every tier tag is up to date." : `${count} ${plural} change tier.`} Unrated ${plural} and those below the last tier get no tier tag.${outside}
+      </p>
+      <div class="sb-recalc-actions">
+        <button id="sb-tier-apply" class="btn btn-primary" ${count === 0 ? "disabled" : ""}>Update tags on ${count} ${plural}</button>
+        <span id="sb-tier-progress" class="sb-panel-summary"></span>
+      </div>
+      ${countsHtml(plan)}
+      ${count > 0 ? movesHtml(plan) : ""}
+    `;
+    const applyBtn = area.querySelector("#sb-tier-apply");
+    const progress = area.querySelector("#sb-tier-progress");
+    applyBtn?.addEventListener("click", async () => {
+      if (!window.confirm(`Update the tier tags of ${count} ${plural} in Stash? Other tags are not touched.`)) return;
+      applyBtn.disabled = true;
+      try {
+        const changed = await applyTierSync(plan, (done, total) => {
+          if (progress) progress.textContent = `Writing ${done} / ${total}...`;
+        });
+        window.alert(`Tier tags updated: ${changed} ${plural} changed tier.`);
+        area.innerHTML = "";
+      } catch (e) {
+        console.error("[Stash Battle] ❌ Tier tag sync failed:", e);
+        window.alert(`Tier tag update failed: ${e instanceof Error ? e.message : String(e)}`);
+        applyBtn.disabled = false;
+      }
+    });
+  }
+  function renderTierTool(container) {
+    const { plural } = currentEntity();
+    const config = loadTierConfig();
+    container.innerHTML = `
+      <h3 class="sb-tool-title">🏷️ Tier Tags</h3>
+      <p class="sb-panel-summary">
+        Tag ${plural} by their place in the rankings, so tiers can be browsed with Stash's tag filters. Tier tags are created when needed; other tags are never touched.
+      </p>
+      <div class="sb-panel-controls">
+        <label>
+          Tiers by
+          <select id="sb-tier-basis" class="sb-input">
+            <option value="percentile" ${config.basis === "percentile" ? "selected" : ""}>Percentile</option>
+            <option value="rating" ${config.basis === "rating" ? "selected" : ""}>Rating</option>
+          </select>
+        </label>
+        <label title="${escapeHtml(TIERS_HINT[config.basis])}">
+          Tiers <input id="sb-tier-tiers" type="text" class="sb-input sb-tier-tiers" value="${escapeHtml(formatTiers(config.tiers))}">
+        </label>
+        <label>
+          Tag prefix <input id="sb-tier-prefix" type="text" class="sb-input sb-tier-prefix" value="${escapeHtml(config.prefix)}">
+        </label>
+        <label>
+          <input type="checkbox" id="sb-tier-auto" ${config.autoSync ? "checked" : ""}>
+           Sync after each session
+        </label>
+        <button id="sb-tier-preview-btn" class="btn btn-secondary">Preview</button>
+      </div>
+      <div id="sb-tier-preview"></div>
+    `;
+    const basisSelect = container.querySelector("#sb-tier-basis");
+    const tiersInput = container.querySelector("#sb-tier-tiers");
+    basisSelect?.addEventListener("change", () => {
+      const basis = basisSelect.value;
+      if (tiersInput) {
+        tiersInput.value = DEFAULT_TIERS[basis];
+        tiersInput.classList.remove("sb-input-invalid");
+        tiersInput.parentElement?.setAttribute("title", TIERS_HINT[basis]);
+      }
+    });
+    const autoSync = container.querySelector("#sb-tier-auto");
+    autoSync?.addEventListener("change", () => {
+      const next = readConfig(container);
+      if (next) saveTierConfig(next);
+      else autoSync.checked = !autoSync.checked;
+    });
+    container.querySelector("#sb-tier-preview-btn")?.addEventListener("click", () => {
+      const next = readConfig(container);
+      if (!next) return;
+      saveTierConfig(next);
+      void renderPreview2(container, next);
+    });
+  }
+
+  // src/ui/toolsPanel.ts
+  function renderToolsPanel() {
+    const panel = document.getElementById("sb-tools-panel");
+    if (!panel) return;
+    panel.innerHTML = `
+      <section id="sb-tool-rescale" class="sb-tool"></section>
+      <section id="sb-tool-snapshots" class="sb-tool"></section>
+      <section id="sb-tool-export" class="sb-tool"></section>
+      <section id="sb-tool-import" class="sb-tool"></section>
+      <section id="sb-tool-tiers" class="sb-tool"></section>
+    `;
+    const rescale = panel.querySelector("#sb-tool-rescale");
+    if (rescale) renderRescaleTool(rescale);
+    const snapshots = panel.querySelector("#sb-tool-snapshots");
+    if (snapshots) renderSnapshotTool(snapshots);
+    const exporter = panel.querySelector("#sb-tool-export");
+    if (exporter) renderExportTool(exporter);
+    const importer = panel.querySelector("#sb-tool-import");
+    if (importer) renderImportTool(importer);
+    const tiers = panel.querySelector("#sb-tool-tiers");
+    if (tiers) renderTierTool(tiers);
+  }
+
+  // src/ui/tabs.ts
+  var TABS = [
+    { id: "battle", label: "⚔️ Battle" },
+    { id: "history", label: "📜 History", render: () => void renderHistoryPanel() },
+    { id: "tools", label: "🛠️ Tools", render: renderToolsPanel },
+    { id: "settings", label: "⚙️ Settings", render: () => void renderSettingsPanel() }
+  ];
+  var activeTab = "battle";
+  function createTabBar() {
+    return `
+          <div class="sb-tabs">
+            ${TABS.map(
+      (tab) => `<button class="sb-tab-btn ${tab.id === activeTab ? "active" : ""}" data-tab="${tab.id}">${tab.label}</button>`
+    ).join("")}
+          </div>
+    `;
+  }
+  function isBattleTabActive() {
+    return activeTab === "battle";
+  }
+  function showTab(root, tabId) {
+    activeTab = tabId;
+    root.querySelectorAll(".sb-tab-btn").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.tab === tabId);
+    });
+    root.querySelectorAll("[data-tab-panel]").forEach((panel) => {
+      panel.hidden = panel.dataset.tabPanel !== tabId;
+    });
+    TABS.find((tab) => tab.id === tabId)?.render?.();
+  }
+  function refreshActiveTab() {
+    TABS.find((tab) => tab.id === activeTab)?.render?.();
+  }
+  function bindTabs(root) {
+    root.querySelectorAll(".sb-tab-btn").forEach((btn) => {
+      btn.addEventListener("click", () => showTab(root, btn.dataset.tab));
+    });
   }
 
   // src/ui/mainUI.ts
+  var GAUNTLET_START_OPTIONS = [
+    { value: "bottom", label: "From the bottom" },
+    { value: "top", label: "From the top" },
+    { value: "rank", label: "From its rank" }
+  ];
+  function entityTexts() {
+    const { label, plural } = currentEntity();
+    const noun = label.toLowerCase();
+    return {
+      subtitle: `Compare ${plural} head-to-head to build your rankings`,
+      plural,
+      place: `Place ${/^[aeiou]/.test(noun) ? "an" : "a"} ${noun}`,
+      tournamentSize: `Number of ${plural} seeded into the next tournament`,
+      gridSize: `Number of ${plural} shown in each grid`,
+      rankSize: `Number of ${plural} in each batch to order`,
+      refreshCache: `Refresh the ${noun} list from the server (use if you've added new ${plural})`
+    };
+  }
+  function updateEntityTexts() {
+    const texts = entityTexts();
+    document.querySelectorAll("[data-entity-text]").forEach((el) => {
+      el.textContent = texts[el.dataset.entityText];
+    });
+    document.querySelectorAll("[data-entity-title]").forEach((el) => {
+      el.title = texts[el.dataset.entityTitle];
+    });
+    document.querySelectorAll("option[data-entity-count]").forEach((option) => {
+      option.textContent = `${option.value} ${texts.plural}`;
+    });
+  }
   function createMainUI() {
+    const texts = entityTexts();
+    const sizeOption = (n, selected) => `<option value="${n}" data-entity-count ${selected ? "selected" : ""}>${n} ${texts.plural}</option>`;
     return `
       <div id="stash-battle-container" class="sb-container">
         <div class="sb-header">
           <h1 class="sb-title">⚔️ Stash Battle</h1>
-          <p class="sb-subtitle">Compare scenes head-to-head to build your rankings</p>
+          <p class="sb-subtitle" data-entity-text="subtitle">${texts.subtitle}</p>
+          ${createTabBar()}
 
-          <div class="sb-mode-toggle">
-            <button class="sb-mode-btn ${state.currentMode === "swiss" ? "active" : ""}" data-mode="swiss">
-              <span class="sb-mode-icon">⚖️</span>
-              <span class="sb-mode-title">Swiss</span>
-              <span class="sb-mode-desc">Fair matchups</span>
-            </button>
-            <button class="sb-mode-btn ${state.currentMode === "gauntlet" ? "active" : ""}" data-mode="gauntlet">
-              <span class="sb-mode-icon">🎯</span>
-              <span class="sb-mode-title">Gauntlet</span>
-              <span class="sb-mode-desc">Place a scene</span>
-            </button>
-            <button class="sb-mode-btn ${state.currentMode === "champion" ? "active" : ""}" data-mode="champion">
-              <span class="sb-mode-icon">🏆</span>
-              <span class="sb-mode-title">Champion</span>
-              <span class="sb-mode-desc">Winner stays on</span>
-            </button>
-          </div>
+          <div data-tab-panel="battle">
+            <div class="sb-mode-toggle">
+              <button class="sb-mode-btn ${state.currentMode === "swiss" ? "active" : ""}" data-mode="swiss">
+                <span class="sb-mode-icon">⚖️</span>
+                <span class="sb-mode-title">Swiss</span>
+                <span class="sb-mode-desc">Fair matchups</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "revisit" ? "active" : ""}" data-mode="revisit">
+                <span class="sb-mode-icon">🕰️</span>
+                <span class="sb-mode-title">Revisit</span>
+                <span class="sb-mode-desc">Stalest first</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "gauntlet" ? "active" : ""}" data-mode="gauntlet">
+                <span class="sb-mode-icon">🎯</span>
+                <span class="sb-mode-title">Gauntlet</span>
+                <span class="sb-mode-desc" data-entity-text="place">${texts.place}</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "quickplace" ? "active" : ""}" data-mode="quickplace">
+                <span class="sb-mode-icon">🔍</span>
+                <span class="sb-mode-title">Quick Place</span>
+                <span class="sb-mode-desc">Binary search</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "calibrate" ? "active" : ""}" data-mode="calibrate">
+                <span class="sb-mode-icon">🎚️</span>
+                <span class="sb-mode-title">Calibrate</span>
+                <span class="sb-mode-desc">Unrated first</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "champion" ? "active" : ""}" data-mode="champion">
+                <span class="sb-mode-icon">🏆</span>
+                <span class="sb-mode-title">Champion</span>
+                <span class="sb-mode-desc">Winner stays on</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "tournament" ? "active" : ""}" data-mode="tournament">
+                <span class="sb-mode-icon">🏟️</span>
+                <span class="sb-mode-title">Tournament</span>
+                <span class="sb-mode-desc">Knockout bracket</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "roundrobin" ? "active" : ""}" data-mode="roundrobin">
+                <span class="sb-mode-icon">🔄</span>
+                <span class="sb-mode-title">Round Robin</span>
+                <span class="sb-mode-desc">Everyone plays everyone</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "grid" ? "active" : ""}" data-mode="grid">
+                <span class="sb-mode-icon">🔢</span>
+                <span class="sb-mode-title">Best of N</span>
+                <span class="sb-mode-desc">Pick the best</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "rank" ? "active" : ""}" data-mode="rank">
+                <span class="sb-mode-icon">↕️</span>
+                <span class="sb-mode-title">Drag to Rank</span>
+                <span class="sb-mode-desc">Order a batch</span>
+              </button>
+            </div>
 
-          <div class="sb-opponents-toggle" style="margin-top:8px;">
-            <label>
-              <input type="checkbox" id="sb-filter-opponents-checkbox" ${state.filterOpponents ? "checked" : ""}>
-               Use filtered scenes for both sides
-            </label>
-            <label style="margin-left:16px;">
-              <input type="checkbox" id="sb-mute-previews-checkbox" ${state.mutePreviews ? "checked" : ""}>
-               Mute hover previews
-            </label>
+            <div class="sb-opponents-toggle" style="margin-top:8px;">
+              <label>
+                <input type="checkbox" id="sb-filter-opponents-checkbox" ${state.filterOpponents ? "checked" : ""}>
+                 Use filtered <span data-entity-text="plural">${texts.plural}</span> for both sides
+              </label>
+              <label style="margin-left:16px;">
+                <input type="checkbox" id="sb-mute-previews-checkbox" ${state.mutePreviews ? "checked" : ""}>
+                 Mute hover previews
+              </label>
+              <label style="margin-left:16px;">
+                Rating engine
+                <select id="sb-rating-engine-select" class="sb-input">
+                  <option value="elo" ${state.ratingEngine === "elo" ? "selected" : ""}>ELO</option>
+                  <option value="glicko2" ${state.ratingEngine === "glicko2" ? "selected" : ""}>Glicko-2</option>
+                </select>
+              </label>
+              <label id="sb-gauntlet-start-label" style="margin-left:16px;" title="Where the next gauntlet run starts" ${state.currentMode === "gauntlet" ? "" : "hidden"}>
+                Start
+                <select id="sb-gauntlet-start-select" class="sb-input">
+                  ${GAUNTLET_START_OPTIONS.map((o) => `<option value="${o.value}" ${state.gauntletStart === o.value ? "selected" : ""}>${o.label}</option>`).join("")}
+                </select>
+              </label>
+              <label id="sb-tournament-size-label" style="margin-left:16px;" title="${texts.tournamentSize}" data-entity-title="tournamentSize" ${state.currentMode === "tournament" ? "" : "hidden"}>
+                Bracket
+                <select id="sb-tournament-size-select" class="sb-input">
+                  ${TOURNAMENT_SIZES.map((n) => sizeOption(n, state.tournamentSize === n)).join("")}
+                </select>
+              </label>
+              <span id="sb-grid-options" ${state.currentMode === "grid" ? "" : "hidden"}>
+                <label style="margin-left:16px;" title="${texts.gridSize}" data-entity-title="gridSize">
+                  Grid
+                  <select id="sb-grid-size-select" class="sb-input">
+                    ${GRID_SIZES.map((n) => sizeOption(n, state.gridSize === n)).join("")}
+                  </select>
+                </label>
+                <label style="margin-left:16px;" title="After the best, also pick the worst (more results per grid)">
+                  <input type="checkbox" id="sb-grid-pick-worst-checkbox" ${state.gridPickWorst ? "checked" : ""}>
+                   Also pick worst
+                </label>
+              </span>
+              <label id="sb-rank-size-label" style="margin-left:16px;" title="${texts.rankSize}" data-entity-title="rankSize" ${state.currentMode === "rank" ? "" : "hidden"}>
+                Batch
+                <select id="sb-rank-size-select" class="sb-input">
+                  ${RANK_SIZES.map((n) => sizeOption(n, state.rankSize === n)).join("")}
+                </select>
+              </label>
+            </div>
+            <p id="sb-climb-pool-warning" class="sb-climb-warning" hidden>
+              Gauntlet and Champion can behave oddly with small filtered pools when both sides use the filter
+              (fewer than <span id="sb-climb-pool-warn-at">${settings.climbSmallPoolWarnAt}</span> <span data-entity-text="plural">${texts.plural}</span>). Prefer a larger filter or turn off filter opponents.
+            </p>
           </div>
-          <p id="sb-climb-pool-warning" class="sb-climb-warning" hidden>
-            Gauntlet and Champion can behave oddly with small filtered pools when both sides use the filter
-            (fewer than ${CLIMB_SMALL_POOL_WARN_AT} scenes). Prefer a larger filter or turn off filter opponents.
-          </p>
         </div>
 
-        <div class="sb-content">
+        <div class="sb-content" data-tab-panel="battle">
           <div id="sb-comparison-area" class="sb-comparison-area">
-            <div class="sb-loading">Loading scenes...</div>
+            <div class="sb-loading">Loading ${texts.plural}...</div>
           </div>
           <div class="sb-actions">
             <div class="sb-action-buttons">
+              <button id="sb-undo-btn" class="btn btn-secondary" title="Undo the last choice (restores both ratings)" disabled>↶ Undo</button>
               <button id="sb-skip-btn" class="btn btn-secondary">Skip (Get New Pair)</button>
-              <button id="sb-refresh-cache-btn" class="btn btn-secondary" title="Refresh scene list from server (use if you've added new scenes)">🔄 Refresh Cache</button>
+              <button id="sb-refresh-cache-btn" class="btn btn-secondary" title="${texts.refreshCache}" data-entity-title="refreshCache">🔄 Refresh Cache</button>
             </div>
             <div class="sb-keyboard-hint">
               <span>← Left Arrow</span> to choose left ·
               <span>→ Right Arrow</span> to choose right ·
-              <span>Space</span> to skip
+              <span>↓ Down Arrow</span> for a draw ·
+              <span>1–6</span> to pick in Best of N ·
+              <span>Space</span> to skip ·
+              <span>Backspace</span> to undo
             </div>
           </div>
         </div>
+
+        <div class="sb-panel" data-tab-panel="history" hidden>
+          <div id="sb-history-panel"></div>
+        </div>
+
+        <div class="sb-panel" data-tab-panel="tools" hidden>
+          <div id="sb-tools-panel"></div>
+        </div>
+
+        <div class="sb-panel" data-tab-panel="settings" hidden>
+          <div id="sb-settings-panel"></div>
+        </div>
       </div>
     `;
   }
+  function syncModeControls() {
+    document.querySelectorAll(".sb-mode-btn").forEach((b) => {
+      b.classList.toggle("active", b.dataset.mode === state.currentMode);
+    });
+    const gauntletStartLabel = document.getElementById("sb-gauntlet-start-label");
+    if (gauntletStartLabel) gauntletStartLabel.hidden = state.currentMode !== "gauntlet";
+    const sizeLabel = document.getElementById("sb-tournament-size-label");
+    if (sizeLabel) sizeLabel.hidden = state.currentMode !== "tournament";
+    const gridOptions = document.getElementById("sb-grid-options");
+    if (gridOptions) gridOptions.hidden = state.currentMode !== "grid";
+    const rankSizeLabel = document.getElementById("sb-rank-size-label");
+    if (rankSizeLabel) rankSizeLabel.hidden = state.currentMode !== "rank";
+  }
   function climbStatusBadge(scene) {
+    if (state.currentMode === "quickplace") {
+      const search = state.quickPlace;
+      if (!search || search.scene.id !== scene.id) return null;
+      return `🔍 Comparison ${search.comparisons + 1} of ≤${search.maxComparisons}`;
+    }
+    if (state.currentMode === "calibrate") {
+      const calibration = state.calibration;
+      if (!calibration || calibration.scene.id !== scene.id) return null;
+      return `🎚️ Calibration ${calibration.results.length + 1} of ${calibrationBattles()}`;
+    }
+    if (state.currentMode === "tournament" && state.tournament) {
+      return `🏟️ ${roundName(state.tournament, currentRoundIndex(state.tournament))}`;
+    }
     if (state.currentMode !== "gauntlet" && state.currentMode !== "champion") return null;
     if (state.gauntletFalling && state.gauntletFallingScene?.id === scene.id) {
       return "📍 Finding final placement...";
@@ -1282,9 +5409,77 @@
     }
     return null;
   }
+  function runProgressHtml() {
+    if (state.currentMode === "calibrate" && state.calibration) {
+      return `<span class="sb-run-progress">${state.calibration.unratedLeft} unrated left</span>`;
+    }
+    const roundRobin = state.roundRobin;
+    if (state.currentMode !== "roundrobin" || !roundRobin) return "";
+    const match = Math.min(roundRobin.results.length + 1, roundRobin.schedule.length);
+    return `<span class="sb-run-progress">Match ${match} of ${roundRobin.schedule.length}</span>`;
+  }
+  function recordChoice(choice, before, after, outcome = "win") {
+    const { winner, loser } = choice;
+    const record = recordBattle({
+      timestamp: Date.now(),
+      mode: state.currentMode,
+      entity: state.entityType,
+      engine: state.ratingEngine,
+      outcome,
+      winnerId: winner.id,
+      loserId: loser.id,
+      winnerTitle: resolveSceneTitle(winner),
+      loserTitle: resolveSceneTitle(loser),
+      winnerBefore: before.winner,
+      winnerAfter: after.winner,
+      loserBefore: before.loser,
+      loserAfter: after.loser,
+      winnerDelta: (after.winner ?? 0) - (before.winner ?? 0),
+      loserDelta: (after.loser ?? 0) - (before.loser ?? 0),
+      filterKey: readFilters().filterKey
+    });
+    attachHistoryRecord(record);
+    const result = { winnerId: winner.id, loserId: loser.id, outcome };
+    void countBattleResult(result);
+    attachBattleResult(result);
+  }
   function bindSceneChoice(body, choice) {
     body.addEventListener("click", () => handleSceneChoice(choice));
   }
+  function bindCardMedia(area) {
+    area.querySelectorAll(".sb-scene-image-container").forEach((container) => {
+      const sceneUrl = container.dataset.sceneUrl;
+      container.addEventListener("click", () => {
+        if (sceneUrl) {
+          navigateToUrl(sceneUrl);
+        }
+      });
+    });
+    area.querySelectorAll(".sb-scene-card").forEach((card) => {
+      const video = card.querySelector(".sb-hover-preview");
+      if (!video) return;
+      card.addEventListener("mouseenter", () => {
+        video.currentTime = 0;
+        video.muted = state.mutePreviews;
+        video.volume = 0.5;
+        video.play().catch(() => {
+        });
+      });
+      card.addEventListener("mouseleave", () => {
+        video.pause();
+        video.currentTime = 0;
+      });
+    });
+  }
+  function updateSkipButton() {
+    const skipBtn = document.querySelector("#sb-skip-btn");
+    if (skipBtn) {
+      const disableSkip = isRunInProgress();
+      skipBtn.disabled = disableSkip;
+      skipBtn.style.opacity = disableSkip ? "0.5" : "1";
+      skipBtn.style.cursor = disableSkip ? "not-allowed" : "pointer";
+    }
+  }
   function renderPair(scenes, ranks) {
     const comparisonArea = document.getElementById("sb-comparison-area");
     if (!comparisonArea) return;
@@ -1294,6 +5489,8 @@
         ${createSceneCard(scenes[0], "left", ranks[0], statusBadges[0])}
         <div class="sb-vs-divider">
           <span class="sb-vs-text">VS</span>
+          ${runProgressHtml()}
+          ${state.currentMode === "tournament" ? "" : `<button id="sb-draw-btn" class="btn btn-secondary sb-draw-btn" title="Too close to call (↓ Down Arrow)">🤝 Draw</button>`}
         </div>
         ${createSceneCard(scenes[1], "right", ranks[1], statusBadges[1])}
       </div>
@@ -1325,62 +5522,173 @@
         winnerRank: ranks[1],
         loserRank: ranks[0]
       });
+      comparisonArea.querySelector("#sb-draw-btn")?.addEventListener(
+        "click",
+        () => handleDrawChoice({
+          left,
+          right,
+          leftCard,
+          rightCard,
+          leftRank: ranks[0],
+          rightRank: ranks[1]
+        })
+      );
     }
-    comparisonArea.querySelectorAll(".sb-scene-image-container").forEach((container) => {
-      const sceneUrl = container.dataset.sceneUrl;
-      container.addEventListener("click", () => {
-        if (sceneUrl) {
-          navigateToUrl(sceneUrl);
-        }
-      });
+    bindCardMedia(comparisonArea);
+    updateSkipButton();
+    updateUndoButton();
+  }
+  var gridBestId = null;
+  function gridAsksForWorst(grid) {
+    return state.gridPickWorst && grid.scenes.length > 2;
+  }
+  function gridPromptText(grid) {
+    const noun = currentEntity().label.toLowerCase();
+    if (!gridAsksForWorst(grid)) return `Pick the best ${noun}`;
+    return gridBestId === null ? `Pick the best ${noun}, then the worst` : `Now pick the worst ${noun}`;
+  }
+  function renderGrid(grid) {
+    const comparisonArea = document.getElementById("sb-comparison-area");
+    if (!comparisonArea) return;
+    gridBestId = null;
+    comparisonArea.innerHTML = `
+      <div class="sb-grid-container">
+        <p class="sb-grid-prompt">${gridPromptText(grid)}</p>
+        <div class="sb-grid">
+          ${grid.scenes.map((scene, i) => createSceneCard(scene, i + 1, grid.ranks[i], `⌨️ ${i + 1}`)).join("")}
+        </div>
+      </div>
+    `;
+    grid.scenes.forEach((scene, i) => {
+      const card = comparisonArea.querySelector(`.sb-scene-card[data-side="${i + 1}"]`);
+      const body = card?.querySelector(".sb-scene-body");
+      if (card && body) body.addEventListener("click", () => handleGridPick(grid, scene, card));
     });
-    comparisonArea.querySelectorAll(".sb-scene-card").forEach((card) => {
-      const video = card.querySelector(".sb-hover-preview");
-      if (!video) return;
-      card.addEventListener("mouseenter", () => {
-        video.currentTime = 0;
-        video.muted = state.mutePreviews;
-        video.volume = 0.5;
-        video.play().catch(() => {
-        });
-      });
-      card.addEventListener("mouseleave", () => {
-        video.pause();
-        video.currentTime = 0;
-      });
+    bindCardMedia(comparisonArea);
+    updateSkipButton();
+    updateUndoButton();
+  }
+  function renderRankList(grid) {
+    const comparisonArea = document.getElementById("sb-comparison-area");
+    if (!comparisonArea) return;
+    comparisonArea.innerHTML = `
+      <div class="sb-grid-container sb-rank-container">
+        <p class="sb-grid-prompt">Drag the ${currentEntity().plural} into order, best at the top</p>
+        ${rankListHtml(grid)}
+        <div class="sb-rank-actions">
+          <button id="sb-rank-submit" class="btn btn-primary" title="Enter">✓ Submit Order</button>
+        </div>
+      </div>
+    `;
+    const list = comparisonArea.querySelector(".sb-rank-list");
+    const submitBtn = comparisonArea.querySelector("#sb-rank-submit");
+    if (list && submitBtn) {
+      const submit = () => submitRanking(grid, list, submitBtn);
+      bindRankList(list, submit);
+      submitBtn.addEventListener("click", submit);
+    }
+    updateSkipButton();
+    updateUndoButton();
+  }
+  function isMultiSceneMode(mode) {
+    return mode === "grid" || mode === "rank";
+  }
+  function hasCurrentMatchup() {
+    if (isMultiSceneMode(state.currentMode)) return state.currentGrid !== null;
+    return state.currentPair.left !== null && state.currentPair.right !== null;
+  }
+  function currentMatchupScenes() {
+    if (isMultiSceneMode(state.currentMode)) return state.currentGrid?.scenes ?? [];
+    return [state.currentPair.left, state.currentPair.right].filter((s) => s !== null);
+  }
+  var pendingTransition = null;
+  var choiceResolving = false;
+  var undoInProgress = false;
+  var pairRequestId = 0;
+  function scheduleTransition(next, delayMs) {
+    choiceResolving = false;
+    pendingTransition = setTimeout(() => {
+      pendingTransition = null;
+      next();
+    }, delayMs);
+    updateUndoButton();
+  }
+  function updateUndoButton() {
+    const disabled = !canUndo();
+    document.querySelectorAll("#sb-undo-btn, #sb-end-undo").forEach((btn) => {
+      btn.disabled = disabled;
     });
-    const skipBtn = document.querySelector("#sb-skip-btn");
-    if (skipBtn) {
-      const disableSkip = (state.currentMode === "gauntlet" || state.currentMode === "champion") && state.gauntletClimber !== null;
-      skipBtn.disabled = disableSkip;
-      skipBtn.style.opacity = disableSkip ? "0.5" : "1";
-      skipBtn.style.cursor = disableSkip ? "not-allowed" : "pointer";
+  }
+  async function undoLastChoice() {
+    if (!canUndo() || choiceResolving || undoInProgress) return;
+    undoInProgress = true;
+    if (pendingTransition) {
+      clearTimeout(pendingTransition);
+      pendingTransition = null;
+    }
+    pairRequestId++;
+    state.disableChoice = true;
+    try {
+      const entry = await popAndRestoreUndoEntry();
+      if (!entry || !hasCurrentMatchup()) return;
+      syncModeControls();
+      const actionsEl = document.querySelector(".sb-actions");
+      if (actionsEl) actionsEl.style.display = "";
+      renderCurrentMatchup();
+      updateClimbPoolWarning();
+      saveState();
+    } catch (e) {
+      console.error("[Stash Battle] Undo failed:", e);
+    } finally {
+      state.disableChoice = false;
+      undoInProgress = false;
+      updateUndoButton();
     }
   }
   async function loadNewPair(forcedLeftSceneId = null) {
     state.disableChoice = false;
+    choiceResolving = false;
+    const requestId = ++pairRequestId;
+    const isStale = () => requestId !== pairRequestId;
     const comparisonArea = document.getElementById("sb-comparison-area");
     if (!comparisonArea) return;
     console.log(
       `[Stash Battle] 🎮 Loading new pair (mode: ${state.currentMode})${forcedLeftSceneId ? ` with forced scene ${forcedLeftSceneId}` : ""}...`
     );
     const startTime = Date.now();
-    if (!comparisonArea.querySelector(".sb-vs-container")) {
+    if (!comparisonArea.querySelector(".sb-vs-container, .sb-grid-container")) {
       const hasCache = state.memoryCache.allScenes !== null;
-      comparisonArea.innerHTML = `<div class="sb-loading">${hasCache ? "Loading scenes..." : "Loading and caching scenes (first load may take a moment)..."}</div>`;
+      const { plural } = currentEntity();
+      comparisonArea.innerHTML = `<div class="sb-loading">${hasCache ? `Loading ${plural}...` : `Loading and caching ${plural} (first load may take a moment)...`}</div>`;
     }
     try {
       let forcedLeftScene = null;
       if (forcedLeftSceneId) {
-        forcedLeftScene = await fetchSceneById(forcedLeftSceneId);
+        forcedLeftScene = await fetchEntityById(forcedLeftSceneId);
+        if (isStale()) return;
         if (!forcedLeftScene) {
           console.warn("[Stash Battle] Could not fetch scene from URL, falling back to normal pairing");
         }
       }
+      if (isMultiSceneMode(state.currentMode)) {
+        const size = state.currentMode === "rank" ? state.rankSize : state.gridSize;
+        const grid = await fetchGridScenes(forcedLeftScene, size);
+        if (isStale()) return;
+        state.currentGrid = grid;
+        state.currentPair = { left: null, right: null };
+        state.currentRanks = { left: null, right: null };
+        console.log(
+          `[Stash Battle] ✅ ${state.currentMode === "rank" ? "Batch" : "Grid"} loaded in ${Date.now() - startTime}ms: Scenes ${grid.scenes.map((s) => s.id).join(", ")}`
+        );
+        renderCurrentMatchup();
+        saveState();
+        return;
+      }
       let scenes = [];
       let ranks = [null, null];
       if (state.currentMode === "gauntlet") {
         const gauntletResult = await fetchGauntletPair(forcedLeftScene);
+        if (isStale()) return;
         if (gauntletResult.isVictory) {
           showVictoryScreen(gauntletResult.scenes[0]);
           return;
@@ -1397,21 +5705,71 @@
         ranks = gauntletResult.ranks;
       } else if (state.currentMode === "champion") {
         const championResult = await fetchChampionPair(forcedLeftScene);
+        if (isStale()) return;
         if (championResult.isVictory) {
           showVictoryScreen(championResult.scenes[0]);
           return;
         }
         scenes = championResult.scenes;
         ranks = championResult.ranks;
+      } else if (state.currentMode === "quickplace") {
+        const quickPlaceResult = await fetchQuickPlacePair(forcedLeftScene);
+        if (isStale()) return;
+        scenes = quickPlaceResult.scenes;
+        ranks = quickPlaceResult.ranks;
+      } else if (state.currentMode === "calibrate") {
+        const calibrationResult = await fetchCalibrationPair(forcedLeftScene);
+        if (isStale()) return;
+        if (calibrationResult.isComplete) {
+          state.currentPair = { left: null, right: null };
+          state.currentRanks = { left: null, right: null };
+          showCalibrationDoneScreen();
+          saveState();
+          return;
+        }
+        scenes = calibrationResult.scenes;
+        ranks = calibrationResult.ranks;
+      } else if (state.currentMode === "tournament") {
+        const tournamentResult = await fetchTournamentPair();
+        if (isStale()) return;
+        if (tournamentResult.isRoundBreak || tournamentResult.isVictory) {
+          state.currentPair = { left: null, right: null };
+          state.currentRanks = { left: null, right: null };
+          if (tournamentResult.isVictory) showTournamentVictoryScreen(tournamentResult.scenes[0]);
+          else showTournamentRoundScreen();
+          saveState();
+          return;
+        }
+        scenes = tournamentResult.scenes;
+        ranks = tournamentResult.ranks;
+      } else if (state.currentMode === "roundrobin") {
+        const roundRobinResult = await fetchRoundRobinPair();
+        if (isStale()) return;
+        if (roundRobinResult.isComplete) {
+          state.currentPair = { left: null, right: null };
+          state.currentRanks = { left: null, right: null };
+          showRoundRobinTableScreen(roundRobinResult.scenes);
+          saveState();
+          return;
+        }
+        scenes = roundRobinResult.scenes;
+        ranks = roundRobinResult.ranks;
+      } else if (state.currentMode === "revisit") {
+        const revisitResult = await fetchRevisitPair(forcedLeftScene);
+        if (isStale()) return;
+        scenes = revisitResult.scenes;
+        ranks = revisitResult.ranks;
       } else {
         const swissResult = await fetchSwissPair(forcedLeftScene);
+        if (isStale()) return;
         scenes = swissResult.scenes;
         ranks = swissResult.ranks;
       }
       if (scenes.length < 2) {
-        comparisonArea.innerHTML = '<div class="sb-error">Not enough scenes available for comparison.</div>';
+        comparisonArea.innerHTML = `<div class="sb-error">Not enough ${currentEntity().plural} available for comparison.</div>`;
         return;
       }
+      state.currentGrid = null;
       state.currentPair.left = scenes[0];
       state.currentPair.right = scenes[1];
       state.currentRanks.left = ranks[0];
@@ -1424,9 +5782,10 @@
       updateClimbPoolWarning();
       saveState();
     } catch (error) {
+      if (isStale()) return;
       console.error("[Stash Battle] Error loading scenes:", error);
       const message = error instanceof Error ? error.message : String(error);
-      const isNoScenes = message.includes("No scenes") || message.includes("Not enough");
+      const isNoScenes = message.includes(`No ${currentEntity().plural}`) || message.includes("Not enough");
       comparisonArea.innerHTML = `
         <div class="sb-error-screen">
           <div class="sb-error-icon">⚠️</div>
@@ -1458,6 +5817,14 @@
       console.log("[Stash Battle] 🔥 Pre-warming cache in background...");
       getAllScenesCached();
     }
+    renderCurrentMatchup();
+  }
+  function renderCurrentMatchup() {
+    if (isMultiSceneMode(state.currentMode) && state.currentGrid) {
+      if (state.currentMode === "rank") renderRankList(state.currentGrid);
+      else renderGrid(state.currentGrid);
+      return;
+    }
     renderPair(
       [state.currentPair.left, state.currentPair.right],
       [state.currentRanks.left, state.currentRanks.right]
@@ -1469,37 +5836,70 @@
     }
     return state.gauntletClimber?.id ?? null;
   }
+  function isTwoSidedMode(mode) {
+    return mode === "swiss" || mode === "revisit" || mode === "tournament" || mode === "roundrobin";
+  }
   function battleRoleFor(sceneId, mode) {
-    if (mode === "swiss") return "combatant";
+    if (isTwoSidedMode(mode)) return "combatant";
     const climberId = activeClimberId();
     return climberId !== null && sceneId === climberId ? "climber" : "benchmark";
   }
-  function applyModePolicy(winner, loser, mode, raw) {
-    if (mode === "swiss") return raw;
-    let winnerDelta = 0;
-    let loserDelta = 0;
-    if (battleRoleFor(winner.id, mode) === "climber") {
-      winnerDelta = raw.winner;
-    }
+  function ratedSides(winner, loser, mode, outcome) {
+    if (isTwoSidedMode(mode)) return { winner: true, loser: true };
+    return {
+      winner: battleRoleFor(winner.id, mode) === "climber",
+      loser: outcome === "draw" && battleRoleFor(loser.id, mode) === "climber"
+    };
+  }
+  function applyModePolicy(winner, loser, mode, outcome, raw) {
+    if (isTwoSidedMode(mode)) return raw;
+    const rated = ratedSides(winner, loser, mode, outcome);
+    const winnerDelta = rated.winner ? raw.winner : 0;
+    let loserDelta = rated.loser ? raw.loser : 0;
     const loserRating = loser.rating100 || 1;
-    if (battleRoleFor(loser.id, mode) === "benchmark" && loserRating === 100) {
+    if (outcome === "win" && battleRoleFor(loser.id, mode) === "benchmark" && loserRating === 100) {
       loserDelta = -1;
     }
     return { winner: winnerDelta, loser: loserDelta };
   }
-  function resolveComparison(winner, loser) {
+  function advanceTwoSidedRun(winner, loser, outcome = "win") {
+    if (state.currentMode === "tournament") {
+      if (state.tournament && !recordTournamentWinner(state.tournament, winner.id)) {
+        console.warn(`[Stash Battle] 🏟️ Scene ${winner.id} is not in the next tournament match`);
+      }
+    } else if (state.currentMode === "roundrobin") {
+      if (state.roundRobin && !recordRoundRobinResult(state.roundRobin, winner.id, loser.id, outcome)) {
+        console.warn(`[Stash Battle] 🔄 Scenes ${winner.id} and ${loser.id} are not the next round-robin match`);
+      }
+    } else {
+      removeFromFilteredPool(winner.id);
+      removeFromFilteredPool(loser.id);
+    }
+  }
+  function sceneExperience(scene) {
+    return settings.kFactorPolicy === "battles" ? getBattleCounts(scene).battles : scene.play_count ?? 0;
+  }
+  function resolveComparison(winner, loser, outcome = "win") {
     const mode = state.currentMode;
     const winnerRating = winner.rating100 || 1;
     const loserRating = loser.rating100 || 1;
     const climberId = activeClimberId();
-    const winnerPlayCount = mode !== "swiss" && climberId === winner.id ? CLIMB_K_PLAY_COUNT : winner.play_count ?? 0;
-    const raw = calculateRatingChanges({
-      winner: { rating: winnerRating, playCount: winnerPlayCount },
-      loser: { rating: loserRating, playCount: loser.play_count ?? 0 }
-    });
-    const deltas = applyModePolicy(winner, loser, mode, raw);
-    if (deltas.winner !== 0) updateSceneRating(winner.id, winnerRating + deltas.winner);
-    if (deltas.loser !== 0) updateSceneRating(loser.id, loserRating + deltas.loser);
+    const experienceFor = (scene) => {
+      if (!isTwoSidedMode(mode) && climberId === scene.id) return settings.climbKPlayCount;
+      return sceneExperience(scene);
+    };
+    const result = rateComparison(
+      { scene: winner, experience: experienceFor(winner) },
+      { scene: loser, experience: experienceFor(loser) },
+      outcome
+    );
+    const deltas = applyModePolicy(winner, loser, mode, outcome, result.deltas);
+    const rated = ratedSides(winner, loser, mode, outcome);
+    result.commit(rated);
+    if (rated.winner) void updateSceneRating(winner.id, winnerRating + deltas.winner, result.precise.winner);
+    else if (deltas.winner !== 0) void updateSceneRating(winner.id, winnerRating + deltas.winner);
+    if (rated.loser) void updateSceneRating(loser.id, loserRating + deltas.loser, result.precise.loser);
+    else if (deltas.loser !== 0) void updateSceneRating(loser.id, loserRating + deltas.loser);
     return deltas;
   }
   function updateClimbPoolWarning() {
@@ -1507,10 +5907,12 @@
     if (!warning) return;
     const isClimb = state.currentMode === "gauntlet" || state.currentMode === "champion";
     const filters = readFilters();
-    const smallPool = state.totalScenesCount > 0 && state.totalScenesCount < CLIMB_SMALL_POOL_WARN_AT;
+    const smallPool = state.totalScenesCount > 0 && state.totalScenesCount < settings.climbSmallPoolWarnAt;
+    const warnAt = document.getElementById("sb-climb-pool-warn-at");
+    if (warnAt) warnAt.textContent = String(settings.climbSmallPoolWarnAt);
     warning.hidden = !(isClimb && state.filterOpponents && filters.filterActive && smallPool);
   }
-  async function handleGauntletClimbChoice(choice) {
+  async function handleGauntletClimbChoice(choice, before) {
     const {
       winner: winnerScene,
       loser: loserScene,
@@ -1521,7 +5923,8 @@
     const winnerId = winnerScene.id;
     const loserId = loserScene.id;
     const isFirstBattle = !state.gauntletClimber;
-    if (isFirstBattle && left.rating100 != null) {
+    const fromBottom = state.gauntletRunStart === "bottom";
+    if (isFirstBattle && fromBottom && left.rating100 != null) {
       console.log(
         `[Stash Battle] 📊 Gauntlet: clearing rating ${left.rating100} for scene ${left.id} on first choice`
       );
@@ -1535,6 +5938,19 @@
     const winnerRating = winnerScene.rating100 || 1;
     const winnerAnimStart = winnerScene.rating100 ?? 0;
     const loserDisplayRating = loserScene.rating100 ?? 0;
+    if (isFirstBattle && winnerId === climber.id && state.gauntletRunStart === "top") {
+      const finalRating = Math.min(100, (loserScene.rating100 || 1) + 1);
+      console.log(`[Stash Battle] 📊 Gauntlet: top-down challenger ${winnerId} beat #1 ${loserId} → rating ${finalRating}`);
+      void updateSceneRating(winnerId, finalRating);
+      winnerScene.rating100 = finalRating;
+      state.gauntletWins = 1;
+      recordChoice(choice, before, { winner: finalRating, loser: before.loser });
+      winnerCard.classList.add("sb-winner");
+      if (loserCard) loserCard.classList.add("sb-loser");
+      showRatingAnimation(winnerCard, winnerAnimStart, finalRating, true);
+      scheduleTransition(() => showVictoryScreen(winnerScene), 1500);
+      return;
+    }
     const { winner: winnerDelta, loser: loserDelta } = resolveComparison(winnerScene, loserScene);
     const newWinnerRating = winnerRating + winnerDelta;
     const newLoserRating = loserDisplayRating + loserDelta;
@@ -1546,18 +5962,17 @@
       console.log(
         `[Stash Battle] 📊 Gauntlet: climber ${winnerId} won (streak=${state.gauntletWins}), rating → ${winnerDisplayRating}`
       );
-    } else if (isFirstBattle) {
+    } else if (isFirstBattle && fromBottom) {
       const finalRank = state.totalScenesCount;
       const finalRating = Math.max(1, (winnerScene.rating100 || 1) - 1);
       console.log(
         `[Stash Battle] 📊 Gauntlet: first battle, challenger ${loserId} lost to floor → rank #${finalRank}, rating ${finalRating}`
       );
       void updateSceneRating(loserScene.id, finalRating);
+      recordChoice(choice, before, { winner: before.winner, loser: finalRating });
       winnerCard.classList.add("sb-winner");
       if (loserCard) loserCard.classList.add("sb-loser");
-      setTimeout(() => {
-        showPlacementScreen(loserScene, finalRank, finalRating);
-      }, 800);
+      scheduleTransition(() => showPlacementScreen(loserScene, finalRank, finalRating), 800);
       return;
     } else {
       console.log(
@@ -1567,6 +5982,10 @@
       state.gauntletFallingScene = loserScene;
       state.gauntletDefeated = [winnerId];
     }
+    recordChoice(choice, before, {
+      winner: winnerId === climber.id ? winnerDisplayRating : before.winner,
+      loser: loserDelta !== 0 ? newLoserRating : before.loser
+    });
     saveState();
     winnerCard.classList.add("sb-winner");
     if (loserCard) loserCard.classList.add("sb-loser");
@@ -1581,7 +6000,7 @@
     }
     scheduleNextPairAfterAnimations();
   }
-  async function handleChampionChoice(choice) {
+  async function handleChampionChoice(choice, before) {
     const {
       winner: winnerScene,
       loser: loserScene,
@@ -1613,6 +6032,10 @@
       state.gauntletDefeated = [loserId];
       state.gauntletWins = 1;
     }
+    recordChoice(choice, before, {
+      winner: winnerDelta !== 0 || winnerId === climber.id ? winnerDisplayRating : before.winner,
+      loser: loserDelta !== 0 ? newLoserRating : before.loser
+    });
     saveState();
     winnerCard.classList.add("sb-winner");
     if (loserCard) loserCard.classList.add("sb-loser");
@@ -1627,14 +6050,101 @@
     }
     scheduleNextPairAfterAnimations();
   }
+  function finishQuickPlace(choice, placedCard, before, outcome) {
+    const search = state.quickPlace;
+    if (!search) return;
+    const placed = search.scene;
+    const precise = quickPlaceRating(search);
+    const finalRating = projectRating(precise);
+    const finalRank = quickPlaceRank(search);
+    const animStart = placed.rating100 ?? 0;
+    console.log(
+      `[Stash Battle] 📊 Quick Place: scene ${placed.id} → rank #${finalRank}, rating ${finalRating} (${precise}) after ${search.comparisons} comparisons`
+    );
+    void updateSceneRating(placed.id, finalRating, precise);
+    placed.rating100 = finalRating;
+    const placedWon = choice.winner.id === placed.id;
+    recordChoice(
+      choice,
+      before,
+      placedWon ? { winner: finalRating, loser: before.loser } : { winner: before.winner, loser: finalRating },
+      outcome
+    );
+    showRatingAnimation(placedCard, animStart, finalRating, finalRating >= animStart);
+    const comparisons = search.comparisons;
+    scheduleTransition(() => showPlacementScreen(placed, finalRank, finalRating, comparisons), 1500);
+  }
+  function handleQuickPlaceChoice(choice, before) {
+    const { winner, left, right, winnerCard, loserCard } = choice;
+    const search = state.quickPlace;
+    winnerCard.classList.add("sb-winner");
+    loserCard.classList.add("sb-loser");
+    if (!search || search.scene.id !== left.id) {
+      recordChoice(choice, before, before);
+      scheduleTransition(() => loadNewPair(), 800);
+      return;
+    }
+    const won = winner.id === left.id;
+    recordQuickPlaceResult(search, getPreciseRating(right), won);
+    console.log(
+      `[Stash Battle] 📊 Quick Place: scene ${left.id} ${won ? "beat" : "lost to"} ${right.id}, range #${search.lo + 1}–#${search.hi + 1}`
+    );
+    if (isQuickPlaceSettled(search)) {
+      finishQuickPlace(choice, won ? winnerCard : loserCard, before, "win");
+      return;
+    }
+    recordChoice(choice, before, before);
+    saveState();
+    scheduleTransition(() => loadNewPair(), 800);
+  }
+  async function advanceCalibration(choice, leftCard, score, before, outcome) {
+    const { left, right } = choice;
+    const calibration = state.calibration;
+    if (!calibration || calibration.scene.id !== left.id) {
+      recordChoice(choice, before, before, outcome);
+      scheduleTransition(() => loadNewPair(), 800);
+      return;
+    }
+    recordCalibrationResult(calibration, { opponentId: right.id, opponentRating: getPreciseRating(right), score });
+    console.log(
+      `[Stash Battle] 🎚️ Calibration: scene ${left.id} scored ${score} against ${right.id} (${calibration.results.length} of ${calibrationBattles()})`
+    );
+    if (!isCalibrationDone(calibration)) {
+      recordChoice(choice, before, before, outcome);
+      saveState();
+      scheduleTransition(() => loadNewPair(), 800);
+      return;
+    }
+    const scene = calibration.scene;
+    const precise = calibrationRating(calibration, calibration.reference);
+    const finalRating = projectRating(precise);
+    const wasUnrated = scene.rating100 == null;
+    const unratedLeft = Math.max(0, calibration.unratedLeft - (wasUnrated ? 1 : 0));
+    const animStart = scene.rating100 ?? 0;
+    void updateSceneRating(scene.id, finalRating, precise);
+    scene.rating100 = finalRating;
+    recordChoice(
+      choice,
+      before,
+      choice.winner.id === left.id ? { winner: finalRating, loser: before.loser } : { winner: before.winner, loser: finalRating },
+      outcome
+    );
+    showRatingAnimation(leftCard, animStart, finalRating, finalRating >= animStart);
+    const rank = await rankInRatedPool(precise, scene.id);
+    console.log(
+      `[Stash Battle] 🎚️ Calibration: scene ${scene.id} → rank #${rank}, rating ${finalRating} (${precise}), ${unratedLeft} unrated left`
+    );
+    const battles = calibration.results.length;
+    scheduleTransition(() => showCalibrationScreen(scene, rank, finalRating, battles, unratedLeft), 1500);
+  }
   function handleSceneChoice(choice) {
     if (state.disableChoice) return;
     state.disableChoice = true;
+    choiceResolving = true;
+    pushUndoEntry([choice.left, choice.right]);
     const {
       winner: winnerScene,
       loser: loserScene,
-      left,
-      right,
       winnerCard,
       loserCard,
       loserRank
@@ -1644,6 +6154,10 @@
     const winnerRating = winnerScene.rating100 || 1;
     const loserRating = loserScene.rating100 || 1;
     const loserDisplayRating = loserScene.rating100 || 0;
+    const before = {
+      winner: winnerScene.rating100 ?? null,
+      loser: loserScene.rating100 ?? null
+    };
     if (state.currentMode === "gauntlet") {
       if (state.gauntletFalling && state.gauntletFallingScene) {
         const fallingScene = state.gauntletFallingScene;
@@ -1658,37 +6172,49 @@
           );
           void updateSceneRating(fallingScene.id, finalRating);
           fallingScene.rating100 = finalRating;
-          const finalRank = Math.max(1, (loserRank ?? 1) - 1);
+          recordChoice(choice, before, { winner: finalRating, loser: before.loser });
+          const finalRank = settledRank(choice.winnerRank, loserRank, true);
           winnerCard.classList.add("sb-winner");
           if (loserCard) loserCard.classList.add("sb-loser");
           showRatingAnimation(winnerCard, fallingAnimStart, finalRating, true);
-          setTimeout(() => {
-            showPlacementScreen(fallingScene, finalRank, finalRating);
-          }, 1500);
+          scheduleTransition(() => showPlacementScreen(fallingScene, finalRank, finalRating), 1500);
           return;
         } else {
           state.gauntletDefeated.push(winnerId);
+          recordChoice(choice, before, before);
           saveState();
           winnerCard.classList.add("sb-winner");
           if (loserCard) loserCard.classList.add("sb-loser");
-          setTimeout(() => {
-            loadNewPair();
-          }, 800);
+          scheduleTransition(() => loadNewPair(), 800);
           return;
         }
       }
-      void handleGauntletClimbChoice(choice);
+      void handleGauntletClimbChoice(choice, before);
       return;
     }
     if (state.currentMode === "champion") {
-      void handleChampionChoice(choice);
+      void handleChampionChoice(choice, before);
+      return;
+    }
+    if (state.currentMode === "quickplace") {
+      handleQuickPlaceChoice(choice, before);
+      return;
+    }
+    if (state.currentMode === "calibrate") {
+      const leftWon = winnerScene.id === choice.left.id;
+      winnerCard.classList.add("sb-winner");
+      loserCard.classList.add("sb-loser");
+      void advanceCalibration(choice, leftWon ? winnerCard : loserCard, leftWon ? 1 : 0, before, "win");
       return;
     }
     const { winner: winnerDelta, loser: loserDelta } = resolveComparison(winnerScene, loserScene);
     const newWinnerRating = winnerRating + winnerDelta;
     const newLoserRating = loserDisplayRating + loserDelta;
-    removeFromFilteredPool(left.id);
-    removeFromFilteredPool(right.id);
+    advanceTwoSidedRun(winnerScene, loserScene);
+    recordChoice(choice, before, {
+      winner: newWinnerRating,
+      loser: loserDelta !== 0 ? newLoserRating : before.loser
+    });
     saveState();
     winnerCard.classList.add("sb-winner");
     if (loserCard) loserCard.classList.add("sb-loser");
@@ -1703,13 +6229,187 @@
     }
     scheduleNextPairAfterAnimations();
   }
+  function handleGridPick(grid, scene, card) {
+    if (state.disableChoice) return;
+    if (gridAsksForWorst(grid)) {
+      if (gridBestId === null || gridBestId === scene.id) {
+        gridBestId = gridBestId === null ? scene.id : null;
+        card.classList.toggle("sb-winner", gridBestId !== null);
+        const prompt = document.querySelector(".sb-grid-prompt");
+        if (prompt) prompt.textContent = gridPromptText(grid);
+        return;
+      }
+      resolveGridPick(grid, gridBestId, scene.id);
+      return;
+    }
+    resolveGridPick(grid, scene.id, null);
+  }
+  function applyImpliedOutcomes(grid, outcomes) {
+    state.disableChoice = true;
+    choiceResolving = true;
+    pushUndoEntry(grid.scenes, grid);
+    const byId = new Map(grid.scenes.map((s) => [s.id, s]));
+    const newPrecise = rateGridOutcomes(
+      new Map(grid.scenes.map((s) => [s.id, { rating: getPreciseRating(s), experience: sceneExperience(s) }])),
+      outcomes
+    );
+    const before = new Map(grid.scenes.map((s) => [s.id, s.rating100 ?? null]));
+    const after = /* @__PURE__ */ new Map();
+    for (const [id, precise] of newPrecise) {
+      const rating = projectRating(precise);
+      after.set(id, rating);
+      void updateSceneRating(id, rating, precise);
+    }
+    for (const { winnerId, loserId } of outcomes) {
+      recordChoice(
+        { winner: byId.get(winnerId), loser: byId.get(loserId) },
+        { winner: before.get(winnerId) ?? null, loser: before.get(loserId) ?? null },
+        { winner: after.get(winnerId) ?? null, loser: after.get(loserId) ?? null }
+      );
+    }
+    grid.scenes.forEach((s) => removeFromFilteredPool(s.id));
+    return { before, after };
+  }
+  function resolveGridPick(grid, bestId, worstId) {
+    const outcomes = impliedOutcomes(
+      grid.scenes.map((s) => s.id),
+      bestId,
+      worstId
+    );
+    console.log(
+      `[Stash Battle] 🔢 Best of N: scene ${bestId} best${worstId ? `, scene ${worstId} worst` : ""} (${outcomes.length} implied results)`
+    );
+    const { before, after } = applyImpliedOutcomes(grid, outcomes);
+    saveState();
+    grid.scenes.forEach((scene, i) => {
+      const card = document.querySelector(`.sb-grid .sb-scene-card[data-side="${i + 1}"]`);
+      if (!card) return;
+      const isLoser = worstId === null ? scene.id !== bestId : scene.id === worstId;
+      if (scene.id === bestId) card.classList.add("sb-winner");
+      else if (isLoser) card.classList.add("sb-loser");
+      const start = before.get(scene.id) ?? 0;
+      const end = after.get(scene.id) ?? start;
+      showRatingAnimation(card, start, end, end >= start);
+    });
+    scheduleNextPairAfterAnimations();
+  }
+  function submitRanking(grid, list, submitBtn) {
+    if (state.disableChoice) return;
+    const order = readRankOrder(list);
+    const outcomes = rankingOutcomes(order);
+    console.log(`[Stash Battle] ↕️ Drag to rank: ${order.join(" > ")} (${outcomes.length} implied results)`);
+    const { before, after } = applyImpliedOutcomes(grid, outcomes);
+    state.currentGrid = null;
+    saveState();
+    showRankResults(list, before, after);
+    list.querySelectorAll(".sb-rank-row").forEach((row) => {
+      const id = row.dataset.sceneId;
+      const start = before.get(id) ?? 0;
+      const end = after.get(id) ?? start;
+      showRatingAnimation(row, start, end, end >= start);
+    });
+    const nextBtn = document.createElement("button");
+    nextBtn.className = "btn btn-primary";
+    nextBtn.textContent = "Next Batch →";
+    nextBtn.addEventListener("click", () => loadNewPair());
+    submitBtn.replaceWith(nextBtn);
+    nextBtn.focus();
+    choiceResolving = false;
+    state.disableChoice = false;
+    updateUndoButton();
+  }
+  function settledRank(ownRank, benchmarkRank, above) {
+    const total = state.totalScenesCount;
+    const benchmark = benchmarkRank ?? total;
+    const shift = ownRank !== null && ownRank < benchmark ? 1 : 0;
+    const rank = (above ? benchmark : benchmark + 1) - shift;
+    return Math.min(total, Math.max(1, rank));
+  }
+  function handleGauntletDraw(choice, before) {
+    const { left, right, leftCard, leftRank, rightRank } = choice;
+    const falling = state.gauntletFalling;
+    const finalRating = right.rating100 || 1;
+    const finalRank = settledRank(leftRank, rightRank, falling);
+    const animStart = left.rating100 ?? 0;
+    console.log(
+      `[Stash Battle] 📊 Gauntlet: ${falling ? "falling scene" : "climber"} ${left.id} drew with ${right.id} → rank #${finalRank}, rating ${finalRating}`
+    );
+    void updateSceneRating(left.id, finalRating);
+    left.rating100 = finalRating;
+    recordChoice({ winner: left, loser: right }, before, { winner: finalRating, loser: before.loser }, "draw");
+    showRatingAnimation(leftCard, animStart, finalRating, finalRating >= animStart);
+    scheduleTransition(() => showPlacementScreen(left, finalRank, finalRating), 1500);
+  }
+  function handleChampionDraw(choice, before) {
+    const { left, right, leftCard, rightCard } = choice;
+    if (!state.gauntletClimber) {
+      state.gauntletClimber = left;
+    }
+    const climber = state.gauntletClimber;
+    const animStart = left.rating100 ?? 0;
+    const rightDisplayRating = right.rating100 ?? 0;
+    const { winner: leftDelta } = resolveComparison(left, right, "draw");
+    const newLeftRating = leftDelta !== 0 ? (left.rating100 || 1) + leftDelta : left.rating100 ?? null;
+    left.rating100 = newLeftRating;
+    climber.rating100 = newLeftRating;
+    state.gauntletDefeated.push(right.id);
+    console.log(
+      `[Stash Battle] 📊 Champion: climber ${left.id} drew with ${right.id} (streak=${state.gauntletWins}), rating → ${newLeftRating}`
+    );
+    recordChoice({ winner: left, loser: right }, before, { winner: newLeftRating, loser: before.loser }, "draw");
+    saveState();
+    showRatingAnimation(leftCard, animStart, newLeftRating ?? 0, leftDelta >= 0);
+    showRatingAnimation(rightCard, rightDisplayRating, rightDisplayRating, true);
+    scheduleNextPairAfterAnimations();
+  }
+  function handleDrawChoice(choice) {
+    if (state.disableChoice) return;
+    state.disableChoice = true;
+    choiceResolving = true;
+    pushUndoEntry([choice.left, choice.right]);
+    const { left, right, leftCard, rightCard } = choice;
+    const before = {
+      winner: left.rating100 ?? null,
+      loser: right.rating100 ?? null
+    };
+    leftCard.classList.add("sb-draw");
+    rightCard.classList.add("sb-draw");
+    if (state.currentMode === "gauntlet") {
+      handleGauntletDraw(choice, before);
+      return;
+    }
+    if (state.currentMode === "champion") {
+      handleChampionDraw(choice, before);
+      return;
+    }
+    if (state.currentMode === "calibrate") {
+      void advanceCalibration({ winner: left, loser: right, left, right }, leftCard, 0.5, before, "draw");
+      return;
+    }
+    if (state.currentMode === "quickplace" && state.quickPlace?.scene.id === left.id) {
+      settleQuickPlaceDraw(state.quickPlace, getPreciseRating(right));
+      finishQuickPlace({ winner: left, loser: right }, leftCard, before, "draw");
+      return;
+    }
+    const leftDisplayRating = left.rating100 ?? 0;
+    const rightDisplayRating = right.rating100 ?? 0;
+    const { winner: leftDelta, loser: rightDelta } = resolveComparison(left, right, "draw");
+    const newLeftRating = leftDelta !== 0 ? (left.rating100 || 1) + leftDelta : before.winner;
+    const newRightRating = rightDelta !== 0 ? (right.rating100 || 1) + rightDelta : before.loser;
+    advanceTwoSidedRun(left, right, "draw");
+    recordChoice({ winner: left, loser: right }, before, { winner: newLeftRating, loser: newRightRating }, "draw");
+    saveState();
+    showRatingAnimation(leftCard, leftDisplayRating, newLeftRating ?? 0, leftDelta >= 0);
+    showRatingAnimation(rightCard, rightDisplayRating, newRightRating ?? 0, rightDelta >= 0);
+    scheduleNextPairAfterAnimations();
+  }
   var RATING_ANIM_MAX_TOTAL_MS = 1400;
   var RATING_ANIM_HOLD_MS = 300;
   var RATING_ANIM_COUNT_BUDGET_MS = RATING_ANIM_MAX_TOTAL_MS - RATING_ANIM_HOLD_MS;
   var RATING_ANIM_DEFAULT_STEP_MS = 50;
   var RATING_ANIM_MIN_STEP_MS = 8;
   function scheduleNextPairAfterAnimations() {
-    setTimeout(() => loadNewPair(), 1500);
+    scheduleTransition(() => loadNewPair(), 1500);
   }
   function showRatingAnimation(card, oldRating, newRating, isWinner) {
     const change = newRating - oldRating;
@@ -1751,17 +6451,54 @@
 
   // src/ui/modal.ts
   var modalKeyHandler = null;
+  function isPlacementMode(mode) {
+    return mode === "gauntlet" || mode === "champion" || mode === "quickplace" || mode === "calibrate";
+  }
+  function skipPair() {
+    if (isRunInProgress()) return;
+    if (state.disableChoice) return;
+    state.disableChoice = true;
+    if (isPlacementMode(state.currentMode)) {
+      resetGauntletState();
+      saveState();
+    }
+    loadNewPair();
+  }
+  function switchEntityType(entityType) {
+    console.log(`[Stash Battle] 🔀 Switching from ${state.entityType} to ${entityType} battles`);
+    state.entityType = entityType;
+    state.currentPair = { left: null, right: null };
+    state.currentRanks = { left: null, right: null };
+    state.currentGrid = null;
+    resetGauntletState();
+    state.memoryCache = { allScenes: null, filteredScenes: null, filterKey: null, timestamp: null };
+    state.shuffledFilteredScenes = [];
+    state.shuffleIndex = 0;
+    state.shuffleFilterKey = null;
+    state.removedSceneIds = /* @__PURE__ */ new Set();
+    forgetBattleCounts();
+    forgetPreciseRatings();
+    clearUndoStack();
+    updateEntityTexts();
+    refreshActiveTab();
+  }
   function openModal() {
     console.log("[Stash Battle] 🎯 Opening modal...");
+    void loadSettings();
     document.querySelectorAll("video, audio").forEach((v) => v.pause());
     const hasState = loadState();
     console.log(`[Stash Battle] 📋 LocalStorage state: ${hasState ? "found" : "none"}`);
+    if (state.entityType !== entityTypeFromPath()) {
+      switchEntityType(entityTypeFromPath());
+    }
+    void takeSnapshot("session");
     const currentFilterParams = window.location.search;
     const filtersChanged = hasState && state.savedFilterParams !== currentFilterParams;
     if (filtersChanged) {
       console.log("[Stash Battle] Filter params changed, resetting gauntlet state and filtered cache");
       state.currentPair = { left: null, right: null };
       state.currentRanks = { left: null, right: null };
+      state.currentGrid = null;
       resetGauntletState();
       state.savedFilterParams = currentFilterParams;
       state.memoryCache.filteredScenes = null;
@@ -1770,14 +6507,15 @@
       state.shuffleIndex = 0;
       state.shuffleFilterKey = null;
     }
-    const scenePageId = getSceneIdFromUrl();
-    const sceneAlreadyInPair = scenePageId && state.currentPair.left && state.currentPair.right && (String(state.currentPair.left.id) === scenePageId || String(state.currentPair.right.id) === scenePageId);
+    const scenePageId = getEntityIdFromUrl();
+    const sceneAlreadyInPair = scenePageId && hasCurrentMatchup() && currentMatchupScenes().some((s) => String(s.id) === scenePageId);
     const forceSceneBattle = scenePageId && !sceneAlreadyInPair;
     if (forceSceneBattle) {
       console.log(`[Stash Battle] 🎯 Opened from scene page ${scenePageId}, starting new battle with this scene`);
       resetGauntletState();
       state.currentPair = { left: null, right: null };
       state.currentRanks = { left: null, right: null };
+      state.currentGrid = null;
     }
     const existingModal = document.getElementById("sb-modal");
     if (existingModal && existingModal.classList.contains("sb-modal-hidden")) {
@@ -1791,7 +6529,7 @@
       if (modalContent2) modalContent2.focus();
       if (forceSceneBattle) {
         loadNewPair(scenePageId);
-      } else if (filtersChanged || !state.currentPair.left || !state.currentPair.right) {
+      } else if (filtersChanged || !hasCurrentMatchup()) {
         loadNewPair();
       }
       return;
@@ -1816,6 +6554,7 @@
       modalContent.style.outline = "none";
       modalContent.focus();
     }
+    bindTabs(modal);
     modal.querySelectorAll(".sb-mode-btn").forEach((btn) => {
       btn.addEventListener("click", () => {
         const newMode = btn.dataset.mode;
@@ -1823,12 +6562,10 @@
           state.currentMode = newMode;
           resetGauntletState();
           state.shuffleIndex = 0;
-          modal.querySelectorAll(".sb-mode-btn").forEach((b) => {
-            b.classList.toggle("active", b.dataset.mode === state.currentMode);
-          });
+          syncModeControls();
           const actionsEl = document.querySelector(".sb-actions");
           if (actionsEl) actionsEl.style.display = "";
-          loadNewPair(getSceneIdFromUrl());
+          loadNewPair(getEntityIdFromUrl());
           updateClimbPoolWarning();
           saveState();
         }
@@ -1842,7 +6579,7 @@
           localStorage.setItem(FILTER_OPPONENTS_KEY, state.filterOpponents ? "1" : "0");
         } catch {
         }
-        if (state.currentMode === "gauntlet" || state.currentMode === "champion") {
+        if (isPlacementMode(state.currentMode)) {
           resetGauntletState();
         }
         saveState();
@@ -1863,19 +6600,97 @@
         });
       });
     }
-    const skipBtn = modal.querySelector("#sb-skip-btn");
-    if (skipBtn) {
-      skipBtn.addEventListener("click", () => {
-        if ((state.currentMode === "gauntlet" || state.currentMode === "champion") && state.gauntletClimber) {
-          return;
+    const engineSelect = modal.querySelector("#sb-rating-engine-select");
+    if (engineSelect) {
+      engineSelect.addEventListener("change", (e) => {
+        state.ratingEngine = e.target.value;
+        try {
+          localStorage.setItem(RATING_ENGINE_KEY, state.ratingEngine);
+        } catch {
         }
-        if (state.disableChoice) return;
-        state.disableChoice = true;
-        if (state.currentMode === "gauntlet" || state.currentMode === "champion") {
+        console.log(`[Stash Battle] ⚙️ Rating engine: ${state.ratingEngine}`);
+        if (hasCurrentMatchup() && !state.disableChoice) {
+          restoreCurrentPair();
+        }
+      });
+    }
+    const gauntletStartSelect = modal.querySelector("#sb-gauntlet-start-select");
+    if (gauntletStartSelect) {
+      gauntletStartSelect.addEventListener("change", (e) => {
+        state.gauntletStart = e.target.value;
+        try {
+          localStorage.setItem(GAUNTLET_START_KEY, state.gauntletStart);
+        } catch {
+        }
+        console.log(`[Stash Battle] ⚙️ Gauntlet start: ${state.gauntletStart}`);
+        if (state.currentMode === "gauntlet" && !isRunInProgress() && !state.disableChoice) {
           resetGauntletState();
           saveState();
+          loadNewPair();
         }
-        loadNewPair();
+      });
+    }
+    const sizeSelect = modal.querySelector("#sb-tournament-size-select");
+    if (sizeSelect) {
+      sizeSelect.addEventListener("change", (e) => {
+        state.tournamentSize = Number(e.target.value);
+        try {
+          localStorage.setItem(TOURNAMENT_SIZE_KEY, String(state.tournamentSize));
+        } catch {
+        }
+        console.log(`[Stash Battle] ⚙️ Tournament size: ${state.tournamentSize}`);
+        const unstarted = state.tournament?.rounds[0].every((m) => m.winner === null) ?? false;
+        if (state.currentMode === "tournament" && unstarted && !state.disableChoice) {
+          resetGauntletState();
+          saveState();
+          loadNewPair();
+        }
+      });
+    }
+    const gridSizeSelect = modal.querySelector("#sb-grid-size-select");
+    if (gridSizeSelect) {
+      gridSizeSelect.addEventListener("change", (e) => {
+        state.gridSize = Number(e.target.value);
+        try {
+          localStorage.setItem(GRID_SIZE_KEY, String(state.gridSize));
+        } catch {
+        }
+        console.log(`[Stash Battle] ⚙️ Grid size: ${state.gridSize}`);
+        if (state.currentMode === "grid" && !state.disableChoice) loadNewPair();
+      });
+    }
+    const pickWorstCheckbox = modal.querySelector("#sb-grid-pick-worst-checkbox");
+    if (pickWorstCheckbox) {
+      pickWorstCheckbox.addEventListener("change", (e) => {
+        state.gridPickWorst = e.target.checked;
+        try {
+          localStorage.setItem(GRID_PICK_WORST_KEY, state.gridPickWorst ? "1" : "0");
+        } catch {
+        }
+        if (state.currentMode === "grid" && hasCurrentMatchup() && !state.disableChoice) {
+          restoreCurrentPair();
+        }
+      });
+    }
+    const rankSizeSelect = modal.querySelector("#sb-rank-size-select");
+    if (rankSizeSelect) {
+      rankSizeSelect.addEventListener("change", (e) => {
+        state.rankSize = Number(e.target.value);
+        try {
+          localStorage.setItem(RANK_SIZE_KEY, String(state.rankSize));
+        } catch {
+        }
+        console.log(`[Stash Battle] ⚙️ Rank batch size: ${state.rankSize}`);
+        if (state.currentMode === "rank" && !state.disableChoice) loadNewPair();
+      });
+    }
+    modal.querySelector("#sb-undo-btn")?.addEventListener("click", () => {
+      void undoLastChoice();
+    });
+    const skipBtn = modal.querySelector("#sb-skip-btn");
+    if (skipBtn) {
+      skipBtn.addEventListener("click", () => {
+        skipPair();
       });
     }
     const refreshCacheBtn = modal.querySelector("#sb-refresh-cache-btn");
@@ -1906,9 +6721,9 @@
     if (forceSceneBattle) {
       console.log(`[Stash Battle] 🎯 Starting battle with scene ${scenePageId} from scene page`);
       loadNewPair(scenePageId);
-    } else if (hasState && state.currentPair.left && state.currentPair.right && !filtersChanged) {
+    } else if (hasState && hasCurrentMatchup() && !filtersChanged) {
       console.log(
-        `[Stash Battle] 📂 Restoring saved pair from localStorage (Scene ${state.currentPair.left.id} vs Scene ${state.currentPair.right.id})`
+        `[Stash Battle] 📂 Restoring saved pair from localStorage (${currentMatchupScenes().map((s) => `Scene ${s.id}`).join(" vs ")})`
       );
       restoreCurrentPair();
     } else {
@@ -1933,6 +6748,10 @@
         closeModal();
         return;
       }
+      if (!isBattleTabActive()) return;
+      if ((e.key.startsWith("Arrow") || e.key === " ") && e.target?.closest?.(".sb-rank-list")) {
+        return;
+      }
       if (e.key === "ArrowLeft" && state.currentPair.left) {
         e.preventDefault();
         e.stopImmediatePropagation();
@@ -1945,6 +6764,27 @@
         const rightBody = activeModal.querySelector('.sb-scene-card[data-side="right"] .sb-scene-body');
         if (rightBody) rightBody.click();
       }
+      if (state.currentMode === "grid" && /^[1-6]$/.test(e.key)) {
+        const tag = document.activeElement?.tagName;
+        if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        activeModal.querySelector(`.sb-scene-card[data-side="${e.key}"] .sb-scene-body`)?.click();
+        return;
+      }
+      if (e.key === "ArrowDown" && state.currentPair.left && state.currentPair.right) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        activeModal.querySelector("#sb-draw-btn")?.click();
+      }
+      if (e.key === "Backspace") {
+        const tag = document.activeElement?.tagName;
+        if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        void undoLastChoice();
+        return;
+      }
       if (e.key === " " || e.code === "Space") {
         const tag = document.activeElement?.tagName;
         if (tag === "INPUT" || tag === "TEXTAREA" || tag === "BUTTON") {
@@ -1952,16 +6792,7 @@
         }
         e.preventDefault();
         e.stopImmediatePropagation();
-        if ((state.currentMode === "gauntlet" || state.currentMode === "champion") && state.gauntletClimber) {
-          return;
-        }
-        if (state.disableChoice) return;
-        state.disableChoice = true;
-        if (state.currentMode === "gauntlet" || state.currentMode === "champion") {
-          resetGauntletState();
-          saveState();
-        }
-        loadNewPair();
+        skipPair();
       }
     };
     document.addEventListener("keydown", modalKeyHandler, true);
@@ -1977,12 +6808,13 @@
     if (modalKeyHandler) {
       document.removeEventListener("keydown", modalKeyHandler, true);
     }
+    void syncTiersAfterSession();
   }
 
   // src/ui/navButton.ts
   function shouldShowNavButton() {
     const path = window.location.pathname;
-    return path === "/" || path === "/scenes" || path === "/scenes/" || path.startsWith("/scenes/");
+    return path === "/" || entityTypeOfPage(path) !== null;
   }
   function injectNavButton() {
     const buttonId = "plugin_sb";
@@ -2033,6 +6865,7 @@
   // src/main.ts
   function init() {
     console.log("[Stash Battle] Initialized");
+    void loadSettings();
     injectNavButton();
     const observer = new MutationObserver(() => {
       injectNavButton();
@@ -0,0 +1,179 @@
+// Per-scene battle counts (battles / wins / losses / draws), win streaks, champion titles and the
+// last-battled time, kept in Stash scene custom fields so they follow the library across browsers
+// and can be filtered on in Stash (performer battles use the performer's custom fields — ids below
+// belong to the current entity type). Types without custom fields in `ENTITIES` (groups,
+// galleries, images) keep no battle stats.
+//
+// Updates are serialized per scene and start from a fresh server read the first time a scene is
+// touched this session, so a stale scene cache can never overwrite newer counts.
+
+import { BATTLE_STAT_FIELDS } from "./constants";
+import { currentEntity, fetchEntityFields } from "./entities";
+import { updateSceneCustomFields } from "./rating";
+import type { Outcome, Scene } from "./types";
+
+export interface BattleCounts {
+  battles: number;
+  wins: number;
+  losses: number;
+  draws: number;
+  titles: number; // Gauntlet / champion runs and tournaments won
+  streak: number; // Wins in a row up to the latest battle
+  bestStreak: number; // Longest win streak (since streaks were tracked)
+  lastBattled: number | null; // Epoch ms of the latest counted battle (null = never, or before it was tracked)
+}
+
+type CountDelta = Pick<BattleCounts, "battles" | "wins" | "losses" | "draws" | "titles">;
+
+/** The values a counted battle replaces rather than adds to (restored by undo). */
+type BattleMarks = Pick<BattleCounts, "streak" | "bestStreak" | "lastBattled">;
+
+/** One counted comparison (draws list left as winner, like history records). */
+export interface BattleResult {
+  winnerId: string;
+  loserId: string;
+  outcome: Outcome;
+}
+
+// Counts confirmed this session (authoritative over scene.custom_fields from the cache).
+const knownCounts = new Map<string, BattleCounts>();
+// Tail of each scene's update chain.
+const updateQueues = new Map<string, Promise<void>>();
+// Marks replaced by each counted battle, newest last (restored by undo).
+const replacedMarks = new Map<string, BattleMarks[]>();
+
+function readCount(fields: Record<string, unknown> | null | undefined, key: string): number {
+  const value = Number(fields?.[key] ?? 0);
+  return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+}
+
+function readTimestamp(fields: Record<string, unknown> | null | undefined, key: string): number | null {
+  const raw = fields?.[key];
+  const value = typeof raw === "string" ? Date.parse(raw) : NaN;
+  return Number.isFinite(value) ? value : null;
+}
+
+function countsFromFields(fields: Record<string, unknown> | null | undefined): BattleCounts {
+  return {
+    battles: readCount(fields, BATTLE_STAT_FIELDS.battles),
+    wins: readCount(fields, BATTLE_STAT_FIELDS.wins),
+    losses: readCount(fields, BATTLE_STAT_FIELDS.losses),
+    draws: readCount(fields, BATTLE_STAT_FIELDS.draws),
+    titles: readCount(fields, BATTLE_STAT_FIELDS.titles),
+    streak: readCount(fields, BATTLE_STAT_FIELDS.streak),
+    bestStreak: readCount(fields, BATTLE_STAT_FIELDS.bestStreak),
+    lastBattled: readTimestamp(fields, BATTLE_STAT_FIELDS.lastBattled),
+  };
+}
+
+/** Best current knowledge of a scene's counts (no network). */
+export function getBattleCounts(scene: Scene): BattleCounts {
+  return knownCounts.get(scene.id) ?? countsFromFields(scene.custom_fields);
+}
+
+async function fetchBattleCounts(sceneId: string): Promise<BattleCounts> {
+  const scene = await fetchEntityFields(sceneId, "id custom_fields");
+  return countsFromFields(scene?.custom_fields);
+}
+
+/** Forget the counts confirmed this session (switching entity type: the same ids mean other records). */
+export function forgetBattleCounts(): void {
+  knownCounts.clear();
+  replacedMarks.clear();
+}
+
+/**
+ * When a counted battle is added, its streak and the time it was counted; when one is removed
+ * (undo), the marks it replaced. Title-only deltas leave the marks alone.
+ */
+function nextMarks(sceneId: string, current: BattleCounts, delta: CountDelta): BattleMarks {
+  const { streak, bestStreak, lastBattled } = current;
+  const marks: BattleMarks = { streak, bestStreak, lastBattled };
+  if (delta.battles === 0) return marks;
+
+  const replaced = replacedMarks.get(sceneId) ?? [];
+  replacedMarks.set(sceneId, replaced);
+  if (delta.battles > 0) {
+    replaced.push(marks);
+    const nextStreak = delta.wins > 0 ? streak + delta.wins : 0;
+    return { streak: nextStreak, bestStreak: Math.max(bestStreak, nextStreak), lastBattled: Date.now() };
+  }
+  return replaced.pop() ?? marks;
+}
+
+/** Add `delta` to a scene's counts (after any earlier update for that scene) and write them. */
+function adjustCounts(sceneId: string, delta: CountDelta): Promise<void> {
+  const previous = updateQueues.get(sceneId) ?? Promise.resolve();
+  const next = previous.then(async () => {
+    try {
+      const current = knownCounts.get(sceneId) ?? (await fetchBattleCounts(sceneId));
+      const updated: BattleCounts = {
+        battles: Math.max(0, current.battles + delta.battles),
+        wins: Math.max(0, current.wins + delta.wins),
+        losses: Math.max(0, current.losses + delta.losses),
+        draws: Math.max(0, current.draws + delta.draws),
+        titles: Math.max(0, current.titles + delta.titles),
+        ...nextMarks(sceneId, current, delta),
+      };
+      knownCounts.set(sceneId, updated);
+      const { lastBattled } = updated;
+      await updateSceneCustomFields(
+        sceneId,
+        {
+          [BATTLE_STAT_FIELDS.battles]: updated.battles,
+          [BATTLE_STAT_FIELDS.wins]: updated.wins,
+          [BATTLE_STAT_FIELDS.losses]: updated.losses,
+          [BATTLE_STAT_FIELDS.draws]: updated.draws,
+          [BATTLE_STAT_FIELDS.titles]: updated.titles,
+          [BATTLE_STAT_FIELDS.streak]: updated.streak,
+          [BATTLE_STAT_FIELDS.bestStreak]: updated.bestStreak,
+          ...(lastBattled !== null && { [BATTLE_STAT_FIELDS.lastBattled]: new Date(lastBattled).toISOString() }),
+        },
+        lastBattled === null ? [BATTLE_STAT_FIELDS.lastBattled] : [],
+      );
+    } catch (e) {
+      console.error(`[Stash Battle] Failed to update battle counts for scene ${sceneId}:`, e);
+    }
+  });
+  updateQueues.set(sceneId, next);
+  return next;
+}
+
+function resultDeltas(result: BattleResult, sign: 1 | -1): [CountDelta, CountDelta] {
+  const draw = result.outcome === "draw" ? sign : 0;
+  const decided = result.outcome === "draw" ? 0 : sign;
+  return [
+    { battles: sign, wins: decided, losses: 0, draws: draw, titles: 0 },
+    { battles: sign, wins: 0, losses: decided, draws: draw, titles: 0 },
+  ];
+}
+
+/** Count one comparison for both scenes (fire-and-forget; resolves once written). */
+export function countBattleResult(result: BattleResult): Promise<void> {
+  if (!currentEntity().customFields) return Promise.resolve();
+  const [winnerDelta, loserDelta] = resultDeltas(result, 1);
+  return Promise.all([adjustCounts(result.winnerId, winnerDelta), adjustCounts(result.loserId, loserDelta)]).then(
+    () => undefined,
+  );
+}
+
+/** Reverse `countBattleResult` (undo). Queued behind the original update, so order is safe. */
+export function uncountBattleResult(result: BattleResult): Promise<void> {
+  if (!currentEntity().customFields) return Promise.resolve();
+  const [winnerDelta, loserDelta] = resultDeltas(result, -1);
+  return Promise.all([adjustCounts(result.winnerId, winnerDelta), adjustCounts(result.loserId, loserDelta)]).then(
+    () => undefined,
+  );
+}
+
+/** Count a champion title: a gauntlet / champion run or tournament won (fire-and-forget). */
+export function countChampionTitle(sceneId: string): Promise<void> {
+  if (!currentEntity().customFields) return Promise.resolve();
+  return adjustCounts(sceneId, { battles: 0, wins: 0, losses: 0, draws: 0, titles: 1 });
+}
+
+/** Reverse `countChampionTitle` (undo of the choice that won the run). */
+export function uncountChampionTitle(sceneId: string): Promise<void> {
+  if (!currentEntity().customFields) return Promise.resolve();
+  return adjustCounts(sceneId, { battles: 0, wins: 0, losses: 0, draws: 0, titles: -1 });
+}
@@ -0,0 +1,85 @@
+// Bradley–Terry batch fit (pure calculations — callers map strengths onto rating100 and persist).
+// Minorization–maximization updates from Hunter (2004), "MM algorithms for generalized Bradley–Terry models".
+
+export interface PairwiseOutcome {
+  winnerId: string;
+  loserId: string;
+  draw?: boolean; // Counts as half a win for each side
+}
+
+export interface BradleyTerryOptions {
+  /** Virtual wins and losses each item gets against a fixed reference of strength 1. */
+  priorGames: number;
+  maxIterations: number;
+  /** Stop once no log-strength moves by more than this between iterations. */
+  tolerance: number;
+}
+
+export interface BradleyTerryFit {
+  /** Natural-log strength per item (0 = the reference item). */
+  strengths: Map<string, number>;
+  iterations: number;
+  converged: boolean;
+}
+
+/**
+ * Maximum a-posteriori Bradley–Terry strengths for every item that appears in `outcomes`.
+ * The prior games keep unbeaten / winless items finite and anchor the scale.
+ */
+export function fitBradleyTerry(outcomes: PairwiseOutcome[], options: BradleyTerryOptions): BradleyTerryFit {
+  const ids: string[] = [];
+  const index = new Map<string, number>();
+  const indexOf = (id: string): number => {
+    let i = index.get(id);
+    if (i === undefined) {
+      i = ids.length;
+      ids.push(id);
+      index.set(id, i);
+    }
+    return i;
+  };
+
+  // Aggregate to games played per unordered pair so each iteration is O(distinct pairs)
+  const pairGames = new Map<string, { a: number; b: number; games: number }>();
+  const wins: number[] = [];
+  for (const { winnerId, loserId, draw } of outcomes) {
+    if (winnerId === loserId) continue;
+    const w = indexOf(winnerId);
+    const l = indexOf(loserId);
+    wins[w] = (wins[w] ?? 0) + (draw ? 0.5 : 1);
+    wins[l] = (wins[l] ?? 0) + (draw ? 0.5 : 0);
+
+    const [a, b] = w < l ? [w, l] : [l, w];
+    const key = `${a}:${b}`;
+    const entry = pairGames.get(key);
+    if (entry) entry.games++;
+    else pairGames.set(key, { a, b, games: 1 });
+  }
+
+  const n = ids.length;
+  const pairs = [...pairGames.values()];
+  let strength = new Array<number>(n).fill(1);
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < options.maxIterations && !converged) {
+    iterations++;
+    // Prior: `priorGames` wins and losses vs the reference → numerator +priorGames, 2·priorGames games vs strength 1
+    const denominators = strength.map((p) => (2 * options.priorGames) / (p + 1));
+    for (const { a, b, games } of pairs) {
+      const share = games / (strength[a] + strength[b]);
+      denominators[a] += share;
+      denominators[b] += share;
+    }
+
+    const next = strength.map((_, i) => ((wins[i] ?? 0) + options.priorGames) / denominators[i]);
+    converged = next.every((p, i) => Math.abs(Math.log(p) - Math.log(strength[i])) <= options.tolerance);
+    strength = next;
+  }
+
+  return {
+    strengths: new Map(ids.map((id, i) => [id, Math.log(strength[i])])),
+    iterations,
+    converged,
+  };
+}
@@ -0,0 +1,72 @@
+// Bulk rating writes shared by the batch tools (recalculate, rescale, ...).
+
+import { RATING_WRITE_BATCH_SIZE } from "./constants";
+import { updateSceneRating, writeSceneRating } from "./rating";
+import { state } from "./state";
+import { clearUndoStack } from "./undo";
+
+export interface RatingChange {
+  id: string;
+  rating100: number | null; // null clears the rating
+}
+
+export interface RatingWriteFailure {
+  id: string;
+  error: string;
+}
+
+/**
+ * Show bulk-written ratings on the open pair or grid (its scenes may be copies restored from
+ * localStorage, so the next choice would rate from the old values) and clear undo — older entries
+ * would write pre-bulk values back.
+ */
+function afterBulkWrite(changes: RatingChange[]): void {
+  const newRatings = new Map(changes.map((c) => [c.id, c.rating100]));
+  for (const scene of [state.currentPair.left, state.currentPair.right, ...(state.currentGrid?.scenes ?? [])]) {
+    if (scene && newRatings.has(scene.id)) scene.rating100 = newRatings.get(scene.id);
+  }
+  clearUndoStack();
+}
+
+/**
+ * Write ratings to Stash one at a time (keeps the cache in sync and Stash unhurried), then update
+ * the open pair or grid and clear undo — older entries would write pre-bulk values back piecemeal.
+ */
+export async function writeRatingsInBulk(
+  changes: RatingChange[],
+  onProgress: (done: number, total: number) => void,
+): Promise<void> {
+  for (let i = 0; i < changes.length; i++) {
+    await updateSceneRating(changes[i].id, changes[i].rating100);
+    onProgress(i + 1, changes.length);
+  }
+  afterBulkWrite(changes);
+}
+
+/**
+ * Write ratings `RATING_WRITE_BATCH_SIZE` at a time (parallel within a batch), carrying on past
+ * failed writes, then update the open pair or grid and clear undo like `writeRatingsInBulk`. Resolves to
+ * the writes Stash rejected.
+ */
+export async function writeRatingsInBatches(
+  changes: RatingChange[],
+  onProgress: (done: number, total: number, failed: number) => void,
+): Promise<RatingWriteFailure[]> {
+  const failures: RatingWriteFailure[] = [];
+  for (let start = 0; start < changes.length; start += RATING_WRITE_BATCH_SIZE) {
+    const batch = changes.slice(start, start + RATING_WRITE_BATCH_SIZE);
+    const results = await Promise.allSettled(batch.map((c) => writeSceneRating(c.id, c.rating100)));
+    results.forEach((result, i) => {
+      if (result.status === "rejected") {
+        const error = result.reason instanceof Error ? result.reason.message : String(result.reason);
+        console.error(`[Stash Battle] ❌ Rating write failed for ${batch[i].id}:`, result.reason);
+        failures.push({ id: batch[i].id, error });
+      }
+    });
+    onProgress(start + batch.length, changes.length, failures.length);
+  }
+
+  const failedIds = new Set(failures.map((f) => f.id));
+  afterBulkWrite(changes.filter((c) => !failedIds.has(c.id)));
+  return failures;
+}
@@ -1,18 +1,21 @@
-// Scene cache: IndexedDB (durable) + in-memory (per session), stale-while-revalidate.
+// Scene cache: IndexedDB (durable) + in-memory (per session), stale-while-revalidate. Holds the
+// pool of the current entity type (entities.ts); switching type clears the memory tier.
 
 import {
   CACHE_DB_NAME,
   CACHE_DB_VERSION,
-  CACHE_MAX_AGE_MS,
   CACHE_STORE_NAME,
+  HISTORY_STORE_NAME,
+  SNAPSHOT_STORE_NAME,
 } from "./constants";
+import { currentEntity, fetchEntities } from "./entities";
 import { getFindFilter, type ListFilters } from "./filters";
-import { FIND_SCENES_QUERY, graphqlQuery } from "./graphql";
+import { settings } from "./settings";
 import { state } from "./state";
-import type { CacheEntry, FindScenesResult, Scene } from "./types";
+import type { CacheEntry, Scene } from "./types";
 
-// Open IndexedDB database
-function openCacheDB(): Promise<IDBDatabase> {
+// Open IndexedDB database (scene cache, battle history and rating snapshot stores)
+export function openCacheDB(): Promise<IDBDatabase> {
   return new Promise((resolve, reject) => {
     const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
 
@@ -30,10 +33,29 @@ function openCacheDB(): Promise<IDBDatabase> {
       if (!db.objectStoreNames.contains(CACHE_STORE_NAME)) {
         db.createObjectStore(CACHE_STORE_NAME, { keyPath: "cacheKey" });
       }
+      if (!db.objectStoreNames.contains(HISTORY_STORE_NAME)) {
+        db.createObjectStore(HISTORY_STORE_NAME, { keyPath: "id", autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE_NAME)) {
+        db.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: "id", autoIncrement: true });
+      }
     };
   });
 }
 
+function cacheMaxAgeMs(): number {
+  return settings.cacheMaxAgeMinutes * 60 * 1000;
+}
+
+// IndexedDB keys of the unfiltered and filtered pools ("all-scenes", "filtered-performers", ...)
+function allCacheKey(): string {
+  return `all-${currentEntity().plural}`;
+}
+
+function filteredCacheKey(): string {
+  return `filtered-${currentEntity().plural}`;
+}
+
 // Get cached scenes from IndexedDB
 async function getCachedScenes(cacheKey: string): Promise<CacheEntry | null> {
   try {
@@ -45,7 +67,7 @@ async function getCachedScenes(cacheKey: string): Promise<CacheEntry | null> {
 
       request.onsuccess = () => {
         const result = request.result as CacheEntry | undefined;
-        if (result && Date.now() - result.timestamp < CACHE_MAX_AGE_MS) {
+        if (result && Date.now() - result.timestamp < cacheMaxAgeMs()) {
           resolve(result);
         } else {
           resolve(null); // Cache miss or expired
@@ -122,7 +144,7 @@ export async function clearFilteredCache(): Promise<void> {
     return new Promise<void>((resolve, reject) => {
       const transaction = db.transaction(CACHE_STORE_NAME, "readwrite");
       const store = transaction.objectStore(CACHE_STORE_NAME);
-      const request = store.delete("filtered-scenes");
+      const request = store.delete(filteredCacheKey());
 
       request.onsuccess = () => {
         state.memoryCache.filteredScenes = null;
@@ -143,25 +165,21 @@ export async function clearFilteredCache(): Promise<void> {
 
 // Background refresh - fetch from network and update caches silently
 async function backgroundRefreshAllScenes(): Promise<void> {
-  const cacheKey = "all-scenes";
+  const cacheKey = allCacheKey();
+  const entityType = state.entityType;
 
   try {
     console.log("[Stash Battle] 🔄 Background refresh started (all scenes)...");
     const startTime = Date.now();
 
-    const result = await graphqlQuery<FindScenesResult>(FIND_SCENES_QUERY, {
-      filter: {
-        per_page: -1,
-        sort: "rating",
-        direction: "DESC",
-      },
-      scene_filter: null,
-    });
-
-    const scenes = result.findScenes.scenes || [];
-    const count = result.findScenes.count || scenes.length;
+    const { scenes, count } = await fetchEntities({ per_page: -1, sort: "rating", direction: "DESC" }, null);
     const fetchTime = Date.now() - startTime;
 
+    if (state.entityType !== entityType) {
+      console.log("[Stash Battle] ⚠️ Entity type changed during refresh, discarding results");
+      return;
+    }
+
     const oldCount = state.memoryCache.allScenes ? state.memoryCache.allScenes.length : 0;
     if (count !== oldCount) {
       console.log(
@@ -183,19 +201,19 @@ async function backgroundRefreshAllScenes(): Promise<void> {
 
 // Get all scenes (uses cache with stale-while-revalidate)
 export async function getAllScenesCached(): Promise<{ scenes: Scene[]; count: number }> {
-  const cacheKey = "all-scenes";
+  const cacheKey = allCacheKey();
 
   // Check memory cache first - return immediately if available
   if (state.memoryCache.allScenes) {
     const cacheAge = Math.round((Date.now() - (state.memoryCache.timestamp ?? 0)) / 1000);
-    const isStale = Date.now() - (state.memoryCache.timestamp ?? 0) >= CACHE_MAX_AGE_MS;
+    const isStale = Date.now() - (state.memoryCache.timestamp ?? 0) >= cacheMaxAgeMs();
 
     console.log(
       `[Stash Battle] 💾 Memory cache hit (all scenes): ${state.memoryCache.allScenes.length} scenes, age: ${cacheAge}s${isStale ? " [STALE]" : ""}`,
     );
 
     if (isStale) {
-      console.log(`[Stash Battle] ⏰ Cache stale (>${CACHE_MAX_AGE_MS / 1000}s), triggering background refresh...`);
+      console.log(`[Stash Battle] ⏰ Cache stale (>${cacheMaxAgeMs() / 1000}s), triggering background refresh...`);
       backgroundRefreshAllScenes(); // Don't await - runs in background
     }
     return { scenes: state.memoryCache.allScenes, count: state.memoryCache.allScenes.length };
@@ -206,7 +224,7 @@ export async function getAllScenesCached(): Promise<{ scenes: Scene[]; count: nu
   const cached = await getCachedScenes(cacheKey);
   if (cached) {
     const cacheAge = Math.round((Date.now() - cached.timestamp) / 1000);
-    const isStale = Date.now() - cached.timestamp >= CACHE_MAX_AGE_MS;
+    const isStale = Date.now() - cached.timestamp >= cacheMaxAgeMs();
 
     console.log(
       `[Stash Battle] 💿 IndexedDB cache hit (all scenes): ${cached.scenes.length} scenes, age: ${cacheAge}s${isStale ? " [STALE]" : ""}`,
@@ -216,7 +234,7 @@ export async function getAllScenesCached(): Promise<{ scenes: Scene[]; count: nu
     state.memoryCache.timestamp = cached.timestamp;
 
     if (isStale) {
-      console.log(`[Stash Battle] ⏰ Cache stale (>${CACHE_MAX_AGE_MS / 1000}s), triggering background refresh...`);
+      console.log(`[Stash Battle] ⏰ Cache stale (>${cacheMaxAgeMs() / 1000}s), triggering background refresh...`);
       backgroundRefreshAllScenes(); // Don't await - runs in background
     }
     return { scenes: cached.scenes, count: cached.count };
@@ -226,17 +244,7 @@ export async function getAllScenesCached(): Promise<{ scenes: Scene[]; count: nu
   console.log("[Stash Battle] 🌐 No cache found, fetching all scenes from network (first load)...");
   const startTime = Date.now();
 
-  const result = await graphqlQuery<FindScenesResult>(FIND_SCENES_QUERY, {
-    filter: {
-      per_page: -1,
-      sort: "rating",
-      direction: "DESC",
-    },
-    scene_filter: null,
-  });
-
-  const scenes = result.findScenes.scenes || [];
-  const count = result.findScenes.count || scenes.length;
+  const { scenes, count } = await fetchEntities({ per_page: -1, sort: "rating", direction: "DESC" }, null);
   const fetchTime = Date.now() - startTime;
 
   state.memoryCache.allScenes = scenes;
@@ -249,27 +257,21 @@ export async function getAllScenesCached(): Promise<{ scenes: Scene[]; count: nu
 
 // Background refresh for filtered scenes
 async function backgroundRefreshFilteredScenes(filters: ListFilters): Promise<void> {
-  const cacheKey = "filtered-scenes";
+  const cacheKey = filteredCacheKey();
+  const entityType = state.entityType;
 
   try {
     console.log("[Stash Battle] 🔄 Background refresh started (filtered scenes)...");
     const startTime = Date.now();
 
-    const result = await graphqlQuery<FindScenesResult>(FIND_SCENES_QUERY, {
-      filter: getFindFilter({
-        per_page: -1,
-        sort: "rating",
-        direction: "DESC",
-      }),
-      scene_filter: filters.sceneFilter,
-    });
-
-    const scenes = result.findScenes.scenes || [];
-    const count = result.findScenes.count || scenes.length;
+    const { scenes, count } = await fetchEntities(
+      getFindFilter({ per_page: -1, sort: "rating", direction: "DESC" }),
+      filters.entityFilter,
+    );
     const fetchTime = Date.now() - startTime;
 
-    // Only update if still on same filter
-    if (state.memoryCache.filterKey === filters.filterKey) {
+    // Only update if still on same filter (and entity type)
+    if (state.entityType === entityType && state.memoryCache.filterKey === filters.filterKey) {
       const oldCount = state.memoryCache.filteredScenes ? state.memoryCache.filteredScenes.length : 0;
       if (count !== oldCount) {
         console.log(
@@ -297,22 +299,22 @@ async function backgroundRefreshFilteredScenes(filters: ListFilters): Promise<vo
 export async function getFilteredScenesCached(
   filters: ListFilters,
 ): Promise<{ scenes: Scene[]; count: number }> {
-  const { filterKey, sceneFilter } = filters;
-  const cacheKey = "filtered-scenes"; // Single key - overwrites previous filter cache
+  const { filterKey, entityFilter } = filters;
+  const cacheKey = filteredCacheKey(); // Single key per entity type - overwrites previous filter cache
 
   console.log("[Stash Battle] 🔎 Filter active, checking filtered cache...");
 
   // Check memory cache first - return immediately if available and same filter
   if (state.memoryCache.filteredScenes && state.memoryCache.filterKey === filterKey) {
     const cacheAge = Math.round((Date.now() - (state.memoryCache.timestamp ?? 0)) / 1000);
-    const isStale = Date.now() - (state.memoryCache.timestamp ?? 0) >= CACHE_MAX_AGE_MS;
+    const isStale = Date.now() - (state.memoryCache.timestamp ?? 0) >= cacheMaxAgeMs();
 
     console.log(
       `[Stash Battle] 💾 Memory cache hit (filtered): ${state.memoryCache.filteredScenes.length} scenes, age: ${cacheAge}s${isStale ? " [STALE]" : ""}`,
     );
 
     if (isStale) {
-      console.log(`[Stash Battle] ⏰ Cache stale (>${CACHE_MAX_AGE_MS / 1000}s), triggering background refresh...`);
+      console.log(`[Stash Battle] ⏰ Cache stale (>${cacheMaxAgeMs() / 1000}s), triggering background refresh...`);
       backgroundRefreshFilteredScenes(filters);
     }
     return { scenes: state.memoryCache.filteredScenes, count: state.memoryCache.filteredScenes.length };
@@ -323,7 +325,7 @@ export async function getFilteredScenesCached(
   const cached = await getCachedScenes(cacheKey);
   if (cached && cached.filterKey === filterKey) {
     const cacheAge = Math.round((Date.now() - cached.timestamp) / 1000);
-    const isStale = Date.now() - cached.timestamp >= CACHE_MAX_AGE_MS;
+    const isStale = Date.now() - cached.timestamp >= cacheMaxAgeMs();
 
     console.log(
       `[Stash Battle] 💿 IndexedDB cache hit (filtered): ${cached.scenes.length} scenes, age: ${cacheAge}s${isStale ? " [STALE]" : ""}`,
@@ -334,7 +336,7 @@ export async function getFilteredScenesCached(
     state.memoryCache.timestamp = cached.timestamp;
 
     if (isStale) {
-      console.log(`[Stash Battle] ⏰ Cache stale (>${CACHE_MAX_AGE_MS / 1000}s), triggering background refresh...`);
+      console.log(`[Stash Battle] ⏰ Cache stale (>${cacheMaxAgeMs() / 1000}s), triggering background refresh...`);
       backgroundRefreshFilteredScenes(filters);
     }
     return { scenes: cached.scenes, count: cached.count };
@@ -350,17 +352,10 @@ export async function getFilteredScenesCached(
   console.log("[Stash Battle] 🌐 Fetching filtered scenes from network...");
   const startTime = Date.now();
 
-  const result = await graphqlQuery<FindScenesResult>(FIND_SCENES_QUERY, {
-    filter: getFindFilter({
-      per_page: -1,
-      sort: "rating",
-      direction: "DESC",
-    }),
-    scene_filter: sceneFilter,
-  });
-
-  const scenes = result.findScenes.scenes || [];
-  const count = result.findScenes.count || scenes.length;
+  const { scenes, count } = await fetchEntities(
+    getFindFilter({ per_page: -1, sort: "rating", direction: "DESC" }),
+    entityFilter,
+  );
   const fetchTime = Date.now() - startTime;
 
   state.memoryCache.filteredScenes = scenes;
@@ -0,0 +1,86 @@
+// Calibration: unrated scenes first, each placed by a short sequence of battles against benchmarks
+// at spread-out positions of the rated pool (pure state and rating fit — matchmaking lives in
+// pairs.ts, the choice handling in ui/mainUI.ts).
+
+import { CALIBRATION_POSITIONS } from "./constants";
+import { expectedScore } from "./elo";
+import { normalizePreciseRating } from "./preciseRating";
+import type { Scene } from "./types";
+
+export interface CalibrationResult {
+  opponentId: string;
+  opponentRating: number; // Benchmark's precise rating at the time
+  score: number; // 1 win, ½ draw, 0 loss (for the calibrating scene)
+}
+
+export interface CalibrationState {
+  scene: Scene; // The scene being calibrated (always on the left)
+  positionsLeft: number[]; // Unplayed pool positions (fraction from the top, 0 = best)
+  position: number; // Position of the battle on screen (one of positionsLeft)
+  results: CalibrationResult[];
+  unratedLeft: number; // Unrated scenes in the filter at the last fetch (this one included)
+  reference: number; // Median precise rating of the rated pool at the last fetch
+}
+
+export function startCalibration(scene: Scene, unratedLeft: number): CalibrationState {
+  return {
+    scene,
+    positionsLeft: [...CALIBRATION_POSITIONS],
+    position: CALIBRATION_POSITIONS[0],
+    results: [],
+    unratedLeft,
+    reference: 50,
+  };
+}
+
+export function calibrationBattles(): number {
+  return CALIBRATION_POSITIONS.length;
+}
+
+export function isCalibrationDone(calibration: CalibrationState): boolean {
+  return calibration.positionsLeft.length === 0;
+}
+
+/**
+ * Rating that best explains the results so far (maximum likelihood under the ELO win probability),
+ * with one virtual win and one virtual loss against `reference` (the pool median) so a run of only
+ * wins or only losses still lands on a finite rating.
+ */
+export function calibrationRating(calibration: CalibrationState, reference: number): number {
+  const surplus = (rating: number) =>
+    calibration.results.reduce((sum, r) => sum + r.score - expectedScore(rating, r.opponentRating), 0) +
+    1 -
+    2 * expectedScore(rating, reference);
+
+  // The surplus falls as the rating rises: bisect for its zero on the 1–100 scale
+  let lo = 1;
+  let hi = 100;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (surplus(mid) > 0) lo = mid;
+    else hi = mid;
+  }
+  return normalizePreciseRating((lo + hi) / 2);
+}
+
+/**
+ * Pool position of the next battle: the first battle uses the first listed position (the middle),
+ * later ones the unplayed position closest to where the current estimate sits (`estimateFraction`).
+ */
+export function nextCalibrationPosition(calibration: CalibrationState, estimateFraction: number): number {
+  const { positionsLeft } = calibration;
+  let index = 0;
+  if (calibration.results.length > 0) {
+    positionsLeft.forEach((p, i) => {
+      if (Math.abs(p - estimateFraction) < Math.abs(positionsLeft[index] - estimateFraction)) index = i;
+    });
+  }
+  return positionsLeft[index];
+}
+
+/** Record the result of the battle at `calibration.position`. */
+export function recordCalibrationResult(calibration: CalibrationState, result: CalibrationResult): void {
+  const index = calibration.positionsLeft.indexOf(calibration.position);
+  if (index !== -1) calibration.positionsLeft.splice(index, 1);
+  calibration.results.push(result);
+}
@@ -1,10 +1,30 @@
-// Plugin-wide constants.
+// Plugin-wide constants. Tunable values here are only defaults — modules read them through
+// `settings` (settings.ts), which applies the plugin configuration saved in Stash.
+
+/** Plugin id in Stash (the .yml file name); keys the plugin's configuration. */
+export const PLUGIN_ID = "stash-battle";
 
 export const STORAGE_KEY = "stash-battle-state";
 export const CACHE_DB_NAME = "stash-battle-cache";
-export const CACHE_DB_VERSION = 1;
+export const CACHE_DB_VERSION = 3;
 export const CACHE_STORE_NAME = "scenes";
-export const CACHE_MAX_AGE_MS = 5 * 60 * 1000; // 5 minutes cache expiry
+export const CACHE_MAX_AGE_MS = 5 * 60 * 1000; // 5 minutes cache expiry (setting: cacheMaxAgeMinutes)
+
+// Battle history: one record per choice, appended to a store in the cache DB.
+export const HISTORY_STORE_NAME = "history";
+/** Most recent matching records rendered in the history panel. */
+export const HISTORY_PANEL_LIMIT = 200;
+
+// Rating snapshots: every entity's rating100, saved to a store in the cache DB for rollback.
+export const SNAPSHOT_STORE_NAME = "snapshots";
+/** Session snapshots kept per entity type (manual, pre-restore and pre-import ones are kept until deleted). */
+export const SNAPSHOTS_KEPT = 10;
+
+/** Parallel rating writes per batch when importing ratings from a file. */
+export const RATING_WRITE_BATCH_SIZE = 10;
+
+/** How many choices can be undone (session only, oldest dropped first). */
+export const UNDO_MAX_DEPTH = 20;
 
 // toggle: should scene2/opponents obey the same filter as scene1?
 // default is false (don't apply filter to both sides); user can override via UI.
@@ -13,16 +33,123 @@ export const DEFAULT_FILTER_OPPONENTS = false;
 // LocalStorage keys for user preferences.
 export const FILTER_OPPONENTS_KEY = "sb_filterOpponents";
 export const MUTE_PREVIEWS_KEY = "sb_mutePreviews";
+export const RATING_ENGINE_KEY = "sb_ratingEngine";
+export const TOURNAMENT_SIZE_KEY = "sb_tournamentSize";
+export const GRID_SIZE_KEY = "sb_gridSize";
+export const GRID_PICK_WORST_KEY = "sb_gridPickWorst";
+export const RANK_SIZE_KEY = "sb_rankSize";
+export const GAUNTLET_START_KEY = "sb_gauntletStart";
+
+// Battle stats: Stash scene custom_fields written by the plugin (counts across all modes).
+export const BATTLE_STAT_FIELDS = {
+  battles: "battle_count",
+  wins: "battle_wins",
+  losses: "battle_losses",
+  draws: "battle_draws",
+  lastBattled: "battle_last", // ISO timestamp of the latest battle
+  streak: "battle_streak", // Current win streak (a loss or draw resets it)
+  bestStreak: "battle_best_streak",
+  titles: "battle_titles", // Gauntlet / champion / tournament victories
+} as const;
+
+// Precise rating: the unrounded 1–100 rating behind rating100, in this scene custom field.
+export const PRECISE_RATING_FIELD = "battle_rating";
+export const PRECISE_RATING_DECIMALS = 4;
+
+// Rating engine: "elo" (classic, default) or "glicko2" (per-scene rating deviation + volatility).
+export const DEFAULT_RATING_ENGINE = "elo";
+
+// ELO: expected score = 1 / (1 + 10^(diff / divisor)); 40 because the scale is 1–100, not chess's ~800–2800.
+export const ELO_DIVISOR = 40;
+
+/** Default count behind the K-factor tiers (setting: kFactorPolicy). */
+export const DEFAULT_K_FACTOR_POLICY = "battles";
+
+/** K-factor by experience: `new` below `settlingAt`, `settling` below `establishedAt`, and so on. */
+export const K_FACTOR_TIERS = {
+  new: 12,
+  settling: 8,
+  established: 6,
+  stable: 4,
+  settlingAt: 3,
+  establishedAt: 8,
+  stableAt: 15,
+};
+
+// Glicko-2: per-scene state is kept in localStorage, keyed by scene id.
+export const GLICKO_STORE_KEY = "sb_glickoRatings";
+/** Deviation for a scene with no Glicko-2 history (high = moves quickly). */
+export const GLICKO_DEFAULT_RD = 350;
+export const GLICKO_DEFAULT_VOLATILITY = 0.06; // setting: glickoVolatilityThousandths
+/** System constant constraining volatility change (Glickman suggests 0.3–1.2). */
+export const GLICKO_TAU = 0.5; // setting: glickoTauHundredths
+/** Glicko points per rating100 point (matches ELO's /40 divisor on the 1–100 scale vs chess /400). */
+export const GLICKO_POINTS_PER_RATING = 10;
 
 // Swiss mode: initial rank band (±N) when picking a similar-strength opponent; doubles until candidates exist.
 export const SWISS_OPPONENT_REACH_INITIAL = 10;
 export const SWISS_OPPONENT_REACH_MULTIPLIER = 2;
 
+// Swiss pairing strategy: "band" (random in the rank band above) or "informative" (most informative pair).
+export const DEFAULT_SWISS_PAIRING = "band";
+// Informative pairing: most-uncertain left scenes considered, and ±ranks searched around each.
+export const SWISS_INFO_LEFT_SAMPLE = 32;
+export const SWISS_INFO_OPPONENT_WINDOW = 25;
+
+// Gauntlet: where a new run starts ("bottom" climbs, "top" descends, "rank" starts next to the scene's rank).
+export const DEFAULT_GAUNTLET_START = "bottom";
+
 // Gauntlet/champion: random pick among the N closest undefeated opponents above the climber.
 export const CLIMB_OPPONENT_PICK_WINDOW = 5;
 
 /** Show a UI warning when the climb opponent pool is smaller than this (filter opponents on). */
 export const CLIMB_SMALL_POOL_WARN_AT = 10;
 
-/** play_count stand-in when the climber wins in gauntlet/champion (0 → K=12). */
+// Tournament: single-elimination bracket sizes (entrants) and the default pick.
+export const TOURNAMENT_SIZES = [8, 16, 32, 64] as const;
+export const DEFAULT_TOURNAMENT_SIZE = 16;
+
+// Best-of-N grid: scenes per grid (number keys 1–6 pick) and the default.
+export const GRID_SIZES = [4, 5, 6] as const;
+export const DEFAULT_GRID_SIZE = 4;
+
+// Revisit: the left scene is random among this many longest-unbattled scenes of the filter.
+export const REVISIT_PICK_WINDOW = 10;
+
+// Drag to rank: scenes per batch (every pair in the order counts, so 8 = 28 results).
+export const RANK_SIZES = [5, 6, 7, 8] as const;
+export const DEFAULT_RANK_SIZE = 6;
+
+// Calibration: one battle per position of the rated pool (fraction from the top), played in an
+// order that follows the running estimate — the first entry opens.
+export const CALIBRATION_POSITIONS = [0.5, 0.1, 0.3, 0.7, 0.9];
+/** Benchmark is random among this many unfaced scenes nearest the position. */
+export const CALIBRATION_PICK_WINDOW = 3;
+
+// Round robin: every pair plays once, so the filtered set must stay small (16 scenes = 120 matches).
+export const ROUND_ROBIN_MIN_SCENES = 3;
+export const ROUND_ROBIN_MAX_SCENES = 16;
+
+/** Experience stand-in when the climber wins or draws in gauntlet/champion (0 → K=12). */
 export const CLIMB_K_PLAY_COUNT = 0;
+
+// Bradley–Terry recalculation (History tab): batch refit of every scene in the battle log.
+/** Virtual win + loss per scene against an average reference (keeps unbeaten scenes finite). */
+export const BT_PRIOR_GAMES = 1;
+export const BT_MAX_ITERATIONS = 1000;
+export const BT_TOLERANCE = 1e-6;
+
+// Rating rescale (Tools tab): redistribute rating100 over a target curve by current rank.
+export const RESCALE_NORMAL_MEAN = 50;
+export const RESCALE_NORMAL_SD = 17; // ±2.9σ spans 1–100
+export const RESCALE_DEFAULT_CUSTOM_CURVE = "0:1, 25:35, 50:55, 75:72, 90:85, 100:100";
+export const RESCALE_HISTOGRAM_BINS = 10;
+
+// Tier tags (Tools tab): tag the library by rank. Tiers are "name:cutoff" pairs, best first — top
+// N percent of the rated library, or a minimum rating100.
+export const TIER_CONFIG_KEY = "sb_tierConfig";
+export const TIER_DEFAULT_PREFIX = "Tier ";
+export const TIER_DEFAULT_PERCENTILES = "S:5, A:20, B:50, C:80, D:100";
+export const TIER_DEFAULT_RATINGS = "S:90, A:75, B:55, C:35, D:1";
+/** Entities per bulk tag mutation. */
+export const TIER_BULK_BATCH_SIZE = 100;
@@ -1,34 +1,48 @@
-// ELO rating logic (pure calculations — callers apply results and persist).
+// ELO rating logic (pure calculations on precise ratings — callers apply results and persist).
 
-import type { ComparisonDeltas, ComparisonInput } from "./types";
+import { settings } from "./settings";
+import type { ComparisonDeltas, ComparisonInput, Outcome } from "./types";
 
 const MIN_RATING = 1;
 const MAX_RATING = 100;
 
-// Dynamic K-factor based on play_count (similar to chess ELO for new vs established players)
-export function getKFactor(playCount: number): number {
-  if (playCount < 3) return 12;
-  if (playCount < 8) return 8;
-  if (playCount < 15) return 6;
-  return 4;
+// Dynamic K-factor based on experience — battles fought or play_count, per the kFactorPolicy
+// setting (similar to chess ELO for new vs established players)
+export function getKFactor(experience: number): number {
+  if (experience < settings.kSettlingAt) return settings.kFactorNew;
+  if (experience < settings.kEstablishedAt) return settings.kFactorSettling;
+  if (experience < settings.kStableAt) return settings.kFactorEstablished;
+  return settings.kFactorStable;
 }
 
 function clampRating(rating: number): number {
   return Math.min(MAX_RATING, Math.max(MIN_RATING, rating));
 }
 
-function expectedScore(ratingA: number, ratingB: number): number {
+/** Probability that A beats B. */
+export function expectedScore(ratingA: number, ratingB: number): number {
   const ratingDiff = ratingB - ratingA;
-  return 1 / (1 + Math.pow(10, ratingDiff / 40));
+  return 1 / (1 + Math.pow(10, ratingDiff / settings.eloDivisor));
 }
 
-/** Standard two-sided ELO for a head-to-head win. Returns effective deltas (post-clamp). */
-export function calculateRatingChanges(input: ComparisonInput): ComparisonDeltas {
+/**
+ * Standard two-sided ELO for a head-to-head result on precise (float) ratings. Returns effective
+ * deltas (post-clamp, unrounded — rating100 is the caller's projection). A draw scores 0.5 for
+ * each side (winner/loser are just the two sides), so a draw between equals changes nothing.
+ */
+export function calculateRatingChanges(input: ComparisonInput, outcome: Outcome = "win"): ComparisonDeltas {
   const { winner, loser } = input;
 
   const expected = expectedScore(winner.rating, loser.rating);
-  const winnerChange = Math.max(1, Math.round(getKFactor(winner.playCount) * (1 - expected)));
-  const loserChange = -Math.max(1, Math.round(getKFactor(loser.playCount) * expected));
+  let winnerChange: number;
+  let loserChange: number;
+  if (outcome === "draw") {
+    winnerChange = getKFactor(winner.experience) * (0.5 - expected);
+    loserChange = getKFactor(loser.experience) * (expected - 0.5);
+  } else {
+    winnerChange = getKFactor(winner.experience) * (1 - expected);
+    loserChange = -getKFactor(loser.experience) * expected;
+  }
 
   const winnerNew = clampRating(winner.rating + winnerChange);
   const loserNew = clampRating(loser.rating + loserChange);
@@ -0,0 +1,208 @@
+// Battle entities: what the pool, the cards and the rating writes are about (scenes, performers,
+// groups, galleries or images).
+//
+// Entities share one record shape (types.ts `Scene`) and Stash names its GraphQL API regularly —
+// `findScenes { scenes }`, `findScene`, `sceneUpdate(input: SceneUpdateInput)`, `scene_filter`, page
+// `/scenes` — so each type only needs its labels, fragment and whether the plugin keeps custom fields
+// on it; queries and paths are derived here.
+
+import {
+  GALLERY_FRAGMENT,
+  graphqlQuery,
+  GROUP_FRAGMENT,
+  IMAGE_FRAGMENT,
+  PERFORMER_FRAGMENT,
+  SCENE_FRAGMENT,
+} from "./graphql";
+import { state } from "./state";
+import type { EntityType, FindEntitiesResult, FindEntityResult, FindFilterType, Scene, SceneFilterType } from "./types";
+
+export interface EntityConfig {
+  label: string; // GraphQL type name, e.g. "Scene"
+  plural: string; // List page path and list result field, e.g. "scenes"
+  fragment: string; // Fields fetched for pools and cards
+  customFields: boolean; // Battle stats and the precise rating are kept in the entity's custom fields
+}
+
+export const ENTITIES: Record<EntityType, EntityConfig> = {
+  scene: { label: "Scene", plural: "scenes", fragment: SCENE_FRAGMENT, customFields: true },
+  performer: { label: "Performer", plural: "performers", fragment: PERFORMER_FRAGMENT, customFields: true },
+  group: { label: "Group", plural: "groups", fragment: GROUP_FRAGMENT, customFields: false },
+  gallery: { label: "Gallery", plural: "galleries", fragment: GALLERY_FRAGMENT, customFields: false },
+  image: { label: "Image", plural: "images", fragment: IMAGE_FRAGMENT, customFields: false },
+};
+
+export function currentEntity(): EntityConfig {
+  return ENTITIES[state.entityType];
+}
+
+const capitalize = (text: string): string => text.charAt(0).toUpperCase() + text.slice(1);
+
+function listField(entity: EntityConfig): string {
+  return `find${capitalize(entity.plural)}`;
+}
+
+function lookupField(entity: EntityConfig): string {
+  return `find${entity.label}`;
+}
+
+function filterVariable(entity: EntityConfig): string {
+  return `${entity.label.toLowerCase()}_filter`;
+}
+
+/**
+ * Throw unless `entity` is still the type being battled. Previews and plans remember the type they
+ * were made for: after a switch their ids belong to the other type, so writing them is refused.
+ */
+export function assertEntityType(entity: EntityType): void {
+  if (state.entityType === entity) return;
+  throw new Error(
+    `This preview was made for ${ENTITIES[entity].plural}, but ${currentEntity().plural} are battled now — preview again`,
+  );
+}
+
+/** Entity type whose list or detail pages contain `pathname` (e.g. /galleries, /galleries/12), or null. */
+export function entityTypeOfPage(pathname: string = window.location.pathname): EntityType | null {
+  const types = Object.keys(ENTITIES) as EntityType[];
+  const match = types.find((type) => {
+    const listPath = `/${ENTITIES[type].plural}`;
+    return pathname === listPath || pathname.startsWith(`${listPath}/`);
+  });
+  return match ?? null;
+}
+
+/** Entity type to battle from the page at `pathname`; other pages (e.g. the home page) battle scenes. */
+export function entityTypeFromPath(pathname: string = window.location.pathname): EntityType {
+  return entityTypeOfPage(pathname) ?? "scene";
+}
+
+/** Id from a detail page of the current entity type, like /scenes/123 or /performers/45. */
+export function getEntityIdFromUrl(): string | null {
+  const match = window.location.pathname.match(new RegExp(`^/${currentEntity().plural}/(\\d+)$`));
+  return match ? match[1] : null;
+}
+
+/** Link to an entity's page, keeping the current URL search params (list filter). */
+export function entityUrl(id: string): string {
+  return `/${currentEntity().plural}/${encodeURIComponent(id)}${window.location.search}`;
+}
+
+/** Plain-text name for tables and logs: title, name, or "<Label> <id>". */
+export function entityDisplayName(scene: Scene): string {
+  return scene.title || scene.name || `${currentEntity().label} ${scene.id}`;
+}
+
+/** localStorage key for per-entity data: `base` for scenes (existing stores), suffixed for other types. */
+export function entityStoreKey(base: string): string {
+  return state.entityType === "scene" ? base : `${base}_${currentEntity().plural}`;
+}
+
+/** Mutation writing `$input` to one entity of the current type (returns its id and rating100). */
+export function entityUpdateMutation(): string {
+  const { label } = currentEntity();
+  return `
+      mutation ${label}Update($input: ${label}UpdateInput!) {
+        ${label.toLowerCase()}Update(input: $input) {
+          id
+          rating100
+        }
+      }
+    `;
+}
+
+/** Mutation writing `$input` to many entities of a type (the current one) at once (bulkSceneUpdate, ...). */
+export function entityBulkUpdateMutation(entity: EntityType = state.entityType): string {
+  const { label } = ENTITIES[entity];
+  return `
+      mutation Bulk${label}Update($input: Bulk${label}UpdateInput!) {
+        bulk${label}Update(input: $input) {
+          id
+        }
+      }
+    `;
+}
+
+/** `fields` of one entity of the current type, or null when it doesn't exist. */
+export async function fetchEntityFields(id: string, fields: string): Promise<Scene | null> {
+  const entity = currentEntity();
+  const query = `
+      query Find${entity.label}($id: ID!) {
+        ${lookupField(entity)}(id: $id) {
+          ${fields}
+        }
+      }
+    `;
+  const result = await graphqlQuery<FindEntityResult>(query, { id });
+  return result[lookupField(entity)] ?? null;
+}
+
+export async function fetchEntityById(id: string): Promise<Scene | null> {
+  return fetchEntityFields(id, currentEntity().fragment);
+}
+
+/** `rating100` of every entity of the current type, straight from Stash (null = unrated). */
+export async function fetchEntityRatings(): Promise<Record<string, number | null>> {
+  const entity = currentEntity();
+  const query = `
+      query Find${capitalize(entity.plural)}Ratings($filter: FindFilterType) {
+        ${listField(entity)}(filter: $filter) {
+          ${entity.plural} {
+            id
+            rating100
+          }
+        }
+      }
+    `;
+  const result = await graphqlQuery<FindEntitiesResult>(query, { filter: { per_page: -1 } });
+  const list = (result[listField(entity)][entity.plural] as Scene[] | undefined) || [];
+  return Object.fromEntries(list.map((scene) => [scene.id, scene.rating100 ?? null]));
+}
+
+/** Tag ids of every entity of the current type that has any of `tagIds`, straight from Stash. */
+export async function fetchEntityTagIds(tagIds: string[]): Promise<Record<string, string[]>> {
+  if (tagIds.length === 0) return {};
+  const entity = currentEntity();
+  const variable = filterVariable(entity);
+  const query = `
+      query Find${capitalize(entity.plural)}Tags($filter: FindFilterType, $${variable}: ${entity.label}FilterType) {
+        ${listField(entity)}(filter: $filter, ${variable}: $${variable}) {
+          ${entity.plural} {
+            id
+            tags {
+              id
+            }
+          }
+        }
+      }
+    `;
+  const result = await graphqlQuery<FindEntitiesResult>(query, {
+    filter: { per_page: -1 },
+    [variable]: { tags: { value: tagIds, modifier: "INCLUDES" } },
+  });
+  const list =
+    (result[listField(entity)][entity.plural] as { id: string; tags?: { id: string }[] }[] | undefined) || [];
+  return Object.fromEntries(list.map((item) => [item.id, (item.tags ?? []).map((tag) => tag.id)]));
+}
+
+/** Entities of the current type matching `filter` and the URL's entity filter (null = all of them). */
+export async function fetchEntities(
+  filter: FindFilterType,
+  entityFilter: SceneFilterType | null,
+): Promise<{ scenes: Scene[]; count: number }> {
+  const entity = currentEntity();
+  const variable = filterVariable(entity);
+  const query = `
+      query Find${capitalize(entity.plural)}ByRating($filter: FindFilterType, $${variable}: ${entity.label}FilterType) {
+        ${listField(entity)}(filter: $filter, ${variable}: $${variable}) {
+          count
+          ${entity.plural} {
+            ${entity.fragment}
+          }
+        }
+      }
+    `;
+  const result = await graphqlQuery<FindEntitiesResult>(query, { filter, [variable]: entityFilter });
+  const list = result[listField(entity)];
+  const scenes = (list[entity.plural] as Scene[] | undefined) || [];
+  return { scenes, count: list.count || scenes.length };
+}
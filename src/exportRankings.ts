@@ -0,0 +1,109 @@
+// Export rankings: the rating-sorted pool (whole library or the current list filter) as CSV or JSON
+// for spreadsheets and sharing.
+
+import { getBattleCounts } from "./battleStats";
+import { getAllScenesCached, getFilteredScenesCached } from "./cache";
+import { currentEntity } from "./entities";
+import { readFilters } from "./filters";
+import { sortByPreciseRating } from "./preciseRating";
+import { state } from "./state";
+import type { EntityType } from "./types";
+import { resolveSceneTitle } from "./ui/sceneTitle";
+
+export type ExportScope = "all" | "filtered";
+export type ExportFormat = "csv" | "json";
+
+export interface ExportRow {
+  rank: number | null; // Position among the rated entities of the export (null = unrated, listed last)
+  id: string;
+  rating100: number | null;
+  title: string;
+  studio: string;
+  performers: string[];
+  path: string; // First file path ("" for types without files)
+  // Battle stats (null for types without custom fields, which keep none)
+  battles: number | null;
+  wins: number | null;
+  losses: number | null;
+  draws: number | null;
+  bestStreak: number | null;
+  titles: number | null;
+  lastBattled: string | null; // ISO date-time
+}
+
+export interface RankingExport {
+  entityType: EntityType;
+  scope: ExportScope;
+  exportedAt: string;
+  rows: ExportRow[];
+}
+
+const CSV_COLUMNS: (keyof ExportRow)[] = [
+  "rank",
+  "id",
+  "rating100",
+  "title",
+  "studio",
+  "performers",
+  "path",
+  "battles",
+  "wins",
+  "losses",
+  "draws",
+  "bestStreak",
+  "titles",
+  "lastBattled",
+];
+
+/** Fetch the pool (cached) and build one row per entity, best first. */
+export async function buildRankingExport(scope: ExportScope): Promise<RankingExport> {
+  const { scenes } =
+    scope === "filtered" ? await getFilteredScenesCached(readFilters()) : await getAllScenesCached();
+  const keepsStats = currentEntity().customFields;
+  const sorted = sortByPreciseRating(scenes);
+
+  const rows = sorted.map((scene, i): ExportRow => {
+    const counts = keepsStats ? getBattleCounts(scene) : null;
+    return {
+      rank: scene.rating100 ? i + 1 : null,
+      id: scene.id,
+      rating100: scene.rating100 ?? null,
+      title: resolveSceneTitle(scene),
+      studio: scene.studio?.name ?? "",
+      performers: (scene.performers ?? []).map((p) => p.name),
+      path: scene.files?.[0]?.path ?? "",
+      battles: counts?.battles ?? null,
+      wins: counts?.wins ?? null,
+      losses: counts?.losses ?? null,
+      draws: counts?.draws ?? null,
+      bestStreak: counts?.bestStreak ?? null,
+      titles: counts?.titles ?? null,
+      lastBattled: counts && counts.lastBattled !== null ? new Date(counts.lastBattled).toISOString() : null,
+    };
+  });
+
+  console.log(`[Stash Battle] 📤 Export built: ${rows.length} ${currentEntity().plural} (${scope})`);
+  return { entityType: state.entityType, scope, exportedAt: new Date().toISOString(), rows };
+}
+
+function csvCell(value: ExportRow[keyof ExportRow]): string {
+  const text = Array.isArray(value) ? value.join(", ") : String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** RFC 4180 CSV with a header row; performers are joined into one cell. */
+export function exportToCsv(data: RankingExport): string {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const row of data.rows) lines.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+export function exportToJson(data: RankingExport): string {
+  return JSON.stringify(data, null, 2);
+}
+
+/** Download name, e.g. stash-battle-scenes-2024-05-01.csv */
+export function exportFileName(data: RankingExport, format: ExportFormat): string {
+  const { plural } = currentEntity();
+  return `stash-battle-${plural}${data.scope === "filtered" ? "-filtered" : ""}-${data.exportedAt.slice(0, 10)}.${format}`;
+}
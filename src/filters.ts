@@ -1,4 +1,4 @@
-// URL filter parsing for Stash list → GraphQL scene queries.
+// URL filter parsing for Stash list → GraphQL scene / performer queries.
 
 import type { FindFilterType, SceneFilterType } from "./types";
 
@@ -63,7 +63,7 @@ export function translateJSON(jsonString: string, decoding: boolean): string {
 // Each category requires different transformation logic
 const CRITERION_CATEGORIES = {
   // Boolean: no modifier, value is "true"/"false" string -> convert to boolean
-  boolean: new Set(["organized", "interactive", "performer_favorite"]),
+  boolean: new Set(["organized", "interactive", "performer_favorite", "filter_favorites"]),
   // StringEnum: URL has modifier but GraphQL just expects the string value directly
   stringEnum: new Set(["is_missing", "has_markers"]),
   // Multi: value is array of {id, label} -> extract IDs only
@@ -100,8 +100,12 @@ const ORIENTATION_MAP: Record<string, string> = {
 
 const idOf = (v: any): unknown => (typeof v === "object" && v && v.id ? v.id : v);
 
-// Build SceneFilterType from URL 'c' params (defaults to current page URL).
-export function getSceneFilter(
+// Gender label to GraphQL enum ("Transgender Female" -> TRANSGENDER_FEMALE, "Non-Binary" -> NON_BINARY)
+const genderEnum = (label: string): string => label.toUpperCase().replace(/[^A-Z]+/g, "_");
+
+// Build the GraphQL entity filter (SceneFilterType, PerformerFilterType) from URL 'c' params
+// (defaults to current page URL). Criteria are keyed by their GraphQL field, so one parser serves both.
+export function getEntityFilter(
   searchParams: URLSearchParams = getSearchParams(),
 ): SceneFilterType | null {
   const sceneFilter: SceneFilterType = {};
@@ -123,7 +127,7 @@ export function getSceneFilter(
       // Remove type from the object - it becomes the key
       const { type: _type, ...rest } = cObj;
 
-      // Category: Boolean (organized, interactive, performer_favorite)
+      // Category: Boolean (organized, interactive, performer_favorite, filter_favorites)
       if (CRITERION_CATEGORIES.boolean.has(filterType)) {
         sceneFilter[filterType] = rest.value === "true" || rest.value === true;
         continue;
@@ -191,6 +195,16 @@ export function getSceneFilter(
         continue;
       }
 
+      // Category: Gender (performers; multi-select labels -> value_list of enums)
+      if (filterType === "gender") {
+        const values: any[] = Array.isArray(rest.value) ? rest.value : [rest.value];
+        sceneFilter[filterType] = {
+          modifier: rest.modifier,
+          value_list: values.filter(Boolean).map((v) => genderEnum(String(v))),
+        };
+        continue;
+      }
+
       // Category: Duplicated (phash duplicate filter - different structure)
       if (filterType === "duplicated") {
         sceneFilter[filterType] = {
@@ -233,19 +247,19 @@ export function getSceneFilter(
 /** Parsed filter state for the current Stash list URL. */
 export interface ListFilters {
   filterKey: string;
-  sceneFilter: SceneFilterType | null;
+  entityFilter: SceneFilterType | null;
   filterActive: boolean;
 }
 
-/** Read URL filter state once (cache key, GraphQL scene_filter, active flag). */
+/** Read URL filter state once (cache key, GraphQL scene_filter / performer_filter, active flag). */
 export function readFilters(): ListFilters {
   const searchParams = getSearchParams();
-  const sceneFilter = getSceneFilter(searchParams);
+  const entityFilter = getEntityFilter(searchParams);
   const q = searchParams.get("q") || "";
   return {
-    filterKey: JSON.stringify({ q, filter: sceneFilter || {} }),
-    sceneFilter,
-    filterActive: Boolean(sceneFilter || searchParams.has("c") || searchParams.get("q")),
+    filterKey: JSON.stringify({ q, filter: entityFilter || {} }),
+    entityFilter,
+    filterActive: Boolean(entityFilter || searchParams.has("c") || searchParams.get("q")),
   };
 }
 
@@ -0,0 +1,99 @@
+// Glicko-2 rating logic (pure calculations — callers map results onto rating100 and persist).
+// Follows Glickman's "Example of the Glicko-2 system" step by step.
+
+/** A player's Glicko-2 state on the public (1500-centred) scale. */
+export interface GlickoRating {
+  rating: number;
+  rd: number;
+  volatility: number;
+}
+
+export interface GlickoResult {
+  opponent: GlickoRating;
+  score: number; // 1 = win, 0.5 = draw, 0 = loss
+}
+
+const GLICKO_SCALE = 173.7178; // 400 / ln(10)
+const GLICKO_CENTER = 1500;
+const CONVERGENCE_EPSILON = 0.000001;
+
+function g(phi: number): number {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expected(mu: number, muJ: number, phiJ: number): number {
+  return 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+}
+
+/** Step 5: new volatility via the Illinois algorithm. */
+function updatedVolatility(phi: number, sigma: number, delta: number, v: number, tau: number): number {
+  const a = Math.log(sigma * sigma);
+  const f = (x: number): number => {
+    const ex = Math.exp(x);
+    const denom = 2 * Math.pow(phi * phi + v + ex, 2);
+    return (ex * (delta * delta - phi * phi - v - ex)) / denom - (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B: number;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) k++;
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/** Rate one rating period (one or more games against opponents at their pre-period ratings). */
+export function glicko2Update(player: GlickoRating, results: GlickoResult[], tau: number): GlickoRating {
+  const mu = (player.rating - GLICKO_CENTER) / GLICKO_SCALE;
+  const phi = player.rd / GLICKO_SCALE;
+
+  // No games: only the deviation grows (step 6 with no results)
+  if (results.length === 0) {
+    const phiStar = Math.sqrt(phi * phi + player.volatility * player.volatility);
+    return { ...player, rd: phiStar * GLICKO_SCALE };
+  }
+
+  let vInv = 0;
+  let deltaSum = 0;
+  for (const { opponent, score } of results) {
+    const muJ = (opponent.rating - GLICKO_CENTER) / GLICKO_SCALE;
+    const phiJ = opponent.rd / GLICKO_SCALE;
+    const gJ = g(phiJ);
+    const e = expected(mu, muJ, phiJ);
+    vInv += gJ * gJ * e * (1 - e);
+    deltaSum += gJ * (score - e);
+  }
+  const v = 1 / vInv;
+  const delta = v * deltaSum;
+
+  const sigmaPrime = updatedVolatility(phi, player.volatility, delta, v, tau);
+  const phiStar = Math.sqrt(phi * phi + sigmaPrime * sigmaPrime);
+  const phiPrime = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const muPrime = mu + phiPrime * phiPrime * deltaSum;
+
+  return {
+    rating: muPrime * GLICKO_SCALE + GLICKO_CENTER,
+    rd: phiPrime * GLICKO_SCALE,
+    volatility: sigmaPrime,
+  };
+}
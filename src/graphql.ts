@@ -1,7 +1,5 @@
 // GraphQL access against the Stash backend.
 
-import type { FindSceneResult, Scene } from "./types";
-
 export async function graphqlQuery<T = unknown>(
   query: string,
   variables: Record<string, unknown> = {},
@@ -27,6 +25,7 @@ export const SCENE_FRAGMENT = `
     date
     rating100
     play_count
+    custom_fields
     paths {
       screenshot
       preview
@@ -46,31 +45,82 @@ export const SCENE_FRAGMENT = `
     }
   `;
 
-export const FIND_SCENES_QUERY = `
-      query FindScenesByRating($filter: FindFilterType, $scene_filter: SceneFilterType) {
-        findScenes(filter: $filter, scene_filter: $scene_filter) {
-          count
-          scenes {
-            ${SCENE_FRAGMENT}
-          }
-        }
-      }
-    `;
+export const PERFORMER_FRAGMENT = `
+    id
+    name
+    disambiguation
+    rating100
+    custom_fields
+    image_path
+    scene_count
+    birthdate
+    gender
+    country
+    tags {
+      name
+    }
+  `;
 
-// Extract scene ID from individual scene pages like /scenes/123
-export function getSceneIdFromUrl(): string | null {
-  const match = window.location.pathname.match(/^\/scenes\/(\d+)$/);
-  return match ? match[1] : null;
-}
+export const GROUP_FRAGMENT = `
+    id
+    name
+    date
+    rating100
+    front_image_path
+    scene_count
+    duration
+    director
+    studio {
+      name
+    }
+    tags {
+      name
+    }
+  `;
 
-export async function fetchSceneById(sceneId: string): Promise<Scene | null> {
-  const query = `
-      query FindScene($id: ID!) {
-        findScene(id: $id) {
-          ${SCENE_FRAGMENT}
-        }
+export const GALLERY_FRAGMENT = `
+    id
+    title
+    date
+    rating100
+    image_count
+    paths {
+      cover
+    }
+    files {
+      path
+    }
+    studio {
+      name
+    }
+    performers {
+      name
+    }
+    tags {
+      name
+    }
+  `;
+
+export const IMAGE_FRAGMENT = `
+    id
+    title
+    date
+    rating100
+    paths {
+      thumbnail
+    }
+    files: visual_files {
+      ... on BaseFile {
+        path
       }
-    `;
-  const result = await graphqlQuery<FindSceneResult>(query, { id: sceneId });
-  return result.findScene;
-}
+    }
+    studio {
+      name
+    }
+    performers {
+      name
+    }
+    tags {
+      name
+    }
+  `;
@@ -0,0 +1,47 @@
+// Multi-scene choices — a best-of-N pick (the best, optionally also the worst) or a drag-to-rank
+// ordering — turned into the pairwise results they imply, and scored together with ELO.
+
+import { calculateRatingChanges } from "./elo";
+import { normalizePreciseRating } from "./preciseRating";
+import type { ComparisonInput } from "./types";
+
+export interface ImpliedOutcome {
+  winnerId: string;
+  loserId: string;
+}
+
+/** The best beats every other scene; with a worst pick, every other scene also beats the worst. */
+export function impliedOutcomes(ids: string[], bestId: string, worstId: string | null): ImpliedOutcome[] {
+  const outcomes = ids.filter((id) => id !== bestId).map((id) => ({ winnerId: bestId, loserId: id }));
+  if (worstId !== null && worstId !== bestId) {
+    for (const id of ids) {
+      if (id !== bestId && id !== worstId) outcomes.push({ winnerId: id, loserId: worstId });
+    }
+  }
+  return outcomes;
+}
+
+/** Every scene beats every scene below it: n(n − 1)/2 results for `orderedIds` best first. */
+export function rankingOutcomes(orderedIds: string[]): ImpliedOutcome[] {
+  return orderedIds.flatMap((winnerId, i) => orderedIds.slice(i + 1).map((loserId) => ({ winnerId, loserId })));
+}
+
+/**
+ * New precise rating of every scene in `sides`. Each outcome goes through `calculateRatingChanges`
+ * from the pre-pick ratings and the deltas are summed, so the order of the outcomes doesn't matter.
+ */
+export function rateGridOutcomes(
+  sides: Map<string, ComparisonInput["winner"]>,
+  outcomes: ImpliedOutcome[],
+): Map<string, number> {
+  const totals = new Map<string, number>();
+  for (const { winnerId, loserId } of outcomes) {
+    const winner = sides.get(winnerId);
+    const loser = sides.get(loserId);
+    if (!winner || !loser) continue;
+    const deltas = calculateRatingChanges({ winner, loser });
+    totals.set(winnerId, (totals.get(winnerId) ?? 0) + deltas.winner);
+    totals.set(loserId, (totals.get(loserId) ?? 0) + deltas.loser);
+  }
+  return new Map([...sides].map(([id, side]) => [id, normalizePreciseRating(side.rating + (totals.get(id) ?? 0))]));
+}
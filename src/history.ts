@@ -0,0 +1,95 @@
+// Battle history: every choice is appended to IndexedDB so ratings can be audited later.
+// One store holds every entity type; reads and clears only see the current type's records.
+
+import { openCacheDB } from "./cache";
+import { HISTORY_STORE_NAME } from "./constants";
+import { state } from "./state";
+import type { BattleRecord } from "./types";
+
+// Records written before performer battles are scene battles
+function isCurrentEntity(record: BattleRecord): boolean {
+  return (record.entity ?? "scene") === state.entityType;
+}
+
+/** Append a record; resolves to its new id (null if IndexedDB is unavailable). */
+export async function recordBattle(record: BattleRecord): Promise<number | null> {
+  try {
+    const db = await openCacheDB();
+    return new Promise<number | null>((resolve, reject) => {
+      const transaction = db.transaction(HISTORY_STORE_NAME, "readwrite");
+      const store = transaction.objectStore(HISTORY_STORE_NAME);
+      const request = store.add(record);
+
+      request.onsuccess = () => resolve(request.result as number);
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => db.close();
+    });
+  } catch (e) {
+    console.error("[Stash Battle] History write error:", e);
+    return null;
+  }
+}
+
+/** All recorded battles of the current entity type, oldest first. */
+export async function getBattleHistory(): Promise<BattleRecord[]> {
+  try {
+    const db = await openCacheDB();
+    return new Promise<BattleRecord[]>((resolve, reject) => {
+      const transaction = db.transaction(HISTORY_STORE_NAME, "readonly");
+      const store = transaction.objectStore(HISTORY_STORE_NAME);
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(((request.result as BattleRecord[]) || []).filter(isCurrentEntity));
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => db.close();
+    });
+  } catch (e) {
+    console.error("[Stash Battle] History read error:", e);
+    return [];
+  }
+}
+
+/** Remove one record (used when a choice is undone). */
+export async function deleteBattleRecord(id: number): Promise<void> {
+  try {
+    const db = await openCacheDB();
+    return new Promise<void>((resolve, reject) => {
+      const transaction = db.transaction(HISTORY_STORE_NAME, "readwrite");
+      const store = transaction.objectStore(HISTORY_STORE_NAME);
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => db.close();
+    });
+  } catch (e) {
+    console.error("[Stash Battle] History delete error:", e);
+  }
+}
+
+/** Remove every record of the current entity type. */
+export async function clearBattleHistory(): Promise<void> {
+  try {
+    const db = await openCacheDB();
+    return new Promise<void>((resolve, reject) => {
+      const transaction = db.transaction(HISTORY_STORE_NAME, "readwrite");
+      const store = transaction.objectStore(HISTORY_STORE_NAME);
+      const request = store.openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          console.log(`[Stash Battle] 🗑️ Battle history cleared (${state.entityType} battles)`);
+          resolve();
+          return;
+        }
+        if (isCurrentEntity(cursor.value as BattleRecord)) cursor.delete();
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => db.close();
+    });
+  } catch (e) {
+    console.error("[Stash Battle] ❌ History clear error:", e);
+  }
+}
@@ -0,0 +1,277 @@
+// Import ratings: rows of a CSV or JSON file (an export of this plugin, or another tool's list)
+// matched to entities of the current type by id, file path or title, dry-run first.
+//
+// Files need a rating column (`rating100` or `rating`) and at least one of `id`, `path` / `file`,
+// `title` / `name`. JSON is an array of row objects, or an object with a `rows` array (the
+// export format of exportRankings.ts).
+
+import { writeRatingsInBatches, type RatingWriteFailure } from "./bulkRatings";
+import { getAllScenesCached } from "./cache";
+import { assertEntityType, currentEntity, fetchEntityRatings } from "./entities";
+import { takeSnapshot } from "./snapshots";
+import { state } from "./state";
+import type { EntityType, Scene } from "./types";
+import { resolveSceneTitle } from "./ui/sceneTitle";
+
+export type ImportMatchBy = "auto" | "id" | "path" | "title";
+
+/** One data row of the file, as text ("" when the column is missing or empty). */
+export interface ImportRow {
+  row: number; // 1-based position among the data rows
+  id: string;
+  path: string;
+  title: string;
+  rating: string;
+}
+
+export interface ImportChange {
+  row: ImportRow;
+  scene: Scene;
+  matchedBy: Exclude<ImportMatchBy, "auto">;
+  before: number | null;
+  after: number | null;
+}
+
+export interface ImportSkip {
+  row: ImportRow;
+  reason: string;
+}
+
+export interface ImportPlan {
+  entity: EntityType; // Type the matched ids belong to
+  changes: ImportChange[]; // Matched rows whose rating differs from Stash
+  unchanged: number; // Matched rows that already hold the file's rating
+  skipped: ImportSkip[]; // Unmatched, ambiguous, duplicate or invalid rows
+}
+
+export interface ImportOptions {
+  matchBy: ImportMatchBy;
+  clearEmpty: boolean; // Rows with an empty rating clear it (otherwise they're skipped)
+}
+
+const COLUMN_NAMES: Record<Exclude<keyof ImportRow, "row">, string[]> = {
+  id: ["id"],
+  path: ["path", "file", "file_path"],
+  title: ["title", "name"],
+  rating: ["rating100", "rating"],
+};
+
+/** RFC 4180 records: quoted cells may hold the delimiter, "" and line breaks. */
+function parseCsvRecords(text: string, delimiter: string): string[][] {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== "" || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/** Map each ImportRow field to the first matching key of a header / object (case-insensitive). */
+function columnLookup(keys: string[]): Record<Exclude<keyof ImportRow, "row">, string | undefined> {
+  const find = (names: string[]) => keys.find((key) => names.includes(key.trim().toLowerCase()));
+  const lookup = {
+    id: find(COLUMN_NAMES.id),
+    path: find(COLUMN_NAMES.path),
+    title: find(COLUMN_NAMES.title),
+    rating: find(COLUMN_NAMES.rating),
+  };
+  if (lookup.rating === undefined) throw new Error("No rating column (rating100 or rating)");
+  if (lookup.id === undefined && lookup.path === undefined && lookup.title === undefined) {
+    throw new Error("No column to match by (id, path or title)");
+  }
+  return lookup;
+}
+
+function textOf(value: unknown): string {
+  return value === null || value === undefined ? "" : String(value).trim();
+}
+
+function parseJsonRows(text: string): ImportRow[] {
+  const data: unknown = JSON.parse(text);
+  const list = Array.isArray(data) ? data : (data as { rows?: unknown } | null)?.rows;
+  if (!Array.isArray(list)) throw new Error("JSON must be an array of rows or an object with a rows array");
+
+  const objects = list.filter((item): item is Record<string, unknown> => typeof item === "object" && item !== null);
+  const lookup = columnLookup([...new Set(objects.flatMap((item) => Object.keys(item)))]);
+  return objects.map((item, i) => ({
+    row: i + 1,
+    id: lookup.id ? textOf(item[lookup.id]) : "",
+    path: lookup.path ? textOf(item[lookup.path]) : "",
+    title: lookup.title ? textOf(item[lookup.title]) : "",
+    rating: textOf(item[lookup.rating as string]),
+  }));
+}
+
+function parseCsvRows(text: string): ImportRow[] {
+  // Spreadsheet apps in some locales save with semicolons
+  const headerLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = !headerLine.includes(",") && headerLine.includes(";") ? ";" : ",";
+  const [header, ...records] = parseCsvRecords(text, delimiter);
+  if (!header) throw new Error("The file is empty");
+
+  const lookup = columnLookup(header);
+  const cell = (record: string[], key: string | undefined) =>
+    key === undefined ? "" : textOf(record[header.indexOf(key)]);
+  return records.map((record, i) => ({
+    row: i + 1,
+    id: cell(record, lookup.id),
+    path: cell(record, lookup.path),
+    title: cell(record, lookup.title),
+    rating: cell(record, lookup.rating),
+  }));
+}
+
+/** Rows of a CSV or JSON file (by extension, else by content). Throws with a readable message. */
+export function parseImportFile(text: string, fileName: string): ImportRow[] {
+  const content = text.replace(/^\uFEFF/, "");
+  const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^\s*[[{]/.test(content));
+  return isJson ? parseJsonRows(content) : parseCsvRows(content);
+}
+
+const normalizePath = (path: string): string => path.replace(/\\/g, "/");
+const normalizeTitle = (title: string): string => title.trim().toLowerCase();
+
+/** Lookup keys → entities; a key shared by several entities maps to all of them (ambiguous). */
+function indexBy(scenes: Scene[], keysOf: (scene: Scene) => string[]): Map<string, Scene[]> {
+  const index = new Map<string, Scene[]>();
+  for (const scene of scenes) {
+    for (const key of new Set(keysOf(scene))) {
+      if (!key) continue;
+      const list = index.get(key);
+      if (list) list.push(scene);
+      else index.set(key, [scene]);
+    }
+  }
+  return index;
+}
+
+/** "" for an empty cell, null for an invalid one, else the rating rounded to 1–100. */
+function parseRating(text: string): number | "" | null {
+  if (text === "") return "";
+  const value = Number(text);
+  if (!Number.isFinite(value) || value < 1 || value > 100) return null;
+  return Math.round(value);
+}
+
+/** Dry run: match every row and compare its rating with Stash (nothing is written). */
+export async function planImport(rows: ImportRow[], options: ImportOptions): Promise<ImportPlan> {
+  const entity = state.entityType;
+  const [current, { scenes }] = await Promise.all([fetchEntityRatings(), getAllScenesCached()]);
+  const byId = new Map(scenes.map((scene) => [scene.id, scene]));
+  const byPath = indexBy(scenes, (scene) => (scene.files ?? []).map((file) => normalizePath(file.path ?? "")));
+  const byTitle = indexBy(scenes, (scene) => [normalizeTitle(resolveSceneTitle(scene))]);
+  const { label, plural } = currentEntity();
+  const noun = label.toLowerCase();
+
+  const plan: ImportPlan = { entity, changes: [], unchanged: 0, skipped: [] };
+  const claimedBy = new Map<string, number>(); // Entity id → row that matched it first
+
+  const match = (row: ImportRow): { scene: Scene; matchedBy: ImportChange["matchedBy"] } | string => {
+    const tries = options.matchBy === "auto" ? (["id", "path", "title"] as const) : [options.matchBy];
+    let ambiguous = "";
+    for (const by of tries) {
+      // Own keys only: "constructor" or "toString" in the file must not match Object.prototype
+      if (by === "id" && row.id && Object.prototype.hasOwnProperty.call(current, row.id)) {
+        // Entities added since the pool was cached are only known by id
+        return { scene: byId.get(row.id) ?? { id: row.id, rating100: current[row.id] }, matchedBy: "id" };
+      }
+      const found =
+        by === "path" && row.path
+          ? byPath.get(normalizePath(row.path))
+          : by === "title" && row.title
+            ? byTitle.get(normalizeTitle(row.title))
+            : undefined;
+      if (found?.length === 1) return { scene: found[0], matchedBy: by };
+      if (found && found.length > 1 && !ambiguous) {
+        ambiguous = `${by === "path" ? "Path" : "Title"} matches ${found.length} ${plural}`;
+      }
+    }
+    return ambiguous || `No ${noun} with this ${tries.join(" / ")}`;
+  };
+
+  for (const row of rows) {
+    const rating = parseRating(row.rating);
+    if (rating === null) {
+      plan.skipped.push({ row, reason: `Rating "${row.rating}" is not a number from 1 to 100` });
+      continue;
+    }
+    if (rating === "" && !options.clearEmpty) {
+      plan.skipped.push({ row, reason: "No rating" });
+      continue;
+    }
+
+    const matched = match(row);
+    if (typeof matched === "string") {
+      plan.skipped.push({ row, reason: matched });
+      continue;
+    }
+    const { scene, matchedBy } = matched;
+    const firstRow = claimedBy.get(scene.id);
+    if (firstRow !== undefined) {
+      plan.skipped.push({ row, reason: `Same ${noun} as row ${firstRow}` });
+      continue;
+    }
+    claimedBy.set(scene.id, row.row);
+
+    const before = current[scene.id] ?? null;
+    const after = rating === "" ? null : rating;
+    if (before === after) plan.unchanged++;
+    else plan.changes.push({ row, scene, matchedBy, before, after });
+  }
+
+  console.log(
+    `[Stash Battle] 📥 Import dry run: ${plan.changes.length} changes, ${plan.unchanged} unchanged, ${plan.skipped.length} skipped`,
+  );
+  return plan;
+}
+
+/**
+ * Write the planned changes in batches (clears undo). The ratings they replace are saved first as
+ * an "import" snapshot. Resolves to the writes Stash rejected; throws if the entity type changed
+ * since the dry run.
+ */
+export async function applyImport(
+  plan: ImportPlan,
+  onProgress: (done: number, total: number, failed: number) => void,
+): Promise<RatingWriteFailure[]> {
+  assertEntityType(plan.entity);
+  const { changes } = plan;
+  if (!(await takeSnapshot("import"))) throw new Error("Could not save the current ratings before importing");
+  const failures = await writeRatingsInBatches(
+    changes.map((c) => ({ id: c.scene.id, rating100: c.after })),
+    onProgress,
+  );
+
+  console.log(`[Stash Battle] 📥 Imported ${changes.length - failures.length} ratings (${failures.length} failed)`);
+  return failures;
+}
@@ -1,11 +1,14 @@
 // Stash Battle - entry point.
 // Bundled by esbuild into plugins/stash-battle/stash-battle.js (IIFE).
 
+import { loadSettings } from "./settings";
 import { injectNavButton } from "./ui/navButton";
 
 function init(): void {
     console.log("[Stash Battle] Initialized");
 
+    void loadSettings();
+
   injectNavButton();
 
   // Re-inject nav button after Stash SPA navigation rebuilds the navbar
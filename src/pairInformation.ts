@@ -0,0 +1,40 @@
+// How much a comparison is expected to teach us, for informative Swiss pairing.
+//
+// A pair is worth more the less predictable its outcome (binary entropy of the expected score,
+// 1 bit at 50/50) and the less settled its scenes are (rating uncertainty, 0–1).
+
+import { getBattleCounts } from "./battleStats";
+import { expectedScore } from "./elo";
+import { getPreciseRating } from "./preciseRating";
+import { getGlickoRating } from "./ratingEngine";
+import { settings } from "./settings";
+import { state } from "./state";
+import type { Scene } from "./types";
+
+/**
+ * 0–1: Glicko-2 deviation relative to a new scene's when that engine is active, otherwise
+ * 1/√(1 + battles) from the scene's battle count.
+ */
+export function ratingUncertainty(scene: Scene): number {
+  if (state.ratingEngine === "glicko2") {
+    return Math.min(1, getGlickoRating(scene).rd / settings.glickoDefaultRd);
+  }
+  return 1 / Math.sqrt(1 + getBattleCounts(scene).battles);
+}
+
+/** Entropy (bits) of a win/loss with probability p. */
+function outcomeEntropy(p: number): number {
+  if (p <= 0 || p >= 1) return 0;
+  return -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p));
+}
+
+/** Expected information of comparing a and b (0 = outcome certain or both scenes settled). */
+export function pairInformation(
+  a: Scene,
+  b: Scene,
+  uncertaintyA = ratingUncertainty(a),
+  uncertaintyB = ratingUncertainty(b),
+): number {
+  const p = expectedScore(getPreciseRating(a), getPreciseRating(b));
+  return outcomeEntropy(p) * ((uncertaintyA + uncertaintyB) / 2);
+}
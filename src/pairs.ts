@@ -1,16 +1,38 @@
 // Matchmaking: build the scene pairs for each comparison mode.
 
+import { getBattleCounts } from "./battleStats";
 import { clearFilteredCache, getAllScenesCached, getFilteredScenesCached } from "./cache";
-import { CLIMB_OPPONENT_PICK_WINDOW, SWISS_OPPONENT_REACH_INITIAL, SWISS_OPPONENT_REACH_MULTIPLIER } from "./constants";
+import { calibrationRating, nextCalibrationPosition, startCalibration } from "./calibration";
+import {
+  CALIBRATION_PICK_WINDOW,
+  REVISIT_PICK_WINDOW,
+  ROUND_ROBIN_MAX_SCENES,
+  ROUND_ROBIN_MIN_SCENES,
+  SWISS_INFO_LEFT_SAMPLE,
+  SWISS_INFO_OPPONENT_WINDOW,
+  TOURNAMENT_SIZES,
+} from "./constants";
+import { currentEntity } from "./entities";
 import { readFilters, type ListFilters } from "./filters";
+import { pairInformation, ratingUncertainty } from "./pairInformation";
+import { getPreciseRating, preciseSortKey, sortByPreciseRating } from "./preciseRating";
+import { quickPlaceProbe, startQuickPlace } from "./quickPlace";
 import { updateSceneRating } from "./rating";
+import { createRoundRobin, nextRoundRobinMatch } from "./roundRobin";
+import { settings } from "./settings";
 import { state } from "./state";
+import { createTournament, fitTournamentSize, nextTournamentMatch, tournamentChampion } from "./tournament";
 import type {
+  CalibrationPairResult,
   ChampionPairResult,
   GauntletPairResult,
+  QuickPlacePairResult,
   Rank,
+  RoundRobinPairResult,
   Scene,
+  SceneGrid,
   SwissPairResult,
+  TournamentPairResult,
 } from "./types";
 
 function shuffleArray<T>(array: T[]): T[] {
@@ -22,6 +44,9 @@ function shuffleArray<T>(array: T[]): T[] {
   return shuffled;
 }
 
+// What the pool holds, for error messages ("No performers match your filter criteria.")
+const poolNoun = (): string => currentEntity().plural;
+
 // Track last scene to avoid immediate repeat after reshuffle
 let lastShownSceneId: string | null = null;
 
@@ -75,12 +100,13 @@ function getNextFilteredScene(leftPool: Scene[], filterKey: string): Scene | nul
   return scene;
 }
 
+/** Right-side pool, best first by precise rating (breaks rating100 ties; indices are ranks). */
 function buildOpponentPool(allScenes: Scene[], leftPool: Scene[], filters: ListFilters): Scene[] {
   if (state.filterOpponents && filters.filterActive) {
-    return leftPool;
+    return sortByPreciseRating(leftPool);
   }
   const ratedOnly = allScenes.filter((s) => s.rating100 != null);
-  return ratedOnly.length >= 1 ? ratedOnly : allScenes;
+  return sortByPreciseRating(ratedOnly.length >= 1 ? ratedOnly : allScenes);
 }
 
 async function resetLeftPool(): Promise<void> {
@@ -137,7 +163,7 @@ async function buildSwissPools(forcedLeftScene: Scene | null): Promise<{
   let { leftPool, allScenes } = await loadScenePools(filters);
 
   if (allScenes.length < 2) {
-    throw new Error("Not enough scenes for comparison.");
+    throw new Error(`Not enough ${poolNoun()} for comparison.`);
   }
 
   let rightPool = buildOpponentPool(allScenes, leftPool, filters);
@@ -164,7 +190,7 @@ async function buildSwissPools(forcedLeftScene: Scene | null): Promise<{
   rightPool = buildOpponentPool(allScenes, leftPool, filters);
 
   if (needsOpponentRestart && rightPool.length < 2) {
-    throw new Error("Not enough scenes in your filter for a match. You need at least 2 scenes.");
+    throw new Error(`Not enough ${poolNoun()} in your filter for a match. You need at least 2 ${poolNoun()}.`);
   }
 
   return {
@@ -178,16 +204,20 @@ async function buildSwissPools(forcedLeftScene: Scene | null): Promise<{
 export async function fetchSwissPair(forcedLeftScene: Scene | null = null): Promise<SwissPairResult> {
   const { leftPool, rightPool, filterKey } = await buildSwissPools(forcedLeftScene);
 
+  if (settings.swissPairing === "informative") {
+    return pickInformativePair(forcedLeftScene, leftPool, rightPool, filterKey);
+  }
+
   const scene1 = pickLeftScene(forcedLeftScene, leftPool, filterKey);
   if (!scene1) {
-    throw new Error("No scenes match your filter criteria.");
+    throw new Error(`No ${poolNoun()} match your filter criteria.`);
   }
 
   const { scene2, ranks } = pickSwissOpponent(scene1, rightPool);
   return { scenes: [scene1, scene2], ranks };
 }
 
-/** Pick a random opponent near scene1's rank in the rating-sorted right pool (expanding band if needed). */
+/** Pick a random opponent near scene1's rank in the precise-sorted right pool (expanding band if needed). */
 function pickSwissOpponent(
   scene1: Scene,
   rightPool: Scene[],
@@ -200,9 +230,9 @@ function pickSwissOpponent(
   // Prefer similar-strength matchups (±reach ranks). If the band is empty (edges, unrated left
   // scene, tiny pool), double reach until we find candidates or cover the whole pool.
   for (
-    let reach = Math.min(SWISS_OPPONENT_REACH_INITIAL, rightPool.length);
+    let reach = Math.min(settings.swissReachInitial, rightPool.length);
     candidates.length === 0 && reach <= rightPool.length;
-    reach = Math.min(reach * SWISS_OPPONENT_REACH_MULTIPLIER, rightPool.length)
+    reach = Math.min(reach * settings.swissReachMultiplier, rightPool.length)
   ) {
     for (let i = effectiveScene1Idx - reach; i <= effectiveScene1Idx + reach; i++) {
       if (i >= 0 && i < rightPool.length && i !== scene1IdxInPool) {
@@ -212,7 +242,7 @@ function pickSwissOpponent(
   }
 
   if (candidates.length === 0) {
-    throw new Error("Not enough scenes for comparison. You need at least 2 scenes.");
+    throw new Error(`Not enough ${poolNoun()} for comparison. You need at least 2 ${poolNoun()}.`);
   }
 
   const pick = candidates[Math.floor(Math.random() * candidates.length)];
@@ -222,13 +252,146 @@ function pickSwissOpponent(
   };
 }
 
-/** Random pick from the N undefeated opponents closest above the climber (list is rating-sorted DESC). */
+/** Same pool bookkeeping as the shuffle walk, for pickers that don't walk it: a new filter starts a fresh cycle. */
+function startCycleOnFilterChange(filterKey: string): void {
+  if (state.shuffleFilterKey === filterKey) return;
+  if (state.shuffleFilterKey !== null) state.removedSceneIds.clear();
+  state.shuffleFilterKey = filterKey;
+  state.shuffledFilteredScenes = [];
+  state.shuffleIndex = 0;
+}
+
+/**
+ * Revisit: a Swiss pair whose left scene is random among the REVISIT_PICK_WINDOW longest-unbattled
+ * scenes of the filter not yet shown this cycle — never battled (or not since tracking began) first.
+ */
+export async function fetchRevisitPair(forcedLeftScene: Scene | null = null): Promise<SwissPairResult> {
+  const { leftPool, rightPool, filterKey } = await buildSwissPools(forcedLeftScene);
+  startCycleOnFilterChange(filterKey);
+
+  let scene1 = forcedLeftScene;
+  if (!scene1) {
+    const stalest = shuffleArray(leftPool.filter((s) => !state.removedSceneIds.has(s.id)))
+      .sort((a, b) => (getBattleCounts(a).lastBattled ?? 0) - (getBattleCounts(b).lastBattled ?? 0))
+      .slice(0, REVISIT_PICK_WINDOW);
+    scene1 = stalest[Math.floor(Math.random() * stalest.length)] ?? null;
+  }
+  if (!scene1) {
+    throw new Error(`No ${poolNoun()} match your filter criteria.`);
+  }
+
+  const lastBattled = getBattleCounts(scene1).lastBattled;
+  console.log(
+    `[Stash Battle] 🕰️ Revisiting scene ${scene1.id} (last battled ${lastBattled !== null ? new Date(lastBattled).toLocaleDateString() : "never"})`,
+  );
+  const { scene2, ranks } = pickSwissOpponent(scene1, rightPool);
+  return { scenes: [scene1, scene2], ranks };
+}
+
+/**
+ * Informative Swiss: score pairs by expected information (pairInformation.ts) and take the best.
+ * Left candidates are the most uncertain unplayed scenes (random among equals), each tried against
+ * the opponents within ±SWISS_INFO_OPPONENT_WINDOW ranks — close ratings are where information is.
+ */
+function pickInformativePair(
+  forcedLeftScene: Scene | null,
+  leftPool: Scene[],
+  rightPool: Scene[],
+  filterKey: string,
+): SwissPairResult {
+  startCycleOnFilterChange(filterKey);
+
+  const leftCandidates = forcedLeftScene
+    ? [forcedLeftScene]
+    : shuffleArray(leftPool.filter((s) => !state.removedSceneIds.has(s.id)))
+        .map((scene) => ({ scene, uncertainty: ratingUncertainty(scene) }))
+        .sort((a, b) => b.uncertainty - a.uncertainty)
+        .slice(0, SWISS_INFO_LEFT_SAMPLE)
+        .map((entry) => entry.scene);
+  if (leftCandidates.length === 0) {
+    throw new Error(`No ${poolNoun()} match your filter criteria.`);
+  }
+
+  const poolIndex = new Map(rightPool.map((s, i) => [s.id, i]));
+  const opponentUncertainty = new Map<string, number>();
+  let best: { left: Scene; right: Scene; rightIdx: number; score: number } | null = null;
+
+  for (const left of leftCandidates) {
+    const leftIdx = poolIndex.get(left.id);
+    const center = leftIdx ?? rightPool.length; // Unrated: bottom of the pool
+    const leftUncertainty = ratingUncertainty(left);
+    const from = Math.max(0, center - SWISS_INFO_OPPONENT_WINDOW);
+    const to = Math.min(rightPool.length - 1, center + SWISS_INFO_OPPONENT_WINDOW);
+    for (let i = from; i <= to; i++) {
+      const right = rightPool[i];
+      if (right.id === left.id) continue;
+      let rightUncertainty = opponentUncertainty.get(right.id);
+      if (rightUncertainty === undefined) {
+        rightUncertainty = ratingUncertainty(right);
+        opponentUncertainty.set(right.id, rightUncertainty);
+      }
+      const score = pairInformation(left, right, leftUncertainty, rightUncertainty);
+      if (!best || score > best.score) best = { left, right, rightIdx: i, score };
+    }
+  }
+
+  if (!best) {
+    throw new Error(`Not enough ${poolNoun()} for comparison. You need at least 2 ${poolNoun()}.`);
+  }
+
+  console.log(
+    `[Stash Battle] 🧠 Informative pair: Scene ${best.left.id} vs Scene ${best.right.id} (score ${best.score.toFixed(3)}, ${leftCandidates.length} left candidates)`,
+  );
+  const leftIdx = poolIndex.get(best.left.id);
+  return {
+    scenes: [best.left, best.right],
+    ranks: [leftIdx !== undefined ? leftIdx + 1 : null, best.rightIdx + 1],
+  };
+}
+
+/**
+ * Best-of-N grid / drag-to-rank batch: a scene from the filtered pool plus `size − 1` opponents of
+ * similar strength (random among the twice-as-many nearest in the right pool), shown in random order.
+ */
+export async function fetchGridScenes(forcedScene: Scene | null, size: number): Promise<SceneGrid> {
+  const { leftPool, rightPool, filterKey } = await buildSwissPools(forcedScene);
+  state.totalScenesCount = rightPool.length;
+
+  const anchor = pickLeftScene(forcedScene, leftPool, filterKey);
+  if (!anchor) {
+    throw new Error(`No ${poolNoun()} match your filter criteria.`);
+  }
+
+  const anchorIdx = rightPool.findIndex((s) => s.id === anchor.id);
+  const center = anchorIdx >= 0 ? anchorIdx : rightPool.length;
+  const wanted = size - 1;
+  const nearest = rightPool
+    .map((scene, idx) => ({ scene, distance: Math.abs(idx - center) }))
+    .filter((c) => c.scene.id !== anchor.id)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, wanted * 2);
+  if (nearest.length === 0) {
+    throw new Error(`Not enough ${poolNoun()} for comparison. You need at least 2 ${poolNoun()}.`);
+  }
+
+  const scenes = shuffleArray([anchor, ...shuffleArray(nearest).slice(0, wanted).map((c) => c.scene)]);
+  const poolIndex = new Map(rightPool.map((s, i) => [s.id, i]));
+  return {
+    scenes,
+    ranks: scenes.map((s) => {
+      const idx = poolIndex.get(s.id);
+      return idx !== undefined ? idx + 1 : null;
+    }),
+  };
+}
+
+/** Random pick from the N undefeated opponents closest above the climber (list is precise-sorted DESC). */
 function pickClosestClimbOpponent(remainingOpponents: Scene[]): Scene {
-  const closest = remainingOpponents.slice(-CLIMB_OPPONENT_PICK_WINDOW);
+  const closest = remainingOpponents.slice(-settings.climbPickWindow);
   return closest[Math.floor(Math.random() * closest.length)];
 }
 
-/** Undefeated opponents above the climber in the rating-sorted right pool. */
+/** Undefeated opponents above the climber in the precise-sorted right pool. */
 function getRemainingClimbOpponents(
   climber: Scene,
   rightPool: Scene[],
@@ -236,7 +399,7 @@ function getRemainingClimbOpponents(
 ): Scene[] {
   return rightPool.filter((s, idx) => {
     if (s.id === climber.id || state.gauntletDefeated.includes(s.id)) return false;
-    return idx < climberIndex || (s.rating100 || 0) >= (climber.rating100 || 0);
+    return idx < climberIndex || preciseSortKey(s) >= preciseSortKey(climber);
   });
 }
 
@@ -284,6 +447,32 @@ function findLowestRated(scenes: Scene[], excludeId: string): { scene: Scene; in
   return { scene: scenes[fallbackIndex], index: fallbackIndex };
 }
 
+/**
+ * First opponent of a gauntlet run, per the gauntlet start (recorded as `state.gauntletRunStart`):
+ * the lowest-rated scene (bottom), the top scene (top), or the scene directly above the challenger
+ * (rank — which starts from the top for the #1 scene and from the bottom for an unrated one).
+ */
+function pickGauntletStartOpponent(
+  rightPool: Scene[],
+  challenger: Scene,
+  challengerIndex: number,
+): { scene: Scene; index: number } {
+  let start = state.gauntletStart;
+  if (start === "rank" && (challenger.rating100 == null || challengerIndex < 0)) start = "bottom";
+  if (start === "rank" && challengerIndex === 0) start = "top";
+  state.gauntletRunStart = start;
+
+  if (start === "top") {
+    const topIndex = rightPool.findIndex((s) => s.id !== challenger.id);
+    return { scene: rightPool[topIndex], index: topIndex };
+  }
+  if (start === "rank") {
+    return { scene: rightPool[challengerIndex - 1], index: challengerIndex - 1 };
+  }
+  // Start at the bottom - find lowest rated scene in rightPool
+  return findLowestRated(rightPool, challenger.id);
+}
+
 // Gauntlet mode: champion vs next challenger
 export async function fetchGauntletPair(
   forcedLeftScene: Scene | null = null,
@@ -297,17 +486,21 @@ export async function fetchGauntletPair(
   state.totalScenesCount = rightPool.length;
 
   if (allScenes.length < 2) {
-    throw new Error("Not enough scenes for comparison.");
+    throw new Error(`Not enough ${poolNoun()} for comparison.`);
   }
 
   // Handle falling mode - find next opponent BELOW to test against (from full collection)
   if (state.gauntletFalling && state.gauntletFallingScene) {
     const fallingScene = state.gauntletFallingScene;
     const fallingIndex = rightPool.findIndex((s) => s.id === fallingScene.id);
+    // A top-down run descends from the last scene that beat it (its own rating hasn't moved)
+    const lastBeaterId = state.gauntletDefeated[state.gauntletDefeated.length - 1];
+    const fromIndex =
+      state.gauntletRunStart === "top" ? rightPool.findIndex((s) => s.id === lastBeaterId) : fallingIndex;
 
     const belowOpponents = rightPool.filter((s, idx) => {
       if (s.id === fallingScene.id || state.gauntletDefeated.includes(s.id)) return false;
-      return idx > fallingIndex; // Below in ranking
+      return idx > fromIndex; // Below in ranking
     });
 
     if (belowOpponents.length === 0) {
@@ -332,12 +525,12 @@ export async function fetchGauntletPair(
       const nextBelow = belowOpponents[0];
       const nextBelowIndex = rightPool.findIndex((s) => s.id === nextBelow.id);
 
-      // Update the falling scene's rank for display
-      state.gauntletClimberRank = fallingIndex + 1;
+      // Update the falling scene's rank for display (an unrated top-down scene has none yet)
+      state.gauntletClimberRank = fallingIndex >= 0 ? fallingIndex + 1 : rightPool.length;
 
       return {
         scenes: [fallingScene, nextBelow],
-        ranks: [fallingIndex + 1, nextBelowIndex + 1],
+        ranks: [fallingIndex >= 0 ? fallingIndex + 1 : null, nextBelowIndex + 1],
         isVictory: false,
         isFalling: true,
       };
@@ -353,19 +546,17 @@ export async function fetchGauntletPair(
     const challenger = forcedLeftScene || getNextFilteredScene(leftPool, filters.filterKey);
 
     if (!challenger) {
-      throw new Error("No scenes match your filter criteria.");
+      throw new Error(`No ${poolNoun()} match your filter criteria.`);
     }
 
     const challengerIndex = rightPool.findIndex((s) => s.id === challenger.id);
-
-    // Start at the bottom - find lowest rated scene in rightPool
-    const { scene: lowestRated, index: lowestIndex } = findLowestRated(rightPool, challenger.id);
+    const { scene: opponent, index: opponentIndex } = pickGauntletStartOpponent(rightPool, challenger, challengerIndex);
 
     state.gauntletClimberRank = challengerIndex >= 0 ? challengerIndex + 1 : rightPool.length;
 
     return {
-      scenes: [challenger, lowestRated],
-      ranks: [state.gauntletClimberRank, lowestIndex + 1],
+      scenes: [challenger, opponent],
+      ranks: [state.gauntletClimberRank, opponentIndex + 1],
       isVictory: false,
       isFalling: false,
     };
@@ -413,7 +604,7 @@ export async function fetchChampionPair(
   state.totalScenesCount = rightPool.length;
 
   if (allScenes.length < 2) {
-    throw new Error("Not enough scenes for comparison.");
+    throw new Error(`Not enough ${poolNoun()} for comparison.`);
   }
 
   // If no climber yet, pick from filtered pool to start
@@ -421,13 +612,13 @@ export async function fetchChampionPair(
     state.gauntletDefeated = [];
 
     if (!forcedLeftScene && leftPool.length < 1) {
-      throw new Error("No scenes match your filter criteria.");
+      throw new Error(`No ${poolNoun()} match your filter criteria.`);
     }
 
     const challenger = forcedLeftScene || getNextFilteredScene(leftPool, filters.filterKey);
 
     if (!challenger) {
-      throw new Error("No scenes match your filter criteria.");
+      throw new Error(`No ${poolNoun()} match your filter criteria.`);
     }
 
     const challengerIndex = rightPool.findIndex((s) => s.id === challenger.id);
@@ -470,3 +661,196 @@ export async function fetchChampionPair(
     isVictory: false,
   };
 }
+
+// Quick Place mode: binary-search the scene's spot in the rated opponent pool (~log2(N) battles)
+export async function fetchQuickPlacePair(forcedLeftScene: Scene | null = null): Promise<QuickPlacePairResult> {
+  const filters = readFilters();
+
+  console.log("[Stash Battle] 📋 Fetching scenes for quick place...");
+  const { leftPool, allScenes } = await loadScenePools(filters);
+
+  // Unrated benchmarks carry no position information
+  const buildPool = (excludeId: string) =>
+    buildOpponentPool(allScenes, leftPool, filters).filter((s) => s.rating100 && s.id !== excludeId);
+
+  if (!state.quickPlace) {
+    if (!forcedLeftScene && leftPool.length < 1) {
+      throw new Error(`No ${poolNoun()} match your filter criteria.`);
+    }
+    const challenger = forcedLeftScene || getNextFilteredScene(leftPool, filters.filterKey);
+    if (!challenger) {
+      throw new Error(`No ${poolNoun()} match your filter criteria.`);
+    }
+    state.quickPlace = startQuickPlace(challenger, buildPool(challenger.id).length);
+  }
+
+  const search = state.quickPlace;
+  const pool = buildPool(search.scene.id);
+  if (pool.length < 1) {
+    throw new Error(`Not enough rated ${poolNoun()} to place against.`);
+  }
+  // A cache refresh can shrink the pool under an open search
+  search.hi = Math.min(search.hi, pool.length);
+  search.lo = Math.min(search.lo, search.hi);
+  state.totalScenesCount = pool.length + 1;
+
+  const probe = Math.min(quickPlaceProbe(search), pool.length - 1);
+  return {
+    scenes: [search.scene, pool[probe]],
+    ranks: [null, probe + 1],
+  };
+}
+
+/**
+ * Calibration: an unrated scene from the filter (random, or the forced scene) against a benchmark
+ * at the next spread-out position of the rated pool — random among the few scenes around it that
+ * it hasn't faced yet. isComplete once the filter has no unrated scene left.
+ */
+export async function fetchCalibrationPair(forcedLeftScene: Scene | null = null): Promise<CalibrationPairResult> {
+  const filters = readFilters();
+
+  console.log("[Stash Battle] 📋 Fetching scenes for calibration...");
+  const { leftPool, allScenes } = await loadScenePools(filters);
+  const unrated = leftPool.filter((s) => s.rating100 == null);
+
+  if (!state.calibration) {
+    const scene = forcedLeftScene || unrated[Math.floor(Math.random() * unrated.length)];
+    if (!scene) {
+      return { scenes: [], ranks: [], isComplete: true };
+    }
+    state.calibration = startCalibration(scene, unrated.length);
+  }
+
+  const calibration = state.calibration;
+  calibration.scene = allScenes.find((s) => s.id === calibration.scene.id) ?? calibration.scene;
+  calibration.unratedLeft = unrated.length;
+
+  // Unrated benchmarks carry no position information
+  const faced = new Set(calibration.results.map((r) => r.opponentId));
+  const pool = buildOpponentPool(allScenes, leftPool, filters).filter(
+    (s) => s.rating100 && s.id !== calibration.scene.id,
+  );
+  const candidates = pool.filter((s) => !faced.has(s.id));
+  if (candidates.length < 1) {
+    throw new Error(`Not enough rated ${poolNoun()} to calibrate against.`);
+  }
+  state.totalScenesCount = pool.length + 1;
+
+  calibration.reference = getPreciseRating(pool[Math.floor(pool.length / 2)]);
+  const estimate = calibrationRating(calibration, calibration.reference);
+  const estimateIdx = pool.findIndex((s) => getPreciseRating(s) < estimate);
+  const estimateFraction = (estimateIdx === -1 ? pool.length : estimateIdx) / pool.length;
+  calibration.position = nextCalibrationPosition(calibration, estimateFraction);
+
+  // Nearest unfaced candidates to the position, then a random one of them
+  const target = calibration.position * (pool.length - 1);
+  const poolIndex = new Map(pool.map((s, i) => [s.id, i]));
+  const nearest = [...candidates]
+    .sort((a, b) => Math.abs((poolIndex.get(a.id) ?? 0) - target) - Math.abs((poolIndex.get(b.id) ?? 0) - target))
+    .slice(0, CALIBRATION_PICK_WINDOW);
+  const benchmark = nearest[Math.floor(Math.random() * nearest.length)];
+
+  return {
+    scenes: [calibration.scene, benchmark],
+    ranks: [null, (poolIndex.get(benchmark.id) ?? 0) + 1],
+    isComplete: false,
+  };
+}
+
+/** Rank (1 = top) a precise rating takes among the rated opponent pool, leaving out `excludeId`. */
+export async function rankInRatedPool(precise: number, excludeId: string): Promise<number> {
+  const pool = await getClimbOpponentPool();
+  return pool.filter((s) => s.rating100 && s.id !== excludeId && getPreciseRating(s) > precise).length + 1;
+}
+
+// Tournament mode: seed a single-elimination bracket from the filtered pool, then play it match by match
+export async function fetchTournamentPair(): Promise<TournamentPairResult> {
+  const filters = readFilters();
+
+  console.log("[Stash Battle] 📋 Fetching scenes for tournament...");
+  const { leftPool, allScenes } = await loadScenePools(filters);
+
+  if (!state.tournament) {
+    const pool = sortByPreciseRating(leftPool);
+    const size = fitTournamentSize(pool.length, state.tournamentSize);
+    if (size === null) {
+      throw new Error(
+        `Not enough ${poolNoun()} for a tournament: it needs at least ${TOURNAMENT_SIZES[0]} and ${pool.length} match your filter.`,
+      );
+    }
+    if (size < state.tournamentSize) {
+      console.log(`[Stash Battle] 🏟️ Only ${pool.length} scenes in the pool, seeding a ${size}-scene bracket`);
+    }
+    state.tournament = createTournament(pool.slice(0, size));
+    console.log(`[Stash Battle] 🏟️ Tournament seeded: ${size} scenes`);
+  }
+
+  const tournament = state.tournament;
+  state.totalScenesCount = tournament.entrants.length;
+
+  // Entrants are snapshots from seeding time; show the current ratings
+  const byId = new Map(allScenes.map((s) => [s.id, s]));
+  const current = (entrant: number): Scene => {
+    const seeded = tournament.entrants[entrant];
+    return byId.get(seeded.id) ?? seeded;
+  };
+
+  const champion = tournamentChampion(tournament);
+  if (champion) {
+    return { scenes: [byId.get(champion.id) ?? champion], ranks: [null], isRoundBreak: false, isVictory: true };
+  }
+  if (tournament.roundIntroPending) {
+    return { scenes: [], ranks: [], isRoundBreak: true, isVictory: false };
+  }
+
+  const next = nextTournamentMatch(tournament);
+  if (!next || next.match.top === null || next.match.bottom === null) {
+    throw new Error("Tournament bracket is out of sync. Switch modes to start a new tournament.");
+  }
+  return {
+    scenes: [current(next.match.top), current(next.match.bottom)],
+    ranks: [next.match.top + 1, next.match.bottom + 1],
+    isRoundBreak: false,
+    isVictory: false,
+  };
+}
+
+// Round-robin mode: every pair of the filtered set once, in schedule order
+export async function fetchRoundRobinPair(): Promise<RoundRobinPairResult> {
+  const filters = readFilters();
+
+  console.log("[Stash Battle] 📋 Fetching scenes for round robin...");
+  const { leftPool, allScenes } = await loadScenePools(filters);
+
+  if (!state.roundRobin) {
+    if (leftPool.length < ROUND_ROBIN_MIN_SCENES || leftPool.length > ROUND_ROBIN_MAX_SCENES) {
+      throw new Error(
+        `Round robin plays every pair, so it needs ${ROUND_ROBIN_MIN_SCENES}–${ROUND_ROBIN_MAX_SCENES} ${poolNoun()} and ${leftPool.length} match your filter. Narrow or widen the filter.`,
+      );
+    }
+    state.roundRobin = createRoundRobin(sortByPreciseRating(leftPool));
+    console.log(
+      `[Stash Battle] 🔄 Round robin scheduled: ${leftPool.length} scenes, ${state.roundRobin.schedule.length} matches`,
+    );
+  }
+
+  const roundRobin = state.roundRobin;
+  state.totalScenesCount = roundRobin.entrants.length;
+
+  // Entrants are snapshots from the start; show the current ratings
+  const byId = new Map(allScenes.map((s) => [s.id, s]));
+  const current = (entrant: number): Scene => {
+    const scheduled = roundRobin.entrants[entrant];
+    return byId.get(scheduled.id) ?? scheduled;
+  };
+
+  const next = nextRoundRobinMatch(roundRobin);
+  if (!next) {
+    return { scenes: roundRobin.entrants.map((_, i) => current(i)), ranks: [], isComplete: true };
+  }
+  return {
+    scenes: next.map(current),
+    ranks: next.map((entrant) => entrant + 1),
+    isComplete: false,
+  };
+}
@@ -0,0 +1,65 @@
+// Precise rating: a float on the 1–100 scale kept behind the integer rating100.
+//
+// Engines update the float, and rating100 is only its rounded projection, so small gains are not
+// lost to rounding and scenes sharing a rating100 (e.g. a pile at 100) still have an order. The
+// float lives in the scene's `battle_rating` custom field. It is only trusted while it still
+// projects to the scene's rating100; any other write (placement, manual edit in Stash, bulk tools)
+// re-seeds it from rating100.
+
+import { PRECISE_RATING_DECIMALS, PRECISE_RATING_FIELD } from "./constants";
+import type { Scene } from "./types";
+
+const MIN_RATING = 1;
+const MAX_RATING = 100;
+
+// Values written this session (newer than scene.custom_fields from the cache).
+const knownPrecise = new Map<string, number>();
+
+/** Clamp a precise rating to the 1–100 scale and trim it to the stored precision. */
+export function normalizePreciseRating(value: number): number {
+  const clamped = Math.min(MAX_RATING, Math.max(MIN_RATING, value));
+  return Number(clamped.toFixed(PRECISE_RATING_DECIMALS));
+}
+
+/** The rating100 a precise rating shows as. */
+export function projectRating(value: number): number {
+  return Math.min(MAX_RATING, Math.max(MIN_RATING, Math.round(value)));
+}
+
+function storedPreciseRating(scene: Scene): number | null {
+  const known = knownPrecise.get(scene.id);
+  if (known !== undefined) return known;
+  const raw = scene.custom_fields?.[PRECISE_RATING_FIELD];
+  const value = typeof raw === "string" ? Number(raw) : raw;
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+/** Precise rating of a scene (unrated scenes count as 1, like the engines treat them). */
+export function getPreciseRating(scene: Scene): number {
+  const rating100 = scene.rating100 || MIN_RATING;
+  const stored = storedPreciseRating(scene);
+  return stored !== null && projectRating(stored) === rating100 ? stored : rating100;
+}
+
+/** Remember a value just written to Stash (see `updateSceneRating`). */
+export function rememberPreciseRating(sceneId: string, value: number): void {
+  knownPrecise.set(sceneId, value);
+}
+
+/** Forget the values written this session (switching entity type: the same ids mean other records). */
+export function forgetPreciseRatings(): void {
+  knownPrecise.clear();
+}
+
+/** Copy sorted best first by precise rating; unrated scenes go last. Stable for equal values. */
+export function sortByPreciseRating(scenes: Scene[]): Scene[] {
+  return scenes
+    .map((scene) => ({ scene, key: preciseSortKey(scene) }))
+    .sort((a, b) => b.key - a.key)
+    .map((entry) => entry.scene);
+}
+
+/** Comparison value for "is this scene above that one" checks (unrated = 0). */
+export function preciseSortKey(scene: Scene): number {
+  return scene.rating100 ? getPreciseRating(scene) : 0;
+}
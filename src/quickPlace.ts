@@ -0,0 +1,76 @@
+// Quick Place: binary-search a scene's position in the rating-sorted opponent pool (pure search
+// state — matchmaking lives in pairs.ts, the choice handling in ui/mainUI.ts).
+
+import type { Scene } from "./types";
+
+/**
+ * Positions are insertion points in the opponent pool (best first): position p means p pool scenes
+ * rank above the placed scene. The answer lies in [lo, hi]; the search is settled when lo === hi.
+ */
+export interface QuickPlaceState {
+  scene: Scene; // The scene being placed (always on the left)
+  lo: number;
+  hi: number;
+  comparisons: number;
+  maxComparisons: number; // ⌈log2(pool + 1)⌉ — shown as progress
+  aboveRating: number | null; // Precise rating of the lowest benchmark that beat the scene
+  belowRating: number | null; // Precise rating of the highest benchmark the scene beat
+}
+
+export function startQuickPlace(scene: Scene, poolSize: number): QuickPlaceState {
+  return {
+    scene,
+    lo: 0,
+    hi: poolSize,
+    comparisons: 0,
+    maxComparisons: Math.ceil(Math.log2(poolSize + 1)),
+    aboveRating: null,
+    belowRating: null,
+  };
+}
+
+/** Pool index of the next benchmark: the median of the open range. */
+export function quickPlaceProbe(search: QuickPlaceState): number {
+  return Math.floor((search.lo + search.hi) / 2);
+}
+
+/** Halve the range after a win or loss against the probe benchmark (its precise rating). */
+export function recordQuickPlaceResult(search: QuickPlaceState, benchmarkRating: number, won: boolean): void {
+  const probe = quickPlaceProbe(search);
+  if (won) {
+    search.hi = probe;
+    search.belowRating = benchmarkRating;
+  } else {
+    search.lo = probe + 1;
+    search.aboveRating = benchmarkRating;
+  }
+  search.comparisons++;
+}
+
+/** A draw settles the scene directly below the probe benchmark, at its rating. */
+export function settleQuickPlaceDraw(search: QuickPlaceState, benchmarkRating: number): void {
+  search.lo = search.hi = quickPlaceProbe(search) + 1;
+  search.aboveRating = search.belowRating = benchmarkRating;
+  search.comparisons++;
+}
+
+export function isQuickPlaceSettled(search: QuickPlaceState): boolean {
+  return search.lo >= search.hi;
+}
+
+/** Final rank (1 = top) once settled. */
+export function quickPlaceRank(search: QuickPlaceState): number {
+  return search.lo + 1;
+}
+
+/**
+ * Final precise rating once settled: midway between the neighbours, or one point past the only
+ * neighbour at the top/bottom of the pool (as gauntlet placements do).
+ */
+export function quickPlaceRating(search: QuickPlaceState): number {
+  const { aboveRating, belowRating } = search;
+  if (aboveRating !== null && belowRating !== null) return (aboveRating + belowRating) / 2;
+  if (belowRating !== null) return Math.min(100, belowRating + 1);
+  if (aboveRating !== null) return Math.max(1, aboveRating - 1);
+  return 50; // Empty pool — never searched
+}
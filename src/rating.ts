@@ -1,39 +1,92 @@
-// Persist scene ratings to Stash and keep the local cache in sync.
+// Persist scene ratings (and the plugin's custom fields) to Stash and keep the local cache in sync.
+// Writes go through the current entity type's update mutation (sceneUpdate, performerUpdate, ...);
+// the precise rating is only stored for types that keep custom fields (see entities.ts).
 
 import { clearSceneInCache, updateSceneInCache } from "./cache";
+import { PRECISE_RATING_FIELD } from "./constants";
+import { currentEntity, entityUpdateMutation } from "./entities";
 import { graphqlQuery } from "./graphql";
+import { normalizePreciseRating, projectRating, rememberPreciseRating } from "./preciseRating";
 
-const SCENE_UPDATE_MUTATION = `
-      mutation SceneUpdate($input: SceneUpdateInput!) {
-        sceneUpdate(input: $input) {
-          id
-          rating100
-        }
-      }
-    `;
+// In-flight rating writes, so undo can wait for them before writing old values back.
+const pendingWrites = new Set<Promise<unknown>>();
 
-/** Write rating to Stash (null clears) and sync the in-memory cache. */
-export async function updateSceneRating(sceneId: string, rating100: number | null): Promise<void> {
-  const stashRating =
-    rating100 === null ? null : Math.max(1, Math.min(100, rating100));
+function trackWrite<T>(write: Promise<T>): Promise<T> {
+  pendingWrites.add(write);
+  write.then(
+    () => pendingWrites.delete(write),
+    () => pendingWrites.delete(write),
+  );
+  return write;
+}
+
+/** Resolves once every rating write started so far has settled. */
+export async function flushRatingWrites(): Promise<void> {
+  await Promise.allSettled([...pendingWrites]);
+}
 
+/** Merge values into a scene's custom fields and drop the `remove` keys (other fields are left alone). */
+export async function updateSceneCustomFields(
+  sceneId: string,
+  fields: Record<string, unknown>,
+  remove: string[] = [],
+): Promise<void> {
   try {
-    await graphqlQuery(SCENE_UPDATE_MUTATION, {
+    await trackWrite(
+      graphqlQuery(entityUpdateMutation(), {
+        input: {
+          id: sceneId,
+          custom_fields: { partial: fields, ...(remove.length > 0 && { remove }) },
+        },
+      }),
+    );
+  } catch (e) {
+    console.error(`[Stash Battle] Failed to update scene ${sceneId} custom fields:`, e);
+  }
+}
+
+/**
+ * Write rating to Stash (null clears) and sync the in-memory cache. With `precise`, rating100 is
+ * its projection and the float is stored in the same mutation (see preciseRating.ts). Failures are
+ * logged; use `writeSceneRating` to handle them.
+ */
+export async function updateSceneRating(sceneId: string, rating100: number | null, precise?: number): Promise<void> {
+  try {
+    await writeSceneRating(sceneId, rating100, precise);
+  } catch (e) {
+    const action = rating100 === null ? "clear" : "update";
+    console.error(`[Stash Battle] Failed to ${action} scene ${sceneId} rating:`, e);
+  }
+}
+
+/** `updateSceneRating` that rejects when the write fails (for callers reporting failures). */
+export async function writeSceneRating(sceneId: string, rating100: number | null, precise?: number): Promise<void> {
+  const keepsPrecise = precise !== undefined && rating100 !== null && currentEntity().customFields;
+  const preciseValue = keepsPrecise ? normalizePreciseRating(precise) : undefined;
+  let stashRating = rating100 === null ? null : Math.max(1, Math.min(100, rating100));
+  if (preciseValue !== undefined) {
+    stashRating = projectRating(preciseValue);
+    // Before the write resolves, so the next pair already ranks by the new value
+    rememberPreciseRating(sceneId, preciseValue);
+  }
+
+  await trackWrite(
+    graphqlQuery(entityUpdateMutation(), {
       input: {
         id: sceneId,
         rating100: stashRating,
+        ...(preciseValue !== undefined && { custom_fields: { partial: { [PRECISE_RATING_FIELD]: preciseValue } } }),
       },
-    });
-
-    if (stashRating === null) {
-      console.log(`[Stash Battle] 📝 Cleared scene ${sceneId} rating in Stash`);
-      clearSceneInCache(sceneId);
-    } else {
-      console.log(`[Stash Battle] 📝 Updated scene ${sceneId} rating to ${stashRating} in Stash`);
-      updateSceneInCache(sceneId, stashRating);
-    }
-  } catch (e) {
-    const action = stashRating === null ? "clear" : "update";
-    console.error(`[Stash Battle] Failed to ${action} scene ${sceneId} rating:`, e);
+    }),
+  );
+
+  if (stashRating === null) {
+    console.log(`[Stash Battle] 📝 Cleared scene ${sceneId} rating in Stash`);
+    clearSceneInCache(sceneId);
+  } else {
+    console.log(
+      `[Stash Battle] 📝 Updated scene ${sceneId} rating to ${stashRating}${preciseValue !== undefined ? ` (${preciseValue})` : ""} in Stash`,
+    );
+    updateSceneInCache(sceneId, stashRating);
   }
 }
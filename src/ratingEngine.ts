@@ -0,0 +1,169 @@
+// Rating engine dispatch: classic ELO (default) or Glicko-2 with per-scene uncertainty.
+//
+// Both engines produce a new precise rating per side (preciseRating.ts) and report its integer
+// rating100 projection as deltas, so mode policy, animations and persistence stay
+// engine-agnostic. Glicko-2 additionally keeps { rating, rd, volatility } per scene in
+// localStorage; callers `commit` it only for the sides whose delta they actually apply.
+
+import { GLICKO_POINTS_PER_RATING, GLICKO_STORE_KEY } from "./constants";
+import { calculateRatingChanges } from "./elo";
+import { entityStoreKey } from "./entities";
+import { glicko2Update, type GlickoRating } from "./glicko";
+import { getPreciseRating, normalizePreciseRating, projectRating } from "./preciseRating";
+import { settings } from "./settings";
+import { state } from "./state";
+import type { ComparisonDeltas, Outcome, Scene } from "./types";
+
+/** Stored Glicko-2 state plus the rating100 it projected to when saved. */
+export interface GlickoRecord extends GlickoRating {
+  rating100: number;
+}
+
+export interface EngineSide {
+  scene: Scene;
+  experience: number; // ELO K-factor input (ignored by Glicko-2)
+}
+
+export interface EngineResult {
+  deltas: ComparisonDeltas; // rating100 change of each side's projected precise rating
+  precise: ComparisonDeltas; // New precise rating of each side (write with updateSceneRating)
+  /** Persist engine-side state for the sides whose delta was applied. */
+  commit(sides: { winner: boolean; loser: boolean }): void;
+}
+
+/** Per-scene engine state captured for undo (null = no record existed). */
+export type EngineSnapshot = { id: string; glicko: GlickoRecord | null }[];
+
+const GLICKO_CENTER = 1500;
+
+// Records of the entity type they were loaded for (each type has its own store)
+let glickoRecords: Record<string, GlickoRecord> | null = null;
+let glickoStoreKey: string | null = null;
+
+function loadGlickoRecords(): Record<string, GlickoRecord> {
+  const storeKey = entityStoreKey(GLICKO_STORE_KEY);
+  if (glickoRecords && glickoStoreKey === storeKey) return glickoRecords;
+  glickoStoreKey = storeKey;
+  try {
+    const stored = localStorage.getItem(storeKey);
+    glickoRecords = stored ? (JSON.parse(stored) as Record<string, GlickoRecord>) : {};
+  } catch (e) {
+    console.error("[Stash Battle] Failed to load Glicko-2 ratings:", e);
+    glickoRecords = {};
+  }
+  return glickoRecords;
+}
+
+function saveGlickoRecords(): void {
+  try {
+    const records = loadGlickoRecords();
+    localStorage.setItem(glickoStoreKey as string, JSON.stringify(records));
+  } catch (e) {
+    console.error("[Stash Battle] Failed to save Glicko-2 ratings:", e);
+  }
+}
+
+function glickoFromPrecise(precise: number): number {
+  return GLICKO_CENTER + (precise - 50) * GLICKO_POINTS_PER_RATING;
+}
+
+function preciseFromGlicko(rating: number): number {
+  return normalizePreciseRating(50 + (rating - GLICKO_CENTER) / GLICKO_POINTS_PER_RATING);
+}
+
+/**
+ * Current Glicko-2 state for a scene. If rating100 changed outside the engine (placement,
+ * manual edit in Stash, ELO battles) the rating is re-seeded from the precise rating but
+ * RD/volatility are kept.
+ */
+export function getGlickoRating(scene: Scene): GlickoRating {
+  const rating100 = scene.rating100 || 1;
+  const seed = glickoFromPrecise(getPreciseRating(scene));
+  const record = loadGlickoRecords()[scene.id];
+  if (!record) {
+    return {
+      rating: seed,
+      rd: settings.glickoDefaultRd,
+      volatility: settings.glickoVolatilityThousandths / 1000,
+    };
+  }
+  if (record.rating100 !== rating100) {
+    return { rating: seed, rd: record.rd, volatility: record.volatility };
+  }
+  return { rating: record.rating, rd: record.rd, volatility: record.volatility };
+}
+
+/** Rating deviation expressed in rating100 points, or null when the scene has no record. */
+export function getRatingUncertainty(scene: Scene): number | null {
+  const record = loadGlickoRecords()[scene.id];
+  return record ? record.rd / GLICKO_POINTS_PER_RATING : null;
+}
+
+function rateGlicko(winner: Scene, loser: Scene, outcome: Outcome): EngineResult {
+  const winnerScore = outcome === "draw" ? 0.5 : 1;
+  const winnerBefore = getGlickoRating(winner);
+  const loserBefore = getGlickoRating(loser);
+  const tau = settings.glickoTauHundredths / 100;
+  const winnerAfter = glicko2Update(winnerBefore, [{ opponent: loserBefore, score: winnerScore }], tau);
+  const loserAfter = glicko2Update(loserBefore, [{ opponent: winnerBefore, score: 1 - winnerScore }], tau);
+
+  const winnerPrecise = preciseFromGlicko(winnerAfter.rating);
+  const loserPrecise = preciseFromGlicko(loserAfter.rating);
+  const winnerNew100 = projectRating(winnerPrecise);
+  const loserNew100 = projectRating(loserPrecise);
+
+  return {
+    deltas: {
+      winner: winnerNew100 - (winner.rating100 || 1),
+      loser: loserNew100 - (loser.rating100 || 1),
+    },
+    precise: { winner: winnerPrecise, loser: loserPrecise },
+    commit(sides) {
+      const records = loadGlickoRecords();
+      if (sides.winner) records[winner.id] = { ...winnerAfter, rating100: winnerNew100 };
+      if (sides.loser) records[loser.id] = { ...loserAfter, rating100: loserNew100 };
+      if (sides.winner || sides.loser) saveGlickoRecords();
+    },
+  };
+}
+
+/** Rate a head-to-head result with the engine selected in `state.ratingEngine`. */
+export function rateComparison(winner: EngineSide, loser: EngineSide, outcome: Outcome = "win"): EngineResult {
+  if (state.ratingEngine === "glicko2") {
+    return rateGlicko(winner.scene, loser.scene, outcome);
+  }
+
+  const winnerBefore = getPreciseRating(winner.scene);
+  const loserBefore = getPreciseRating(loser.scene);
+  const change = calculateRatingChanges(
+    {
+      winner: { rating: winnerBefore, experience: winner.experience },
+      loser: { rating: loserBefore, experience: loser.experience },
+    },
+    outcome,
+  );
+  const winnerPrecise = normalizePreciseRating(winnerBefore + change.winner);
+  const loserPrecise = normalizePreciseRating(loserBefore + change.loser);
+  return {
+    deltas: {
+      winner: projectRating(winnerPrecise) - (winner.scene.rating100 || 1),
+      loser: projectRating(loserPrecise) - (loser.scene.rating100 || 1),
+    },
+    precise: { winner: winnerPrecise, loser: loserPrecise },
+    commit: () => {},
+  };
+}
+
+export function snapshotEngineState(sceneIds: string[]): EngineSnapshot {
+  const records = loadGlickoRecords();
+  return sceneIds.map((id) => ({ id, glicko: records[id] ? { ...records[id] } : null }));
+}
+
+export function restoreEngineState(snapshot: EngineSnapshot): void {
+  const records = loadGlickoRecords();
+  for (const { id, glicko } of snapshot) {
+    if (glicko) records[id] = glicko;
+    else delete records[id];
+  }
+  saveGlickoRecords();
+}
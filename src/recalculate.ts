@@ -0,0 +1,124 @@
+// Recalculate rankings: refit every battled scene from the history log in one go.
+//
+// Incremental ELO depends on battle order and on clamping at 1/100; a Bradley–Terry fit over
+// all recorded outcomes does not. Strengths are mapped onto the ELO odds scale (`eloDivisor`
+// points per 10× odds, as in elo.ts), centred on the scenes' current mean and squeezed into 1–100.
+
+import { fitBradleyTerry } from "./bradleyTerry";
+import { writeRatingsInBulk } from "./bulkRatings";
+import { getAllScenesCached } from "./cache";
+import { BT_MAX_ITERATIONS, BT_TOLERANCE } from "./constants";
+import { assertEntityType, entityDisplayName } from "./entities";
+import { getBattleHistory } from "./history";
+import { settings } from "./settings";
+import { state } from "./state";
+import type { EntityType } from "./types";
+
+export interface RecalcRow {
+  id: string;
+  title: string;
+  before: number | null;
+  after: number;
+  rankBefore: number | null; // Position in the full library (null = unrated)
+  rankAfter: number;
+}
+
+export interface RecalcPreview {
+  entity: EntityType; // Type the rows' ids belong to
+  rows: RecalcRow[]; // Every fitted scene, best first
+  battles: number;
+  skippedScenes: number; // In history but no longer in the library
+  converged: boolean;
+}
+
+/** Map natural-log strengths onto 1–100, keeping the current mean and compressing if needed. */
+function strengthsToRatings(strengths: Map<string, number>, currentMean: number): Map<string, number> {
+  const points = [...strengths].map(([id, s]) => [id, (s / Math.LN10) * settings.eloDivisor] as const);
+  const fittedMean = points.reduce((sum, [, p]) => sum + p, 0) / points.length;
+  const values = points.map(([, p]) => p);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  let offset = currentMean - fittedMean;
+  let scale = 1;
+  if (max - min > 99) {
+    // Too wide for the rating field: squeeze the whole fit into 1–100
+    scale = 99 / (max - min);
+    offset = 1 - min * scale;
+  } else {
+    // Shift (not scale) back inside the bounds if centring pushed an end out
+    offset = Math.min(offset, 100 - max);
+    offset = Math.max(offset, 1 - min);
+  }
+
+  return new Map(points.map(([id, p]) => [id, Math.round(p * scale + offset)]));
+}
+
+/** Fit the whole battle log and compute the resulting rating and rank of every battled scene. */
+export async function buildRecalculationPreview(): Promise<RecalcPreview> {
+  const entity = state.entityType;
+  const [records, { scenes }] = await Promise.all([getBattleHistory(), getAllScenesCached()]);
+  const inLibrary = new Set(scenes.map((s) => s.id));
+
+  const outcomes = records
+    .filter((r) => inLibrary.has(r.winnerId) && inLibrary.has(r.loserId))
+    .map((r) => ({ winnerId: r.winnerId, loserId: r.loserId, draw: r.outcome === "draw" }));
+  const battledIds = new Set(records.flatMap((r) => [r.winnerId, r.loserId]));
+  const skippedScenes = [...battledIds].filter((id) => !inLibrary.has(id)).length;
+  if (outcomes.length === 0) {
+    return { entity, rows: [], battles: 0, skippedScenes, converged: true };
+  }
+
+  const fit = fitBradleyTerry(outcomes, {
+    priorGames: settings.btPriorGames,
+    maxIterations: BT_MAX_ITERATIONS,
+    tolerance: BT_TOLERANCE,
+  });
+
+  const fitted = scenes.filter((s) => fit.strengths.has(s.id));
+  const rated = fitted.filter((s) => s.rating100);
+  const currentMean = rated.length ? rated.reduce((sum, s) => sum + (s.rating100 as number), 0) / rated.length : 50;
+  const newRatings = strengthsToRatings(fit.strengths, currentMean);
+
+  // Library order before/after (stable sort keeps current order among equal ratings)
+  const rankBefore = new Map(scenes.filter((s) => s.rating100).map((s, i) => [s.id, i + 1]));
+  const after = scenes
+    .map((s) => ({ scene: s, rating: newRatings.get(s.id) ?? s.rating100 ?? 0 }))
+    .sort((a, b) => b.rating - a.rating);
+  const rankAfter = new Map(after.map((entry, i) => [entry.scene.id, i + 1]));
+
+  const rows = after
+    .filter((entry) => newRatings.has(entry.scene.id))
+    .map(({ scene }) => ({
+      id: scene.id,
+      title: entityDisplayName(scene),
+      before: scene.rating100 ?? null,
+      after: newRatings.get(scene.id) as number,
+      rankBefore: rankBefore.get(scene.id) ?? null,
+      rankAfter: rankAfter.get(scene.id) as number,
+    }));
+
+  console.log(
+    `[Stash Battle] 🧮 Bradley–Terry fit: ${rows.length} scenes from ${outcomes.length} battles, ${fit.iterations} iterations${fit.converged ? "" : " (not converged)"}`,
+  );
+  return { entity, rows, battles: outcomes.length, skippedScenes, converged: fit.converged };
+}
+
+/**
+ * Write every changed rating to Stash (clears undo). Returns how many were written; throws if the
+ * entity type changed since the preview.
+ */
+export async function applyRecalculation(
+  preview: RecalcPreview,
+  onProgress: (done: number, total: number) => void,
+): Promise<number> {
+  assertEntityType(preview.entity);
+  const changed = preview.rows.filter((r) => r.after !== r.before);
+  await writeRatingsInBulk(
+    changed.map((r) => ({ id: r.id, rating100: r.after })),
+    onProgress,
+  );
+
+  console.log(`[Stash Battle] 🧮 Recalculated rankings: ${changed.length} ratings written`);
+  return changed.length;
+}
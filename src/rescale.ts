@@ -0,0 +1,177 @@
+// Rating rescale: keep the library's rank order but redistribute rating100 over a target curve.
+//
+// Climb bumps and the 1/100 clamps bunch ratings up (many scenes tied at 98–100). Each rated scene
+// gets its percentile from its rank by precise rating (rating100 ties broken by the hidden float,
+// then cache order) and the curve maps that percentile to a rating, restoring the spread.
+
+import { writeRatingsInBulk } from "./bulkRatings";
+import { getAllScenesCached } from "./cache";
+import { RESCALE_HISTOGRAM_BINS } from "./constants";
+import { assertEntityType, entityDisplayName } from "./entities";
+import { sortByPreciseRating } from "./preciseRating";
+import { state } from "./state";
+import type { EntityType } from "./types";
+
+export type RescaleCurve = "uniform" | "normal" | "custom";
+
+/** Custom curve control point: scenes at `percentile` (0 = bottom, 100 = top) get `rating`. */
+export interface CurvePoint {
+  percentile: number;
+  rating: number;
+}
+
+export interface RescaleOptions {
+  curve: RescaleCurve;
+  mean: number; // normal only
+  sd: number; // normal only
+  points: CurvePoint[]; // custom only
+}
+
+export interface RescaleRow {
+  id: string;
+  title: string;
+  before: number;
+  after: number;
+}
+
+export interface RescalePreview {
+  entity: EntityType; // Type the rows' ids belong to
+  rows: RescaleRow[]; // Every rated scene, best first
+  histogramBefore: number[];
+  histogramAfter: number[];
+}
+
+/** Inverse standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9). */
+function probit(p: number): number {
+  const a = [
+    -39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716,
+    2.506628277459239,
+  ];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [
+    -0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734,
+    4.374664141464968, 2.938163982698783,
+  ];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    const num = ((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5];
+    return num / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    const num = ((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5];
+    return -num / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  const num = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q;
+  return num / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Parse "percentile:rating" pairs ("0:1, 50:40, 100:100"). Null unless there are at least two
+ * points, every value is in range, and ratings never fall as the percentile rises (keeps order).
+ */
+export function parseCustomCurve(text: string): CurvePoint[] | null {
+  const points: CurvePoint[] = [];
+  for (const part of text.split(/[,;\n]/)) {
+    if (!part.trim()) continue;
+    const match = part.trim().match(/^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    const percentile = Number(match[1]);
+    const rating = Number(match[2]);
+    if (percentile > 100 || rating < 1 || rating > 100) return null;
+    points.push({ percentile, rating });
+  }
+  points.sort((x, y) => x.percentile - y.percentile);
+  if (points.length < 2) return null;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].percentile === points[i - 1].percentile || points[i].rating < points[i - 1].rating) return null;
+  }
+  return points;
+}
+
+/** Piecewise-linear lookup; flat beyond the first / last point. */
+function interpolate(points: CurvePoint[], percentile: number): number {
+  if (percentile <= points[0].percentile) return points[0].rating;
+  for (let i = 1; i < points.length; i++) {
+    const hi = points[i];
+    if (percentile <= hi.percentile) {
+      const lo = points[i - 1];
+      return lo.rating + ((percentile - lo.percentile) / (hi.percentile - lo.percentile)) * (hi.rating - lo.rating);
+    }
+  }
+  return points[points.length - 1].rating;
+}
+
+/** Target rating for a percentile in (0, 1), rounded and clamped to 1–100. */
+function targetRating(options: RescaleOptions, p: number): number {
+  let value: number;
+  switch (options.curve) {
+    case "uniform":
+      value = 1 + p * 99;
+      break;
+    case "normal":
+      value = options.mean + options.sd * probit(p);
+      break;
+    case "custom":
+      value = interpolate(options.points, p * 100);
+      break;
+  }
+  return Math.max(1, Math.min(100, Math.round(value)));
+}
+
+/** Counts per equal-width bucket of 1–100 (1–10, 11–20, ... with the default 10 bins). */
+export function ratingHistogram(ratings: number[]): number[] {
+  const bins = new Array<number>(RESCALE_HISTOGRAM_BINS).fill(0);
+  const width = 100 / RESCALE_HISTOGRAM_BINS;
+  for (const rating of ratings) {
+    bins[Math.min(RESCALE_HISTOGRAM_BINS - 1, Math.floor((rating - 1) / width))]++;
+  }
+  return bins;
+}
+
+/** Compute the new rating of every rated scene. Unrated scenes are left out. */
+export async function buildRescalePreview(options: RescaleOptions): Promise<RescalePreview> {
+  const entity = state.entityType;
+  const { scenes } = await getAllScenesCached();
+  const rated = sortByPreciseRating(scenes.filter((s) => s.rating100));
+  const n = rated.length;
+
+  // Midpoint percentiles: best scene ≈ top of the curve, worst ≈ bottom, never exactly 0 or 1
+  const rows = rated.map((scene, i) => ({
+    id: scene.id,
+    title: entityDisplayName(scene),
+    before: scene.rating100 as number,
+    after: targetRating(options, (n - i - 0.5) / n),
+  }));
+
+  return {
+    entity,
+    rows,
+    histogramBefore: ratingHistogram(rows.map((r) => r.before)),
+    histogramAfter: ratingHistogram(rows.map((r) => r.after)),
+  };
+}
+
+/**
+ * Write every changed rating to Stash (clears undo). Returns how many were written; throws if the
+ * entity type changed since the preview.
+ */
+export async function applyRescale(
+  preview: RescalePreview,
+  onProgress: (done: number, total: number) => void,
+): Promise<number> {
+  assertEntityType(preview.entity);
+  const changed = preview.rows.filter((r) => r.after !== r.before);
+  await writeRatingsInBulk(
+    changed.map((r) => ({ id: r.id, rating100: r.after })),
+    onProgress,
+  );
+
+  console.log(`[Stash Battle] 📊 Rescaled ratings: ${changed.length} ratings written`);
+  return changed.length;
+}
@@ -0,0 +1,176 @@
+// Round robin: every pair of a small filtered set plays exactly once, then a final table
+// (scheduling and standings — matchmaking lives in pairs.ts, the table screen in ui/screens.ts).
+
+import { writeRatingsInBulk } from "./bulkRatings";
+import { entityDisplayName } from "./entities";
+import type { Outcome, Scene } from "./types";
+
+/** Winner's entrant index, or "draw". */
+export type RoundRobinResult = number | "draw";
+
+export interface RoundRobinState {
+  entrants: Scene[]; // Best precise rating first at the start (snapshots; pairs use fresh copies)
+  schedule: [number, number][]; // Entrant index pairs in play order ([left, right])
+  results: RoundRobinResult[]; // results[i] belongs to schedule[i]; length = matches played
+}
+
+export interface RoundRobinRow {
+  entrant: number;
+  scene: Scene;
+  wins: number;
+  draws: number;
+  losses: number;
+  points: number; // 1 per win, ½ per draw
+}
+
+export interface SpreadRow {
+  id: string;
+  title: string;
+  before: number | null;
+  after: number;
+}
+
+/**
+ * Every pair once, by the circle method: the schedule is split into rounds in which each scene
+ * plays at most once, so a scene's matches are spread evenly. Rounds are rotated so no scene
+ * plays twice in a row across a round boundary either, and sides alternate between rounds.
+ */
+export function roundRobinSchedule(count: number): [number, number][] {
+  const BYE = -1;
+  const players = Array.from({ length: count }, (_, i) => i);
+  if (count % 2 === 1) players.push(BYE);
+  const n = players.length;
+
+  const schedule: [number, number][] = [];
+  for (let round = 0; round < n - 1; round++) {
+    const matches: [number, number][] = [];
+    for (let i = 0; i < n / 2; i++) {
+      const a = players[i];
+      const b = players[n - 1 - i];
+      if (a !== BYE && b !== BYE) matches.push(round % 2 === 0 ? [a, b] : [b, a]);
+    }
+
+    const last = schedule[schedule.length - 1];
+    const start = last ? Math.max(0, matches.findIndex(([a, b]) => !last.includes(a) && !last.includes(b))) : 0;
+    schedule.push(...matches.slice(start), ...matches.slice(0, start));
+
+    // Keep the first player fixed, rotate the rest one place
+    players.splice(1, 0, players.pop() as number);
+  }
+  return schedule;
+}
+
+/** Start a round robin between `entrants` (already sorted best first). */
+export function createRoundRobin(entrants: Scene[]): RoundRobinState {
+  return { entrants: [...entrants], schedule: roundRobinSchedule(entrants.length), results: [] };
+}
+
+/** Entrant indices of the next match, or null once every pair has played. */
+export function nextRoundRobinMatch(roundRobin: RoundRobinState): [number, number] | null {
+  return roundRobin.schedule[roundRobin.results.length] ?? null;
+}
+
+/** Record the next match's result. Returns false when the two scenes aren't the next match (stale pair). */
+export function recordRoundRobinResult(
+  roundRobin: RoundRobinState,
+  winnerId: string,
+  loserId: string,
+  outcome: Outcome,
+): boolean {
+  const next = nextRoundRobinMatch(roundRobin);
+  if (!next) return false;
+
+  const ids = next.map((e) => roundRobin.entrants[e].id);
+  if (!ids.includes(winnerId) || !ids.includes(loserId) || winnerId === loserId) return false;
+
+  roundRobin.results.push(outcome === "draw" ? "draw" : next[ids.indexOf(winnerId)]);
+  return true;
+}
+
+/** Points `entrant` scored in matches against the entrants in `group`. */
+function headToHeadPoints(roundRobin: RoundRobinState, entrant: number, group: Set<number>): number {
+  let points = 0;
+  roundRobin.results.forEach((result, i) => {
+    const [a, b] = roundRobin.schedule[i];
+    if ((a !== entrant && b !== entrant) || !group.has(a) || !group.has(b)) return;
+    if (result === "draw") points += 0.5;
+    else if (result === entrant) points += 1;
+  });
+  return points;
+}
+
+/**
+ * Standings: points, then head-to-head points among the scenes tied on points, then the starting
+ * order (higher rating first). `scenes` supplies current copies of the entrants (by id) for display.
+ */
+export function roundRobinTable(roundRobin: RoundRobinState, scenes: Scene[] = []): RoundRobinRow[] {
+  const current = new Map(scenes.map((s) => [s.id, s]));
+  const rows: RoundRobinRow[] = roundRobin.entrants.map((scene, entrant) => ({
+    entrant,
+    scene: current.get(scene.id) ?? scene,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    points: 0,
+  }));
+
+  roundRobin.results.forEach((result, i) => {
+    const [a, b] = roundRobin.schedule[i];
+    if (result === "draw") {
+      for (const e of [a, b]) {
+        rows[e].draws++;
+        rows[e].points += 0.5;
+      }
+      return;
+    }
+    rows[result].wins++;
+    rows[result].points++;
+    rows[result === a ? b : a].losses++;
+  });
+
+  const tiedOnPoints = new Map<number, Set<number>>();
+  for (const row of rows) {
+    const group = tiedOnPoints.get(row.points) ?? new Set<number>();
+    group.add(row.entrant);
+    tiedOnPoints.set(row.points, group);
+  }
+  const headToHead = rows.map((row) => headToHeadPoints(roundRobin, row.entrant, tiedOnPoints.get(row.points) as Set<number>));
+
+  return [...rows].sort(
+    (x, y) => y.points - x.points || headToHead[y.entrant] - headToHead[x.entrant] || x.entrant - y.entrant,
+  );
+}
+
+/**
+ * New ratings for the table, spread evenly from the highest to the lowest current rating among the
+ * entrants (first place gets the top). Null when the entrants don't have two different ratings.
+ */
+export function buildSpreadRatings(table: RoundRobinRow[]): SpreadRow[] | null {
+  const ratings = table.map((r) => r.scene.rating100).filter((r): r is number => !!r);
+  const top = Math.max(...ratings);
+  const bottom = Math.min(...ratings);
+  if (ratings.length < 2 || top === bottom) return null;
+
+  const step = (top - bottom) / (table.length - 1);
+  return table.map((row, i) => ({
+    id: row.scene.id,
+    title: entityDisplayName(row.scene),
+    before: row.scene.rating100 ?? null,
+    after: Math.round(top - step * i),
+  }));
+}
+
+/** Write every changed spread rating to Stash (clears undo). Returns how many were written. */
+export async function applySpreadRatings(
+  rows: SpreadRow[],
+  onProgress: (done: number, total: number) => void,
+): Promise<number> {
+  const changed = rows.filter((r) => r.after !== r.before);
+  await writeRatingsInBulk(
+    changed.map((r) => ({ id: r.id, rating100: r.after })),
+    onProgress,
+  );
+
+  console.log(`[Stash Battle] 🔄 Round robin: ${changed.length} spread ratings written`);
+  return changed.length;
+}
@@ -0,0 +1,396 @@
+// Tunable settings: defaults from constants.ts, overridden by the plugin's Stash configuration.
+//
+// Declared as `settings:` in stash-battle.yml (so they also appear under Settings → Plugins) and
+// editable from the Settings tab. Modules read `settings.*` at use time, never cache them.
+
+import {
+  BT_PRIOR_GAMES,
+  CACHE_MAX_AGE_MS,
+  CLIMB_K_PLAY_COUNT,
+  CLIMB_OPPONENT_PICK_WINDOW,
+  CLIMB_SMALL_POOL_WARN_AT,
+  DEFAULT_K_FACTOR_POLICY,
+  DEFAULT_SWISS_PAIRING,
+  ELO_DIVISOR,
+  GLICKO_DEFAULT_RD,
+  GLICKO_DEFAULT_VOLATILITY,
+  GLICKO_TAU,
+  HISTORY_PANEL_LIMIT,
+  K_FACTOR_TIERS,
+  PLUGIN_ID,
+  SNAPSHOTS_KEPT,
+  SWISS_OPPONENT_REACH_INITIAL,
+  SWISS_OPPONENT_REACH_MULTIPLIER,
+  UNDO_MAX_DEPTH,
+} from "./constants";
+import { graphqlQuery } from "./graphql";
+import type { KFactorPolicy, SwissPairing } from "./types";
+
+export interface Settings {
+  eloDivisor: number;
+  kFactorPolicy: KFactorPolicy;
+  kFactorNew: number;
+  kFactorSettling: number;
+  kFactorEstablished: number;
+  kFactorStable: number;
+  kSettlingAt: number;
+  kEstablishedAt: number;
+  kStableAt: number;
+  climbKPlayCount: number;
+  glickoDefaultRd: number;
+  glickoVolatilityThousandths: number;
+  glickoTauHundredths: number;
+  swissPairing: SwissPairing;
+  swissReachInitial: number;
+  swissReachMultiplier: number;
+  climbPickWindow: number;
+  climbSmallPoolWarnAt: number;
+  cacheMaxAgeMinutes: number;
+  undoMaxDepth: number;
+  historyPanelLimit: number;
+  snapshotsKept: number;
+  btPriorGames: number;
+}
+
+export type SettingKey = keyof Settings;
+
+interface BaseSettingDef {
+  group: string;
+  label: string;
+  description: string;
+}
+
+/** Whole-number setting (Stash's plugin settings UI only edits integers). */
+export interface NumberSettingDef extends BaseSettingDef {
+  kind: "number";
+  key: { [K in SettingKey]: Settings[K] extends number ? K : never }[SettingKey];
+  defaultValue: number;
+  min: number;
+  max: number;
+}
+
+/** One of a fixed set of values (a STRING setting in Stash, a select in the Settings tab). */
+export interface ChoiceSettingDef extends BaseSettingDef {
+  kind: "choice";
+  key: { [K in SettingKey]: Settings[K] extends string ? K : never }[SettingKey];
+  defaultValue: string;
+  options: { value: string; label: string }[];
+}
+
+/** One setting as shown in the Settings tab (mirrors its entry in stash-battle.yml). */
+export type SettingDef = NumberSettingDef | ChoiceSettingDef;
+
+export const SETTING_DEFS: SettingDef[] = [
+  {
+    kind: "number",
+    key: "eloDivisor",
+    group: "Rating",
+    label: "ELO divisor",
+    description: "Rating gap for 10:1 expected odds (chess uses 400 on its wider scale)",
+    defaultValue: ELO_DIVISOR,
+    min: 10,
+    max: 400,
+  },
+  {
+    kind: "choice",
+    key: "kFactorPolicy",
+    group: "Rating",
+    label: "K-factor experience",
+    description: "What counts toward the K-factor tiers: battles fought, or Stash play count",
+    defaultValue: DEFAULT_K_FACTOR_POLICY,
+    options: [
+      { value: "battles", label: "Battle count" },
+      { value: "play_count", label: "Play count" },
+    ],
+  },
+  {
+    kind: "number",
+    key: "kFactorNew",
+    group: "Rating",
+    label: "K-factor: new",
+    description: "Max points per battle for scenes below the settling count",
+    defaultValue: K_FACTOR_TIERS.new,
+    min: 1,
+    max: 50,
+  },
+  {
+    kind: "number",
+    key: "kFactorSettling",
+    group: "Rating",
+    label: "K-factor: settling",
+    description: "Max points per battle while settling",
+    defaultValue: K_FACTOR_TIERS.settling,
+    min: 1,
+    max: 50,
+  },
+  {
+    kind: "number",
+    key: "kFactorEstablished",
+    group: "Rating",
+    label: "K-factor: established",
+    description: "Max points per battle once established",
+    defaultValue: K_FACTOR_TIERS.established,
+    min: 1,
+    max: 50,
+  },
+  {
+    kind: "number",
+    key: "kFactorStable",
+    group: "Rating",
+    label: "K-factor: stable",
+    description: "Max points per battle for very established scenes",
+    defaultValue: K_FACTOR_TIERS.stable,
+    min: 1,
+    max: 50,
+  },
+  {
+    kind: "number",
+    key: "kSettlingAt",
+    group: "Rating",
+    label: "Settling from count",
+    description: "Battles (or plays) where the settling K-factor starts",
+    defaultValue: K_FACTOR_TIERS.settlingAt,
+    min: 1,
+    max: 1000,
+  },
+  {
+    kind: "number",
+    key: "kEstablishedAt",
+    group: "Rating",
+    label: "Established from count",
+    description: "Battles (or plays) where the established K-factor starts",
+    defaultValue: K_FACTOR_TIERS.establishedAt,
+    min: 1,
+    max: 1000,
+  },
+  {
+    kind: "number",
+    key: "kStableAt",
+    group: "Rating",
+    label: "Stable from count",
+    description: "Battles (or plays) where the stable K-factor starts (settling ≤ established ≤ stable)",
+    defaultValue: K_FACTOR_TIERS.stableAt,
+    min: 1,
+    max: 1000,
+  },
+  {
+    kind: "number",
+    key: "climbKPlayCount",
+    group: "Rating",
+    label: "Climber experience",
+    description: "Battles (or plays) assumed for the climber's K-factor in Gauntlet/Champion (0 = new)",
+    defaultValue: CLIMB_K_PLAY_COUNT,
+    min: 0,
+    max: 1000,
+  },
+  {
+    kind: "number",
+    key: "glickoDefaultRd",
+    group: "Rating",
+    label: "Glicko-2 starting deviation",
+    description: "Uncertainty of a scene with no Glicko-2 history (higher = moves faster)",
+    defaultValue: GLICKO_DEFAULT_RD,
+    min: 30,
+    max: 1000,
+  },
+  {
+    kind: "number",
+    key: "glickoVolatilityThousandths",
+    group: "Rating",
+    label: "Glicko-2 starting volatility (×1000)",
+    description: "Volatility of a scene with no Glicko-2 history, in thousandths (60 = 0.06)",
+    defaultValue: Math.round(GLICKO_DEFAULT_VOLATILITY * 1000),
+    min: 10,
+    max: 300,
+  },
+  {
+    kind: "number",
+    key: "glickoTauHundredths",
+    group: "Rating",
+    label: "Glicko-2 τ (×100)",
+    description: "How fast volatility may change, in hundredths (50 = 0.5; Glickman suggests 30–120)",
+    defaultValue: Math.round(GLICKO_TAU * 100),
+    min: 10,
+    max: 200,
+  },
+  {
+    kind: "choice",
+    key: "swissPairing",
+    group: "Matchmaking",
+    label: "Swiss pairing",
+    description: "Random opponent within the rank band, or the most informative pair (uncertain scenes, close ratings)",
+    defaultValue: DEFAULT_SWISS_PAIRING,
+    options: [
+      { value: "band", label: "Random in rank band" },
+      { value: "informative", label: "Most informative pair" },
+    ],
+  },
+  {
+    kind: "number",
+    key: "swissReachInitial",
+    group: "Matchmaking",
+    label: "Swiss rank band",
+    description: "Initial ±rank band for Swiss opponents",
+    defaultValue: SWISS_OPPONENT_REACH_INITIAL,
+    min: 1,
+    max: 1000,
+  },
+  {
+    kind: "number",
+    key: "swissReachMultiplier",
+    group: "Matchmaking",
+    label: "Swiss band growth",
+    description: "Multiplier applied to the band until candidates exist",
+    defaultValue: SWISS_OPPONENT_REACH_MULTIPLIER,
+    min: 2,
+    max: 10,
+  },
+  {
+    kind: "number",
+    key: "climbPickWindow",
+    group: "Matchmaking",
+    label: "Climb pick window",
+    description: "Random pick among this many closest opponents above the climber",
+    defaultValue: CLIMB_OPPONENT_PICK_WINDOW,
+    min: 1,
+    max: 100,
+  },
+  {
+    kind: "number",
+    key: "climbSmallPoolWarnAt",
+    group: "Matchmaking",
+    label: "Small pool warning",
+    description: "Warn in Gauntlet/Champion when both sides use a filter with fewer scenes than this",
+    defaultValue: CLIMB_SMALL_POOL_WARN_AT,
+    min: 0,
+    max: 1000,
+  },
+  {
+    kind: "number",
+    key: "cacheMaxAgeMinutes",
+    group: "Data",
+    label: "Cache refresh (minutes)",
+    description: "Age after which the scene cache refreshes in the background (0 = refetch every time)",
+    defaultValue: CACHE_MAX_AGE_MS / 60000,
+    min: 0,
+    max: 1440,
+  },
+  {
+    kind: "number",
+    key: "undoMaxDepth",
+    group: "Data",
+    label: "Undo depth",
+    description: "How many choices can be undone",
+    defaultValue: UNDO_MAX_DEPTH,
+    min: 1,
+    max: 200,
+  },
+  {
+    kind: "number",
+    key: "historyPanelLimit",
+    group: "Data",
+    label: "History rows",
+    description: "Most recent matching battles listed in the History tab",
+    defaultValue: HISTORY_PANEL_LIMIT,
+    min: 10,
+    max: 5000,
+  },
+  {
+    kind: "number",
+    key: "snapshotsKept",
+    group: "Data",
+    label: "Automatic snapshots",
+    description: "Rating snapshots taken when the modal opens that are kept per entity type (0 = none taken)",
+    defaultValue: SNAPSHOTS_KEPT,
+    min: 0,
+    max: 100,
+  },
+  {
+    kind: "number",
+    key: "btPriorGames",
+    group: "Data",
+    label: "Recalculation prior",
+    description: "Virtual win + loss per scene when recalculating rankings (higher = pulls sparse scenes to the middle)",
+    defaultValue: BT_PRIOR_GAMES,
+    min: 1,
+    max: 20,
+  },
+];
+
+function defaultSettings(): Settings {
+  return Object.fromEntries(SETTING_DEFS.map((def) => [def.key, def.defaultValue])) as unknown as Settings;
+}
+
+/** Current values; mutated in place so every importer sees updates. */
+export const settings: Settings = defaultSettings();
+
+const CONFIGURATION_QUERY = `
+      query StashBattleConfiguration {
+        configuration {
+          plugins
+        }
+      }
+    `;
+
+const CONFIGURE_PLUGIN_MUTATION = `
+      mutation ConfigurePlugin($plugin_id: ID!, $input: Map!) {
+        configurePlugin(plugin_id: $plugin_id, input: $input)
+      }
+    `;
+
+/** Whole number within bounds or a listed option, or null (unset / invalid → default). */
+export function validateSetting(def: SettingDef, raw: unknown): number | string | null {
+  if (raw === null || raw === undefined || raw === "") return null;
+  if (def.kind === "choice") {
+    return def.options.some((option) => option.value === raw) ? (raw as string) : null;
+  }
+  const value = Math.round(Number(raw));
+  if (!Number.isFinite(value) || value < def.min || value > def.max) return null;
+  return value;
+}
+
+/** Whether the K-factor tier boundaries rise (settling ≤ established ≤ stable), as `getKFactor` expects. */
+export function kThresholdsInOrder(values: Settings): boolean {
+  return values.kSettlingAt <= values.kEstablishedAt && values.kEstablishedAt <= values.kStableAt;
+}
+
+function applyConfig(config: Record<string, unknown>): void {
+  const values = settings as unknown as Record<SettingKey, number | string>;
+  for (const def of SETTING_DEFS) {
+    values[def.key] = validateSetting(def, config[def.key]) ?? def.defaultValue;
+  }
+  // Out of order (edited under Settings → Plugins), getKFactor would skip tiers: sort them instead
+  if (!kThresholdsInOrder(settings)) {
+    const [settling, established, stable] = [settings.kSettlingAt, settings.kEstablishedAt, settings.kStableAt].sort(
+      (a, b) => a - b,
+    );
+    console.warn(
+      `[Stash Battle] ⚠️ K-factor tier boundaries out of order (${settings.kSettlingAt} / ${settings.kEstablishedAt} / ${settings.kStableAt}), using ${settling} / ${established} / ${stable}`,
+    );
+    Object.assign(settings, { kSettlingAt: settling, kEstablishedAt: established, kStableAt: stable });
+  }
+}
+
+/** Read the plugin configuration from Stash; keeps current values if the query fails. */
+export async function loadSettings(): Promise<void> {
+  try {
+    const data = await graphqlQuery<{ configuration: { plugins: Record<string, Record<string, unknown>> | null } }>(
+      CONFIGURATION_QUERY,
+    );
+    applyConfig(data.configuration.plugins?.[PLUGIN_ID] ?? {});
+    console.log("[Stash Battle] ⚙️ Settings loaded");
+  } catch (e) {
+    console.error("[Stash Battle] Failed to load settings:", e);
+  }
+}
+
+/** Write the full configuration to Stash and apply it locally. Throws if Stash rejects it. */
+export async function saveSettings(values: Settings): Promise<void> {
+  await graphqlQuery(CONFIGURE_PLUGIN_MUTATION, { plugin_id: PLUGIN_ID, input: values });
+  applyConfig(values as unknown as Record<string, unknown>);
+  console.log("[Stash Battle] ⚙️ Settings saved");
+}
+
+export function getDefaultSettings(): Settings {
+  return defaultSettings();
+}
@@ -0,0 +1,174 @@
+// Rating snapshots: `rating100` of every entity of a type saved to IndexedDB, so a session of
+// battles (or a bulk tool) can be rolled back without a database backup.
+//
+// One is taken when the modal opens (unless nothing changed since the last one), and on demand.
+// Restoring writes the old values back through the entity's update mutation, after saving the
+// current ratings as a snapshot of their own so the restore can be rolled back too.
+
+import { writeRatingsInBulk } from "./bulkRatings";
+import { getAllScenesCached, openCacheDB } from "./cache";
+import { SNAPSHOT_STORE_NAME } from "./constants";
+import { assertEntityType, entityDisplayName, fetchEntityRatings } from "./entities";
+import { settings } from "./settings";
+import { state } from "./state";
+import type { RatingSnapshot, SnapshotKind } from "./types";
+
+export interface SnapshotDiffRow {
+  id: string;
+  title: string;
+  snapshot: number | null; // rating100 in the snapshot
+  current: number | null; // rating100 in Stash now
+}
+
+export interface SnapshotDiff {
+  rows: SnapshotDiffRow[]; // Entities whose rating changed since the snapshot, by id
+  removed: number; // In the snapshot but no longer in the library (can't be restored)
+  added: number; // Added to the library since the snapshot (left alone by a restore)
+}
+
+async function readAllSnapshots(): Promise<RatingSnapshot[]> {
+  const db = await openCacheDB();
+  return new Promise<RatingSnapshot[]>((resolve, reject) => {
+    const transaction = db.transaction(SNAPSHOT_STORE_NAME, "readonly");
+    const request = transaction.objectStore(SNAPSHOT_STORE_NAME).getAll();
+
+    request.onsuccess = () => resolve((request.result as RatingSnapshot[]) || []);
+    request.onerror = () => reject(request.error);
+    transaction.oncomplete = () => db.close();
+  });
+}
+
+async function addSnapshot(snapshot: RatingSnapshot): Promise<number> {
+  const db = await openCacheDB();
+  return new Promise<number>((resolve, reject) => {
+    const transaction = db.transaction(SNAPSHOT_STORE_NAME, "readwrite");
+    const request = transaction.objectStore(SNAPSHOT_STORE_NAME).add(snapshot);
+
+    request.onsuccess = () => resolve(request.result as number);
+    request.onerror = () => reject(request.error);
+    transaction.oncomplete = () => db.close();
+  });
+}
+
+async function removeSnapshots(ids: number[]): Promise<void> {
+  if (ids.length === 0) return;
+  const db = await openCacheDB();
+  return new Promise<void>((resolve, reject) => {
+    const transaction = db.transaction(SNAPSHOT_STORE_NAME, "readwrite");
+    const store = transaction.objectStore(SNAPSHOT_STORE_NAME);
+    for (const id of ids) store.delete(id);
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/** Snapshots of the current entity type, newest first. */
+export async function listSnapshots(): Promise<RatingSnapshot[]> {
+  try {
+    const snapshots = await readAllSnapshots();
+    return snapshots.filter((s) => s.entity === state.entityType).sort((a, b) => b.timestamp - a.timestamp);
+  } catch (e) {
+    console.error("[Stash Battle] Snapshot read error:", e);
+    return [];
+  }
+}
+
+export async function deleteSnapshot(id: number): Promise<void> {
+  try {
+    await removeSnapshots([id]);
+  } catch (e) {
+    console.error("[Stash Battle] ❌ Snapshot delete error:", e);
+  }
+}
+
+function sameRatings(a: Record<string, number | null>, b: Record<string, number | null>): boolean {
+  const ids = Object.keys(a);
+  return ids.length === Object.keys(b).length && ids.every((id) => id in b && a[id] === b[id]);
+}
+
+/** Drop the oldest session snapshots of the current type beyond the `snapshotsKept` setting. */
+async function pruneSnapshots(): Promise<void> {
+  const automatic = (await listSnapshots()).filter((s) => s.kind === "session");
+  const excess = automatic.slice(settings.snapshotsKept).map((s) => s.id as number);
+  await removeSnapshots(excess);
+  if (excess.length > 0) console.log(`[Stash Battle] 🧹 Pruned ${excess.length} old rating snapshots`);
+}
+
+/**
+ * Save the current ratings of the whole library (fetched fresh from Stash). Session snapshots are
+ * skipped when automatic snapshots are turned off or nothing changed since the latest snapshot.
+ * Resolves to the new snapshot, or null if none was saved.
+ */
+export async function takeSnapshot(kind: SnapshotKind): Promise<RatingSnapshot | null> {
+  if (kind === "session" && settings.snapshotsKept === 0) return null;
+  const entity = state.entityType;
+
+  try {
+    const ratings = await fetchEntityRatings();
+    if (entity !== state.entityType) return null; // Switched type while fetching: these are the other type's
+
+    if (kind === "session") {
+      const [latest] = await listSnapshots();
+      if (latest && sameRatings(latest.ratings, ratings)) {
+        console.log("[Stash Battle] 📸 Ratings unchanged since the last snapshot, skipping");
+        return null;
+      }
+    }
+
+    const snapshot: RatingSnapshot = { timestamp: Date.now(), entity, kind, ratings };
+    snapshot.id = await addSnapshot(snapshot);
+    console.log(`[Stash Battle] 📸 Rating snapshot saved (${kind}): ${Object.keys(ratings).length} ${entity} ratings`);
+    if (kind === "session") await pruneSnapshots();
+    return snapshot;
+  } catch (e) {
+    console.error("[Stash Battle] ❌ Snapshot failed:", e);
+    return null;
+  }
+}
+
+/** Compare a snapshot with the ratings in Stash now. */
+export async function diffSnapshot(snapshot: RatingSnapshot): Promise<SnapshotDiff> {
+  const [current, { scenes }] = await Promise.all([fetchEntityRatings(), getAllScenesCached()]);
+  const byId = new Map(scenes.map((scene) => [scene.id, scene]));
+
+  const rows: SnapshotDiffRow[] = [];
+  let removed = 0;
+  for (const [id, rating] of Object.entries(snapshot.ratings)) {
+    if (!(id in current)) {
+      removed++;
+      continue;
+    }
+    if (current[id] === rating) continue;
+    const scene = byId.get(id);
+    rows.push({ id, title: scene ? entityDisplayName(scene) : "", snapshot: rating, current: current[id] });
+  }
+  const added = Object.keys(current).filter((id) => !(id in snapshot.ratings)).length;
+
+  rows.sort((a, b) => Number(a.id) - Number(b.id));
+  return { rows, removed, added };
+}
+
+/**
+ * Write the snapshot values of `rows` (from its diff) back to Stash (clears undo). The ratings they
+ * replace are saved first as a "restore" snapshot. Returns how many were written; throws if another
+ * entity type is battled now than the snapshot's.
+ */
+export async function restoreSnapshot(
+  snapshot: RatingSnapshot,
+  rows: SnapshotDiffRow[],
+  onProgress: (done: number, total: number) => void,
+): Promise<number> {
+  assertEntityType(snapshot.entity);
+  if (!(await takeSnapshot("restore"))) throw new Error("Could not save the current ratings before restoring");
+  await writeRatingsInBulk(
+    rows.map((r) => ({ id: r.id, rating100: r.snapshot })),
+    onProgress,
+  );
+
+  console.log(`[Stash Battle] ⏪ Restored ${rows.length} ratings from snapshot`);
+  return rows.length;
+}
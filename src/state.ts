@@ -4,8 +4,30 @@
 // ES modules cannot reassign an imported binding from another module, so all shared
 // mutable values live on this single `state` object that every module imports.
 
-import { DEFAULT_FILTER_OPPONENTS, FILTER_OPPONENTS_KEY, MUTE_PREVIEWS_KEY } from "./constants";
-import type { Mode, Pair, Ranks, Scene } from "./types";
+import {
+  DEFAULT_FILTER_OPPONENTS,
+  DEFAULT_GAUNTLET_START,
+  DEFAULT_GRID_SIZE,
+  DEFAULT_RANK_SIZE,
+  DEFAULT_RATING_ENGINE,
+  DEFAULT_TOURNAMENT_SIZE,
+  FILTER_OPPONENTS_KEY,
+  GAUNTLET_START_KEY,
+  GRID_PICK_WORST_KEY,
+  GRID_SIZE_KEY,
+  GRID_SIZES,
+  MUTE_PREVIEWS_KEY,
+  RANK_SIZE_KEY,
+  RANK_SIZES,
+  RATING_ENGINE_KEY,
+  TOURNAMENT_SIZE_KEY,
+  TOURNAMENT_SIZES,
+} from "./constants";
+import type { CalibrationState } from "./calibration";
+import type { QuickPlaceState } from "./quickPlace";
+import type { RoundRobinState } from "./roundRobin";
+import type { TournamentState } from "./tournament";
+import type { EntityType, GauntletStart, Mode, Pair, Ranks, RatingEngine, Scene, SceneGrid } from "./types";
 
 export interface MemoryCache {
   allScenes: Scene[] | null; // All scenes (no filter)
@@ -15,9 +37,11 @@ export interface MemoryCache {
 }
 
 export interface BattleState {
+  entityType: EntityType; // What the pool holds (scenes or performers): follows the page the modal opens on
   // Current comparison pair and mode
   currentPair: Pair;
   currentRanks: Ranks;
+  currentGrid: SceneGrid | null; // Scenes shown in grid / rank mode (instead of a pair)
   currentMode: Mode;
   // Gauntlet / champion run tracking
   gauntletClimber: Scene | null; // The scene currently climbing (on a win streak)
@@ -26,12 +50,23 @@ export interface BattleState {
   gauntletDefeated: string[]; // IDs of scenes defeated in current run
   gauntletFalling: boolean; // True when climber lost and is finding their floor
   gauntletFallingScene: Scene | null; // The scene that's falling to find its position
+  gauntletRunStart: GauntletStart; // Where the current gauntlet run started (set with its first pair)
   totalScenesCount: number; // Total scenes for position display
+  quickPlace: QuickPlaceState | null; // Binary search of the scene being quick-placed
+  calibration: CalibrationState | null; // Placement sequence of the unrated scene being calibrated
+  tournament: TournamentState | null; // Bracket of the tournament in progress
+  roundRobin: RoundRobinState | null; // Schedule and results of the round robin in progress
   disableChoice: boolean; // Prevents multiple rapid choice events
   savedFilterParams: string; // Stored URL filter params to detect changes
   // User toggles
   filterOpponents: boolean;
   mutePreviews: boolean;
+  ratingEngine: RatingEngine;
+  tournamentSize: number; // Entrants seeded into the next tournament
+  gridSize: number; // Scenes per best-of-N grid
+  gridPickWorst: boolean; // Grid asks for the worst scene too
+  rankSize: number; // Scenes per drag-to-rank batch
+  gauntletStart: GauntletStart; // Where the next gauntlet run starts
   // Shuffle state for filtered scenes (prevents duplicates when skipping)
   shuffledFilteredScenes: Scene[];
   shuffleIndex: number;
@@ -51,9 +86,41 @@ function readBooleanPref(key: string, fallback: boolean): boolean {
   return fallback;
 }
 
+function readRatingEnginePref(): RatingEngine {
+  try {
+    const stored = localStorage.getItem(RATING_ENGINE_KEY);
+    if (stored === "elo" || stored === "glicko2") return stored;
+  } catch {
+    /* ignore */
+  }
+  return DEFAULT_RATING_ENGINE;
+}
+
+function readGauntletStartPref(): GauntletStart {
+  try {
+    const stored = localStorage.getItem(GAUNTLET_START_KEY);
+    if (stored === "bottom" || stored === "top" || stored === "rank") return stored;
+  } catch {
+    /* ignore */
+  }
+  return DEFAULT_GAUNTLET_START;
+}
+
+function readSizePref(key: string, sizes: readonly number[], fallback: number): number {
+  try {
+    const stored = Number(localStorage.getItem(key));
+    if (sizes.includes(stored)) return stored;
+  } catch {
+    /* ignore */
+  }
+  return fallback;
+}
+
 export const state: BattleState = {
+  entityType: "scene",
   currentPair: { left: null, right: null },
   currentRanks: { left: null, right: null },
+  currentGrid: null,
   currentMode: "swiss",
   gauntletClimber: null,
   gauntletWins: 0,
@@ -61,11 +128,22 @@ export const state: BattleState = {
   gauntletDefeated: [],
   gauntletFalling: false,
   gauntletFallingScene: null,
+  gauntletRunStart: DEFAULT_GAUNTLET_START,
   totalScenesCount: 0,
+  quickPlace: null,
+  calibration: null,
+  tournament: null,
+  roundRobin: null,
   disableChoice: false,
   savedFilterParams: "",
   filterOpponents: readBooleanPref(FILTER_OPPONENTS_KEY, DEFAULT_FILTER_OPPONENTS),
   mutePreviews: readBooleanPref(MUTE_PREVIEWS_KEY, false),
+  ratingEngine: readRatingEnginePref(),
+  tournamentSize: readSizePref(TOURNAMENT_SIZE_KEY, TOURNAMENT_SIZES, DEFAULT_TOURNAMENT_SIZE),
+  gridSize: readSizePref(GRID_SIZE_KEY, GRID_SIZES, DEFAULT_GRID_SIZE),
+  gridPickWorst: readBooleanPref(GRID_PICK_WORST_KEY, false),
+  rankSize: readSizePref(RANK_SIZE_KEY, RANK_SIZES, DEFAULT_RANK_SIZE),
+  gauntletStart: readGauntletStartPref(),
   shuffledFilteredScenes: [],
   shuffleIndex: 0,
   shuffleFilterKey: null,
@@ -78,6 +156,7 @@ export const state: BattleState = {
   },
 };
 
+/** Clear run state: the gauntlet/champion climb, the quick-place search, the tournament bracket and the round robin. */
 export function resetGauntletState(): void {
   state.gauntletClimber = null;
   state.gauntletWins = 0;
@@ -85,4 +164,22 @@ export function resetGauntletState(): void {
   state.gauntletDefeated = [];
   state.gauntletFalling = false;
   state.gauntletFallingScene = null;
+  state.gauntletRunStart = DEFAULT_GAUNTLET_START;
+  state.quickPlace = null;
+  state.calibration = null;
+  state.tournament = null;
+  state.roundRobin = null;
+}
+
+/**
+ * True while a gauntlet/champion run, quick placement, calibration, tournament or round robin is under
+ * way (skipping would abandon it). Climbs, placements and calibrations count from their first choice.
+ */
+export function isRunInProgress(): boolean {
+  if (state.currentMode === "gauntlet" || state.currentMode === "champion") return state.gauntletClimber !== null;
+  if (state.currentMode === "quickplace") return (state.quickPlace?.comparisons ?? 0) > 0;
+  if (state.currentMode === "calibrate") return (state.calibration?.results.length ?? 0) > 0;
+  if (state.currentMode === "tournament") return state.tournament !== null;
+  if (state.currentMode === "roundrobin") return state.roundRobin !== null;
+  return false;
 }
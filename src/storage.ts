@@ -2,11 +2,17 @@
 
 import { STORAGE_KEY } from "./constants";
 import { state } from "./state";
-import type { Mode, Pair, Ranks, Scene } from "./types";
+import type { CalibrationState } from "./calibration";
+import type { QuickPlaceState } from "./quickPlace";
+import type { RoundRobinState } from "./roundRobin";
+import type { TournamentState } from "./tournament";
+import type { EntityType, GauntletStart, Mode, Pair, Ranks, Scene, SceneGrid } from "./types";
 
 interface PersistedState {
+  entityType?: EntityType;
   currentPair?: Pair;
   currentRanks?: Ranks;
+  currentGrid?: SceneGrid | null;
   currentMode?: Mode;
   gauntletClimber?: Scene | null;
   gauntletWins?: number;
@@ -14,7 +20,12 @@ interface PersistedState {
   gauntletDefeated?: string[];
   gauntletFalling?: boolean;
   gauntletFallingScene?: Scene | null;
+  gauntletRunStart?: GauntletStart;
   totalScenesCount?: number;
+  quickPlace?: QuickPlaceState | null;
+  calibration?: CalibrationState | null;
+  tournament?: TournamentState | null;
+  roundRobin?: RoundRobinState | null;
   savedFilterParams?: string;
   /** @deprecated Renamed to gauntletClimber */
   gauntletChampion?: Scene | null;
@@ -25,8 +36,10 @@ interface PersistedState {
 /** Saves the current battle session to localStorage. */
 export function saveState(): void {
   const snapshot: PersistedState = {
+    entityType: state.entityType,
     currentPair: state.currentPair,
     currentRanks: state.currentRanks,
+    currentGrid: state.currentGrid,
     currentMode: state.currentMode,
     gauntletClimber: state.gauntletClimber,
     gauntletWins: state.gauntletWins,
@@ -34,7 +47,12 @@ export function saveState(): void {
     gauntletDefeated: state.gauntletDefeated,
     gauntletFalling: state.gauntletFalling,
     gauntletFallingScene: state.gauntletFallingScene,
+    gauntletRunStart: state.gauntletRunStart,
     totalScenesCount: state.totalScenesCount,
+    quickPlace: state.quickPlace,
+    calibration: state.calibration,
+    tournament: state.tournament,
+    roundRobin: state.roundRobin,
     savedFilterParams: window.location.search,
   };
   try {
@@ -49,8 +67,10 @@ export function loadState(): boolean {
     const saved = localStorage.getItem(STORAGE_KEY);
     if (saved) {
       const parsed = JSON.parse(saved) as PersistedState;
+      state.entityType = parsed.entityType ?? "scene";
       state.currentPair = parsed.currentPair || { left: null, right: null };
       state.currentRanks = parsed.currentRanks || { left: null, right: null };
+      state.currentGrid = parsed.currentGrid ?? null;
       state.currentMode = parsed.currentMode || "swiss";
       state.gauntletClimber = parsed.gauntletClimber ?? parsed.gauntletChampion ?? null;
       state.gauntletWins = parsed.gauntletWins || 0;
@@ -58,7 +78,12 @@ export function loadState(): boolean {
       state.gauntletDefeated = parsed.gauntletDefeated || [];
       state.gauntletFalling = parsed.gauntletFalling || false;
       state.gauntletFallingScene = parsed.gauntletFallingScene || null;
+      state.gauntletRunStart = parsed.gauntletRunStart ?? "bottom";
       state.totalScenesCount = parsed.totalScenesCount || 0;
+      state.quickPlace = parsed.quickPlace ?? null;
+      state.calibration = parsed.calibration ?? null;
+      state.tournament = parsed.tournament ?? null;
+      state.roundRobin = parsed.roundRobin ?? null;
       state.savedFilterParams = parsed.savedFilterParams || "";
       return true;
     }
@@ -0,0 +1,275 @@
+// Tier tags: tag the rated library by rank ("Tier S" for the top 5%, ...) so tiers can be browsed
+// with Stash's own tag filters.
+//
+// Tiers are cut from the rating-sorted pool either by percentile (cumulative share of the rated
+// entities, best first) or by a minimum rating100. Syncing adds each entity's tier tag and removes
+// the other tier tags through the type's bulk update mutation (bulkSceneUpdate, ...); other tags
+// are never touched. Runs on demand from the Tools tab, or when the modal closes if the type has
+// automatic sync on.
+
+import { getAllScenesCached } from "./cache";
+import { TIER_BULK_BATCH_SIZE, TIER_CONFIG_KEY, TIER_DEFAULT_PERCENTILES, TIER_DEFAULT_PREFIX } from "./constants";
+import {
+  assertEntityType,
+  entityBulkUpdateMutation,
+  entityDisplayName,
+  entityStoreKey,
+  fetchEntityTagIds,
+} from "./entities";
+import { graphqlQuery } from "./graphql";
+import { sortByPreciseRating } from "./preciseRating";
+import { state } from "./state";
+import type { EntityType, Scene } from "./types";
+
+export type TierBasis = "percentile" | "rating";
+
+/** One tier: the top `cutoff` percent of the rated library, or rating100 >= `cutoff`. */
+export interface TierDef {
+  name: string;
+  cutoff: number;
+}
+
+export interface TierConfig {
+  basis: TierBasis;
+  prefix: string; // Tag name = prefix + tier name, e.g. "Tier " + "S"
+  tiers: TierDef[]; // Best first
+  autoSync: boolean; // Sync when the modal closes
+}
+
+export interface TierCount {
+  name: string;
+  tag: string;
+  tagId: string | null; // null = the tag doesn't exist yet (created when writing)
+  now: number;
+  after: number;
+}
+
+/** An entity whose tier tags change (`from` is its best tier tag now, null = none). */
+export interface TierMove {
+  id: string;
+  title: string;
+  from: string | null;
+  to: string | null;
+}
+
+export interface TierPlan {
+  entity: EntityType; // Type the ids belong to
+  tiers: TierCount[];
+  moves: TierMove[];
+  additions: Record<string, string[]>; // Tier name → entities to tag
+  removals: Record<string, string[]>; // Tier name → entities to untag
+  outsidePool: number; // Tagged entities missing from the cached pool (left alone)
+}
+
+/**
+ * Parse "name:cutoff" pairs, best first ("S:5, A:20, B:50"). Null unless names are unique and
+ * cutoffs are in range and move down the ranking: percentiles rise, minimum ratings fall.
+ */
+export function parseTiers(text: string, basis: TierBasis): TierDef[] | null {
+  const tiers: TierDef[] = [];
+  for (const part of text.split(/[,;\n]/)) {
+    if (!part.trim()) continue;
+    const match = part.trim().match(/^(.+?)\s*:\s*(\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    const cutoff = Number(match[2]);
+    if (basis === "percentile" ? cutoff <= 0 || cutoff > 100 : cutoff < 1 || cutoff > 100) return null;
+    tiers.push({ name: match[1].trim(), cutoff });
+  }
+  if (tiers.length === 0) return null;
+  if (new Set(tiers.map((t) => t.name.toLowerCase())).size !== tiers.length) return null;
+  for (let i = 1; i < tiers.length; i++) {
+    const [previous, cutoff] = [tiers[i - 1].cutoff, tiers[i].cutoff];
+    if (basis === "percentile" ? cutoff <= previous : cutoff >= previous) return null;
+  }
+  return tiers;
+}
+
+export function formatTiers(tiers: TierDef[]): string {
+  return tiers.map((t) => `${t.name}:${t.cutoff}`).join(", ");
+}
+
+export function tierTagName(config: TierConfig, tier: TierDef): string {
+  return `${config.prefix}${tier.name}`.trim();
+}
+
+/** Tier setup of the current entity type (each type has its own). */
+export function loadTierConfig(): TierConfig {
+  const fallback: TierConfig = {
+    basis: "percentile",
+    prefix: TIER_DEFAULT_PREFIX,
+    tiers: parseTiers(TIER_DEFAULT_PERCENTILES, "percentile") as TierDef[],
+    autoSync: false,
+  };
+  try {
+    const stored = localStorage.getItem(entityStoreKey(TIER_CONFIG_KEY));
+    return stored ? { ...fallback, ...(JSON.parse(stored) as Partial<TierConfig>) } : fallback;
+  } catch (e) {
+    console.error("[Stash Battle] Failed to load tier setup:", e);
+    return fallback;
+  }
+}
+
+export function saveTierConfig(config: TierConfig): void {
+  try {
+    localStorage.setItem(entityStoreKey(TIER_CONFIG_KEY), JSON.stringify(config));
+  } catch (e) {
+    console.error("[Stash Battle] Failed to save tier setup:", e);
+  }
+}
+
+/** Tier name of each rated entity of the pool (unrated ones and those below the last tier get none). */
+function assignTiers(scenes: Scene[], config: TierConfig): Map<string, string> {
+  const rated = sortByPreciseRating(scenes).filter((scene) => scene.rating100);
+  const assigned = new Map<string, string>();
+  rated.forEach((scene, i) => {
+    const tier =
+      config.basis === "percentile"
+        ? config.tiers.find((t) => i < Math.round((rated.length * t.cutoff) / 100))
+        : config.tiers.find((t) => (scene.rating100 as number) >= t.cutoff);
+    if (tier) assigned.set(scene.id, tier.name);
+  });
+  return assigned;
+}
+
+async function findTagId(name: string): Promise<string | null> {
+  const query = `
+      query FindTierTag($tag_filter: TagFilterType) {
+        findTags(tag_filter: $tag_filter) {
+          tags {
+            id
+            name
+          }
+        }
+      }
+    `;
+  const result = await graphqlQuery<{ findTags: { tags: { id: string; name: string }[] } }>(query, {
+    tag_filter: { name: { value: name, modifier: "EQUALS" } },
+  });
+  const tag = result.findTags.tags.find((t) => t.name.toLowerCase() === name.toLowerCase());
+  return tag?.id ?? null;
+}
+
+async function createTag(name: string): Promise<string> {
+  const mutation = `
+      mutation CreateTierTag($input: TagCreateInput!) {
+        tagCreate(input: $input) {
+          id
+        }
+      }
+    `;
+  const result = await graphqlQuery<{ tagCreate: { id: string } }>(mutation, { input: { name } });
+  console.log(`[Stash Battle] 🏷️ Created tag "${name}"`);
+  return result.tagCreate.id;
+}
+
+/** Dry run: each entity's tier now (its tags, fresh from Stash) and by the current ranking. */
+export async function planTierSync(config: TierConfig): Promise<TierPlan> {
+  const entity = state.entityType;
+  const tagIds = await Promise.all(config.tiers.map((tier) => findTagId(tierTagName(config, tier))));
+  const tierOfTag = new Map<string, string>();
+  tagIds.forEach((id, i) => id !== null && tierOfTag.set(id, config.tiers[i].name));
+
+  const [{ scenes }, held] = await Promise.all([getAllScenesCached(), fetchEntityTagIds([...tierOfTag.keys()])]);
+  const targets = assignTiers(scenes, config);
+  const plan: TierPlan = {
+    entity,
+    tiers: config.tiers.map((tier, i) => ({
+      name: tier.name,
+      tag: tierTagName(config, tier),
+      tagId: tagIds[i],
+      now: 0,
+      after: 0,
+    })),
+    moves: [],
+    additions: {},
+    removals: {},
+    outsidePool: 0,
+  };
+  const counts = new Map(plan.tiers.map((count) => [count.name, count]));
+  // Tier names an entity is tagged with now, best first
+  const tiersHeld = (id: string) =>
+    config.tiers.map((t) => t.name).filter((name) => (held[id] ?? []).some((tagId) => tierOfTag.get(tagId) === name));
+
+  for (const scene of scenes) {
+    const current = tiersHeld(scene.id);
+    const to = targets.get(scene.id) ?? null;
+    current.forEach((name) => (counts.get(name) as TierCount).now++);
+    if (to !== null) (counts.get(to) as TierCount).after++;
+
+    const extra = current.filter((name) => name !== to);
+    const missing = to !== null && !current.includes(to);
+    if (!missing && extra.length === 0) continue;
+    plan.moves.push({ id: scene.id, title: entityDisplayName(scene), from: current[0] ?? null, to });
+    if (missing) (plan.additions[to] ??= []).push(scene.id);
+    for (const name of extra) (plan.removals[name] ??= []).push(scene.id);
+  }
+
+  // Added since the pool was cached: no rank yet, so they keep their tags
+  const poolIds = new Set(scenes.map((scene) => scene.id));
+  for (const id of Object.keys(held).filter((id) => !poolIds.has(id))) {
+    plan.outsidePool++;
+    for (const name of tiersHeld(id)) {
+      (counts.get(name) as TierCount).now++;
+      (counts.get(name) as TierCount).after++;
+    }
+  }
+
+  console.log(`[Stash Battle] 🏷️ Tier sync dry run: ${plan.moves.length} of ${scenes.length} change tier`);
+  return plan;
+}
+
+/**
+ * Write a plan: create missing tier tags, then add / remove them `TIER_BULK_BATCH_SIZE` entities
+ * per bulk mutation of the plan's type. Tags don't affect ratings, so undo is kept. Returns how
+ * many entities changed; throws if the entity type changed since the preview.
+ */
+export async function applyTierSync(
+  plan: TierPlan,
+  onProgress: (done: number, total: number) => void,
+): Promise<number> {
+  assertEntityType(plan.entity);
+  const mutation = entityBulkUpdateMutation(plan.entity);
+  const tagIds = new Map<string, string>();
+  for (const tier of plan.tiers) {
+    if (tier.tagId !== null) tagIds.set(tier.name, tier.tagId);
+    else if (plan.additions[tier.name]?.length) tagIds.set(tier.name, await createTag(tier.tag));
+  }
+
+  const writes: { tagId: string; mode: "ADD" | "REMOVE"; ids: string[] }[] = [];
+  const queue = (lists: Record<string, string[]>, mode: "ADD" | "REMOVE") => {
+    for (const [name, ids] of Object.entries(lists)) {
+      for (let start = 0; start < ids.length; start += TIER_BULK_BATCH_SIZE) {
+        writes.push({ tagId: tagIds.get(name) as string, mode, ids: ids.slice(start, start + TIER_BULK_BATCH_SIZE) });
+      }
+    }
+  };
+  queue(plan.removals, "REMOVE");
+  queue(plan.additions, "ADD");
+
+  for (let i = 0; i < writes.length; i++) {
+    const { tagId, mode, ids } = writes[i];
+    await graphqlQuery(mutation, { input: { ids, tag_ids: { ids: [tagId], mode } } });
+    onProgress(i + 1, writes.length);
+  }
+
+  console.log(`[Stash Battle] 🏷️ Tier tags synced: ${plan.moves.length} changed tier`);
+  return plan.moves.length;
+}
+
+let autoSyncRunning = false;
+
+/** After a session (the modal closing): sync the tier tags if the current type has automatic sync on. */
+export async function syncTiersAfterSession(): Promise<void> {
+  const config = loadTierConfig();
+  if (!config.autoSync || autoSyncRunning) return;
+  autoSyncRunning = true;
+  try {
+    const plan = await planTierSync(config);
+    if (plan.entity !== state.entityType) return; // Switched type while planning: the plan is stale
+    if (plan.moves.length > 0) await applyTierSync(plan, () => undefined);
+  } catch (e) {
+    console.error("[Stash Battle] ❌ Tier tag sync failed:", e);
+  } finally {
+    autoSyncRunning = false;
+  }
+}
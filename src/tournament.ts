@@ -0,0 +1,120 @@
+// Single-elimination tournament: seeding, bracket progression and round names (pure bracket logic —
+// matchmaking lives in pairs.ts, rendering in ui/bracket.ts).
+
+import { TOURNAMENT_SIZES } from "./constants";
+import type { Scene } from "./types";
+
+/** One bracket match. Slots hold entrant indices (seed − 1); null until the feeding match is decided. */
+export interface TournamentMatch {
+  top: number | null;
+  bottom: number | null;
+  winner: number | null;
+}
+
+export interface TournamentState {
+  entrants: Scene[]; // Index = seed − 1 (snapshots for display; pairs use fresh copies from the pool)
+  rounds: TournamentMatch[][]; // rounds[0] is the first round, the last round is the final
+  roundIntroPending: boolean; // Show the bracket before the next round's first match
+}
+
+/** The match to play next and where it sits in the bracket. */
+export interface TournamentMatchRef {
+  round: number;
+  index: number;
+  match: TournamentMatch;
+}
+
+/**
+ * Standard bracket order of seeds (1-based) for a power-of-two field: 1 meets N, 2 meets N − 1,
+ * and the top two seeds can only meet in the final. E.g. 8 → [1, 8, 4, 5, 2, 7, 3, 6].
+ */
+export function bracketSeedOrder(size: number): number[] {
+  let order = [1];
+  while (order.length < size) {
+    const sum = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, sum - seed]);
+  }
+  return order;
+}
+
+/** Largest bracket size no bigger than `preferred` that the pool can fill, or null when it can't fill the smallest. */
+export function fitTournamentSize(poolSize: number, preferred: number): number | null {
+  const fitting = TOURNAMENT_SIZES.filter((size) => size <= preferred && size <= poolSize);
+  return fitting.length > 0 ? fitting[fitting.length - 1] : null;
+}
+
+/** Seed a bracket from entrants already sorted best first (entrants.length must be a bracket size). */
+export function createTournament(entrants: Scene[]): TournamentState {
+  const order = bracketSeedOrder(entrants.length);
+  const rounds: TournamentMatch[][] = [];
+
+  const firstRound: TournamentMatch[] = [];
+  for (let i = 0; i < order.length; i += 2) {
+    firstRound.push({ top: order[i] - 1, bottom: order[i + 1] - 1, winner: null });
+  }
+  rounds.push(firstRound);
+
+  for (let matches = firstRound.length / 2; matches >= 1; matches /= 2) {
+    rounds.push(Array.from({ length: matches }, () => ({ top: null, bottom: null, winner: null })));
+  }
+
+  return { entrants: [...entrants], rounds, roundIntroPending: true };
+}
+
+/** First undecided match of the earliest unfinished round, or null once the final is decided. */
+export function nextTournamentMatch(tournament: TournamentState): TournamentMatchRef | null {
+  for (let round = 0; round < tournament.rounds.length; round++) {
+    const index = tournament.rounds[round].findIndex((m) => m.winner === null);
+    if (index !== -1) return { round, index, match: tournament.rounds[round][index] };
+  }
+  return null;
+}
+
+/** Index of the round currently being played (the final's index once the tournament is over). */
+export function currentRoundIndex(tournament: TournamentState): number {
+  return nextTournamentMatch(tournament)?.round ?? tournament.rounds.length - 1;
+}
+
+/**
+ * Decide the next match for the entrant with `sceneId` and move it into the following round.
+ * Finishing a round (other than the final) queues the between-rounds bracket. Returns false when
+ * the scene isn't in the next match (stale pair).
+ */
+export function recordTournamentWinner(tournament: TournamentState, sceneId: string): boolean {
+  const next = nextTournamentMatch(tournament);
+  if (!next) return false;
+  const { round, index, match } = next;
+
+  const winner = [match.top, match.bottom].find((e) => e !== null && tournament.entrants[e].id === sceneId);
+  if (winner === undefined || winner === null) return false;
+  match.winner = winner;
+
+  const following = tournament.rounds[round + 1];
+  if (following) {
+    const slot = following[Math.floor(index / 2)];
+    if (index % 2 === 0) slot.top = winner;
+    else slot.bottom = winner;
+    if (tournament.rounds[round].every((m) => m.winner !== null)) tournament.roundIntroPending = true;
+  }
+  return true;
+}
+
+/** The winner of the final, or null while the tournament is still running. */
+export function tournamentChampion(tournament: TournamentState): Scene | null {
+  const final = tournament.rounds[tournament.rounds.length - 1][0];
+  return final.winner === null ? null : tournament.entrants[final.winner];
+}
+
+/** Matches won in the bracket by the entrant at `entrant` (its index). */
+export function tournamentWins(tournament: TournamentState, entrant: number): number {
+  return tournament.rounds.reduce((wins, round) => wins + round.filter((m) => m.winner === entrant).length, 0);
+}
+
+/** "Final", "Semifinals", "Quarterfinals", else "Round of N". */
+export function roundName(tournament: TournamentState, round: number): string {
+  const entrantsLeft = tournament.entrants.length / 2 ** round;
+  if (entrantsLeft === 2) return "Final";
+  if (entrantsLeft === 4) return "Semifinals";
+  if (entrantsLeft === 8) return "Quarterfinals";
+  return `Round of ${entrantsLeft}`;
+}
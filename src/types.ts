@@ -1,7 +1,25 @@
 // Shared type definitions for the Stash Battle plugin.
 
-/** The three comparison modes the plugin supports. */
-export type Mode = "swiss" | "gauntlet" | "champion";
+/** The comparison modes the plugin supports. */
+export type Mode = "swiss" | "gauntlet" | "champion" | "quickplace" | "tournament" | "roundrobin" | "grid" | "rank" | "calibrate" | "revisit";
+
+/** What the battles rank (see entities.ts). */
+export type EntityType = "scene" | "performer" | "group" | "gallery" | "image";
+
+/** Result of a comparison: one side wins, or "too close to call". */
+export type Outcome = "win" | "draw";
+
+/** What the ELO K-factor tiers count: battles fought (custom fields) or Stash `play_count`. */
+export type KFactorPolicy = "battles" | "play_count";
+
+/** Swiss matchmaking: random opponent in a rank band, or the pair with the most expected information. */
+export type SwissPairing = "band" | "informative";
+
+/** Where a gauntlet run starts: the bottom of the ladder, the top (descending), or the scene's current rank. */
+export type GauntletStart = "bottom" | "top" | "rank";
+
+/** Rating engine used to turn a comparison into rating changes. */
+export type RatingEngine = "elo" | "glicko2";
 
 export interface SceneFile {
   duration?: number | null;
@@ -11,24 +29,44 @@ export interface SceneFile {
 export interface ScenePaths {
   screenshot?: string | null;
   preview?: string | null;
+  cover?: string | null; // Galleries
+  thumbnail?: string | null; // Images
 }
 
 export interface NamedRef {
   name: string;
 }
 
-/** A scene as returned by SCENE_FRAGMENT. */
+/**
+ * A scene as returned by SCENE_FRAGMENT. Performers, groups, galleries and images (their fragments in
+ * graphql.ts) share the shape: fields they have in common with scenes are the same, the rest are below.
+ */
 export interface Scene {
   id: string;
   title?: string | null;
   date?: string | null;
   rating100?: number | null;
   play_count?: number | null;
+  custom_fields?: Record<string, unknown> | null; // Stash scene custom fields (battle stats live here)
   paths?: ScenePaths | null;
   files?: SceneFile[] | null;
   studio?: NamedRef | null;
   performers?: NamedRef[] | null;
   tags?: NamedRef[] | null;
+  // Performer fields
+  name?: string | null;
+  disambiguation?: string | null;
+  image_path?: string | null;
+  scene_count?: number | null;
+  birthdate?: string | null;
+  gender?: string | null;
+  country?: string | null;
+  // Group fields
+  front_image_path?: string | null;
+  duration?: number | null;
+  director?: string | null;
+  // Gallery fields
+  image_count?: number | null;
 }
 
 /** Rank position in the opponent pool (1 = top), or null when unknown. */
@@ -44,6 +82,12 @@ export interface Ranks {
   right: Rank;
 }
 
+/** The scenes of a best-of-N grid or drag-to-rank batch with their ranks, in dealt order (grid keys 1–6). */
+export interface SceneGrid {
+  scenes: Scene[];
+  ranks: Rank[];
+}
+
 // --- GraphQL request/response shapes ---
 
 export interface FindFilterType {
@@ -56,16 +100,11 @@ export interface FindFilterType {
 
 export type SceneFilterType = Record<string, unknown>;
 
-export interface FindScenesResult {
-  findScenes: {
-    count: number;
-    scenes: Scene[];
-  };
-}
+/** List query result under the entity's query field, e.g. `{ findScenes: { count, scenes } }`. */
+export type FindEntitiesResult = Record<string, { count: number } & Record<string, unknown>>;
 
-export interface FindSceneResult {
-  findScene: Scene | null;
-}
+/** Single lookup result under the entity's query field, e.g. `{ findScene: scene | null }`. */
+export type FindEntityResult = Record<string, Scene | null>;
 
 // --- Cache shapes ---
 
@@ -130,13 +169,41 @@ export interface ChampionPairResult {
   isVictory: boolean;
 }
 
+/** Quick Place pair: the scene being placed vs the benchmark at the median of the open range. */
+export interface QuickPlacePairResult {
+  scenes: Scene[];
+  ranks: Rank[];
+}
+
+/** Calibration pair (scene being calibrated vs a benchmark), or isComplete when no unrated scene is left. */
+export interface CalibrationPairResult {
+  scenes: Scene[];
+  ranks: Rank[];
+  isComplete: boolean;
+}
+
+/** Next tournament match (ranks are seeds), the between-rounds bracket, or the champion in scenes[0]. */
+export interface TournamentPairResult {
+  scenes: Scene[];
+  ranks: Rank[];
+  isRoundBreak: boolean;
+  isVictory: boolean;
+}
+
+/** Next round-robin match (ranks are starting positions), or every entrant (current copies) once all pairs have played. */
+export interface RoundRobinPairResult {
+  scenes: Scene[];
+  ranks: Rank[];
+  isComplete: boolean;
+}
 
-/** Role of a scene in climb/champion battles (Swiss treats everyone as combatant). */
+
+/** Role of a scene in climb/champion battles (Swiss, tournaments and round robins treat everyone as combatant). */
 export type BattleRole = "climber" | "benchmark" | "combatant";
 
 export interface BattleSide {
   rating: number;
-  playCount: number;
+  experience: number; // K-factor tier input: battles or plays, per the kFactorPolicy setting
   role: BattleRole;
 }
 
@@ -147,6 +214,44 @@ export interface ComparisonDeltas {
 
 /** Inputs for pure two-sided ELO (no mode or role — caller applies policy). */
 export interface ComparisonInput {
-  winner: Pick<BattleSide, "rating" | "playCount">;
-  loser: Pick<BattleSide, "rating" | "playCount">;
+  winner: Pick<BattleSide, "rating" | "experience">;
+  loser: Pick<BattleSide, "rating" | "experience">;
+}
+
+// --- Battle history ---
+
+/**
+ * One recorded choice. Ratings are `rating100` values (null = unrated).
+ * For draws, "winner" is the left scene and "loser" the right one.
+ */
+export interface BattleRecord {
+  id?: number; // Auto-assigned by IndexedDB
+  timestamp: number;
+  mode: Mode;
+  entity?: EntityType; // Absent on records written before performer battles (scenes)
+  engine?: RatingEngine; // Absent on records written before engine selection existed
+  outcome?: Outcome; // Absent = "win"
+  winnerId: string;
+  loserId: string;
+  winnerTitle: string;
+  loserTitle: string;
+  winnerBefore: number | null;
+  winnerAfter: number | null;
+  loserBefore: number | null;
+  loserAfter: number | null;
+  winnerDelta: number;
+  loserDelta: number;
+  filterKey: string;
+}
+
+/** Why a snapshot was taken: opening the modal, the Take snapshot button, or just before a restore / import. */
+export type SnapshotKind = "session" | "manual" | "restore" | "import";
+
+/** `rating100` of every entity of one type at a point in time (null = unrated). */
+export interface RatingSnapshot {
+  id?: number; // Auto-assigned by IndexedDB
+  timestamp: number;
+  entity: EntityType;
+  kind: SnapshotKind;
+  ratings: Record<string, number | null>;
 }
@@ -0,0 +1,39 @@
+// Tournament bracket view: one column per round, shown between rounds and on the champion screen.
+
+import { nextTournamentMatch, roundName, type TournamentMatch, type TournamentState } from "../tournament";
+import { escapeHtml } from "./html";
+import { resolveSceneTitle } from "./sceneTitle";
+
+function slotHtml(tournament: TournamentState, match: TournamentMatch, entrant: number | null): string {
+  if (entrant === null) {
+    return `<div class="sb-bracket-slot sb-bracket-tbd"><span class="sb-bracket-seed"></span>TBD</div>`;
+  }
+  const scene = tournament.entrants[entrant];
+  const result = match.winner === null ? "" : match.winner === entrant ? "sb-bracket-winner" : "sb-bracket-loser";
+  const title = resolveSceneTitle(scene) || `Scene ${scene.id}`;
+  return `
+                <div class="sb-bracket-slot ${result}" title="${escapeHtml(title)}">
+                  <span class="sb-bracket-seed">${entrant + 1}</span>${escapeHtml(title)}
+                </div>`;
+}
+
+/** The whole bracket; the next match to play is highlighted. */
+export function renderBracketHtml(tournament: TournamentState): string {
+  const next = nextTournamentMatch(tournament);
+  const columns = tournament.rounds.map((matches, round) => {
+    const matchesHtml = matches.map((match, index) => {
+      const isNext = next !== null && next.round === round && next.index === index;
+      return `
+              <div class="sb-bracket-match ${isNext ? "sb-bracket-next" : ""}">
+                ${slotHtml(tournament, match, match.top)}
+                ${slotHtml(tournament, match, match.bottom)}
+              </div>`;
+    });
+    return `
+            <div class="sb-bracket-round">
+              <h4 class="sb-bracket-round-name">${roundName(tournament, round)}</h4>
+              <div class="sb-bracket-matches">${matchesHtml.join("")}</div>
+            </div>`;
+  });
+  return `<div class="sb-bracket">${columns.join("")}</div>`;
+}
@@ -0,0 +1,74 @@
+// Export rankings (Tools tab): save the rating-sorted pool as a CSV or JSON file.
+
+import { currentEntity } from "../entities";
+import {
+  buildRankingExport,
+  exportFileName,
+  exportToCsv,
+  exportToJson,
+  type ExportFormat,
+  type ExportScope,
+} from "../exportRankings";
+import { checkForFilters } from "../filters";
+
+/** Hand `text` to the browser as a file download. */
+function downloadText(text: string, fileName: string, mimeType: string): void {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Released after the click has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function runExport(container: HTMLElement, format: ExportFormat): Promise<void> {
+  const scope = (container.querySelector<HTMLSelectElement>("#sb-export-scope")?.value ?? "all") as ExportScope;
+  const status = container.querySelector<HTMLElement>("#sb-export-status");
+  const buttons = container.querySelectorAll<HTMLButtonElement>("[data-export-format]");
+  buttons.forEach((btn) => (btn.disabled = true));
+  if (status) status.textContent = "Loading...";
+
+  try {
+    const data = await buildRankingExport(scope);
+    // The BOM makes spreadsheet apps read the CSV as UTF-8 (titles and names are often non-ASCII)
+    const text = format === "csv" ? `\uFEFF${exportToCsv(data)}` : exportToJson(data);
+    downloadText(text, exportFileName(data, format), format === "csv" ? "text/csv" : "application/json");
+    if (status) status.textContent = `Exported ${data.rows.length} ${currentEntity().plural}.`;
+  } catch (e) {
+    console.error("[Stash Battle] ❌ Export failed:", e);
+    if (status) status.textContent = "Export failed — see the console.";
+  } finally {
+    buttons.forEach((btn) => (btn.disabled = false));
+  }
+}
+
+/** Render the export tool into `container` (a section of the Tools tab). */
+export function renderExportTool(container: HTMLElement): void {
+  const { plural } = currentEntity();
+  const filterActive = checkForFilters();
+  container.innerHTML = `
+      <h3 class="sb-tool-title">📤 Export Rankings</h3>
+      <p class="sb-panel-summary">
+        Save the ${plural} best first with rank, rating, title, studio, performers, file path and battle stats.
+      </p>
+      <div class="sb-panel-controls">
+        <label>
+          ${plural.charAt(0).toUpperCase() + plural.slice(1)}
+          <select id="sb-export-scope" class="sb-input">
+            <option value="all">Whole library</option>
+            <option value="filtered" ${filterActive ? "selected" : "disabled"}>Current filter</option>
+          </select>
+        </label>
+        <button class="btn btn-secondary" data-export-format="csv">Export CSV</button>
+        <button class="btn btn-secondary" data-export-format="json">Export JSON</button>
+        <span id="sb-export-status" class="sb-panel-summary"></span>
+      </div>
+    `;
+
+  container.querySelectorAll<HTMLButtonElement>("[data-export-format]").forEach((btn) => {
+    btn.addEventListener("click", () => void runExport(container, btn.dataset.exportFormat as ExportFormat));
+  });
+}
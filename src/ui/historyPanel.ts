@@ -0,0 +1,148 @@
+// History tab: browse and filter the recorded battle log.
+
+import { currentEntity } from "../entities";
+import { readFilters } from "../filters";
+import { clearBattleHistory, getBattleHistory } from "../history";
+import { settings } from "../settings";
+import type { BattleRecord, Mode } from "../types";
+import { escapeHtml } from "./html";
+import { renderRecalculationPreview } from "./recalcPanel";
+
+const MODE_LABELS: Record<Mode, string> = {
+  swiss: "Swiss",
+  gauntlet: "Gauntlet",
+  champion: "Champion",
+  quickplace: "Quick Place",
+  tournament: "Tournament",
+  roundrobin: "Round Robin",
+  grid: "Best of N",
+  rank: "Drag to Rank",
+  calibrate: "Calibrate",
+  revisit: "Revisit",
+};
+
+interface HistoryFilter {
+  text: string;
+  mode: Mode | "";
+  currentFilterOnly: boolean;
+}
+
+// Loaded once per panel render; filter inputs re-render the table from this copy.
+let records: BattleRecord[] = [];
+let historyFilter: HistoryFilter = { text: "", mode: "", currentFilterOnly: false };
+
+function formatRating(rating: number | null): string {
+  return rating === null ? "–" : String(rating);
+}
+
+function formatDelta(delta: number): string {
+  if (delta === 0) return "±0";
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+function sideCell(id: string, title: string, before: number | null, after: number | null, delta: number): string {
+  const deltaClass = delta > 0 ? "sb-delta-up" : delta < 0 ? "sb-delta-down" : "sb-delta-none";
+  return `
+      <div class="sb-history-scene">${escapeHtml(title || `${currentEntity().label} ${id}`)} <span class="sb-history-id">#${escapeHtml(id)}</span></div>
+      <div class="sb-history-rating">${formatRating(before)} → ${formatRating(after)} <span class="${deltaClass}">${formatDelta(delta)}</span></div>
+    `;
+}
+
+function matchesFilter(record: BattleRecord, filterKey: string): boolean {
+  if (historyFilter.mode && record.mode !== historyFilter.mode) return false;
+  if (historyFilter.currentFilterOnly && record.filterKey !== filterKey) return false;
+
+  const text = historyFilter.text.trim().toLowerCase();
+  if (!text) return true;
+  return [record.winnerId, record.loserId, record.winnerTitle, record.loserTitle].some((v) =>
+    v.toLowerCase().includes(text),
+  );
+}
+
+function renderHistoryTable(): void {
+  const tableArea = document.getElementById("sb-history-results");
+  if (!tableArea) return;
+
+  const filterKey = readFilters().filterKey;
+  const matching = records.filter((r) => matchesFilter(r, filterKey));
+  const shown = matching.slice(-settings.historyPanelLimit).reverse();
+
+  if (shown.length === 0) {
+    tableArea.innerHTML = `<div class="sb-panel-empty">${records.length === 0 ? "No battles recorded yet." : "No battles match these filters."}</div>`;
+    return;
+  }
+
+  tableArea.innerHTML = `
+      <p class="sb-panel-summary">Showing ${shown.length} of ${matching.length} matching battles (${records.length} total)</p>
+      <table class="sb-table">
+        <thead>
+          <tr><th>When</th><th>Mode</th><th>Winner</th><th>Loser</th></tr>
+        </thead>
+        <tbody>
+          ${shown
+            .map(
+              (r) => `
+            <tr>
+              <td class="sb-history-time">${new Date(r.timestamp).toLocaleString()}</td>
+              <td>${MODE_LABELS[r.mode] ?? r.mode}${r.outcome === "draw" ? `<div class="sb-history-draw">🤝 Draw</div>` : ""}</td>
+              <td>${sideCell(r.winnerId, r.winnerTitle, r.winnerBefore, r.winnerAfter, r.winnerDelta)}</td>
+              <td>${sideCell(r.loserId, r.loserTitle, r.loserBefore, r.loserAfter, r.loserDelta)}</td>
+            </tr>`,
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+}
+
+/** Load the battle log from IndexedDB and render the history tab. */
+export async function renderHistoryPanel(): Promise<void> {
+  const panel = document.getElementById("sb-history-panel");
+  if (!panel) return;
+
+  panel.innerHTML = `<div class="sb-loading">Loading history...</div>`;
+  records = await getBattleHistory();
+
+  panel.innerHTML = `
+      <div class="sb-panel-controls">
+        <input type="search" id="sb-history-search" class="sb-input" placeholder="Search title or ${currentEntity().label.toLowerCase()} ID" value="${escapeHtml(historyFilter.text)}">
+        <select id="sb-history-mode" class="sb-input">
+          <option value="">All modes</option>
+          ${(Object.keys(MODE_LABELS) as Mode[])
+            .map((m) => `<option value="${m}" ${historyFilter.mode === m ? "selected" : ""}>${MODE_LABELS[m]}</option>`)
+            .join("")}
+        </select>
+        <label>
+          <input type="checkbox" id="sb-history-current-filter" ${historyFilter.currentFilterOnly ? "checked" : ""}>
+           Current filter only
+        </label>
+        <button id="sb-history-recalc" class="btn btn-secondary" ${records.length === 0 ? "disabled" : ""}>🧮 Recalculate Rankings</button>
+        <button id="sb-history-clear" class="btn btn-secondary">🗑️ Clear History</button>
+      </div>
+      <div id="sb-history-results"></div>
+    `;
+
+  panel.querySelector<HTMLInputElement>("#sb-history-search")?.addEventListener("input", (e) => {
+    historyFilter = { ...historyFilter, text: (e.target as HTMLInputElement).value };
+    renderHistoryTable();
+  });
+  panel.querySelector<HTMLSelectElement>("#sb-history-mode")?.addEventListener("change", (e) => {
+    historyFilter = { ...historyFilter, mode: (e.target as HTMLSelectElement).value as Mode | "" };
+    renderHistoryTable();
+  });
+  panel.querySelector<HTMLInputElement>("#sb-history-current-filter")?.addEventListener("change", (e) => {
+    historyFilter = { ...historyFilter, currentFilterOnly: (e.target as HTMLInputElement).checked };
+    renderHistoryTable();
+  });
+  panel.querySelector("#sb-history-recalc")?.addEventListener("click", () => {
+    const results = document.getElementById("sb-history-results");
+    if (results) void renderRecalculationPreview(results, () => void renderHistoryPanel());
+  });
+  panel.querySelector("#sb-history-clear")?.addEventListener("click", async () => {
+    if (!window.confirm(`Delete the ${currentEntity().label.toLowerCase()} battle history? Ratings in Stash are not affected.`)) return;
+    await clearBattleHistory();
+    await renderHistoryPanel();
+  });
+
+  renderHistoryTable();
+}
@@ -0,0 +1,189 @@
+// Import ratings (Tools tab): read a CSV / JSON file, dry-run the matches, then write in batches.
+
+import type { RatingWriteFailure } from "../bulkRatings";
+import { currentEntity, entityDisplayName } from "../entities";
+import {
+  applyImport,
+  parseImportFile,
+  planImport,
+  type ImportChange,
+  type ImportMatchBy,
+  type ImportPlan,
+  type ImportRow,
+  type ImportSkip,
+} from "../importRatings";
+import { escapeHtml } from "./html";
+import { updateUndoButton } from "./mainUI";
+
+const MATCH_LABELS: Record<ImportChange["matchedBy"], string> = { id: "ID", path: "Path", title: "Title" };
+
+function formatRating(rating: number | null): string {
+  return rating === null ? "Unrated" : String(rating);
+}
+
+/** What the file row said about the entity it is for (id, path or title, whichever it has). */
+function rowKey(row: ImportRow): string {
+  const parts = [row.id && `#${row.id}`, row.path, row.title].filter(Boolean);
+  return escapeHtml(parts.join(" · ") || "(empty)");
+}
+
+function changeRow(change: ImportChange): string {
+  return `
+            <tr>
+              <td>${change.row.row}</td>
+              <td><span class="sb-history-scene">${escapeHtml(entityDisplayName(change.scene))}</span> <span class="sb-history-id">#${escapeHtml(change.scene.id)}</span></td>
+              <td>${MATCH_LABELS[change.matchedBy]}</td>
+              <td>${formatRating(change.before)} → ${formatRating(change.after)}</td>
+            </tr>`;
+}
+
+function skipRow(skip: ImportSkip): string {
+  return `
+            <tr>
+              <td>${skip.row.row}</td>
+              <td>${rowKey(skip.row)}</td>
+              <td>${escapeHtml(skip.reason)}</td>
+            </tr>`;
+}
+
+function skippedTable(skipped: ImportSkip[], title: string): string {
+  if (skipped.length === 0) return "";
+  return `
+      <h4 class="sb-tool-subtitle">${title} (${skipped.length})</h4>
+      <table class="sb-table">
+        <thead>
+          <tr><th>Row</th><th>File</th><th>Reason</th></tr>
+        </thead>
+        <tbody>
+          ${skipped.map(skipRow).join("")}
+        </tbody>
+      </table>`;
+}
+
+function failuresHtml(failures: RatingWriteFailure[], written: number): string {
+  const { label } = currentEntity();
+  const rows = failures.map(
+    (f) => `
+            <tr>
+              <td>${escapeHtml(`${label} ${f.id}`)}</td>
+              <td>${escapeHtml(f.error)}</td>
+            </tr>`,
+  );
+  return `
+      <p class="sb-panel-summary">${written} ratings written, ${failures.length} failed.</p>
+      <table class="sb-table">
+        <thead>
+          <tr><th>${escapeHtml(label)}</th><th>Error</th></tr>
+        </thead>
+        <tbody>
+          ${rows.join("")}
+        </tbody>
+      </table>`;
+}
+
+function renderPlan(area: HTMLElement, plan: ImportPlan): void {
+  const { changes, unchanged, skipped } = plan;
+  area.innerHTML = `
+      <p class="sb-panel-summary">
+        Dry run: ${changes.length} ratings would change, ${unchanged} already match, ${skipped.length} rows are not imported. Nothing has been written yet.
+      </p>
+      <div class="sb-recalc-actions">
+        <button id="sb-import-apply" class="btn btn-primary" ${changes.length === 0 ? "disabled" : ""}>Write ${changes.length} ratings to Stash</button>
+        <span id="sb-import-progress" class="sb-panel-summary"></span>
+      </div>
+      ${
+        changes.length > 0
+          ? `
+      <table class="sb-table">
+        <thead>
+          <tr><th>Row</th><th>${escapeHtml(currentEntity().label)}</th><th>Matched by</th><th>Rating</th></tr>
+        </thead>
+        <tbody>
+          ${changes.map(changeRow).join("")}
+        </tbody>
+      </table>`
+          : ""
+      }
+      ${skippedTable(skipped, "Not imported")}
+    `;
+
+  const applyBtn = area.querySelector<HTMLButtonElement>("#sb-import-apply");
+  const progress = area.querySelector<HTMLElement>("#sb-import-progress");
+  applyBtn?.addEventListener("click", async () => {
+    const noun = currentEntity().label.toLowerCase();
+    const message = `Write ${changes.length} ${noun} ratings from the file to Stash? The current ratings are saved as a snapshot first. Undo history will be cleared.`;
+    if (!window.confirm(message)) return;
+    applyBtn.disabled = true;
+    try {
+      const failures = await applyImport(plan, (done, total, failed) => {
+        if (progress) progress.textContent = `Writing ${done} / ${total}...${failed > 0 ? ` (${failed} failed)` : ""}`;
+      });
+      updateUndoButton();
+      const written = changes.length - failures.length;
+      if (failures.length === 0) {
+        window.alert(`Imported ratings: ${written} ratings updated.`);
+        area.innerHTML = "";
+      } else {
+        area.innerHTML = failuresHtml(failures, written);
+      }
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Import failed:", e);
+      window.alert(`Import failed: ${e instanceof Error ? e.message : String(e)}`);
+      applyBtn.disabled = false;
+    }
+  });
+}
+
+async function runDryRun(container: HTMLElement): Promise<void> {
+  const area = container.querySelector<HTMLElement>("#sb-import-preview");
+  const file = container.querySelector<HTMLInputElement>("#sb-import-file")?.files?.[0];
+  if (!area) return;
+  if (!file) {
+    area.innerHTML = `<div class="sb-panel-empty">Choose a CSV or JSON file first.</div>`;
+    return;
+  }
+
+  const matchBy = (container.querySelector<HTMLSelectElement>("#sb-import-match")?.value ?? "auto") as ImportMatchBy;
+  const clearEmpty = container.querySelector<HTMLInputElement>("#sb-import-clear-empty")?.checked ?? false;
+
+  area.innerHTML = `<div class="sb-loading">Matching rows...</div>`;
+  try {
+    const rows = parseImportFile(await file.text(), file.name);
+    renderPlan(area, await planImport(rows, { matchBy, clearEmpty }));
+  } catch (e) {
+    console.error("[Stash Battle] ❌ Import dry run failed:", e);
+    area.innerHTML = `<div class="sb-error">Could not read ${escapeHtml(file.name)}: ${escapeHtml(e instanceof Error ? e.message : String(e))}</div>`;
+  }
+}
+
+/** Render the import tool into `container` (a section of the Tools tab). */
+export function renderImportTool(container: HTMLElement): void {
+  const { plural } = currentEntity();
+  container.innerHTML = `
+      <h3 class="sb-tool-title">📥 Import Ratings</h3>
+      <p class="sb-panel-summary">
+        Set ${plural} ratings from a CSV or JSON file (an export, or a list ranked elsewhere) with a <code>rating100</code> or <code>rating</code> column.
+        Rows are matched by <code>id</code>, <code>path</code> or <code>title</code> — on another Stash instance ids differ, so match by path or title there.
+      </p>
+      <div class="sb-panel-controls">
+        <input id="sb-import-file" type="file" class="sb-input" accept=".csv,.json,text/csv,application/json">
+        <label>
+          Match by
+          <select id="sb-import-match" class="sb-input">
+            <option value="auto">ID, then path, then title</option>
+            <option value="id">ID only</option>
+            <option value="path">File path only</option>
+            <option value="title">Title only</option>
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" id="sb-import-clear-empty">
+           Empty ratings clear the rating
+        </label>
+        <button id="sb-import-preview-btn" class="btn btn-secondary">Dry run</button>
+      </div>
+      <div id="sb-import-preview"></div>
+    `;
+
+  container.querySelector("#sb-import-preview-btn")?.addEventListener("click", () => void runDryRun(container));
+}
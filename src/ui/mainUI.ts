@@ -1,81 +1,282 @@
 // Core comparison UI: layout, pair rendering, choice handling, animations.
 
+import { countBattleResult, getBattleCounts } from "../battleStats";
 import { clearFilteredCache, getAllScenesCached, removeFromFilteredPool } from "../cache";
-import { calculateRatingChanges } from "../elo";
-import { CLIMB_K_PLAY_COUNT, CLIMB_SMALL_POOL_WARN_AT } from "../constants";
+import {
+  calibrationBattles,
+  calibrationRating,
+  isCalibrationDone,
+  recordCalibrationResult,
+} from "../calibration";
+import { GRID_SIZES, RANK_SIZES, TOURNAMENT_SIZES } from "../constants";
+import { currentEntity, fetchEntityById } from "../entities";
 import { readFilters } from "../filters";
-import { fetchSceneById } from "../graphql";
+import { impliedOutcomes, rankingOutcomes, rateGridOutcomes, type ImpliedOutcome } from "../grid";
+import { recordBattle } from "../history";
 import { navigateToUrl } from "../navigation";
-import { applyClimbWinRating, fetchChampionPair, fetchGauntletPair, fetchSwissPair } from "../pairs";
+import {
+  applyClimbWinRating,
+  fetchCalibrationPair,
+  fetchChampionPair,
+  fetchGauntletPair,
+  fetchGridScenes,
+  fetchQuickPlacePair,
+  fetchRoundRobinPair,
+  fetchRevisitPair,
+  fetchSwissPair,
+  fetchTournamentPair,
+  rankInRatedPool,
+} from "../pairs";
+import { getPreciseRating, projectRating } from "../preciseRating";
+import {
+  isQuickPlaceSettled,
+  quickPlaceRank,
+  quickPlaceRating,
+  recordQuickPlaceResult,
+  settleQuickPlaceDraw,
+} from "../quickPlace";
 import { updateSceneRating } from "../rating";
-import { state } from "../state";
+import { rateComparison } from "../ratingEngine";
+import { recordRoundRobinResult } from "../roundRobin";
+import { settings } from "../settings";
+import { isRunInProgress, state } from "../state";
 import { saveState } from "../storage";
-import type { BattleSide, ComparisonDeltas, Mode, Rank, Scene } from "../types";
+import { currentRoundIndex, recordTournamentWinner, roundName } from "../tournament";
+import type { BattleSide, ComparisonDeltas, GauntletStart, Mode, Outcome, Rank, Scene, SceneGrid } from "../types";
+import { attachBattleResult, attachHistoryRecord, canUndo, popAndRestoreUndoEntry, pushUndoEntry } from "../undo";
+import { bindRankList, rankListHtml, readRankOrder, showRankResults } from "./rankList";
 import { createSceneCard } from "./sceneCard";
-import { showPlacementScreen, showVictoryScreen } from "./screens";
+import { resolveSceneTitle } from "./sceneTitle";
+import {
+  showCalibrationDoneScreen,
+  showCalibrationScreen,
+  showPlacementScreen,
+  showRoundRobinTableScreen,
+  showTournamentRoundScreen,
+  showTournamentVictoryScreen,
+  showVictoryScreen,
+} from "./screens";
+import { createTabBar } from "./tabs";
+
+const GAUNTLET_START_OPTIONS: { value: GauntletStart; label: string }[] = [
+  { value: "bottom", label: "From the bottom" },
+  { value: "top", label: "From the top" },
+  { value: "rank", label: "From its rank" },
+];
+
+/** Battle-tab wording that names the entity type, by `data-entity-text` / `data-entity-title` key. */
+function entityTexts(): Record<string, string> {
+  const { label, plural } = currentEntity();
+  const noun = label.toLowerCase();
+  return {
+    subtitle: `Compare ${plural} head-to-head to build your rankings`,
+    plural,
+    place: `Place ${/^[aeiou]/.test(noun) ? "an" : "a"} ${noun}`,
+    tournamentSize: `Number of ${plural} seeded into the next tournament`,
+    gridSize: `Number of ${plural} shown in each grid`,
+    rankSize: `Number of ${plural} in each batch to order`,
+    refreshCache: `Refresh the ${noun} list from the server (use if you've added new ${plural})`,
+  };
+}
+
+/** Rewrite the battle tab's wording after an entity type switch (the modal is reused, not re-rendered). */
+export function updateEntityTexts(): void {
+  const texts = entityTexts();
+  document.querySelectorAll<HTMLElement>("[data-entity-text]").forEach((el) => {
+    el.textContent = texts[el.dataset.entityText as string];
+  });
+  document.querySelectorAll<HTMLElement>("[data-entity-title]").forEach((el) => {
+    el.title = texts[el.dataset.entityTitle as string];
+  });
+  document.querySelectorAll<HTMLOptionElement>("option[data-entity-count]").forEach((option) => {
+    option.textContent = `${option.value} ${texts.plural}`;
+  });
+}
 
 export function createMainUI(): string {
+  const texts = entityTexts();
+  const sizeOption = (n: number, selected: boolean) =>
+    `<option value="${n}" data-entity-count ${selected ? "selected" : ""}>${n} ${texts.plural}</option>`;
   return `
       <div id="stash-battle-container" class="sb-container">
         <div class="sb-header">
           <h1 class="sb-title">⚔️ Stash Battle</h1>
-          <p class="sb-subtitle">Compare scenes head-to-head to build your rankings</p>
-
-          <div class="sb-mode-toggle">
-            <button class="sb-mode-btn ${state.currentMode === "swiss" ? "active" : ""}" data-mode="swiss">
-              <span class="sb-mode-icon">⚖️</span>
-              <span class="sb-mode-title">Swiss</span>
-              <span class="sb-mode-desc">Fair matchups</span>
-            </button>
-            <button class="sb-mode-btn ${state.currentMode === "gauntlet" ? "active" : ""}" data-mode="gauntlet">
-              <span class="sb-mode-icon">🎯</span>
-              <span class="sb-mode-title">Gauntlet</span>
-              <span class="sb-mode-desc">Place a scene</span>
-            </button>
-            <button class="sb-mode-btn ${state.currentMode === "champion" ? "active" : ""}" data-mode="champion">
-              <span class="sb-mode-icon">🏆</span>
-              <span class="sb-mode-title">Champion</span>
-              <span class="sb-mode-desc">Winner stays on</span>
-            </button>
-          </div>
+          <p class="sb-subtitle" data-entity-text="subtitle">${texts.subtitle}</p>
+          ${createTabBar()}
+
+          <div data-tab-panel="battle">
+            <div class="sb-mode-toggle">
+              <button class="sb-mode-btn ${state.currentMode === "swiss" ? "active" : ""}" data-mode="swiss">
+                <span class="sb-mode-icon">⚖️</span>
+                <span class="sb-mode-title">Swiss</span>
+                <span class="sb-mode-desc">Fair matchups</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "revisit" ? "active" : ""}" data-mode="revisit">
+                <span class="sb-mode-icon">🕰️</span>
+                <span class="sb-mode-title">Revisit</span>
+                <span class="sb-mode-desc">Stalest first</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "gauntlet" ? "active" : ""}" data-mode="gauntlet">
+                <span class="sb-mode-icon">🎯</span>
+                <span class="sb-mode-title">Gauntlet</span>
+                <span class="sb-mode-desc" data-entity-text="place">${texts.place}</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "quickplace" ? "active" : ""}" data-mode="quickplace">
+                <span class="sb-mode-icon">🔍</span>
+                <span class="sb-mode-title">Quick Place</span>
+                <span class="sb-mode-desc">Binary search</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "calibrate" ? "active" : ""}" data-mode="calibrate">
+                <span class="sb-mode-icon">🎚️</span>
+                <span class="sb-mode-title">Calibrate</span>
+                <span class="sb-mode-desc">Unrated first</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "champion" ? "active" : ""}" data-mode="champion">
+                <span class="sb-mode-icon">🏆</span>
+                <span class="sb-mode-title">Champion</span>
+                <span class="sb-mode-desc">Winner stays on</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "tournament" ? "active" : ""}" data-mode="tournament">
+                <span class="sb-mode-icon">🏟️</span>
+                <span class="sb-mode-title">Tournament</span>
+                <span class="sb-mode-desc">Knockout bracket</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "roundrobin" ? "active" : ""}" data-mode="roundrobin">
+                <span class="sb-mode-icon">🔄</span>
+                <span class="sb-mode-title">Round Robin</span>
+                <span class="sb-mode-desc">Everyone plays everyone</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "grid" ? "active" : ""}" data-mode="grid">
+                <span class="sb-mode-icon">🔢</span>
+                <span class="sb-mode-title">Best of N</span>
+                <span class="sb-mode-desc">Pick the best</span>
+              </button>
+              <button class="sb-mode-btn ${state.currentMode === "rank" ? "active" : ""}" data-mode="rank">
+                <span class="sb-mode-icon">↕️</span>
+                <span class="sb-mode-title">Drag to Rank</span>
+                <span class="sb-mode-desc">Order a batch</span>
+              </button>
+            </div>
 
-          <div class="sb-opponents-toggle" style="margin-top:8px;">
-            <label>
-              <input type="checkbox" id="sb-filter-opponents-checkbox" ${state.filterOpponents ? "checked" : ""}>
-               Use filtered scenes for both sides
-            </label>
-            <label style="margin-left:16px;">
-              <input type="checkbox" id="sb-mute-previews-checkbox" ${state.mutePreviews ? "checked" : ""}>
-               Mute hover previews
-            </label>
+            <div class="sb-opponents-toggle" style="margin-top:8px;">
+              <label>
+                <input type="checkbox" id="sb-filter-opponents-checkbox" ${state.filterOpponents ? "checked" : ""}>
+                 Use filtered <span data-entity-text="plural">${texts.plural}</span> for both sides
+              </label>
+              <label style="margin-left:16px;">
+                <input type="checkbox" id="sb-mute-previews-checkbox" ${state.mutePreviews ? "checked" : ""}>
+                 Mute hover previews
+              </label>
+              <label style="margin-left:16px;">
+                Rating engine
+                <select id="sb-rating-engine-select" class="sb-input">
+                  <option value="elo" ${state.ratingEngine === "elo" ? "selected" : ""}>ELO</option>
+                  <option value="glicko2" ${state.ratingEngine === "glicko2" ? "selected" : ""}>Glicko-2</option>
+                </select>
+              </label>
+              <label id="sb-gauntlet-start-label" style="margin-left:16px;" title="Where the next gauntlet run starts" ${state.currentMode === "gauntlet" ? "" : "hidden"}>
+                Start
+                <select id="sb-gauntlet-start-select" class="sb-input">
+                  ${GAUNTLET_START_OPTIONS.map((o) => `<option value="${o.value}" ${state.gauntletStart === o.value ? "selected" : ""}>${o.label}</option>`).join("")}
+                </select>
+              </label>
+              <label id="sb-tournament-size-label" style="margin-left:16px;" title="${texts.tournamentSize}" data-entity-title="tournamentSize" ${state.currentMode === "tournament" ? "" : "hidden"}>
+                Bracket
+                <select id="sb-tournament-size-select" class="sb-input">
+                  ${TOURNAMENT_SIZES.map((n) => sizeOption(n, state.tournamentSize === n)).join("")}
+                </select>
+              </label>
+              <span id="sb-grid-options" ${state.currentMode === "grid" ? "" : "hidden"}>
+                <label style="margin-left:16px;" title="${texts.gridSize}" data-entity-title="gridSize">
+                  Grid
+                  <select id="sb-grid-size-select" class="sb-input">
+                    ${GRID_SIZES.map((n) => sizeOption(n, state.gridSize === n)).join("")}
+                  </select>
+                </label>
+                <label style="margin-left:16px;" title="After the best, also pick the worst (more results per grid)">
+                  <input type="checkbox" id="sb-grid-pick-worst-checkbox" ${state.gridPickWorst ? "checked" : ""}>
+                   Also pick worst
+                </label>
+              </span>
+              <label id="sb-rank-size-label" style="margin-left:16px;" title="${texts.rankSize}" data-entity-title="rankSize" ${state.currentMode === "rank" ? "" : "hidden"}>
+                Batch
+                <select id="sb-rank-size-select" class="sb-input">
+                  ${RANK_SIZES.map((n) => sizeOption(n, state.rankSize === n)).join("")}
+                </select>
+              </label>
+            </div>
+            <p id="sb-climb-pool-warning" class="sb-climb-warning" hidden>
+              Gauntlet and Champion can behave oddly with small filtered pools when both sides use the filter
+              (fewer than <span id="sb-climb-pool-warn-at">${settings.climbSmallPoolWarnAt}</span> <span data-entity-text="plural">${texts.plural}</span>). Prefer a larger filter or turn off filter opponents.
+            </p>
           </div>
-          <p id="sb-climb-pool-warning" class="sb-climb-warning" hidden>
-            Gauntlet and Champion can behave oddly with small filtered pools when both sides use the filter
-            (fewer than ${CLIMB_SMALL_POOL_WARN_AT} scenes). Prefer a larger filter or turn off filter opponents.
-          </p>
         </div>
 
-        <div class="sb-content">
+        <div class="sb-content" data-tab-panel="battle">
           <div id="sb-comparison-area" class="sb-comparison-area">
-            <div class="sb-loading">Loading scenes...</div>
+            <div class="sb-loading">Loading ${texts.plural}...</div>
           </div>
           <div class="sb-actions">
             <div class="sb-action-buttons">
+              <button id="sb-undo-btn" class="btn btn-secondary" title="Undo the last choice (restores both ratings)" disabled>↶ Undo</button>
               <button id="sb-skip-btn" class="btn btn-secondary">Skip (Get New Pair)</button>
-              <button id="sb-refresh-cache-btn" class="btn btn-secondary" title="Refresh scene list from server (use if you've added new scenes)">🔄 Refresh Cache</button>
+              <button id="sb-refresh-cache-btn" class="btn btn-secondary" title="${texts.refreshCache}" data-entity-title="refreshCache">🔄 Refresh Cache</button>
             </div>
             <div class="sb-keyboard-hint">
               <span>← Left Arrow</span> to choose left ·
               <span>→ Right Arrow</span> to choose right ·
-              <span>Space</span> to skip
+              <span>↓ Down Arrow</span> for a draw ·
+              <span>1–6</span> to pick in Best of N ·
+              <span>Space</span> to skip ·
+              <span>Backspace</span> to undo
             </div>
           </div>
         </div>
+
+        <div class="sb-panel" data-tab-panel="history" hidden>
+          <div id="sb-history-panel"></div>
+        </div>
+
+        <div class="sb-panel" data-tab-panel="tools" hidden>
+          <div id="sb-tools-panel"></div>
+        </div>
+
+        <div class="sb-panel" data-tab-panel="settings" hidden>
+          <div id="sb-settings-panel"></div>
+        </div>
       </div>
     `;
 }
 
+/** Highlight the active mode button and show the controls that only apply to it. */
+export function syncModeControls(): void {
+  document.querySelectorAll<HTMLElement>(".sb-mode-btn").forEach((b) => {
+    b.classList.toggle("active", b.dataset.mode === state.currentMode);
+  });
+  const gauntletStartLabel = document.getElementById("sb-gauntlet-start-label");
+  if (gauntletStartLabel) gauntletStartLabel.hidden = state.currentMode !== "gauntlet";
+  const sizeLabel = document.getElementById("sb-tournament-size-label");
+  if (sizeLabel) sizeLabel.hidden = state.currentMode !== "tournament";
+  const gridOptions = document.getElementById("sb-grid-options");
+  if (gridOptions) gridOptions.hidden = state.currentMode !== "grid";
+  const rankSizeLabel = document.getElementById("sb-rank-size-label");
+  if (rankSizeLabel) rankSizeLabel.hidden = state.currentMode !== "rank";
+}
+
 function climbStatusBadge(scene: Scene): number | string | null {
+  if (state.currentMode === "quickplace") {
+    const search = state.quickPlace;
+    if (!search || search.scene.id !== scene.id) return null;
+    return `🔍 Comparison ${search.comparisons + 1} of ≤${search.maxComparisons}`;
+  }
+  if (state.currentMode === "calibrate") {
+    const calibration = state.calibration;
+    if (!calibration || calibration.scene.id !== scene.id) return null;
+    return `🎚️ Calibration ${calibration.results.length + 1} of ${calibrationBattles()}`;
+  }
+  if (state.currentMode === "tournament" && state.tournament) {
+    return `🏟️ ${roundName(state.tournament, currentRoundIndex(state.tournament))}`;
+  }
   if (state.currentMode !== "gauntlet" && state.currentMode !== "champion") return null;
   if (state.gauntletFalling && state.gauntletFallingScene?.id === scene.id) {
     return "📍 Finding final placement...";
@@ -86,6 +287,17 @@ function climbStatusBadge(scene: Scene): number | string | null {
   return null;
 }
 
+/** Under the VS: "Match 14 of 45" while a round robin is running, "12 unrated left" while calibrating. */
+function runProgressHtml(): string {
+  if (state.currentMode === "calibrate" && state.calibration) {
+    return `<span class="sb-run-progress">${state.calibration.unratedLeft} unrated left</span>`;
+  }
+  const roundRobin = state.roundRobin;
+  if (state.currentMode !== "roundrobin" || !roundRobin) return "";
+  const match = Math.min(roundRobin.results.length + 1, roundRobin.schedule.length);
+  return `<span class="sb-run-progress">Match ${match} of ${roundRobin.schedule.length}</span>`;
+}
+
 /** Precomputed winner/loser context wired at render time for each choose button. */
 interface SceneChoice {
   winner: Scene;
@@ -98,10 +310,102 @@ interface SceneChoice {
   loserRank: Rank;
 }
 
+/** Both sides of a "too close to call" result (climber / falling scene is always on the left). */
+interface DrawChoice {
+  left: Scene;
+  right: Scene;
+  leftCard: HTMLElement;
+  rightCard: HTMLElement;
+  leftRank: Rank;
+  rightRank: Rank;
+}
+
+/** `rating100` of both sides before or after a choice (null = unrated). */
+interface ChoiceRatings {
+  winner: number | null;
+  loser: number | null;
+}
+
+/** Append the choice to the battle history and battle counts (fire-and-forget). Draws pass left as winner. */
+function recordChoice(
+  choice: Pick<SceneChoice, "winner" | "loser">,
+  before: ChoiceRatings,
+  after: ChoiceRatings,
+  outcome: Outcome = "win",
+): void {
+  const { winner, loser } = choice;
+  const record = recordBattle({
+    timestamp: Date.now(),
+    mode: state.currentMode,
+    entity: state.entityType,
+    engine: state.ratingEngine,
+    outcome,
+    winnerId: winner.id,
+    loserId: loser.id,
+    winnerTitle: resolveSceneTitle(winner),
+    loserTitle: resolveSceneTitle(loser),
+    winnerBefore: before.winner,
+    winnerAfter: after.winner,
+    loserBefore: before.loser,
+    loserAfter: after.loser,
+    winnerDelta: (after.winner ?? 0) - (before.winner ?? 0),
+    loserDelta: (after.loser ?? 0) - (before.loser ?? 0),
+    filterKey: readFilters().filterKey,
+  });
+  attachHistoryRecord(record);
+
+  const result = { winnerId: winner.id, loserId: loser.id, outcome };
+  void countBattleResult(result);
+  attachBattleResult(result);
+}
+
 function bindSceneChoice(body: HTMLElement, choice: SceneChoice): void {
   body.addEventListener("click", () => handleSceneChoice(choice));
 }
 
+/** Thumbnail click opens the scene (React Router navigation); hovering a card plays its preview. */
+function bindCardMedia(area: HTMLElement): void {
+  // Attach click-to-open (for thumbnail only) - use React Router navigation
+  area.querySelectorAll<HTMLElement>(".sb-scene-image-container").forEach((container) => {
+    const sceneUrl = container.dataset.sceneUrl;
+
+    container.addEventListener("click", () => {
+      if (sceneUrl) {
+        navigateToUrl(sceneUrl);
+      }
+    });
+  });
+
+  // Attach hover preview to entire card
+  area.querySelectorAll<HTMLElement>(".sb-scene-card").forEach((card) => {
+    const video = card.querySelector<HTMLVideoElement>(".sb-hover-preview");
+    if (!video) return;
+
+    card.addEventListener("mouseenter", () => {
+      video.currentTime = 0;
+      video.muted = state.mutePreviews;
+      video.volume = 0.5;
+      video.play().catch(() => {});
+    });
+
+    card.addEventListener("mouseleave", () => {
+      video.pause();
+      video.currentTime = 0;
+    });
+  });
+}
+
+/** Skip is disabled while a run is in progress (it would abandon the run). */
+function updateSkipButton(): void {
+  const skipBtn = document.querySelector<HTMLButtonElement>("#sb-skip-btn");
+  if (skipBtn) {
+    const disableSkip = isRunInProgress();
+    skipBtn.disabled = disableSkip;
+    skipBtn.style.opacity = disableSkip ? "0.5" : "1";
+    skipBtn.style.cursor = disableSkip ? "not-allowed" : "pointer";
+  }
+}
+
 // Shared rendering logic for displaying a pair of scenes
 export function renderPair(scenes: Scene[], ranks: Rank[]): void {
   const comparisonArea = document.getElementById("sb-comparison-area");
@@ -114,6 +418,12 @@ export function renderPair(scenes: Scene[], ranks: Rank[]): void {
         ${createSceneCard(scenes[0], "left", ranks[0], statusBadges[0])}
         <div class="sb-vs-divider">
           <span class="sb-vs-text">VS</span>
+          ${runProgressHtml()}
+          ${
+            state.currentMode === "tournament"
+              ? "" // Knockout matches need a winner
+              : `<button id="sb-draw-btn" class="btn btn-secondary sb-draw-btn" title="Too close to call (↓ Down Arrow)">🤝 Draw</button>`
+          }
         </div>
         ${createSceneCard(scenes[1], "right", ranks[1], statusBadges[1])}
       </div>
@@ -147,51 +457,168 @@ export function renderPair(scenes: Scene[], ranks: Rank[]): void {
       winnerRank: ranks[1],
       loserRank: ranks[0],
     });
+    comparisonArea.querySelector("#sb-draw-btn")?.addEventListener("click", () =>
+      handleDrawChoice({
+        left,
+        right,
+        leftCard,
+        rightCard,
+        leftRank: ranks[0],
+        rightRank: ranks[1],
+      }),
+    );
   }
 
-  // Attach click-to-open (for thumbnail only) - use React Router navigation
-  comparisonArea.querySelectorAll<HTMLElement>(".sb-scene-image-container").forEach((container) => {
-    const sceneUrl = container.dataset.sceneUrl;
+  bindCardMedia(comparisonArea);
+  updateSkipButton();
+  updateUndoButton();
+}
 
-    container.addEventListener("click", () => {
-      if (sceneUrl) {
-        navigateToUrl(sceneUrl);
-      }
-    });
+// Best-of-N: the scene picked as best while the worst is still to be picked (two-step picks).
+let gridBestId: string | null = null;
+
+function gridAsksForWorst(grid: SceneGrid): boolean {
+  return state.gridPickWorst && grid.scenes.length > 2;
+}
+
+function gridPromptText(grid: SceneGrid): string {
+  const noun = currentEntity().label.toLowerCase();
+  if (!gridAsksForWorst(grid)) return `Pick the best ${noun}`;
+  return gridBestId === null ? `Pick the best ${noun}, then the worst` : `Now pick the worst ${noun}`;
+}
+
+/** Best-of-N: every scene of the grid as a card, numbered for the 1–6 keys. */
+export function renderGrid(grid: SceneGrid): void {
+  const comparisonArea = document.getElementById("sb-comparison-area");
+  if (!comparisonArea) return;
+  gridBestId = null;
+
+  comparisonArea.innerHTML = `
+      <div class="sb-grid-container">
+        <p class="sb-grid-prompt">${gridPromptText(grid)}</p>
+        <div class="sb-grid">
+          ${grid.scenes.map((scene, i) => createSceneCard(scene, i + 1, grid.ranks[i], `⌨️ ${i + 1}`)).join("")}
+        </div>
+      </div>
+    `;
+
+  grid.scenes.forEach((scene, i) => {
+    const card = comparisonArea.querySelector<HTMLElement>(`.sb-scene-card[data-side="${i + 1}"]`);
+    const body = card?.querySelector<HTMLElement>(".sb-scene-body");
+    if (card && body) body.addEventListener("click", () => handleGridPick(grid, scene, card));
   });
 
-  // Attach hover preview to entire card
-  comparisonArea.querySelectorAll<HTMLElement>(".sb-scene-card").forEach((card) => {
-    const video = card.querySelector<HTMLVideoElement>(".sb-hover-preview");
-    if (!video) return;
+  bindCardMedia(comparisonArea);
+  updateSkipButton();
+  updateUndoButton();
+}
 
-    card.addEventListener("mouseenter", () => {
-      video.currentTime = 0;
-      video.muted = state.mutePreviews;
-      video.volume = 0.5;
-      video.play().catch(() => {});
-    });
+/** Drag to rank: the batch as a sortable list with a submit button. */
+export function renderRankList(grid: SceneGrid): void {
+  const comparisonArea = document.getElementById("sb-comparison-area");
+  if (!comparisonArea) return;
 
-    card.addEventListener("mouseleave", () => {
-      video.pause();
-      video.currentTime = 0;
-    });
+  comparisonArea.innerHTML = `
+      <div class="sb-grid-container sb-rank-container">
+        <p class="sb-grid-prompt">Drag the ${currentEntity().plural} into order, best at the top</p>
+        ${rankListHtml(grid)}
+        <div class="sb-rank-actions">
+          <button id="sb-rank-submit" class="btn btn-primary" title="Enter">✓ Submit Order</button>
+        </div>
+      </div>
+    `;
+
+  const list = comparisonArea.querySelector<HTMLElement>(".sb-rank-list");
+  const submitBtn = comparisonArea.querySelector<HTMLButtonElement>("#sb-rank-submit");
+  if (list && submitBtn) {
+    const submit = () => submitRanking(grid, list, submitBtn);
+    bindRankList(list, submit);
+    submitBtn.addEventListener("click", submit);
+  }
+
+  updateSkipButton();
+  updateUndoButton();
+}
+
+/** Grid and rank modes show several scenes at once (`state.currentGrid`) instead of a pair. */
+function isMultiSceneMode(mode: Mode): boolean {
+  return mode === "grid" || mode === "rank";
+}
+
+/** Whether a pair, grid or rank batch is on screen to come back to. */
+export function hasCurrentMatchup(): boolean {
+  if (isMultiSceneMode(state.currentMode)) return state.currentGrid !== null;
+  return state.currentPair.left !== null && state.currentPair.right !== null;
+}
+
+/** Scenes of the pair, grid or rank batch on screen. */
+export function currentMatchupScenes(): Scene[] {
+  if (isMultiSceneMode(state.currentMode)) return state.currentGrid?.scenes ?? [];
+  return [state.currentPair.left, state.currentPair.right].filter((s): s is Scene => s !== null);
+}
+
+// Timer for the step that follows a choice (next pair or end screen); undo cancels it.
+let pendingTransition: ReturnType<typeof setTimeout> | null = null;
+// True from a choice until its follow-up step is scheduled; undo waits for that point.
+let choiceResolving = false;
+let undoInProgress = false;
+// Bumped per pair request (and by undo) so a late-arriving pair never replaces a newer one.
+let pairRequestId = 0;
+
+function scheduleTransition(next: () => void, delayMs: number): void {
+  choiceResolving = false;
+  pendingTransition = setTimeout(() => {
+    pendingTransition = null;
+    next();
+  }, delayMs);
+  updateUndoButton();
+}
+
+/** Enable the header's and an end screen's Undo buttons only while there is something to undo. */
+export function updateUndoButton(): void {
+  const disabled = !canUndo();
+  document.querySelectorAll<HTMLButtonElement>("#sb-undo-btn, #sb-end-undo").forEach((btn) => {
+    btn.disabled = disabled;
   });
+}
 
-  // Update skip button state
-  const skipBtn = document.querySelector<HTMLButtonElement>("#sb-skip-btn");
-  if (skipBtn) {
-    const disableSkip =
-      (state.currentMode === "gauntlet" || state.currentMode === "champion") &&
-      state.gauntletClimber !== null;
-    skipBtn.disabled = disableSkip;
-    skipBtn.style.opacity = disableSkip ? "0.5" : "1";
-    skipBtn.style.cursor = disableSkip ? "not-allowed" : "pointer";
+/** Roll back the most recent choice (ratings, run state, history record) and show its pair again. */
+export async function undoLastChoice(): Promise<void> {
+  if (!canUndo() || choiceResolving || undoInProgress) return;
+  undoInProgress = true;
+
+  if (pendingTransition) {
+    clearTimeout(pendingTransition);
+    pendingTransition = null;
+  }
+  pairRequestId++;
+  state.disableChoice = true;
+
+  try {
+    const entry = await popAndRestoreUndoEntry();
+    if (!entry || !hasCurrentMatchup()) return;
+
+    syncModeControls();
+    const actionsEl = document.querySelector<HTMLElement>(".sb-actions");
+    if (actionsEl) actionsEl.style.display = "";
+
+    renderCurrentMatchup();
+    updateClimbPoolWarning();
+    saveState();
+  } catch (e) {
+    console.error("[Stash Battle] Undo failed:", e);
+  } finally {
+    state.disableChoice = false;
+    undoInProgress = false;
+    updateUndoButton();
   }
 }
 
 export async function loadNewPair(forcedLeftSceneId: string | null = null): Promise<void> {
   state.disableChoice = false;
+  choiceResolving = false;
+  const requestId = ++pairRequestId;
+  const isStale = () => requestId !== pairRequestId;
   const comparisonArea = document.getElementById("sb-comparison-area");
   if (!comparisonArea) return;
 
@@ -201,26 +628,46 @@ export async function loadNewPair(forcedLeftSceneId: string | null = null): Prom
   const startTime = Date.now();
 
   // Only show loading on first load (when empty or already showing loading)
-  if (!comparisonArea.querySelector(".sb-vs-container")) {
+  if (!comparisonArea.querySelector(".sb-vs-container, .sb-grid-container")) {
     const hasCache = state.memoryCache.allScenes !== null;
-    comparisonArea.innerHTML = `<div class="sb-loading">${hasCache ? "Loading scenes..." : "Loading and caching scenes (first load may take a moment)..."}</div>`;
+    const { plural } = currentEntity();
+    comparisonArea.innerHTML = `<div class="sb-loading">${hasCache ? `Loading ${plural}...` : `Loading and caching ${plural} (first load may take a moment)...`}</div>`;
   }
 
   try {
     // Fetch forced scene data if a scene ID was provided
     let forcedLeftScene: Scene | null = null;
     if (forcedLeftSceneId) {
-      forcedLeftScene = await fetchSceneById(forcedLeftSceneId);
+      forcedLeftScene = await fetchEntityById(forcedLeftSceneId);
+      if (isStale()) return;
       if (!forcedLeftScene) {
         console.warn("[Stash Battle] Could not fetch scene from URL, falling back to normal pairing");
       }
     }
 
+    if (isMultiSceneMode(state.currentMode)) {
+      const size = state.currentMode === "rank" ? state.rankSize : state.gridSize;
+      const grid = await fetchGridScenes(forcedLeftScene, size);
+      if (isStale()) return;
+
+      state.currentGrid = grid;
+      state.currentPair = { left: null, right: null };
+      state.currentRanks = { left: null, right: null };
+      console.log(
+        `[Stash Battle] ✅ ${state.currentMode === "rank" ? "Batch" : "Grid"} loaded in ${Date.now() - startTime}ms: Scenes ${grid.scenes.map((s) => s.id).join(", ")}`,
+      );
+
+      renderCurrentMatchup();
+      saveState();
+      return;
+    }
+
     let scenes: Scene[] = [];
     let ranks: Rank[] = [null, null];
 
     if (state.currentMode === "gauntlet") {
       const gauntletResult = await fetchGauntletPair(forcedLeftScene);
+      if (isStale()) return;
 
       // Check for victory (champion reached #1)
       if (gauntletResult.isVictory) {
@@ -242,6 +689,7 @@ export async function loadNewPair(forcedLeftSceneId: string | null = null): Prom
       ranks = gauntletResult.ranks;
     } else if (state.currentMode === "champion") {
       const championResult = await fetchChampionPair(forcedLeftScene);
+      if (isStale()) return;
 
       // Check for victory (champion beat everyone)
       if (championResult.isVictory) {
@@ -251,18 +699,76 @@ export async function loadNewPair(forcedLeftSceneId: string | null = null): Prom
 
       scenes = championResult.scenes;
       ranks = championResult.ranks;
+    } else if (state.currentMode === "quickplace") {
+      const quickPlaceResult = await fetchQuickPlacePair(forcedLeftScene);
+      if (isStale()) return;
+
+      scenes = quickPlaceResult.scenes;
+      ranks = quickPlaceResult.ranks;
+    } else if (state.currentMode === "calibrate") {
+      const calibrationResult = await fetchCalibrationPair(forcedLeftScene);
+      if (isStale()) return;
+
+      if (calibrationResult.isComplete) {
+        state.currentPair = { left: null, right: null };
+        state.currentRanks = { left: null, right: null };
+        showCalibrationDoneScreen();
+        saveState();
+        return;
+      }
+
+      scenes = calibrationResult.scenes;
+      ranks = calibrationResult.ranks;
+    } else if (state.currentMode === "tournament") {
+      const tournamentResult = await fetchTournamentPair();
+      if (isStale()) return;
+
+      // Between rounds and after the final there is no pair to come back to
+      if (tournamentResult.isRoundBreak || tournamentResult.isVictory) {
+        state.currentPair = { left: null, right: null };
+        state.currentRanks = { left: null, right: null };
+        if (tournamentResult.isVictory) showTournamentVictoryScreen(tournamentResult.scenes[0]);
+        else showTournamentRoundScreen();
+        saveState();
+        return;
+      }
+
+      scenes = tournamentResult.scenes;
+      ranks = tournamentResult.ranks;
+    } else if (state.currentMode === "roundrobin") {
+      const roundRobinResult = await fetchRoundRobinPair();
+      if (isStale()) return;
+
+      if (roundRobinResult.isComplete) {
+        state.currentPair = { left: null, right: null };
+        state.currentRanks = { left: null, right: null };
+        showRoundRobinTableScreen(roundRobinResult.scenes);
+        saveState();
+        return;
+      }
+
+      scenes = roundRobinResult.scenes;
+      ranks = roundRobinResult.ranks;
+    } else if (state.currentMode === "revisit") {
+      const revisitResult = await fetchRevisitPair(forcedLeftScene);
+      if (isStale()) return;
+
+      scenes = revisitResult.scenes;
+      ranks = revisitResult.ranks;
     } else {
       const swissResult = await fetchSwissPair(forcedLeftScene);
+      if (isStale()) return;
 
       scenes = swissResult.scenes;
       ranks = swissResult.ranks;
     }
 
     if (scenes.length < 2) {
-      comparisonArea.innerHTML = '<div class="sb-error">Not enough scenes available for comparison.</div>';
+      comparisonArea.innerHTML = `<div class="sb-error">Not enough ${currentEntity().plural} available for comparison.</div>`;
       return;
     }
 
+    state.currentGrid = null;
     state.currentPair.left = scenes[0];
     state.currentPair.right = scenes[1];
     state.currentRanks.left = ranks[0];
@@ -277,9 +783,10 @@ export async function loadNewPair(forcedLeftSceneId: string | null = null): Prom
     updateClimbPoolWarning();
     saveState();
   } catch (error) {
+    if (isStale()) return;
     console.error("[Stash Battle] Error loading scenes:", error);
     const message = error instanceof Error ? error.message : String(error);
-    const isNoScenes = message.includes("No scenes") || message.includes("Not enough");
+    const isNoScenes = message.includes(`No ${currentEntity().plural}`) || message.includes("Not enough");
     comparisonArea.innerHTML = `
         <div class="sb-error-screen">
           <div class="sb-error-icon">⚠️</div>
@@ -296,7 +803,7 @@ export async function loadNewPair(forcedLeftSceneId: string | null = null): Prom
         retryBtn.textContent = "Loading...";
 
         if (isNoScenes) {
-          // "No scenes" error: clear everything and start fresh
+          // "No <plural>" error: clear everything and start fresh
           await clearFilteredCache();
           state.shuffledFilteredScenes = [];
           state.shuffleIndex = 0;
@@ -321,6 +828,15 @@ export function restoreCurrentPair(): void {
     getAllScenesCached(); // Don't await - runs in background
   }
 
+  renderCurrentMatchup();
+}
+
+function renderCurrentMatchup(): void {
+  if (isMultiSceneMode(state.currentMode) && state.currentGrid) {
+    if (state.currentMode === "rank") renderRankList(state.currentGrid);
+    else renderGrid(state.currentGrid);
+    return;
+  }
   renderPair(
     [state.currentPair.left as Scene, state.currentPair.right as Scene],
     [state.currentRanks.left, state.currentRanks.right],
@@ -334,57 +850,105 @@ function activeClimberId(): string | null {
   return state.gauntletClimber?.id ?? null;
 }
 
+/** Modes where both scenes are rated from every result (no climber/benchmark split). */
+function isTwoSidedMode(mode: Mode): boolean {
+  return mode === "swiss" || mode === "revisit" || mode === "tournament" || mode === "roundrobin";
+}
+
 function battleRoleFor(sceneId: string, mode: Mode): BattleSide["role"] {
-  if (mode === "swiss") return "combatant";
+  if (isTwoSidedMode(mode)) return "combatant";
   const climberId = activeClimberId();
   return climberId !== null && sceneId === climberId ? "climber" : "benchmark";
 }
 
-/** Apply climb/champion rules on top of raw two-sided ELO. Swiss uses the raw result as-is. */
+/**
+ * Sides that take the engine's raw result: both in two-sided modes; in climb modes only the climber, and
+ * only when it wins or draws (benchmarks never move from the engine result).
+ */
+function ratedSides(winner: Scene, loser: Scene, mode: Mode, outcome: Outcome): { winner: boolean; loser: boolean } {
+  if (isTwoSidedMode(mode)) return { winner: true, loser: true };
+  return {
+    winner: battleRoleFor(winner.id, mode) === "climber",
+    loser: outcome === "draw" && battleRoleFor(loser.id, mode) === "climber",
+  };
+}
+
+/** Apply climb/champion rules on top of the raw two-sided result. Two-sided modes use it as-is. */
 function applyModePolicy(
   winner: Scene,
   loser: Scene,
   mode: Mode,
+  outcome: Outcome,
   raw: ComparisonDeltas,
 ): ComparisonDeltas {
-  if (mode === "swiss") return raw;
-
-  let winnerDelta = 0;
-  let loserDelta = 0;
+  if (isTwoSidedMode(mode)) return raw;
 
-  if (battleRoleFor(winner.id, mode) === "climber") {
-    winnerDelta = raw.winner;
-  }
+  const rated = ratedSides(winner, loser, mode, outcome);
+  const winnerDelta = rated.winner ? raw.winner : 0;
+  let loserDelta = rated.loser ? raw.loser : 0;
 
   const loserRating = loser.rating100 || 1;
   // Special case: if 100 rated benchmark loses, they drop to 99 so its funner to see a champion emerge
-  if (battleRoleFor(loser.id, mode) === "benchmark" && loserRating === 100) {
+  if (outcome === "win" && battleRoleFor(loser.id, mode) === "benchmark" && loserRating === 100) {
     loserDelta = -1;
   }
 
   return { winner: winnerDelta, loser: loserDelta };
 }
 
-/** Run pure ELO math and persist any rating changes to Stash. */
-function resolveComparison(winner: Scene, loser: Scene): ComparisonDeltas {
+/**
+ * Bookkeeping after a two-sided result: advance the tournament bracket or round-robin schedule, or
+ * (Swiss, Revisit) take both scenes out of the filtered pool. Draws pass left as winner.
+ */
+function advanceTwoSidedRun(winner: Scene, loser: Scene, outcome: Outcome = "win"): void {
+  if (state.currentMode === "tournament") {
+    // Winner advances in the bracket (the next fetch shows the bracket after a round's last match)
+    if (state.tournament && !recordTournamentWinner(state.tournament, winner.id)) {
+      console.warn(`[Stash Battle] 🏟️ Scene ${winner.id} is not in the next tournament match`);
+    }
+  } else if (state.currentMode === "roundrobin") {
+    if (state.roundRobin && !recordRoundRobinResult(state.roundRobin, winner.id, loser.id, outcome)) {
+      console.warn(`[Stash Battle] 🔄 Scenes ${winner.id} and ${loser.id} are not the next round-robin match`);
+    }
+  } else {
+    // Remove both scenes from filtered pool (they've been processed)
+    removeFromFilteredPool(winner.id);
+    removeFromFilteredPool(loser.id);
+  }
+}
+
+/** Experience that sets a scene's K-factor (battles fought or play count, per settings). */
+function sceneExperience(scene: Scene): number {
+  return settings.kFactorPolicy === "battles" ? getBattleCounts(scene).battles : (scene.play_count ?? 0);
+}
+
+/** Run the selected rating engine and persist any rating changes to Stash. */
+function resolveComparison(winner: Scene, loser: Scene, outcome: Outcome = "win"): ComparisonDeltas {
   const mode = state.currentMode;
   const winnerRating = winner.rating100 || 1;
   const loserRating = loser.rating100 || 1;
 
+  // The climber uses the high climb K-factor so placements move quickly
   const climberId = activeClimberId();
-  const winnerPlayCount =
-    mode !== "swiss" && climberId === winner.id
-      ? CLIMB_K_PLAY_COUNT
-      : (winner.play_count ?? 0);
-
-  const raw = calculateRatingChanges({
-    winner: { rating: winnerRating, playCount: winnerPlayCount },
-    loser: { rating: loserRating, playCount: loser.play_count ?? 0 },
-  });
-  const deltas = applyModePolicy(winner, loser, mode, raw);
+  const experienceFor = (scene: Scene): number => {
+    if (!isTwoSidedMode(mode) && climberId === scene.id) return settings.climbKPlayCount;
+    return sceneExperience(scene);
+  };
+
+  const result = rateComparison(
+    { scene: winner, experience: experienceFor(winner) },
+    { scene: loser, experience: experienceFor(loser) },
+    outcome,
+  );
+  const deltas = applyModePolicy(winner, loser, mode, outcome, result.deltas);
+  const rated = ratedSides(winner, loser, mode, outcome);
+  result.commit(rated);
 
-  if (deltas.winner !== 0) updateSceneRating(winner.id, winnerRating + deltas.winner);
-  if (deltas.loser !== 0) updateSceneRating(loser.id, loserRating + deltas.loser);
+  // Rated sides store the engine's precise rating even when rating100 doesn't move
+  if (rated.winner) void updateSceneRating(winner.id, winnerRating + deltas.winner, result.precise.winner);
+  else if (deltas.winner !== 0) void updateSceneRating(winner.id, winnerRating + deltas.winner);
+  if (rated.loser) void updateSceneRating(loser.id, loserRating + deltas.loser, result.precise.loser);
+  else if (deltas.loser !== 0) void updateSceneRating(loser.id, loserRating + deltas.loser);
 
   return deltas;
 }
@@ -397,7 +961,10 @@ export function updateClimbPoolWarning(): void {
   const isClimb = state.currentMode === "gauntlet" || state.currentMode === "champion";
   const filters = readFilters();
   const smallPool =
-    state.totalScenesCount > 0 && state.totalScenesCount < CLIMB_SMALL_POOL_WARN_AT;
+    state.totalScenesCount > 0 && state.totalScenesCount < settings.climbSmallPoolWarnAt;
+
+  const warnAt = document.getElementById("sb-climb-pool-warn-at");
+  if (warnAt) warnAt.textContent = String(settings.climbSmallPoolWarnAt);
 
   warning.hidden = !(
     isClimb &&
@@ -408,7 +975,7 @@ export function updateClimbPoolWarning(): void {
 }
 
 /** Gauntlet climb / first-battle path (after falling-mode branch). */
-async function handleGauntletClimbChoice(choice: SceneChoice): Promise<void> {
+async function handleGauntletClimbChoice(choice: SceneChoice, before: ChoiceRatings): Promise<void> {
   const {
     winner: winnerScene,
     loser: loserScene,
@@ -421,9 +988,11 @@ async function handleGauntletClimbChoice(choice: SceneChoice): Promise<void> {
   const loserId = loserScene.id;
 
   const isFirstBattle = !state.gauntletClimber;
+  const fromBottom = state.gauntletRunStart === "bottom";
 
   // Re-verify from the bottom: clear existing rating on first choice, not on pair load
-  if (isFirstBattle && left.rating100 != null) {
+  // (top-down and from-rank runs keep it — they start where the scene is expected to be)
+  if (isFirstBattle && fromBottom && left.rating100 != null) {
     console.log(
       `[Stash Battle] 📊 Gauntlet: clearing rating ${left.rating100} for scene ${left.id} on first choice`,
     );
@@ -440,6 +1009,23 @@ async function handleGauntletClimbChoice(choice: SceneChoice): Promise<void> {
   const winnerAnimStart = winnerScene.rating100 ?? 0;
   const loserDisplayRating = loserScene.rating100 ?? 0;
 
+  if (isFirstBattle && winnerId === climber.id && state.gauntletRunStart === "top") {
+    // Beat the top scene on the first try: nothing left to climb, take #1 one point above it
+    const finalRating = Math.min(100, (loserScene.rating100 || 1) + 1);
+    console.log(`[Stash Battle] 📊 Gauntlet: top-down challenger ${winnerId} beat #1 ${loserId} → rating ${finalRating}`);
+    void updateSceneRating(winnerId, finalRating);
+    winnerScene.rating100 = finalRating;
+    state.gauntletWins = 1;
+    recordChoice(choice, before, { winner: finalRating, loser: before.loser });
+
+    winnerCard.classList.add("sb-winner");
+    if (loserCard) loserCard.classList.add("sb-loser");
+
+    showRatingAnimation(winnerCard, winnerAnimStart, finalRating, true);
+    scheduleTransition(() => showVictoryScreen(winnerScene), 1500);
+    return;
+  }
+
   const { winner: winnerDelta, loser: loserDelta } = resolveComparison(winnerScene, loserScene);
   const newWinnerRating = winnerRating + winnerDelta;
   const newLoserRating = loserDisplayRating + loserDelta;
@@ -453,22 +1039,22 @@ async function handleGauntletClimbChoice(choice: SceneChoice): Promise<void> {
     console.log(
       `[Stash Battle] 📊 Gauntlet: climber ${winnerId} won (streak=${state.gauntletWins}), rating → ${winnerDisplayRating}`,
     );
-  } else if (isFirstBattle) {
+  } else if (isFirstBattle && fromBottom) {
     const finalRank = state.totalScenesCount;
     const finalRating = Math.max(1, (winnerScene.rating100 || 1) - 1);
     console.log(
       `[Stash Battle] 📊 Gauntlet: first battle, challenger ${loserId} lost to floor → rank #${finalRank}, rating ${finalRating}`,
     );
     void updateSceneRating(loserScene.id, finalRating);
+    recordChoice(choice, before, { winner: before.winner, loser: finalRating });
 
     winnerCard.classList.add("sb-winner");
     if (loserCard) loserCard.classList.add("sb-loser");
 
-    setTimeout(() => {
-      showPlacementScreen(loserScene, finalRank, finalRating);
-    }, 800);
+    scheduleTransition(() => showPlacementScreen(loserScene, finalRank, finalRating), 800);
     return;
   } else {
+    // Climbers that lose fall from where they are; top-down and from-rank runs can lose the first battle too
     console.log(
       `[Stash Battle] 📊 Gauntlet: climber ${climber.id}(rating=${climber.rating100}) LOST to ${winnerId}(rating=${newWinnerRating}), entering falling mode`,
     );
@@ -477,6 +1063,10 @@ async function handleGauntletClimbChoice(choice: SceneChoice): Promise<void> {
     state.gauntletDefeated = [winnerId];
   }
 
+  recordChoice(choice, before, {
+    winner: winnerId === climber.id ? winnerDisplayRating : before.winner,
+    loser: loserDelta !== 0 ? newLoserRating : before.loser,
+  });
   saveState();
 
   winnerCard.classList.add("sb-winner");
@@ -495,7 +1085,7 @@ async function handleGauntletClimbChoice(choice: SceneChoice): Promise<void> {
 }
 
 /** Champion mode climb path. */
-async function handleChampionChoice(choice: SceneChoice): Promise<void> {
+async function handleChampionChoice(choice: SceneChoice, before: ChoiceRatings): Promise<void> {
   const {
     winner: winnerScene,
     loser: loserScene,
@@ -533,6 +1123,10 @@ async function handleChampionChoice(choice: SceneChoice): Promise<void> {
     state.gauntletWins = 1;
   }
 
+  recordChoice(choice, before, {
+    winner: winnerDelta !== 0 || winnerId === climber.id ? winnerDisplayRating : before.winner,
+    loser: loserDelta !== 0 ? newLoserRating : before.loser,
+  });
   saveState();
 
   winnerCard.classList.add("sb-winner");
@@ -550,15 +1144,140 @@ async function handleChampionChoice(choice: SceneChoice): Promise<void> {
   scheduleNextPairAfterAnimations();
 }
 
+/**
+ * Quick Place settled: write the placed scene's rating (precise, between its neighbours) and show
+ * the placement screen.
+ */
+function finishQuickPlace(
+  choice: Pick<SceneChoice, "winner" | "loser">,
+  placedCard: HTMLElement,
+  before: ChoiceRatings,
+  outcome: Outcome,
+): void {
+  const search = state.quickPlace;
+  if (!search) return;
+  const placed = search.scene;
+  const precise = quickPlaceRating(search);
+  const finalRating = projectRating(precise);
+  const finalRank = quickPlaceRank(search);
+  const animStart = placed.rating100 ?? 0;
+
+  console.log(
+    `[Stash Battle] 📊 Quick Place: scene ${placed.id} → rank #${finalRank}, rating ${finalRating} (${precise}) after ${search.comparisons} comparisons`,
+  );
+  void updateSceneRating(placed.id, finalRating, precise);
+  placed.rating100 = finalRating;
+  const placedWon = choice.winner.id === placed.id;
+  recordChoice(
+    choice,
+    before,
+    placedWon ? { winner: finalRating, loser: before.loser } : { winner: before.winner, loser: finalRating },
+    outcome,
+  );
+
+  showRatingAnimation(placedCard, animStart, finalRating, finalRating >= animStart);
+  const comparisons = search.comparisons;
+  scheduleTransition(() => showPlacementScreen(placed, finalRank, finalRating, comparisons), 1500);
+}
+
+/** Quick Place: halve the search range around the benchmark; settle once the range closes. */
+function handleQuickPlaceChoice(choice: SceneChoice, before: ChoiceRatings): void {
+  const { winner, left, right, winnerCard, loserCard } = choice;
+  const search = state.quickPlace;
+  winnerCard.classList.add("sb-winner");
+  loserCard.classList.add("sb-loser");
+
+  if (!search || search.scene.id !== left.id) {
+    // Restored pair from a finished placement — start the next one
+    recordChoice(choice, before, before);
+    scheduleTransition(() => loadNewPair(), 800);
+    return;
+  }
+
+  const won = winner.id === left.id;
+  recordQuickPlaceResult(search, getPreciseRating(right), won);
+  console.log(
+    `[Stash Battle] 📊 Quick Place: scene ${left.id} ${won ? "beat" : "lost to"} ${right.id}, range #${search.lo + 1}–#${search.hi + 1}`,
+  );
+
+  if (isQuickPlaceSettled(search)) {
+    finishQuickPlace(choice, won ? winnerCard : loserCard, before, "win");
+    return;
+  }
+
+  recordChoice(choice, before, before);
+  saveState();
+  scheduleTransition(() => loadNewPair(), 800);
+}
+
+/**
+ * Calibration: score the battle for the scene being calibrated (always left; `score` 1 / ½ / 0) and
+ * move on to the next benchmark. After the last one, write the rating fitted from all of them
+ * (`calibrationRating`) — benchmarks never move — and show where the scene landed.
+ */
+async function advanceCalibration(
+  choice: Pick<SceneChoice, "winner" | "loser" | "left" | "right">,
+  leftCard: HTMLElement,
+  score: number,
+  before: ChoiceRatings,
+  outcome: Outcome,
+): Promise<void> {
+  const { left, right } = choice;
+  const calibration = state.calibration;
+
+  if (!calibration || calibration.scene.id !== left.id) {
+    // Restored pair from a finished calibration — start the next one
+    recordChoice(choice, before, before, outcome);
+    scheduleTransition(() => loadNewPair(), 800);
+    return;
+  }
+
+  recordCalibrationResult(calibration, { opponentId: right.id, opponentRating: getPreciseRating(right), score });
+  console.log(
+    `[Stash Battle] 🎚️ Calibration: scene ${left.id} scored ${score} against ${right.id} (${calibration.results.length} of ${calibrationBattles()})`,
+  );
+
+  if (!isCalibrationDone(calibration)) {
+    recordChoice(choice, before, before, outcome);
+    saveState();
+    scheduleTransition(() => loadNewPair(), 800);
+    return;
+  }
+
+  const scene = calibration.scene;
+  const precise = calibrationRating(calibration, calibration.reference);
+  const finalRating = projectRating(precise);
+  const wasUnrated = scene.rating100 == null;
+  const unratedLeft = Math.max(0, calibration.unratedLeft - (wasUnrated ? 1 : 0));
+  const animStart = scene.rating100 ?? 0;
+
+  void updateSceneRating(scene.id, finalRating, precise);
+  scene.rating100 = finalRating;
+  recordChoice(
+    choice,
+    before,
+    choice.winner.id === left.id ? { winner: finalRating, loser: before.loser } : { winner: before.winner, loser: finalRating },
+    outcome,
+  );
+  showRatingAnimation(leftCard, animStart, finalRating, finalRating >= animStart);
+
+  const rank = await rankInRatedPool(precise, scene.id);
+  console.log(
+    `[Stash Battle] 🎚️ Calibration: scene ${scene.id} → rank #${rank}, rating ${finalRating} (${precise}), ${unratedLeft} unrated left`,
+  );
+  const battles = calibration.results.length;
+  scheduleTransition(() => showCalibrationScreen(scene, rank, finalRating, battles, unratedLeft), 1500);
+}
+
 function handleSceneChoice(choice: SceneChoice): void {
   if (state.disableChoice) return;
   state.disableChoice = true;
+  choiceResolving = true;
+  pushUndoEntry([choice.left, choice.right]);
 
   const {
     winner: winnerScene,
     loser: loserScene,
-    left,
-    right,
     winnerCard,
     loserCard,
     loserRank,
@@ -569,6 +1288,10 @@ function handleSceneChoice(choice: SceneChoice): void {
   const winnerRating = winnerScene.rating100 || 1;
   const loserRating = loserScene.rating100 || 1;
   const loserDisplayRating = loserScene.rating100 || 0;
+  const before: ChoiceRatings = {
+    winner: winnerScene.rating100 ?? null,
+    loser: loserScene.rating100 ?? null,
+  };
 
   // Handle gauntlet mode (climber tracking)
   if (state.currentMode === "gauntlet") {
@@ -587,54 +1310,67 @@ function handleSceneChoice(choice: SceneChoice): void {
         );
         void updateSceneRating(fallingScene.id, finalRating);
         fallingScene.rating100 = finalRating;
+        recordChoice(choice, before, { winner: finalRating, loser: before.loser });
 
-        // Final rank is one above the opponent (we beat them, so we're above them)
-        const finalRank = Math.max(1, (loserRank ?? 1) - 1);
+        // Final rank is directly above the opponent (we beat them, so we're above them)
+        const finalRank = settledRank(choice.winnerRank, loserRank, true);
 
         winnerCard.classList.add("sb-winner");
         if (loserCard) loserCard.classList.add("sb-loser");
 
         showRatingAnimation(winnerCard, fallingAnimStart, finalRating, true);
 
-        setTimeout(() => {
-          showPlacementScreen(fallingScene, finalRank, finalRating);
-        }, 1500);
+        scheduleTransition(() => showPlacementScreen(fallingScene, finalRank, finalRating), 1500);
         return;
       } else {
         // Falling scene lost again - keep falling
         state.gauntletDefeated.push(winnerId);
+        recordChoice(choice, before, before);
         saveState();
 
         winnerCard.classList.add("sb-winner");
         if (loserCard) loserCard.classList.add("sb-loser");
 
-        setTimeout(() => {
-          loadNewPair();
-        }, 800);
+        scheduleTransition(() => loadNewPair(), 800);
         return;
       }
     }
 
     // Climb / first battle (falling handled above)
-    void handleGauntletClimbChoice(choice);
+    void handleGauntletClimbChoice(choice, before);
     return;
   }
 
   // Handle champion mode (like gauntlet but winner always takes over)
   if (state.currentMode === "champion") {
-    void handleChampionChoice(choice);
+    void handleChampionChoice(choice, before);
+    return;
+  }
+
+  if (state.currentMode === "quickplace") {
+    handleQuickPlaceChoice(choice, before);
+    return;
+  }
+
+  if (state.currentMode === "calibrate") {
+    const leftWon = winnerScene.id === choice.left.id;
+    winnerCard.classList.add("sb-winner");
+    loserCard.classList.add("sb-loser");
+    void advanceCalibration(choice, leftWon ? winnerCard : loserCard, leftWon ? 1 : 0, before, "win");
     return;
   }
 
-  // For Swiss: Calculate and show rating changes
+  // For Swiss, tournaments and round robins: Calculate and show rating changes
   const { winner: winnerDelta, loser: loserDelta } = resolveComparison(winnerScene, loserScene);
   const newWinnerRating = winnerRating + winnerDelta;
   const newLoserRating = loserDisplayRating + loserDelta;
 
-  // Remove both scenes from filtered pool (they've been processed)
-  removeFromFilteredPool(left.id);
-  removeFromFilteredPool(right.id);
+  advanceTwoSidedRun(winnerScene, loserScene);
 
+  recordChoice(choice, before, {
+    winner: newWinnerRating,
+    loser: loserDelta !== 0 ? newLoserRating : before.loser,
+  });
   saveState();
 
   winnerCard.classList.add("sb-winner");
@@ -652,6 +1388,236 @@ function handleSceneChoice(choice: SceneChoice): void {
   scheduleNextPairAfterAnimations();
 }
 
+/** Best-of-N click: picks the best, then (with "also pick worst") the worst; clicking the best again unpicks it. */
+function handleGridPick(grid: SceneGrid, scene: Scene, card: HTMLElement): void {
+  if (state.disableChoice) return;
+
+  if (gridAsksForWorst(grid)) {
+    if (gridBestId === null || gridBestId === scene.id) {
+      gridBestId = gridBestId === null ? scene.id : null;
+      card.classList.toggle("sb-winner", gridBestId !== null);
+      const prompt = document.querySelector(".sb-grid-prompt");
+      if (prompt) prompt.textContent = gridPromptText(grid);
+      return;
+    }
+    resolveGridPick(grid, gridBestId, scene.id);
+    return;
+  }
+  resolveGridPick(grid, scene.id, null);
+}
+
+/**
+ * Apply the implied results of a multi-scene choice: every result goes through ELO from the
+ * pre-choice ratings, whichever engine is selected (Glicko-2 re-seeds from the new ratings), and
+ * is recorded as its own battle. Returns each scene's rating100 before and after.
+ */
+function applyImpliedOutcomes(
+  grid: SceneGrid,
+  outcomes: ImpliedOutcome[],
+): { before: Map<string, number | null>; after: Map<string, number> } {
+  state.disableChoice = true;
+  choiceResolving = true;
+  pushUndoEntry(grid.scenes, grid);
+
+  const byId = new Map(grid.scenes.map((s) => [s.id, s]));
+  const newPrecise = rateGridOutcomes(
+    new Map(grid.scenes.map((s) => [s.id, { rating: getPreciseRating(s), experience: sceneExperience(s) }])),
+    outcomes,
+  );
+
+  const before = new Map(grid.scenes.map((s) => [s.id, s.rating100 ?? null]));
+  const after = new Map<string, number>();
+  for (const [id, precise] of newPrecise) {
+    const rating = projectRating(precise);
+    after.set(id, rating);
+    void updateSceneRating(id, rating, precise);
+  }
+
+  for (const { winnerId, loserId } of outcomes) {
+    recordChoice(
+      { winner: byId.get(winnerId) as Scene, loser: byId.get(loserId) as Scene },
+      { winner: before.get(winnerId) ?? null, loser: before.get(loserId) ?? null },
+      { winner: after.get(winnerId) ?? null, loser: after.get(loserId) ?? null },
+    );
+  }
+  grid.scenes.forEach((s) => removeFromFilteredPool(s.id));
+  return { before, after };
+}
+
+/** Score a grid pick: the best beats each other scene; each other scene beats the worst. */
+function resolveGridPick(grid: SceneGrid, bestId: string, worstId: string | null): void {
+  const outcomes = impliedOutcomes(
+    grid.scenes.map((s) => s.id),
+    bestId,
+    worstId,
+  );
+  console.log(
+    `[Stash Battle] 🔢 Best of N: scene ${bestId} best${worstId ? `, scene ${worstId} worst` : ""} (${outcomes.length} implied results)`,
+  );
+  const { before, after } = applyImpliedOutcomes(grid, outcomes);
+  saveState();
+
+  grid.scenes.forEach((scene, i) => {
+    const card = document.querySelector<HTMLElement>(`.sb-grid .sb-scene-card[data-side="${i + 1}"]`);
+    if (!card) return;
+    const isLoser = worstId === null ? scene.id !== bestId : scene.id === worstId;
+    if (scene.id === bestId) card.classList.add("sb-winner");
+    else if (isLoser) card.classList.add("sb-loser");
+    const start = before.get(scene.id) ?? 0;
+    const end = after.get(scene.id) ?? start;
+    showRatingAnimation(card, start, end, end >= start);
+  });
+  scheduleNextPairAfterAnimations();
+}
+
+/**
+ * Submit a drag-to-rank order: every scene beats every scene below it. The list stays up with each
+ * row's rating change until **Next Batch** (the batch is cleared from state, so reopening deals a new one).
+ */
+function submitRanking(grid: SceneGrid, list: HTMLElement, submitBtn: HTMLButtonElement): void {
+  if (state.disableChoice) return;
+  const order = readRankOrder(list);
+  const outcomes = rankingOutcomes(order);
+  console.log(`[Stash Battle] ↕️ Drag to rank: ${order.join(" > ")} (${outcomes.length} implied results)`);
+
+  const { before, after } = applyImpliedOutcomes(grid, outcomes);
+  state.currentGrid = null;
+  saveState();
+
+  showRankResults(list, before, after);
+  list.querySelectorAll<HTMLElement>(".sb-rank-row").forEach((row) => {
+    const id = row.dataset.sceneId as string;
+    const start = before.get(id) ?? 0;
+    const end = after.get(id) ?? start;
+    showRatingAnimation(row, start, end, end >= start);
+  });
+
+  const nextBtn = document.createElement("button");
+  nextBtn.className = "btn btn-primary";
+  nextBtn.textContent = "Next Batch →";
+  nextBtn.addEventListener("click", () => loadNewPair());
+  submitBtn.replaceWith(nextBtn);
+  nextBtn.focus();
+
+  // Nothing follows automatically: undo and skip are available straight away
+  choiceResolving = false;
+  state.disableChoice = false;
+  updateUndoButton();
+}
+
+/** Rank a scene ends up at when it settles directly above or below a benchmark it leaves `ownRank` for. */
+function settledRank(ownRank: Rank, benchmarkRank: Rank, above: boolean): number {
+  const total = state.totalScenesCount;
+  const benchmark = benchmarkRank ?? total;
+  // Leaving a spot above the benchmark moves the benchmark up one
+  const shift = ownRank !== null && ownRank < benchmark ? 1 : 0;
+  const rank = (above ? benchmark : benchmark + 1) - shift;
+  return Math.min(total, Math.max(1, rank));
+}
+
+/**
+ * Gauntlet draw: the run ends and the climber (or falling scene) takes the benchmark's rating,
+ * ranked just below it while climbing or just above it while falling.
+ */
+function handleGauntletDraw(choice: DrawChoice, before: ChoiceRatings): void {
+  const { left, right, leftCard, leftRank, rightRank } = choice;
+  const falling = state.gauntletFalling;
+  const finalRating = right.rating100 || 1;
+  const finalRank = settledRank(leftRank, rightRank, falling);
+  const animStart = left.rating100 ?? 0;
+
+  console.log(
+    `[Stash Battle] 📊 Gauntlet: ${falling ? "falling scene" : "climber"} ${left.id} drew with ${right.id} → rank #${finalRank}, rating ${finalRating}`,
+  );
+  void updateSceneRating(left.id, finalRating);
+  left.rating100 = finalRating;
+  recordChoice({ winner: left, loser: right }, before, { winner: finalRating, loser: before.loser }, "draw");
+
+  showRatingAnimation(leftCard, animStart, finalRating, finalRating >= animStart);
+  scheduleTransition(() => showPlacementScreen(left, finalRank, finalRating), 1500);
+}
+
+/**
+ * Champion draw: the climber stays on with its streak unchanged, takes a draw rating update,
+ * and the benchmark counts as faced so it is not drawn again this run.
+ */
+function handleChampionDraw(choice: DrawChoice, before: ChoiceRatings): void {
+  const { left, right, leftCard, rightCard } = choice;
+  if (!state.gauntletClimber) {
+    state.gauntletClimber = left;
+  }
+  const climber = state.gauntletClimber;
+  const animStart = left.rating100 ?? 0;
+  const rightDisplayRating = right.rating100 ?? 0;
+
+  const { winner: leftDelta } = resolveComparison(left, right, "draw");
+  const newLeftRating = leftDelta !== 0 ? (left.rating100 || 1) + leftDelta : left.rating100 ?? null;
+  left.rating100 = newLeftRating;
+  climber.rating100 = newLeftRating;
+  state.gauntletDefeated.push(right.id);
+
+  console.log(
+    `[Stash Battle] 📊 Champion: climber ${left.id} drew with ${right.id} (streak=${state.gauntletWins}), rating → ${newLeftRating}`,
+  );
+  recordChoice({ winner: left, loser: right }, before, { winner: newLeftRating, loser: before.loser }, "draw");
+  saveState();
+
+  showRatingAnimation(leftCard, animStart, newLeftRating ?? 0, leftDelta >= 0);
+  showRatingAnimation(rightCard, rightDisplayRating, rightDisplayRating, true);
+  scheduleNextPairAfterAnimations();
+}
+
+/** "Too close to call": half a win for each side (see handleGauntletDraw / handleChampionDraw for climb modes). */
+function handleDrawChoice(choice: DrawChoice): void {
+  if (state.disableChoice) return;
+  state.disableChoice = true;
+  choiceResolving = true;
+  pushUndoEntry([choice.left, choice.right]);
+
+  const { left, right, leftCard, rightCard } = choice;
+  const before: ChoiceRatings = {
+    winner: left.rating100 ?? null,
+    loser: right.rating100 ?? null,
+  };
+  leftCard.classList.add("sb-draw");
+  rightCard.classList.add("sb-draw");
+
+  if (state.currentMode === "gauntlet") {
+    handleGauntletDraw(choice, before);
+    return;
+  }
+  if (state.currentMode === "champion") {
+    handleChampionDraw(choice, before);
+    return;
+  }
+  if (state.currentMode === "calibrate") {
+    void advanceCalibration({ winner: left, loser: right, left, right }, leftCard, 0.5, before, "draw");
+    return;
+  }
+  if (state.currentMode === "quickplace" && state.quickPlace?.scene.id === left.id) {
+    // Too close to call: settle directly below the benchmark, at its rating
+    settleQuickPlaceDraw(state.quickPlace, getPreciseRating(right));
+    finishQuickPlace({ winner: left, loser: right }, leftCard, before, "draw");
+    return;
+  }
+
+  // Swiss and round robins: both sides move toward each other
+  const leftDisplayRating = left.rating100 ?? 0;
+  const rightDisplayRating = right.rating100 ?? 0;
+  const { winner: leftDelta, loser: rightDelta } = resolveComparison(left, right, "draw");
+  const newLeftRating = leftDelta !== 0 ? (left.rating100 || 1) + leftDelta : before.winner;
+  const newRightRating = rightDelta !== 0 ? (right.rating100 || 1) + rightDelta : before.loser;
+
+  advanceTwoSidedRun(left, right, "draw");
+
+  recordChoice({ winner: left, loser: right }, before, { winner: newLeftRating, loser: newRightRating }, "draw");
+  saveState();
+
+  showRatingAnimation(leftCard, leftDisplayRating, newLeftRating ?? 0, leftDelta >= 0);
+  showRatingAnimation(rightCard, rightDisplayRating, newRightRating ?? 0, rightDelta >= 0);
+  scheduleNextPairAfterAnimations();
+}
+
 const RATING_ANIM_MAX_TOTAL_MS = 1400;
 const RATING_ANIM_HOLD_MS = 300;
 const RATING_ANIM_COUNT_BUDGET_MS = RATING_ANIM_MAX_TOTAL_MS - RATING_ANIM_HOLD_MS;
@@ -659,7 +1625,7 @@ const RATING_ANIM_DEFAULT_STEP_MS = 50;
 const RATING_ANIM_MIN_STEP_MS = 8;
 
 function scheduleNextPairAfterAnimations(): void {
-  setTimeout(() => loadNewPair(), 1500);
+  scheduleTransition(() => loadNewPair(), 1500);
 }
 
 /** Count-up/down overlay; large jumps speed up so the full count fits within 1400ms. */
@@ -1,19 +1,93 @@
 // The battle modal: opens/closes, wires controls and keyboard shortcuts.
 
+import { forgetBattleCounts } from "../battleStats";
 import { clearSceneCache } from "../cache";
-import { FILTER_OPPONENTS_KEY, MUTE_PREVIEWS_KEY } from "../constants";
-import { getSceneIdFromUrl } from "../graphql";
-import { resetGauntletState, state } from "../state";
+import {
+  FILTER_OPPONENTS_KEY,
+  GAUNTLET_START_KEY,
+  GRID_PICK_WORST_KEY,
+  GRID_SIZE_KEY,
+  MUTE_PREVIEWS_KEY,
+  RANK_SIZE_KEY,
+  RATING_ENGINE_KEY,
+  TOURNAMENT_SIZE_KEY,
+} from "../constants";
+import { entityTypeFromPath, getEntityIdFromUrl } from "../entities";
+import { forgetPreciseRatings } from "../preciseRating";
+import { loadSettings } from "../settings";
+import { takeSnapshot } from "../snapshots";
+import { isRunInProgress, resetGauntletState, state } from "../state";
 import { loadState, saveState } from "../storage";
-import type { Mode } from "../types";
-import { createMainUI, loadNewPair, restoreCurrentPair, updateClimbPoolWarning } from "./mainUI";
+import { syncTiersAfterSession } from "../tiers";
+import type { EntityType, GauntletStart, Mode, RatingEngine } from "../types";
+import { clearUndoStack } from "../undo";
+import {
+  createMainUI,
+  currentMatchupScenes,
+  hasCurrentMatchup,
+  loadNewPair,
+  restoreCurrentPair,
+  syncModeControls,
+  undoLastChoice,
+  updateClimbPoolWarning,
+  updateEntityTexts,
+} from "./mainUI";
+import { bindTabs, isBattleTabActive, refreshActiveTab } from "./tabs";
 
 // Track keyboard handler so we can remove it on close
 let modalKeyHandler: ((e: KeyboardEvent) => void) | null = null;
 
+/** Modes whose run state follows one scene against the opponent pool (reset when the pool changes or on skip). */
+function isPlacementMode(mode: Mode): boolean {
+  return mode === "gauntlet" || mode === "champion" || mode === "quickplace" || mode === "calibrate";
+}
+
+/** Skip button / Space: a new pair, unless a run is under way (skipping would abandon it). */
+function skipPair(): void {
+  if (isRunInProgress()) return;
+  if (state.disableChoice) return;
+  state.disableChoice = true;
+  // Reset a run that hasn't started (gauntlet/champion climber, quick-place search, calibration)
+  if (isPlacementMode(state.currentMode)) {
+    resetGauntletState();
+    saveState();
+  }
+  loadNewPair();
+}
+
+/**
+ * Battle another entity type: drop the pair, run, pool cache and everything learned about ids this
+ * session (a performer and a scene can share an id). Persistent stores are per type already.
+ */
+function switchEntityType(entityType: EntityType): void {
+  console.log(`[Stash Battle] 🔀 Switching from ${state.entityType} to ${entityType} battles`);
+  state.entityType = entityType;
+  state.currentPair = { left: null, right: null };
+  state.currentRanks = { left: null, right: null };
+  state.currentGrid = null;
+  resetGauntletState();
+
+  state.memoryCache = { allScenes: null, filteredScenes: null, filterKey: null, timestamp: null };
+  state.shuffledFilteredScenes = [];
+  state.shuffleIndex = 0;
+  state.shuffleFilterKey = null;
+  state.removedSceneIds = new Set<string>();
+
+  forgetBattleCounts();
+  forgetPreciseRatings();
+  clearUndoStack();
+
+  updateEntityTexts();
+  // An open History / Tools panel still shows the old type's previews (a reused modal isn't re-rendered)
+  refreshActiveTab();
+}
+
 export function openModal(): void {
   console.log("[Stash Battle] 🎯 Opening modal...");
 
+  // Pick up settings changed under Settings → Plugins since the page loaded
+  void loadSettings();
+
   // Pause all media playing in stash when battle modal is opened to prevent audio overlap with hover previews
   document.querySelectorAll<HTMLMediaElement>("video, audio").forEach((v) => v.pause());
 
@@ -21,6 +95,14 @@ export function openModal(): void {
   const hasState = loadState();
   console.log(`[Stash Battle] 📋 LocalStorage state: ${hasState ? "found" : "none"}`);
 
+  // Battle what the page lists (performers on /performers pages, scenes elsewhere)
+  if (state.entityType !== entityTypeFromPath()) {
+    switchEntityType(entityTypeFromPath());
+  }
+
+  // Rollback point for this session's choices (skipped if nothing changed since the last one)
+  void takeSnapshot("session");
+
   // Check if URL filter params have changed - if so, reset state
   const currentFilterParams = window.location.search;
   const filtersChanged = hasState && state.savedFilterParams !== currentFilterParams;
@@ -29,6 +111,7 @@ export function openModal(): void {
     console.log("[Stash Battle] Filter params changed, resetting gauntlet state and filtered cache");
     state.currentPair = { left: null, right: null };
     state.currentRanks = { left: null, right: null };
+    state.currentGrid = null;
     resetGauntletState();
     state.savedFilterParams = currentFilterParams;
 
@@ -42,14 +125,10 @@ export function openModal(): void {
     state.shuffleFilterKey = null;
   }
 
-  // Detect if opened from an individual scene page (e.g. /scenes/123)
-  const scenePageId = getSceneIdFromUrl();
+  // Detect if opened from an individual scene or performer page (e.g. /scenes/123)
+  const scenePageId = getEntityIdFromUrl();
   const sceneAlreadyInPair =
-    scenePageId &&
-    state.currentPair.left &&
-    state.currentPair.right &&
-    (String(state.currentPair.left.id) === scenePageId ||
-      String(state.currentPair.right.id) === scenePageId);
+    scenePageId && hasCurrentMatchup() && currentMatchupScenes().some((s) => String(s.id) === scenePageId);
   const forceSceneBattle = scenePageId && !sceneAlreadyInPair;
 
   if (forceSceneBattle) {
@@ -57,6 +136,7 @@ export function openModal(): void {
     resetGauntletState();
     state.currentPair = { left: null, right: null };
     state.currentRanks = { left: null, right: null };
+    state.currentGrid = null;
   }
 
   // Check for existing hidden modal - reuse it
@@ -78,7 +158,7 @@ export function openModal(): void {
     // If filters changed, no pair, or forced scene, load new content
     if (forceSceneBattle) {
       loadNewPair(scenePageId);
-    } else if (filtersChanged || !state.currentPair.left || !state.currentPair.right) {
+    } else if (filtersChanged || !hasCurrentMatchup()) {
       loadNewPair();
     }
     // Otherwise the existing content is still valid
@@ -114,6 +194,8 @@ export function openModal(): void {
     modalContent.focus();
   }
 
+  bindTabs(modal);
+
   // Mode toggle buttons
   modal.querySelectorAll<HTMLElement>(".sb-mode-btn").forEach((btn) => {
     btn.addEventListener("click", () => {
@@ -127,16 +209,14 @@ export function openModal(): void {
         state.shuffleIndex = 0;
 
         // Update button states
-        modal.querySelectorAll<HTMLElement>(".sb-mode-btn").forEach((b) => {
-          b.classList.toggle("active", b.dataset.mode === state.currentMode);
-        });
+        syncModeControls();
 
         // Re-show actions (skip button) in case it was hidden
         const actionsEl = document.querySelector<HTMLElement>(".sb-actions");
         if (actionsEl) actionsEl.style.display = "";
 
         // Load new pair in new mode, preserving scene page context
-        loadNewPair(getSceneIdFromUrl());
+        loadNewPair(getEntityIdFromUrl());
         updateClimbPoolWarning();
         saveState();
       }
@@ -153,8 +233,8 @@ export function openModal(): void {
       } catch {
         /* ignore */
       }
-      // switching the toggle counts as changing filters: reset gauntlet/champion run
-      if (state.currentMode === "gauntlet" || state.currentMode === "champion") {
+      // switching the toggle counts as changing filters: reset gauntlet/champion run, quick-place search or calibration
+      if (isPlacementMode(state.currentMode)) {
         resetGauntletState();
       }
       saveState();
@@ -180,22 +260,118 @@ export function openModal(): void {
     });
   }
 
-  // Skip button
-  const skipBtn = modal.querySelector("#sb-skip-btn");
-  if (skipBtn) {
-    skipBtn.addEventListener("click", () => {
-      // In gauntlet/champion mode with active run, skip is disabled
-      if ((state.currentMode === "gauntlet" || state.currentMode === "champion") && state.gauntletClimber) {
-        return;
+  // Rating engine select (applies from the next choice; re-render so cards show/hide uncertainty)
+  const engineSelect = modal.querySelector<HTMLSelectElement>("#sb-rating-engine-select");
+  if (engineSelect) {
+    engineSelect.addEventListener("change", (e) => {
+      state.ratingEngine = (e.target as HTMLSelectElement).value as RatingEngine;
+      try {
+        localStorage.setItem(RATING_ENGINE_KEY, state.ratingEngine);
+      } catch {
+        /* ignore */
       }
-      if (state.disableChoice) return;
-      state.disableChoice = true;
-      // Reset state on skip
-      if (state.currentMode === "gauntlet" || state.currentMode === "champion") {
+      console.log(`[Stash Battle] ⚙️ Rating engine: ${state.ratingEngine}`);
+      if (hasCurrentMatchup() && !state.disableChoice) {
+        restoreCurrentPair();
+      }
+    });
+  }
+
+  // Gauntlet start (applies to the next run; re-deals a first pair that hasn't been chosen yet)
+  const gauntletStartSelect = modal.querySelector<HTMLSelectElement>("#sb-gauntlet-start-select");
+  if (gauntletStartSelect) {
+    gauntletStartSelect.addEventListener("change", (e) => {
+      state.gauntletStart = (e.target as HTMLSelectElement).value as GauntletStart;
+      try {
+        localStorage.setItem(GAUNTLET_START_KEY, state.gauntletStart);
+      } catch {
+        /* ignore */
+      }
+      console.log(`[Stash Battle] ⚙️ Gauntlet start: ${state.gauntletStart}`);
+      if (state.currentMode === "gauntlet" && !isRunInProgress() && !state.disableChoice) {
         resetGauntletState();
         saveState();
+        loadNewPair();
       }
-      loadNewPair();
+    });
+  }
+
+  // Tournament bracket size (seeds the next tournament; re-seeds one that hasn't started yet)
+  const sizeSelect = modal.querySelector<HTMLSelectElement>("#sb-tournament-size-select");
+  if (sizeSelect) {
+    sizeSelect.addEventListener("change", (e) => {
+      state.tournamentSize = Number((e.target as HTMLSelectElement).value);
+      try {
+        localStorage.setItem(TOURNAMENT_SIZE_KEY, String(state.tournamentSize));
+      } catch {
+        /* ignore */
+      }
+      console.log(`[Stash Battle] ⚙️ Tournament size: ${state.tournamentSize}`);
+      const unstarted = state.tournament?.rounds[0].every((m) => m.winner === null) ?? false;
+      if (state.currentMode === "tournament" && unstarted && !state.disableChoice) {
+        resetGauntletState();
+        saveState();
+        loadNewPair();
+      }
+    });
+  }
+
+  // Best-of-N grid size (deals a new grid unless a pick is being resolved)
+  const gridSizeSelect = modal.querySelector<HTMLSelectElement>("#sb-grid-size-select");
+  if (gridSizeSelect) {
+    gridSizeSelect.addEventListener("change", (e) => {
+      state.gridSize = Number((e.target as HTMLSelectElement).value);
+      try {
+        localStorage.setItem(GRID_SIZE_KEY, String(state.gridSize));
+      } catch {
+        /* ignore */
+      }
+      console.log(`[Stash Battle] ⚙️ Grid size: ${state.gridSize}`);
+      if (state.currentMode === "grid" && !state.disableChoice) loadNewPair();
+    });
+  }
+
+  // Best-of-N "also pick worst" (re-render so the prompt and any half-made pick reset)
+  const pickWorstCheckbox = modal.querySelector<HTMLInputElement>("#sb-grid-pick-worst-checkbox");
+  if (pickWorstCheckbox) {
+    pickWorstCheckbox.addEventListener("change", (e) => {
+      state.gridPickWorst = (e.target as HTMLInputElement).checked;
+      try {
+        localStorage.setItem(GRID_PICK_WORST_KEY, state.gridPickWorst ? "1" : "0");
+      } catch {
+        /* ignore */
+      }
+      if (state.currentMode === "grid" && hasCurrentMatchup() && !state.disableChoice) {
+        restoreCurrentPair();
+      }
+    });
+  }
+
+  // Drag-to-rank batch size (deals a new batch unless one is being submitted)
+  const rankSizeSelect = modal.querySelector<HTMLSelectElement>("#sb-rank-size-select");
+  if (rankSizeSelect) {
+    rankSizeSelect.addEventListener("change", (e) => {
+      state.rankSize = Number((e.target as HTMLSelectElement).value);
+      try {
+        localStorage.setItem(RANK_SIZE_KEY, String(state.rankSize));
+      } catch {
+        /* ignore */
+      }
+      console.log(`[Stash Battle] ⚙️ Rank batch size: ${state.rankSize}`);
+      if (state.currentMode === "rank" && !state.disableChoice) loadNewPair();
+    });
+  }
+
+  // Undo button
+  modal.querySelector("#sb-undo-btn")?.addEventListener("click", () => {
+    void undoLastChoice();
+  });
+
+  // Skip button
+  const skipBtn = modal.querySelector("#sb-skip-btn");
+  if (skipBtn) {
+    skipBtn.addEventListener("click", () => {
+      skipPair();
     });
   }
 
@@ -239,9 +415,11 @@ export function openModal(): void {
   if (forceSceneBattle) {
     console.log(`[Stash Battle] 🎯 Starting battle with scene ${scenePageId} from scene page`);
     loadNewPair(scenePageId);
-  } else if (hasState && state.currentPair.left && state.currentPair.right && !filtersChanged) {
+  } else if (hasState && hasCurrentMatchup() && !filtersChanged) {
     console.log(
-      `[Stash Battle] 📂 Restoring saved pair from localStorage (Scene ${state.currentPair.left.id} vs Scene ${state.currentPair.right.id})`,
+      `[Stash Battle] 📂 Restoring saved pair from localStorage (${currentMatchupScenes()
+        .map((s) => `Scene ${s.id}`)
+        .join(" vs ")})`,
     );
     restoreCurrentPair();
   } else {
@@ -275,6 +453,14 @@ export function openModal(): void {
       return;
     }
 
+    // Battle shortcuts are inactive while another tab (e.g. history) is showing
+    if (!isBattleTabActive()) return;
+
+    // A focused drag-to-rank row handles its own arrows (select / move) and Space
+    if ((e.key.startsWith("Arrow") || e.key === " ") && (e.target as HTMLElement | null)?.closest?.(".sb-rank-list")) {
+      return;
+    }
+
     // Arrow keys to choose (stop propagation to prevent Stash scene navigation)
     if (e.key === "ArrowLeft" && state.currentPair.left) {
       e.preventDefault();
@@ -289,6 +475,33 @@ export function openModal(): void {
       if (rightBody) rightBody.click();
     }
 
+    // Number keys pick a best-of-N card (1 = first)
+    if (state.currentMode === "grid" && /^[1-6]$/.test(e.key)) {
+      const tag = document.activeElement?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      activeModal.querySelector<HTMLElement>(`.sb-scene-card[data-side="${e.key}"] .sb-scene-body`)?.click();
+      return;
+    }
+
+    // Down arrow for a draw ("too close to call")
+    if (e.key === "ArrowDown" && state.currentPair.left && state.currentPair.right) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      activeModal.querySelector<HTMLButtonElement>("#sb-draw-btn")?.click();
+    }
+
+    // Backspace to undo the last choice
+    if (e.key === "Backspace") {
+      const tag = document.activeElement?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      void undoLastChoice();
+      return;
+    }
+
     // Spacebar to skip
     if (e.key === " " || e.code === "Space") {
       const tag = document.activeElement?.tagName;
@@ -298,17 +511,7 @@ export function openModal(): void {
       }
       e.preventDefault();
       e.stopImmediatePropagation();
-      // Don't skip during active gauntlet/champion run
-      if ((state.currentMode === "gauntlet" || state.currentMode === "champion") && state.gauntletClimber) {
-        return;
-      }
-      if (state.disableChoice) return;
-      state.disableChoice = true;
-      if (state.currentMode === "gauntlet" || state.currentMode === "champion") {
-        resetGauntletState();
-        saveState();
-      }
-      loadNewPair();
+      skipPair();
     }
   };
 
@@ -332,4 +535,7 @@ export function closeModal(): void {
   if (modalKeyHandler) {
     document.removeEventListener("keydown", modalKeyHandler, true);
   }
+
+  // Bring the tier tags up to date with this session's ratings (if turned on for the type)
+  void syncTiersAfterSession();
 }
@@ -1,15 +1,12 @@
 // The navbar "Battle" button that opens the comparison modal.
 
+import { entityTypeOfPage } from "../entities";
 import { openModal } from "./modal";
 
+/** The home page and the list / detail pages of every battled entity type (the modal reads their URL filter). */
 export function shouldShowNavButton(): boolean {
   const path = window.location.pathname;
-  return (
-    path === "/" ||
-    path === "/scenes" ||
-    path === "/scenes/" ||
-    path.startsWith("/scenes/")
-  );
+  return path === "/" || entityTypeOfPage(path) !== null;
 }
 
 /** Inject or remove the Battle nav item based on the current route. Safe to call repeatedly. */
@@ -0,0 +1,144 @@
+// Drag-to-rank list: a batch of scenes the user orders by dragging rows or with the keyboard
+// (↑/↓ select, Shift+↑/↓ move, Enter submit). Submitting is handled in mainUI.ts.
+
+import { currentEntity, entityUrl } from "../entities";
+import { navigateToUrl } from "../navigation";
+import { state } from "../state";
+import type { Scene, SceneGrid } from "../types";
+import { escapeHtml } from "./html";
+import { ageFromBirthdate, formatDuration, sceneImagePath } from "./sceneCard";
+import { resolveSceneTitle } from "./sceneTitle";
+
+function rowDetails(scene: Scene): string[] {
+  const studio = scene.studio ? escapeHtml(scene.studio.name) : "No studio";
+  switch (state.entityType) {
+    case "performer": {
+      const age = ageFromBirthdate(scene.birthdate);
+      return [age !== null ? `Age ${age}` : "Age unknown", `${scene.scene_count ?? 0} scenes`];
+    }
+    case "group":
+      return [studio, `${scene.scene_count ?? 0} scenes`, formatDuration(scene.duration)];
+    case "gallery":
+      return [studio, `${scene.image_count ?? 0} images`];
+    case "image":
+      return [studio, scene.date || "Undated"];
+    default:
+      return [studio, formatDuration(scene.files?.[0]?.duration)];
+  }
+}
+
+/** Rows in the dealt (random) order; the list element is `.sb-rank-list`. */
+export function rankListHtml(grid: SceneGrid): string {
+  const { label } = currentEntity();
+  const rows = grid.scenes.map((scene, i) => {
+    const title = escapeHtml(resolveSceneTitle(scene) || `${label} ${scene.id}`);
+    const screenshotPath = sceneImagePath(scene);
+    const rank = grid.ranks[i];
+    const meta = [...rowDetails(scene), scene.rating100 ? `${scene.rating100}/100` : "Unrated"].join(" · ");
+    return `
+          <li class="sb-rank-row" draggable="true" tabindex="0" data-scene-id="${escapeHtml(scene.id)}">
+            <span class="sb-rank-handle" aria-hidden="true">⠿</span>
+            <span class="sb-rank-position">${i + 1}</span>
+            <div class="sb-rank-thumb" data-scene-url="${entityUrl(scene.id)}" title="Open ${label.toLowerCase()}">
+              ${screenshotPath ? `<img src="${screenshotPath}" alt="" loading="lazy" />` : `<div class="sb-no-image">No Screenshot</div>`}
+            </div>
+            <div class="sb-rank-info">
+              <div class="sb-rank-title">${title}</div>
+              <div class="sb-rank-meta">${meta}</div>
+            </div>
+            ${rank !== null ? `<span class="sb-scene-rank">#${rank}</span>` : ""}
+            <span class="sb-rank-result"></span>
+          </li>`;
+  });
+  return `<ol class="sb-rank-list">${rows.join("")}</ol>`;
+}
+
+function rowsOf(list: HTMLElement): HTMLElement[] {
+  return Array.from(list.querySelectorAll<HTMLElement>(".sb-rank-row"));
+}
+
+function renumber(list: HTMLElement): void {
+  rowsOf(list).forEach((row, i) => {
+    const position = row.querySelector(".sb-rank-position");
+    if (position) position.textContent = String(i + 1);
+  });
+}
+
+/** Scene ids best first, as currently ordered. */
+export function readRankOrder(list: HTMLElement): string[] {
+  return rowsOf(list).map((row) => row.dataset.sceneId as string);
+}
+
+/** Wire dragging, keyboard reordering, thumbnail clicks, and Enter to `onSubmit`. */
+export function bindRankList(list: HTMLElement, onSubmit: () => void): void {
+  let dragged: HTMLElement | null = null;
+
+  for (const row of rowsOf(list)) {
+    row.addEventListener("dragstart", (e) => {
+      dragged = row;
+      row.classList.add("sb-rank-dragging");
+      e.dataTransfer?.setData("text/plain", row.dataset.sceneId ?? "");
+      if (e.dataTransfer) e.dataTransfer.effectAllowed = "move";
+    });
+    row.addEventListener("dragend", () => {
+      row.classList.remove("sb-rank-dragging");
+      dragged = null;
+      renumber(list);
+    });
+
+    row.addEventListener("keydown", (e) => {
+      if (list.classList.contains("sb-rank-locked")) return;
+      if (e.key === "Enter") {
+        e.preventDefault();
+        onSubmit();
+        return;
+      }
+      if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+      e.preventDefault();
+      const up = e.key === "ArrowUp";
+      const neighbour = (up ? row.previousElementSibling : row.nextElementSibling) as HTMLElement | null;
+      if (!neighbour) return;
+      if (e.shiftKey || e.altKey) {
+        if (up) neighbour.before(row);
+        else neighbour.after(row);
+        renumber(list);
+        row.focus();
+      } else {
+        neighbour.focus();
+      }
+    });
+
+    row.querySelector<HTMLElement>(".sb-rank-thumb")?.addEventListener("click", (e) => {
+      const url = (e.currentTarget as HTMLElement).dataset.sceneUrl;
+      if (url) navigateToUrl(url);
+    });
+  }
+
+  // Move the dragged row live to where it would drop (above or below the row under the pointer)
+  list.addEventListener("dragover", (e) => {
+    if (!dragged || list.classList.contains("sb-rank-locked")) return;
+    e.preventDefault();
+    const target = (e.target as HTMLElement).closest<HTMLElement>(".sb-rank-row");
+    if (!target || target === dragged) return;
+    const box = target.getBoundingClientRect();
+    if (e.clientY < box.top + box.height / 2) target.before(dragged);
+    else target.after(dragged);
+  });
+  list.addEventListener("drop", (e) => e.preventDefault());
+}
+
+/** After submitting: lock the list and show each row's rating change next to it. */
+export function showRankResults(list: HTMLElement, before: Map<string, number | null>, after: Map<string, number>): void {
+  list.classList.add("sb-rank-locked");
+  for (const row of rowsOf(list)) {
+    row.draggable = false;
+    const id = row.dataset.sceneId as string;
+    const from = before.get(id) ?? null;
+    const to = after.get(id);
+    const result = row.querySelector<HTMLElement>(".sb-rank-result");
+    if (!result || to === undefined) continue;
+    const change = to - (from ?? 0);
+    result.classList.add(change >= 0 ? "sb-rank-up" : "sb-rank-down");
+    result.textContent = `${from ?? "Unrated"} → ${to} (${change > 0 ? "+" : ""}${change})`;
+  }
+}
@@ -0,0 +1,107 @@
+// Recalculate-rankings preview (History tab): show the Bradley–Terry result before writing it.
+
+import { currentEntity } from "../entities";
+import {
+  applyRecalculation,
+  buildRecalculationPreview,
+  type RecalcPreview,
+  type RecalcRow,
+} from "../recalculate";
+import { escapeHtml } from "./html";
+import { updateUndoButton } from "./mainUI";
+
+function formatRankChange(row: RecalcRow): string {
+  if (row.rankBefore === null) return `<span class="sb-delta-up">new</span>`;
+  const moved = row.rankBefore - row.rankAfter;
+  if (moved === 0) return `<span class="sb-delta-none">–</span>`;
+  return moved > 0 ? `<span class="sb-delta-up">▲${moved}</span>` : `<span class="sb-delta-down">▼${-moved}</span>`;
+}
+
+function previewRow(row: RecalcRow): string {
+  const changed = row.before !== row.after;
+  return `
+            <tr class="${changed ? "" : "sb-recalc-unchanged"}">
+              <td>${row.rankBefore ?? "–"} → ${row.rankAfter}</td>
+              <td>${formatRankChange(row)}</td>
+              <td><span class="sb-history-scene">${escapeHtml(row.title)}</span> <span class="sb-history-id">#${escapeHtml(row.id)}</span></td>
+              <td>${row.before ?? "–"} → ${row.after}</td>
+            </tr>`;
+}
+
+/**
+ * Fit the battle log and render the preview into `container`. Nothing is written until the
+ * user confirms; `onClose` is called after Cancel or once the write finishes.
+ */
+export async function renderRecalculationPreview(container: HTMLElement, onClose: () => void): Promise<void> {
+  container.innerHTML = `<div class="sb-loading">Fitting ratings to the battle log...</div>`;
+  let preview: RecalcPreview;
+  try {
+    preview = await buildRecalculationPreview();
+  } catch (e) {
+    console.error("[Stash Battle] ❌ Recalculation preview failed:", e);
+    container.innerHTML = `
+        <div class="sb-error">Could not fit the battle log: ${escapeHtml(e instanceof Error ? e.message : String(e))}</div>
+        <div class="sb-recalc-actions"><button id="sb-recalc-cancel" class="btn btn-secondary">Back</button></div>
+      `;
+    container.querySelector("#sb-recalc-cancel")?.addEventListener("click", onClose);
+    return;
+  }
+
+  const { label, plural } = currentEntity();
+  if (preview.rows.length === 0) {
+    container.innerHTML = `
+        <div class="sb-panel-empty">No battles between ${plural} in your library to recalculate from.</div>
+        <div class="sb-recalc-actions"><button id="sb-recalc-cancel" class="btn btn-secondary">Back</button></div>
+      `;
+    container.querySelector("#sb-recalc-cancel")?.addEventListener("click", onClose);
+    return;
+  }
+
+  const changedCount = preview.rows.filter((r) => r.before !== r.after).length;
+  const notes = [
+    preview.skippedScenes ? `${preview.skippedScenes} deleted ${plural} skipped` : "",
+    preview.converged ? "" : "fit did not fully converge",
+  ].filter(Boolean);
+
+  container.innerHTML = `
+      <p class="sb-panel-summary">
+        Fitted ${preview.rows.length} ${plural} from ${preview.battles} battles — ${changedCount} ratings would change${notes.length ? ` (${notes.join(", ")})` : ""}.
+        ${plural.charAt(0).toUpperCase() + plural.slice(1)} that were never battled keep their rating.
+      </p>
+      <div class="sb-recalc-actions">
+        <button id="sb-recalc-apply" class="btn btn-primary" ${changedCount === 0 ? "disabled" : ""}>Write ${changedCount} ratings to Stash</button>
+        <button id="sb-recalc-cancel" class="btn btn-secondary">Cancel</button>
+        <span id="sb-recalc-progress" class="sb-panel-summary"></span>
+      </div>
+      <table class="sb-table">
+        <thead>
+          <tr><th>Rank</th><th>Moved</th><th>${escapeHtml(label)}</th><th>Rating</th></tr>
+        </thead>
+        <tbody>
+          ${preview.rows.map(previewRow).join("")}
+        </tbody>
+      </table>
+    `;
+
+  const applyBtn = container.querySelector<HTMLButtonElement>("#sb-recalc-apply");
+  const cancelBtn = container.querySelector<HTMLButtonElement>("#sb-recalc-cancel");
+  const progress = container.querySelector<HTMLElement>("#sb-recalc-progress");
+
+  cancelBtn?.addEventListener("click", onClose);
+  applyBtn?.addEventListener("click", async () => {
+    if (!window.confirm(`Overwrite ${changedCount} ${label.toLowerCase()} ratings in Stash? Undo history will be cleared.`)) return;
+    applyBtn.disabled = true;
+    if (cancelBtn) cancelBtn.disabled = true;
+    try {
+      const written = await applyRecalculation(preview, (done, total) => {
+        if (progress) progress.textContent = `Writing ${done} / ${total}...`;
+      });
+      updateUndoButton();
+      window.alert(`Recalculated rankings: ${written} ratings updated.`);
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Recalculation failed:", e);
+      window.alert(`Recalculation failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+    onClose();
+  });
+}
@@ -0,0 +1,175 @@
+// Rescale ratings (Tools tab): pick a target curve, compare histograms, then write in bulk.
+
+import {
+  RESCALE_DEFAULT_CUSTOM_CURVE,
+  RESCALE_HISTOGRAM_BINS,
+  RESCALE_NORMAL_MEAN,
+  RESCALE_NORMAL_SD,
+} from "../constants";
+import { currentEntity } from "../entities";
+import {
+  applyRescale,
+  buildRescalePreview,
+  parseCustomCurve,
+  type RescaleCurve,
+  type RescaleOptions,
+  type RescalePreview,
+} from "../rescale";
+import { escapeHtml } from "./html";
+import { updateUndoButton } from "./mainUI";
+
+function histogramHtml(before: number[], after: number[]): string {
+  const max = Math.max(1, ...before, ...after);
+  const width = 100 / RESCALE_HISTOGRAM_BINS;
+  const rows = before.map((count, i) => {
+    const from = Math.round(i * width) + 1;
+    const to = Math.round((i + 1) * width);
+    return `
+            <div class="sb-histogram-row">
+              <span class="sb-histogram-label">${from}–${to}</span>
+              <div class="sb-histogram-bars">
+                <div class="sb-histogram-bar sb-histogram-before" style="width:${(count / max) * 100}%"></div>
+                <div class="sb-histogram-bar sb-histogram-after" style="width:${(after[i] / max) * 100}%"></div>
+              </div>
+              <span class="sb-histogram-count">${count} → ${after[i]}</span>
+            </div>`;
+  });
+  return `
+          <div class="sb-histogram">
+            <div class="sb-histogram-legend">
+              <span class="sb-histogram-key sb-histogram-before"></span> Before
+              <span class="sb-histogram-key sb-histogram-after"></span> After
+            </div>
+            ${rows.reverse().join("")}
+          </div>`;
+}
+
+function previewRow(row: RescalePreview["rows"][number], rank: number): string {
+  return `
+            <tr class="${row.before === row.after ? "sb-recalc-unchanged" : ""}">
+              <td>${rank}</td>
+              <td><span class="sb-history-scene">${escapeHtml(row.title)}</span> <span class="sb-history-id">#${escapeHtml(row.id)}</span></td>
+              <td>${row.before} → ${row.after}</td>
+            </tr>`;
+}
+
+/** Read the form; null (with the custom field highlighted) if the custom curve is invalid. */
+function readOptions(container: HTMLElement): RescaleOptions | null {
+  const curve = container.querySelector<HTMLSelectElement>("#sb-rescale-curve")?.value as RescaleCurve;
+  const mean = Number(container.querySelector<HTMLInputElement>("#sb-rescale-mean")?.value);
+  const sd = Number(container.querySelector<HTMLInputElement>("#sb-rescale-sd")?.value);
+  const customInput = container.querySelector<HTMLInputElement>("#sb-rescale-custom");
+
+  const points = curve === "custom" ? parseCustomCurve(customInput?.value ?? "") : [];
+  customInput?.classList.toggle("sb-input-invalid", points === null);
+  if (points === null) return null;
+
+  return {
+    curve,
+    mean: Number.isFinite(mean) ? mean : RESCALE_NORMAL_MEAN,
+    sd: Number.isFinite(sd) && sd > 0 ? sd : RESCALE_NORMAL_SD,
+    points,
+  };
+}
+
+function showCurveInputs(container: HTMLElement): void {
+  const curve = container.querySelector<HTMLSelectElement>("#sb-rescale-curve")?.value;
+  container.querySelectorAll<HTMLElement>("[data-rescale-curve]").forEach((el) => {
+    el.hidden = el.dataset.rescaleCurve !== curve;
+  });
+}
+
+async function renderPreview(container: HTMLElement, options: RescaleOptions): Promise<void> {
+  const area = container.querySelector<HTMLElement>("#sb-rescale-preview");
+  if (!area) return;
+
+  area.innerHTML = `<div class="sb-loading">Computing new ratings...</div>`;
+  let preview: RescalePreview;
+  try {
+    preview = await buildRescalePreview(options);
+  } catch (e) {
+    console.error("[Stash Battle] ❌ Rescale preview failed:", e);
+    area.innerHTML = `<div class="sb-error">Could not compute the new ratings: ${escapeHtml(e instanceof Error ? e.message : String(e))}</div>`;
+    return;
+  }
+  const { label, plural } = currentEntity();
+  if (preview.rows.length === 0) {
+    area.innerHTML = `<div class="sb-panel-empty">No rated ${plural} to rescale.</div>`;
+    return;
+  }
+
+  const changedCount = preview.rows.filter((r) => r.before !== r.after).length;
+  area.innerHTML = `
+      <p class="sb-panel-summary">
+        ${preview.rows.length} rated ${plural} keep their order — ${changedCount} ratings would change. Unrated ${plural} are not touched.
+      </p>
+      ${histogramHtml(preview.histogramBefore, preview.histogramAfter)}
+      <div class="sb-recalc-actions">
+        <button id="sb-rescale-apply" class="btn btn-primary" ${changedCount === 0 ? "disabled" : ""}>Write ${changedCount} ratings to Stash</button>
+        <span id="sb-rescale-progress" class="sb-panel-summary"></span>
+      </div>
+      <table class="sb-table">
+        <thead>
+          <tr><th>Rank</th><th>${escapeHtml(label)}</th><th>Rating</th></tr>
+        </thead>
+        <tbody>
+          ${preview.rows.map((row, i) => previewRow(row, i + 1)).join("")}
+        </tbody>
+      </table>
+    `;
+
+  const applyBtn = area.querySelector<HTMLButtonElement>("#sb-rescale-apply");
+  const progress = area.querySelector<HTMLElement>("#sb-rescale-progress");
+  applyBtn?.addEventListener("click", async () => {
+    if (!window.confirm(`Overwrite ${changedCount} ${label.toLowerCase()} ratings in Stash? Undo history will be cleared.`)) return;
+    applyBtn.disabled = true;
+    try {
+      const written = await applyRescale(preview, (done, total) => {
+        if (progress) progress.textContent = `Writing ${done} / ${total}...`;
+      });
+      updateUndoButton();
+      window.alert(`Rescaled ratings: ${written} ratings updated.`);
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Rescale failed:", e);
+      window.alert(`Rescale failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+    area.innerHTML = "";
+  });
+}
+
+/** Render the rescale tool into `container` (a section of the Tools tab). */
+export function renderRescaleTool(container: HTMLElement): void {
+  container.innerHTML = `
+      <h3 class="sb-tool-title">📊 Rescale Ratings</h3>
+      <p class="sb-panel-summary">
+        Keep the current rank order but spread ratings over a target curve — breaks up ties where many ${currentEntity().plural} sit at 98–100.
+      </p>
+      <div class="sb-panel-controls">
+        <label>
+          Target
+          <select id="sb-rescale-curve" class="sb-input">
+            <option value="uniform">Uniform (percentile)</option>
+            <option value="normal">Normal (bell curve)</option>
+            <option value="custom">Custom curve</option>
+          </select>
+        </label>
+        <label data-rescale-curve="normal" hidden>
+          Mean <input id="sb-rescale-mean" type="number" class="sb-input" min="1" max="100" value="${RESCALE_NORMAL_MEAN}">
+        </label>
+        <label data-rescale-curve="normal" hidden>
+          Std. dev. <input id="sb-rescale-sd" type="number" class="sb-input" min="1" max="50" value="${RESCALE_NORMAL_SD}">
+        </label>
+        <label data-rescale-curve="custom" hidden title="percentile:rating pairs, bottom (0) to top (100); ratings must not decrease">
+          Points <input id="sb-rescale-custom" type="text" class="sb-input sb-rescale-custom" value="${escapeHtml(RESCALE_DEFAULT_CUSTOM_CURVE)}">
+        </label>
+        <button id="sb-rescale-preview-btn" class="btn btn-secondary">Preview</button>
+      </div>
+      <div id="sb-rescale-preview"></div>
+    `;
+
+  container.querySelector("#sb-rescale-curve")?.addEventListener("change", () => showCurveInputs(container));
+  container.querySelector("#sb-rescale-preview-btn")?.addEventListener("click", () => {
+    const options = readOptions(container);
+    if (options) void renderPreview(container, options);
+  });
+}
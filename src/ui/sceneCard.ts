@@ -1,5 +1,11 @@
-// Renders an individual scene card (returns an HTML string).
+// Renders an individual scene card (returns an HTML string). Cards of other entity types share the
+// layout with their own image and details in place of the scene ones.
 
+import { getBattleCounts } from "../battleStats";
+import { currentEntity, entityUrl } from "../entities";
+import { getPreciseRating } from "../preciseRating";
+import { getRatingUncertainty } from "../ratingEngine";
+import { state } from "../state";
 import type { Rank, Scene } from "../types";
 import { resolveSceneTitle } from "./sceneTitle";
 
@@ -14,26 +20,121 @@ export function formatDuration(seconds: number | null | undefined): string {
   return `${m}:${s.toString().padStart(2, "0")}`;
 }
 
+/** "today", "yesterday" or "N days ago" (calendar days, local time). */
+function formatDaysAgo(timestamp: number): string {
+  const startOfDay = (t: number) => new Date(t).setHours(0, 0, 0, 0);
+  const days = Math.round((startOfDay(Date.now()) - startOfDay(timestamp)) / 86400000);
+  if (days <= 0) return "today";
+  if (days === 1) return "yesterday";
+  return `${days} days ago`;
+}
+
+/** Age in whole years from a YYYY-MM-DD birthdate (null when missing or malformed). */
+export function ageFromBirthdate(birthdate: string | null | undefined): number | null {
+  const [year, month, day] = (birthdate ?? "").split("-").map(Number);
+  if (!year || !month || !day) return null;
+  const now = new Date();
+  const hadBirthday = now.getMonth() + 1 > month || (now.getMonth() + 1 === month && now.getDate() >= day);
+  return now.getFullYear() - year - (hadBirthday ? 0 : 1);
+}
+
+/** Card image: scene screenshot, performer image, group front cover, gallery cover or image thumbnail. */
+export function sceneImagePath(scene: Scene): string | null {
+  const { paths } = scene;
+  return paths?.screenshot ?? paths?.cover ?? paths?.thumbnail ?? scene.image_path ?? scene.front_image_path ?? null;
+}
+
+/** Running time shown over the image (scenes and groups), or null for types without one. */
+function runningTime(scene: Scene): string | null {
+  if (state.entityType === "scene") return formatDuration(scene.files?.[0]?.duration);
+  if (state.entityType === "group") return formatDuration(scene.duration);
+  return null;
+}
+
+function metaItem(label: string, value: string | number): string {
+  return `<div class="sb-meta-item"><strong>${label}:</strong> ${value}</div>`;
+}
+
+/** Detail rows above the battle record, per entity type. */
+function entityMetaHtml(scene: Scene): string {
+  const studio = scene.studio ? scene.studio.name : "No studio";
+  const performers =
+    scene.performers && scene.performers.length > 0
+      ? scene.performers.map((p) => p.name).join(", ")
+      : "No performers";
+  const date = scene.date || "Unknown";
+
+  switch (state.entityType) {
+    case "performer": {
+      const age = ageFromBirthdate(scene.birthdate);
+      const details = [age !== null ? String(age) : "Unknown", scene.country].filter(Boolean).join(" · ");
+      return [metaItem("Age", details), metaItem("Scenes", scene.scene_count ?? 0)].join("");
+    }
+    case "group":
+      return [
+        metaItem("Studio", studio),
+        metaItem("Director", scene.director || "Unknown"),
+        metaItem("Scenes", scene.scene_count ?? 0),
+        metaItem("Date", date),
+      ].join("");
+    case "gallery":
+      return [
+        metaItem("Studio", studio),
+        metaItem("Performers", performers),
+        metaItem("Images", scene.image_count ?? 0),
+        metaItem("Date", date),
+      ].join("");
+    case "image":
+      return [metaItem("Studio", studio), metaItem("Performers", performers), metaItem("Date", date)].join("");
+    default:
+      return [
+        metaItem("Studio", studio),
+        metaItem("Performers", performers),
+        metaItem("Play Count", scene.play_count || 0),
+      ].join("");
+  }
+}
+
+/** `side` is the pair side, or the 1-based slot of a best-of-N grid card (its number key). */
 export function createSceneCard(
   scene: Scene,
-  side: "left" | "right",
+  side: "left" | "right" | number,
   rank: Rank = null,
   statusBadge: number | string | null = null,
 ): string {
-  const file = scene.files && scene.files[0] ? scene.files[0] : {};
-  const duration = file.duration;
-  const performers =
-    scene.performers && scene.performers.length > 0
-      ? scene.performers.map((p) => p.name).join(", ")
-      : "No performers";
-  const studio = scene.studio ? scene.studio.name : "No studio";
+  const duration = runningTime(scene);
   const tags = scene.tags ? scene.tags.slice(0, 5).map((t) => t.name) : [];
 
   const title = resolveSceneTitle(scene);
 
-  const screenshotPath = scene.paths ? scene.paths.screenshot : null;
+  const screenshotPath = sceneImagePath(scene);
   const previewPath = scene.paths ? scene.paths.preview : null;
-  const stashRating = scene.rating100 ? `${scene.rating100}/100` : "Unrated";
+  // Precise rating shown alongside when it isn't a whole number (ties at the same rating100)
+  const precise = scene.rating100 ? getPreciseRating(scene) : null;
+  const preciseHtml =
+    precise !== null && !Number.isInteger(precise) ? ` <span class="sb-precise-rating">(${precise.toFixed(2)})</span>` : "";
+  const stashRating = scene.rating100 ? `${scene.rating100}/100${preciseHtml}` : "Unrated";
+
+  // Glicko-2 deviation (in rating100 points) — only meaningful when that engine is active
+  let uncertaintyHtml = "";
+  if (state.ratingEngine === "glicko2") {
+    const uncertainty = getRatingUncertainty(scene);
+    uncertaintyHtml = `<div class="sb-meta-item"><strong>Uncertainty:</strong> ${uncertainty === null ? "New" : `±${Math.round(uncertainty)}`}</div>`;
+  }
+
+  // Battle record from the scene's custom fields (W–L–D); omitted for types without custom fields
+  const counts = getBattleCounts(scene);
+  const battlesText =
+    counts.battles > 0 ? `${counts.battles} (${counts.wins}–${counts.losses}–${counts.draws})` : "None yet";
+  const battlesHtml = currentEntity().customFields ? metaItem("Battles", battlesText) : "";
+  // Best win streak and champion titles, once there are any
+  const honours = [
+    counts.bestStreak > 1 ? `🔥 ${counts.bestStreak} wins in a row` : "",
+    counts.titles > 0 ? `👑 ${counts.titles === 1 ? "1 title" : `${counts.titles} titles`}` : "",
+  ].filter(Boolean);
+  const honoursHtml = honours.length > 0 ? metaItem("Best", honours.join(" · ")) : "";
+  // Omitted for scenes last battled before the date was tracked
+  const lastBattledHtml = counts.lastBattled !== null ? metaItem("Last battled", formatDaysAgo(counts.lastBattled)) : "";
 
   // Numeric rank badge (#N), omitted when null
   let rankDisplay = "";
@@ -50,11 +151,11 @@ export function createSceneCard(
   }
 
   // Preserve URL search params when opening scene
-  const currentParams = window.location.search;
-  const sceneUrl = `/scenes/${scene.id}${currentParams}`;
+  const sceneUrl = entityUrl(scene.id);
+  const noun = currentEntity().label;
 
   return `
-      <div class="sb-scene-card" data-side="${side}">
+      <div class="sb-scene-card" data-side="${side}" data-entity="${state.entityType}">
         <div class="sb-scene-image-container" data-scene-url="${sceneUrl}">
           ${
             screenshotPath
@@ -62,9 +163,9 @@ export function createSceneCard(
               : `<div class="sb-scene-image sb-no-image">No Screenshot</div>`
           }
           ${previewPath ? `<video class="sb-hover-preview" src="${previewPath}" loop playsinline></video>` : ""}
-          <div class="sb-scene-duration">${formatDuration(duration)}</div>
+          ${duration !== null ? `<div class="sb-scene-duration">${duration}</div>` : ""}
           ${statusBadgeHtml}
-          <div class="sb-click-hint">Click to open scene</div>
+          <div class="sb-click-hint">Click to open ${noun.toLowerCase()}</div>
         </div>
 
         <div class="sb-scene-body" data-winner="${scene.id}">
@@ -75,16 +176,18 @@ export function createSceneCard(
             </div>
 
             <div class="sb-scene-meta">
-              <div class="sb-meta-item"><strong>Studio:</strong> ${studio}</div>
-              <div class="sb-meta-item"><strong>Performers:</strong> ${performers}</div>
-              <div class="sb-meta-item"><strong>Play Count:</strong> ${scene.play_count || 0}</div>
+              ${entityMetaHtml(scene)}
+              ${battlesHtml}
+              ${honoursHtml}
+              ${lastBattledHtml}
               <div class="sb-meta-item"><strong>Rating:</strong> ${stashRating}</div>
+              ${uncertaintyHtml}
               <div class="sb-meta-item sb-tags-row"><strong>Tags:</strong> ${tags.length > 0 ? tags.map((tag) => `<span class="sb-tag">${tag}</span>`).join("") : '<span class="sb-none">None</span>'}</div>
             </div>
           </div>
 
           <div class="sb-choose-btn">
-            ✓ Choose This Scene
+            ✓ Choose This ${noun}
           </div>
         </div>
       </div>
@@ -1,8 +1,12 @@
 import type { Scene } from "../types";
 
-/** Scene title from metadata, or the filename (without extension) from the file path. */
+/**
+ * Scene title from metadata, or the filename (without extension) from the file path. Performers
+ * use their name, with the disambiguation in parentheses.
+ */
 export function resolveSceneTitle(scene: Scene): string {
   if (scene.title) return scene.title;
+  if (scene.name) return scene.disambiguation ? `${scene.name} (${scene.disambiguation})` : scene.name;
 
   const path = scene.files?.[0]?.path;
   if (path) {
@@ -1,9 +1,18 @@
-// Victory and placement end-screens for gauntlet/champion runs.
+// Victory and placement end-screens for gauntlet/champion runs and calibrations, the tournament
+// bracket screens and the round-robin table.
 
+import { countChampionTitle } from "../battleStats";
+import { currentEntity } from "../entities";
+import { applySpreadRatings, buildSpreadRatings, roundRobinTable } from "../roundRobin";
 import { resetGauntletState, state } from "../state";
 import { saveState } from "../storage";
+import { currentRoundIndex, roundName, tournamentWins } from "../tournament";
 import type { Scene } from "../types";
-import { loadNewPair } from "./mainUI";
+import { attachChampionTitle, canUndo } from "../undo";
+import { renderBracketHtml } from "./bracket";
+import { escapeHtml } from "./html";
+import { loadNewPair, syncModeControls, undoLastChoice, updateUndoButton } from "./mainUI";
+import { sceneImagePath } from "./sceneCard";
 import { resolveSceneTitle } from "./sceneTitle";
 
 function buildEndScreenHtml(
@@ -12,9 +21,10 @@ function buildEndScreenHtml(
   headline: string,
   statsHtml: string,
   buttonLabel: string,
+  extraHtml = "",
 ): string {
   const title = resolveSceneTitle(scene);
-  const screenshotPath = scene.paths?.screenshot ?? null;
+  const screenshotPath = sceneImagePath(scene);
 
   return `
       <div class="sb-end-screen">
@@ -29,7 +39,11 @@ function buildEndScreenHtml(
         </div>
         <h3 class="sb-end-screen-name">${title}</h3>
         <p class="sb-end-screen-stats">${statsHtml}</p>
-        <button id="sb-new-gauntlet" class="btn btn-primary">${buttonLabel}</button>
+        <div class="sb-end-screen-buttons">
+          <button id="sb-new-gauntlet" class="btn btn-primary">${buttonLabel}</button>
+          ${canUndo() ? `<button id="sb-end-undo" class="btn btn-secondary">↶ Undo Last Choice</button>` : ""}
+        </div>
+        ${extraHtml}
       </div>
     `;
 }
@@ -48,6 +62,9 @@ function showEndScreen(html: string): void {
     if (actionsEl) actionsEl.style.display = "";
     loadNewPair();
   });
+  comparisonArea.querySelector("#sb-end-undo")?.addEventListener("click", () => {
+    void undoLastChoice();
+  });
 }
 
 /** Capture display values, clear run state, then show the end screen. */
@@ -57,9 +74,21 @@ function finishRunShowEndScreen(html: string): void {
   showEndScreen(html);
 }
 
+/** Count the champion title in the winner's battle stats, taken back if the winning choice is undone. */
+function crownChampion(champion: Scene): void {
+  void countChampionTitle(champion.id);
+  attachChampionTitle(champion.id);
+}
+
 export function showVictoryScreen(champion: Scene): void {
+  crownChampion(champion);
   const totalScenes = state.totalScenesCount;
   const winStreak = state.gauntletWins;
+  const { plural } = currentEntity();
+  const conquest =
+    state.currentMode === "gauntlet" && state.gauntletRunStart === "top"
+      ? `Took #1 of ${totalScenes} ${plural} in its first battle!`
+      : `Conquered all ${totalScenes} ${plural} with a ${winStreak} win streak!`;
   const ratingLine =
     champion.rating100 != null
       ? `<br>Rating: <strong>${champion.rating100}/100</strong>`
@@ -69,21 +98,202 @@ export function showVictoryScreen(champion: Scene): void {
     champion,
     "👑",
     "CHAMPION!",
-    `Conquered all ${totalScenes} scenes with a ${winStreak} win streak!${ratingLine}`,
+    `${conquest}${ratingLine}`,
     "Start New Gauntlet",
   );
 
   finishRunShowEndScreen(html);
 }
 
-export function showPlacementScreen(scene: Scene, rank: number, finalRating: number): void {
+/** Placement result (gauntlet; quick place also passes how many comparisons it took). */
+export function showPlacementScreen(scene: Scene, rank: number, finalRating: number, comparisons?: number): void {
+  const comparisonsLine = comparisons !== undefined ? `<br>Placed in ${comparisons} comparison${comparisons === 1 ? "" : "s"}` : "";
   const html = buildEndScreenHtml(
     scene,
     "📍",
     "PLACED!",
-    `Rank <strong>#${rank}</strong> of ${state.totalScenesCount}<br>Rating: <strong>${finalRating}/100</strong>`,
+    `Rank <strong>#${rank}</strong> of ${state.totalScenesCount}<br>Rating: <strong>${finalRating}/100</strong>${comparisonsLine}`,
     "Start New Run",
   );
 
   finishRunShowEndScreen(html);
 }
+
+/** A calibrated scene: where it landed, and how many unrated scenes the filter still holds. */
+export function showCalibrationScreen(
+  scene: Scene,
+  rank: number,
+  finalRating: number,
+  battles: number,
+  unratedLeft: number,
+): void {
+  const { label, plural } = currentEntity();
+  const unratedLine =
+    unratedLeft === 0
+      ? `No unrated ${plural} left in this filter`
+      : `${unratedLeft} unrated ${unratedLeft === 1 ? label.toLowerCase() : plural} left in this filter`;
+  const html = buildEndScreenHtml(
+    scene,
+    "🎚️",
+    "CALIBRATED!",
+    `Rank <strong>#${rank}</strong> of ${state.totalScenesCount}<br>Rating: <strong>${finalRating}/100</strong> after ${battles} battles` +
+      `<br>${unratedLine}`,
+    unratedLeft === 0 ? "Done" : `Calibrate Next ${label}`,
+  );
+
+  finishRunShowEndScreen(html);
+}
+
+/** Calibration with no unrated scene left in the filter: offer Swiss instead. */
+export function showCalibrationDoneScreen(): void {
+  const html = `
+      <div class="sb-end-screen">
+        <div class="sb-end-screen-icon">✅</div>
+        <h2 class="sb-end-screen-headline">ALL CALIBRATED</h2>
+        <p class="sb-end-screen-stats">Every ${currentEntity().label.toLowerCase()} in this filter has a rating. Swiss mode keeps refining them.</p>
+        <div class="sb-end-screen-buttons">
+          <button id="sb-calibration-swiss" class="btn btn-primary">Switch to Swiss</button>
+          ${canUndo() ? `<button id="sb-end-undo" class="btn btn-secondary">↶ Undo Last Choice</button>` : ""}
+        </div>
+      </div>
+    `;
+
+  finishRunShowEndScreen(html);
+
+  document.getElementById("sb-calibration-swiss")?.addEventListener("click", () => {
+    state.currentMode = "swiss";
+    syncModeControls();
+    const actionsEl = document.querySelector<HTMLElement>(".sb-actions");
+    if (actionsEl) actionsEl.style.display = "";
+    saveState();
+    loadNewPair();
+  });
+}
+
+/** Between rounds: the bracket so far, and a button to play the next round. */
+export function showTournamentRoundScreen(): void {
+  const tournament = state.tournament;
+  const comparisonArea = document.getElementById("sb-comparison-area");
+  if (!tournament || !comparisonArea) return;
+
+  const round = currentRoundIndex(tournament);
+  const name = roundName(tournament, round);
+  const headline = round === 0 ? `${tournament.entrants.length}-${currentEntity().label} Tournament` : `${name} Up Next`;
+
+  comparisonArea.innerHTML = `
+      <div class="sb-end-screen sb-bracket-screen">
+        <h2 class="sb-end-screen-headline">🏟️ ${headline}</h2>
+        ${renderBracketHtml(tournament)}
+        <div class="sb-end-screen-buttons">
+          <button id="sb-bracket-continue" class="btn btn-primary">Start ${name}</button>
+          ${canUndo() ? `<button id="sb-end-undo" class="btn btn-secondary">↶ Undo Last Choice</button>` : ""}
+        </div>
+      </div>
+    `;
+
+  const actionsEl = document.querySelector<HTMLElement>(".sb-actions");
+  if (actionsEl) actionsEl.style.display = "none";
+
+  comparisonArea.querySelector("#sb-bracket-continue")?.addEventListener("click", () => {
+    tournament.roundIntroPending = false;
+    saveState();
+    if (actionsEl) actionsEl.style.display = "";
+    loadNewPair();
+  });
+  comparisonArea.querySelector("#sb-end-undo")?.addEventListener("click", () => {
+    void undoLastChoice();
+  });
+}
+
+export function showTournamentVictoryScreen(champion: Scene): void {
+  const tournament = state.tournament;
+  if (!tournament) return;
+
+  crownChampion(champion);
+  const entrant = tournament.entrants.findIndex((s) => s.id === champion.id);
+  const wins = tournamentWins(tournament, entrant);
+  const ratingLine =
+    champion.rating100 != null
+      ? `<br>Rating: <strong>${champion.rating100}/100</strong>`
+      : "";
+
+  const html = buildEndScreenHtml(
+    champion,
+    "👑",
+    "TOURNAMENT CHAMPION!",
+    `Seed <strong>#${entrant + 1}</strong> won all ${wins} matches of a ${tournament.entrants.length}-${currentEntity().label.toLowerCase()} bracket!${ratingLine}`,
+    "Start New Tournament",
+    renderBracketHtml(tournament),
+  );
+
+  finishRunShowEndScreen(html);
+}
+
+/** Final round-robin table, with an optional write of ratings spread over the entrants' current range. */
+export function showRoundRobinTableScreen(scenes: Scene[]): void {
+  const roundRobin = state.roundRobin;
+  const comparisonArea = document.getElementById("sb-comparison-area");
+  if (!roundRobin || !comparisonArea) return;
+
+  const table = roundRobinTable(roundRobin, scenes);
+  const spread = buildSpreadRatings(table);
+  const changed = spread ? spread.filter((r) => r.after !== r.before).length : 0;
+  const { label, plural } = currentEntity();
+
+  const rowsHtml = table.map((row, i) => {
+    const title = resolveSceneTitle(row.scene) || `${label} ${row.scene.id}`;
+    const rating = row.scene.rating100 ?? "—";
+    return `
+            <tr>
+              <td>${i + 1}</td>
+              <td><span class="sb-history-scene">${escapeHtml(title)}</span> <span class="sb-history-id">#${escapeHtml(row.scene.id)}</span></td>
+              <td>${row.wins}</td>
+              <td>${row.draws}</td>
+              <td>${row.losses}</td>
+              <td><strong>${row.points}</strong></td>
+              <td>${spread ? `${rating} → ${spread[i].after}` : rating}</td>
+            </tr>`;
+  });
+
+  const spreadHtml = spread
+    ? `<p class="sb-panel-summary">
+          Spread ratings by finishing position from ${spread[0].after} down to ${spread[spread.length - 1].after} (the entrants' current range)?
+        </p>
+        <button id="sb-rr-spread" class="btn btn-secondary" ${changed === 0 ? "disabled" : ""}>Write ${changed} ratings to Stash</button>
+        <span id="sb-rr-spread-progress" class="sb-panel-summary"></span>`
+    : `<p class="sb-panel-summary">The entrants need at least two different ratings to spread ratings from the table.</p>`;
+
+  const html = `
+      <div class="sb-end-screen sb-rr-table-screen">
+        <div class="sb-end-screen-icon">🔄</div>
+        <h2 class="sb-end-screen-headline">ROUND ROBIN COMPLETE</h2>
+        <p class="sb-end-screen-stats">${table.length} ${plural}, ${roundRobin.schedule.length} matches — points, then head-to-head</p>
+        <table class="sb-table sb-rr-table">
+          <thead>
+            <tr><th>#</th><th>${escapeHtml(label)}</th><th>W</th><th>D</th><th>L</th><th>Pts</th><th>Rating</th></tr>
+          </thead>
+          <tbody>${rowsHtml.join("")}</tbody>
+        </table>
+        <div class="sb-rr-spread">${spreadHtml}</div>
+        <div class="sb-end-screen-buttons">
+          <button id="sb-new-gauntlet" class="btn btn-primary">Start New Round Robin</button>
+          ${canUndo() ? `<button id="sb-end-undo" class="btn btn-secondary">↶ Undo Last Choice</button>` : ""}
+        </div>
+      </div>
+    `;
+
+  finishRunShowEndScreen(html);
+
+  const spreadBtn = comparisonArea.querySelector<HTMLButtonElement>("#sb-rr-spread");
+  const progress = comparisonArea.querySelector<HTMLElement>("#sb-rr-spread-progress");
+  spreadBtn?.addEventListener("click", async () => {
+    if (!spread || !window.confirm(`Overwrite ${changed} ${label.toLowerCase()} ratings in Stash? Undo history will be cleared.`)) return;
+    spreadBtn.disabled = true;
+    const written = await applySpreadRatings(spread, (done, total) => {
+      if (progress) progress.textContent = `Writing ${done} / ${total}...`;
+    });
+    if (progress) progress.textContent = `✓ ${written} ratings written`;
+    comparisonArea.querySelector("#sb-end-undo")?.remove();
+    updateUndoButton();
+  });
+}
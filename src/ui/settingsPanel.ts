@@ -0,0 +1,131 @@
+// Settings tab: edit the plugin configuration stored in Stash.
+
+import {
+  getDefaultSettings,
+  kThresholdsInOrder,
+  loadSettings,
+  saveSettings,
+  SETTING_DEFS,
+  settings,
+  validateSetting,
+  type SettingDef,
+  type SettingKey,
+  type Settings,
+} from "../settings";
+import { escapeHtml } from "./html";
+import { updateClimbPoolWarning } from "./mainUI";
+
+function settingRow(def: SettingDef): string {
+  if (def.kind === "choice") {
+    const defaultLabel = def.options.find((o) => o.value === def.defaultValue)?.label ?? def.defaultValue;
+    return `
+          <label class="sb-setting">
+            <span class="sb-setting-label">${escapeHtml(def.label)}</span>
+            <select class="sb-input" data-setting-key="${def.key}">
+              ${def.options
+                .map(
+                  (o) =>
+                    `<option value="${escapeHtml(o.value)}" ${settings[def.key] === o.value ? "selected" : ""}>${escapeHtml(o.label)}</option>`,
+                )
+                .join("")}
+            </select>
+            <span class="sb-setting-desc">${escapeHtml(def.description)} (default ${escapeHtml(defaultLabel)})</span>
+          </label>`;
+  }
+  return `
+          <label class="sb-setting">
+            <span class="sb-setting-label">${escapeHtml(def.label)}</span>
+            <input type="number" class="sb-input" data-setting-key="${def.key}" min="${def.min}" max="${def.max}" step="1" value="${settings[def.key]}">
+            <span class="sb-setting-desc">${escapeHtml(def.description)} (default ${def.defaultValue}, ${def.min}–${def.max})</span>
+          </label>`;
+}
+
+function setStatus(panel: HTMLElement, message: string, isError = false): void {
+  const status = panel.querySelector<HTMLElement>("#sb-settings-status");
+  if (!status) return;
+  status.textContent = message;
+  status.classList.toggle("sb-settings-error", isError);
+}
+
+/** Read every input; invalid ones are highlighted and make the result null. */
+function readForm(panel: HTMLElement): Settings | null {
+  const values = { ...settings };
+  const fields = values as unknown as Record<SettingKey, number | string>;
+  let valid = true;
+  panel.querySelectorAll<HTMLInputElement | HTMLSelectElement>("[data-setting-key]").forEach((input) => {
+    const def = SETTING_DEFS.find((d) => d.key === input.dataset.settingKey);
+    if (!def) return;
+    const value = validateSetting(def, input.value);
+    input.classList.toggle("sb-input-invalid", value === null);
+    if (value === null) valid = false;
+    else fields[def.key] = value;
+  });
+  if (valid && !kThresholdsInOrder(values)) {
+    for (const key of ["kSettlingAt", "kEstablishedAt", "kStableAt"]) {
+      panel.querySelector(`[data-setting-key="${key}"]`)?.classList.add("sb-input-invalid");
+    }
+    return null;
+  }
+  return valid ? values : null;
+}
+
+/** Load the current configuration from Stash and render the settings form. */
+export async function renderSettingsPanel(): Promise<void> {
+  const panel = document.getElementById("sb-settings-panel");
+  if (!panel) return;
+
+  panel.innerHTML = `<div class="sb-loading">Loading settings...</div>`;
+  await loadSettings();
+
+  const groups = [...new Set(SETTING_DEFS.map((d) => d.group))];
+  panel.innerHTML = `
+      <p class="sb-panel-summary">
+        Saved to the plugin's configuration in Stash (also editable under Settings → Plugins). Changes apply from the next battle.
+      </p>
+      ${groups
+        .map(
+          (group) => `
+        <fieldset class="sb-settings-group">
+          <legend>${escapeHtml(group)}</legend>
+          ${SETTING_DEFS.filter((d) => d.group === group)
+            .map(settingRow)
+            .join("")}
+        </fieldset>`,
+        )
+        .join("")}
+      <div class="sb-panel-controls">
+        <button id="sb-settings-save" class="btn btn-primary">Save Settings</button>
+        <button id="sb-settings-defaults" class="btn btn-secondary">Reset to Defaults</button>
+        <span id="sb-settings-status" class="sb-panel-summary"></span>
+      </div>
+    `;
+
+  panel.querySelector("#sb-settings-defaults")?.addEventListener("click", () => {
+    const defaults = getDefaultSettings();
+    panel.querySelectorAll<HTMLInputElement | HTMLSelectElement>("[data-setting-key]").forEach((input) => {
+      input.value = String(defaults[input.dataset.settingKey as SettingKey]);
+      input.classList.remove("sb-input-invalid");
+    });
+    setStatus(panel, "Defaults filled in — save to apply.");
+  });
+
+  panel.querySelector<HTMLButtonElement>("#sb-settings-save")?.addEventListener("click", async (e) => {
+    const values = readForm(panel);
+    if (!values) {
+      setStatus(panel, "Some values are out of range or out of order — fix the highlighted fields.", true);
+      return;
+    }
+    const saveBtn = e.currentTarget as HTMLButtonElement;
+    saveBtn.disabled = true;
+    try {
+      await saveSettings(values);
+      updateClimbPoolWarning();
+      setStatus(panel, "Settings saved.");
+    } catch (err) {
+      console.error("[Stash Battle] Failed to save settings:", err);
+      setStatus(panel, "Saving failed — see the browser console.", true);
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,213 @@
+// Rating snapshots (Tools tab): list saved snapshots, compare one with Stash, restore all or some.
+
+import { currentEntity } from "../entities";
+import { settings } from "../settings";
+import {
+  deleteSnapshot,
+  diffSnapshot,
+  listSnapshots,
+  restoreSnapshot,
+  takeSnapshot,
+  type SnapshotDiff,
+  type SnapshotDiffRow,
+} from "../snapshots";
+import type { RatingSnapshot, SnapshotKind } from "../types";
+import { escapeHtml } from "./html";
+import { updateUndoButton } from "./mainUI";
+
+const KIND_LABELS: Record<SnapshotKind, string> = {
+  session: "Session start",
+  manual: "Manual",
+  restore: "Before restore",
+  import: "Before import",
+};
+
+function formatRating(rating: number | null): string {
+  return rating === null ? "Unrated" : String(rating);
+}
+
+function snapshotRow(snapshot: RatingSnapshot): string {
+  const ratings = Object.values(snapshot.ratings);
+  const rated = ratings.filter((r) => r !== null).length;
+  return `
+            <tr>
+              <td class="sb-history-time">${new Date(snapshot.timestamp).toLocaleString()}</td>
+              <td>${KIND_LABELS[snapshot.kind]}</td>
+              <td>${rated} of ${ratings.length}</td>
+              <td class="sb-snapshot-actions">
+                <button class="btn btn-secondary btn-sm" data-snapshot-compare="${snapshot.id}">Compare</button>
+                <button class="btn btn-secondary btn-sm" data-snapshot-delete="${snapshot.id}">Delete</button>
+              </td>
+            </tr>`;
+}
+
+function diffRow(row: SnapshotDiffRow): string {
+  const { label } = currentEntity();
+  return `
+            <tr>
+              <td><input type="checkbox" class="sb-snapshot-pick" data-id="${escapeHtml(row.id)}" checked></td>
+              <td><span class="sb-history-scene">${escapeHtml(row.title || `${label} ${row.id}`)}</span> <span class="sb-history-id">#${escapeHtml(row.id)}</span></td>
+              <td>${formatRating(row.current)} → ${formatRating(row.snapshot)}</td>
+            </tr>`;
+}
+
+async function renderDiff(container: HTMLElement, snapshot: RatingSnapshot): Promise<void> {
+  const area = container.querySelector<HTMLElement>("#sb-snapshot-diff");
+  if (!area) return;
+  const { plural } = currentEntity();
+
+  area.innerHTML = `<div class="sb-loading">Comparing with Stash...</div>`;
+  let diff: SnapshotDiff;
+  try {
+    diff = await diffSnapshot(snapshot);
+  } catch (e) {
+    console.error("[Stash Battle] ❌ Snapshot compare failed:", e);
+    area.innerHTML = `<div class="sb-error">Could not compare with Stash: ${escapeHtml(e instanceof Error ? e.message : String(e))}</div>`;
+    return;
+  }
+  const notes = [
+    diff.added > 0 ? `${diff.added} ${plural} added since are not touched` : "",
+    diff.removed > 0 ? `${diff.removed} no longer in the library` : "",
+  ].filter(Boolean);
+  const taken = new Date(snapshot.timestamp).toLocaleString();
+
+  if (diff.rows.length === 0) {
+    area.innerHTML = `<div class="sb-panel-empty">Every rating still matches the snapshot of ${taken}.${notes.length > 0 ? ` (${notes.join("; ")})` : ""}</div>`;
+    return;
+  }
+
+  area.innerHTML = `
+      <p class="sb-panel-summary">
+        ${diff.rows.length} ratings changed since the snapshot of ${taken}${notes.length > 0 ? ` — ${notes.join("; ")}` : ""}.
+      </p>
+      <div class="sb-recalc-actions">
+        <button id="sb-snapshot-restore" class="btn btn-primary">Restore ${diff.rows.length} ratings</button>
+        <span id="sb-snapshot-progress" class="sb-panel-summary"></span>
+      </div>
+      <table class="sb-table">
+        <thead>
+          <tr><th><input type="checkbox" id="sb-snapshot-pick-all" checked></th><th>${escapeHtml(currentEntity().label)}</th><th>Now → Snapshot</th></tr>
+        </thead>
+        <tbody>
+          ${diff.rows.map(diffRow).join("")}
+        </tbody>
+      </table>
+    `;
+
+  const restoreBtn = area.querySelector<HTMLButtonElement>("#sb-snapshot-restore");
+  const progress = area.querySelector<HTMLElement>("#sb-snapshot-progress");
+  const picks = Array.from(area.querySelectorAll<HTMLInputElement>(".sb-snapshot-pick"));
+  const pickAll = area.querySelector<HTMLInputElement>("#sb-snapshot-pick-all");
+  const selectedRows = () => {
+    const ids = new Set(picks.filter((p) => p.checked).map((p) => p.dataset.id));
+    return diff.rows.filter((row) => ids.has(row.id));
+  };
+  const updateRestoreButton = () => {
+    const count = selectedRows().length;
+    if (!restoreBtn) return;
+    restoreBtn.textContent = `Restore ${count} ratings`;
+    restoreBtn.disabled = count === 0;
+  };
+
+  pickAll?.addEventListener("change", () => {
+    picks.forEach((p) => (p.checked = pickAll.checked));
+    updateRestoreButton();
+  });
+  picks.forEach((p) => p.addEventListener("change", updateRestoreButton));
+
+  restoreBtn?.addEventListener("click", async () => {
+    const rows = selectedRows();
+    const message = `Write ${rows.length} ${currentEntity().label.toLowerCase()} ratings back from the snapshot of ${taken}? The current ratings are saved as a snapshot first. Undo history will be cleared.`;
+    if (!window.confirm(message)) return;
+    restoreBtn.disabled = true;
+    try {
+      const written = await restoreSnapshot(snapshot, rows, (done, total) => {
+        if (progress) progress.textContent = `Writing ${done} / ${total}...`;
+      });
+      updateUndoButton();
+      window.alert(`Restored ratings: ${written} ratings updated.`);
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Snapshot restore failed:", e);
+      window.alert(`Restore failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+    await renderSnapshotList(container);
+    area.innerHTML = "";
+  });
+}
+
+async function renderSnapshotList(container: HTMLElement): Promise<void> {
+  const list = container.querySelector<HTMLElement>("#sb-snapshot-list");
+  if (!list) return;
+
+  const snapshots = await listSnapshots();
+  if (snapshots.length === 0) {
+    list.innerHTML = `<div class="sb-panel-empty">No snapshots yet.</div>`;
+    return;
+  }
+
+  list.innerHTML = `
+      <table class="sb-table">
+        <thead>
+          <tr><th>Taken</th><th>Kind</th><th>Rated</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${snapshots.map(snapshotRow).join("")}
+        </tbody>
+      </table>
+    `;
+
+  const byId = new Map(snapshots.map((s) => [String(s.id), s]));
+  list.querySelectorAll<HTMLButtonElement>("[data-snapshot-compare]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const snapshot = byId.get(btn.dataset.snapshotCompare ?? "");
+      if (snapshot) void renderDiff(container, snapshot);
+    });
+  });
+  list.querySelectorAll<HTMLButtonElement>("[data-snapshot-delete]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      if (!window.confirm("Delete this snapshot? Ratings in Stash are not affected.")) return;
+      await deleteSnapshot(Number(btn.dataset.snapshotDelete));
+      const diffArea = container.querySelector<HTMLElement>("#sb-snapshot-diff");
+      if (diffArea) diffArea.innerHTML = "";
+      await renderSnapshotList(container);
+    });
+  });
+}
+
+/** Render the snapshot manager into `container` (a section of the Tools tab). */
+export function renderSnapshotTool(container: HTMLElement): void {
+  const { plural } = currentEntity();
+  const automatic =
+    settings.snapshotsKept > 0
+      ? `One is taken when the modal opens if ratings changed since the last one (the latest ${settings.snapshotsKept} are kept).`
+      : "Automatic snapshots are off (Settings → Automatic snapshots).";
+  container.innerHTML = `
+      <h3 class="sb-tool-title">🗂️ Rating Snapshots</h3>
+      <p class="sb-panel-summary">
+        Saved copies of every ${currentEntity().label.toLowerCase()} rating, to roll back a session of battles or a bulk tool. ${automatic}
+      </p>
+      <div class="sb-panel-controls">
+        <button id="sb-snapshot-take" class="btn btn-secondary">📸 Take snapshot now</button>
+        <span id="sb-snapshot-status" class="sb-panel-summary"></span>
+      </div>
+      <div id="sb-snapshot-list"><div class="sb-loading">Loading snapshots...</div></div>
+      <div id="sb-snapshot-diff"></div>
+    `;
+
+  const takeBtn = container.querySelector<HTMLButtonElement>("#sb-snapshot-take");
+  const status = container.querySelector<HTMLElement>("#sb-snapshot-status");
+  takeBtn?.addEventListener("click", async () => {
+    takeBtn.disabled = true;
+    if (status) status.textContent = `Reading ${plural}...`;
+    const snapshot = await takeSnapshot("manual");
+    if (status) {
+      status.textContent = snapshot
+        ? `Saved ${Object.keys(snapshot.ratings).length} ratings.`
+        : "Snapshot failed — see the console.";
+    }
+    takeBtn.disabled = false;
+    await renderSnapshotList(container);
+  });
+
+  void renderSnapshotList(container);
+}
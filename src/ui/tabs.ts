@@ -0,0 +1,54 @@
+// Modal tabs: the battle view plus secondary panels (history, tools, settings, ...).
+
+import { renderHistoryPanel } from "./historyPanel";
+import { renderSettingsPanel } from "./settingsPanel";
+import { renderToolsPanel } from "./toolsPanel";
+
+type TabId = "battle" | "history" | "tools" | "settings";
+
+const TABS: { id: TabId; label: string; render?: () => void }[] = [
+  { id: "battle", label: "⚔️ Battle" },
+  { id: "history", label: "📜 History", render: () => void renderHistoryPanel() },
+  { id: "tools", label: "🛠️ Tools", render: renderToolsPanel },
+  { id: "settings", label: "⚙️ Settings", render: () => void renderSettingsPanel() },
+];
+
+let activeTab: TabId = "battle";
+
+export function createTabBar(): string {
+  return `
+          <div class="sb-tabs">
+            ${TABS.map(
+              (tab) =>
+                `<button class="sb-tab-btn ${tab.id === activeTab ? "active" : ""}" data-tab="${tab.id}">${tab.label}</button>`,
+            ).join("")}
+          </div>
+    `;
+}
+
+/** Arrow/space shortcuts only apply while the battle tab is showing. */
+export function isBattleTabActive(): boolean {
+  return activeTab === "battle";
+}
+
+export function showTab(root: HTMLElement, tabId: TabId): void {
+  activeTab = tabId;
+  root.querySelectorAll<HTMLElement>(".sb-tab-btn").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.tab === tabId);
+  });
+  root.querySelectorAll<HTMLElement>("[data-tab-panel]").forEach((panel) => {
+    panel.hidden = panel.dataset.tabPanel !== tabId;
+  });
+  TABS.find((tab) => tab.id === tabId)?.render?.();
+}
+
+/** Render the showing secondary panel again (after an entity type switch its previews are of the old type). */
+export function refreshActiveTab(): void {
+  TABS.find((tab) => tab.id === activeTab)?.render?.();
+}
+
+export function bindTabs(root: HTMLElement): void {
+  root.querySelectorAll<HTMLElement>(".sb-tab-btn").forEach((btn) => {
+    btn.addEventListener("click", () => showTab(root, btn.dataset.tab as TabId));
+  });
+}
@@ -0,0 +1,198 @@
+// Tier tags (Tools tab): define tiers by percentile or rating, preview the tier moves, then write tags.
+
+import { TIER_DEFAULT_PERCENTILES, TIER_DEFAULT_RATINGS } from "../constants";
+import { currentEntity } from "../entities";
+import {
+  applyTierSync,
+  formatTiers,
+  loadTierConfig,
+  parseTiers,
+  planTierSync,
+  saveTierConfig,
+  type TierBasis,
+  type TierConfig,
+  type TierPlan,
+} from "../tiers";
+import { escapeHtml } from "./html";
+
+const DEFAULT_TIERS: Record<TierBasis, string> = {
+  percentile: TIER_DEFAULT_PERCENTILES,
+  rating: TIER_DEFAULT_RATINGS,
+};
+
+const TIERS_HINT: Record<TierBasis, string> = {
+  percentile: "name:percent pairs, best first — each tier reaches down to the top N% of the rated library",
+  rating: "name:rating pairs, best first — each tier takes ratings from N up to the tier above",
+};
+
+/** Read the form; null (with the tiers field highlighted) if the tiers are invalid. */
+function readConfig(container: HTMLElement): TierConfig | null {
+  const basis = container.querySelector<HTMLSelectElement>("#sb-tier-basis")?.value as TierBasis;
+  const tiersInput = container.querySelector<HTMLInputElement>("#sb-tier-tiers");
+  const prefix = container.querySelector<HTMLInputElement>("#sb-tier-prefix")?.value ?? "";
+  const autoSync = container.querySelector<HTMLInputElement>("#sb-tier-auto")?.checked ?? false;
+
+  const tiers = parseTiers(tiersInput?.value ?? "", basis);
+  tiersInput?.classList.toggle("sb-input-invalid", tiers === null);
+  return tiers ? { basis, prefix, tiers, autoSync } : null;
+}
+
+function countsHtml(plan: TierPlan): string {
+  const rows = plan.tiers.map(
+    (tier) => `
+            <tr class="${tier.now === tier.after ? "sb-recalc-unchanged" : ""}">
+              <td>${escapeHtml(tier.name)}</td>
+              <td>${escapeHtml(tier.tag)}${tier.tagId === null ? " <em>(new)</em>" : ""}</td>
+              <td>${tier.now} → ${tier.after}</td>
+            </tr>`,
+  );
+  return `
+      <table class="sb-table">
+        <thead>
+          <tr><th>Tier</th><th>Tag</th><th>Tagged</th></tr>
+        </thead>
+        <tbody>
+          ${rows.join("")}
+        </tbody>
+      </table>`;
+}
+
+/** How many entities go from each tier to each other tier, most first. */
+function movesHtml(plan: TierPlan): string {
+  const label = (tier: string | null) => (tier === null ? "No tier" : escapeHtml(tier));
+  const transitions = new Map<string, { from: string | null; to: string | null; count: number }>();
+  for (const move of plan.moves) {
+    const key = JSON.stringify([move.from, move.to]);
+    const entry = transitions.get(key) ?? { from: move.from, to: move.to, count: 0 };
+    entry.count++;
+    transitions.set(key, entry);
+  }
+  const rows = [...transitions.values()]
+    .sort((a, b) => b.count - a.count)
+    .map(
+      (t) => `
+            <tr>
+              <td>${label(t.from)} → ${label(t.to)}${t.from === t.to ? " (extra tier tags removed)" : ""}</td>
+              <td>${t.count}</td>
+            </tr>`,
+    );
+  return `
+      <h4 class="sb-tool-subtitle">Moves</h4>
+      <table class="sb-table">
+        <thead>
+          <tr><th>Tier</th><th>${escapeHtml(currentEntity().plural)}</th></tr>
+        </thead>
+        <tbody>
+          ${rows.join("")}
+        </tbody>
+      </table>`;
+}
+
+async function renderPreview(container: HTMLElement, config: TierConfig): Promise<void> {
+  const area = container.querySelector<HTMLElement>("#sb-tier-preview");
+  if (!area) return;
+  const { plural } = currentEntity();
+
+  area.innerHTML = `<div class="sb-loading">Reading tier tags...</div>`;
+  let plan: TierPlan;
+  try {
+    plan = await planTierSync(config);
+  } catch (e) {
+    console.error("[Stash Battle] ❌ Tier preview failed:", e);
+    area.innerHTML = `<div class="sb-error">Could not read the tier tags: ${escapeHtml(e instanceof Error ? e.message : String(e))}</div>`;
+    return;
+  }
+
+  const count = plan.moves.length;
+  const outside =
+    plan.outsidePool > 0 ? ` ${plan.outsidePool} tagged ${plural} added since the cache was loaded keep their tags.` : "";
+  area.innerHTML = `
+      <p class="sb-panel-summary">
+        ${count === 0 ? "Every tier tag is up to date." : `${count} ${plural} change tier.`} Unrated ${plural} and those below the last tier get no tier tag.${outside}
+      </p>
+      <div class="sb-recalc-actions">
+        <button id="sb-tier-apply" class="btn btn-primary" ${count === 0 ? "disabled" : ""}>Update tags on ${count} ${plural}</button>
+        <span id="sb-tier-progress" class="sb-panel-summary"></span>
+      </div>
+      ${countsHtml(plan)}
+      ${count > 0 ? movesHtml(plan) : ""}
+    `;
+
+  const applyBtn = area.querySelector<HTMLButtonElement>("#sb-tier-apply");
+  const progress = area.querySelector<HTMLElement>("#sb-tier-progress");
+  applyBtn?.addEventListener("click", async () => {
+    if (!window.confirm(`Update the tier tags of ${count} ${plural} in Stash? Other tags are not touched.`)) return;
+    applyBtn.disabled = true;
+    try {
+      const changed = await applyTierSync(plan, (done, total) => {
+        if (progress) progress.textContent = `Writing ${done} / ${total}...`;
+      });
+      window.alert(`Tier tags updated: ${changed} ${plural} changed tier.`);
+      area.innerHTML = "";
+    } catch (e) {
+      console.error("[Stash Battle] ❌ Tier tag sync failed:", e);
+      window.alert(`Tier tag update failed: ${e instanceof Error ? e.message : String(e)}`);
+      applyBtn.disabled = false;
+    }
+  });
+}
+
+/** Render the tier tagging tool into `container` (a section of the Tools tab). */
+export function renderTierTool(container: HTMLElement): void {
+  const { plural } = currentEntity();
+  const config = loadTierConfig();
+  container.innerHTML = `
+      <h3 class="sb-tool-title">🏷️ Tier Tags</h3>
+      <p class="sb-panel-summary">
+        Tag ${plural} by their place in the rankings, so tiers can be browsed with Stash's tag filters. Tier tags are created when needed; other tags are never touched.
+      </p>
+      <div class="sb-panel-controls">
+        <label>
+          Tiers by
+          <select id="sb-tier-basis" class="sb-input">
+            <option value="percentile" ${config.basis === "percentile" ? "selected" : ""}>Percentile</option>
+            <option value="rating" ${config.basis === "rating" ? "selected" : ""}>Rating</option>
+          </select>
+        </label>
+        <label title="${escapeHtml(TIERS_HINT[config.basis])}">
+          Tiers <input id="sb-tier-tiers" type="text" class="sb-input sb-tier-tiers" value="${escapeHtml(formatTiers(config.tiers))}">
+        </label>
+        <label>
+          Tag prefix <input id="sb-tier-prefix" type="text" class="sb-input sb-tier-prefix" value="${escapeHtml(config.prefix)}">
+        </label>
+        <label>
+          <input type="checkbox" id="sb-tier-auto" ${config.autoSync ? "checked" : ""}>
+           Sync after each session
+        </label>
+        <button id="sb-tier-preview-btn" class="btn btn-secondary">Preview</button>
+      </div>
+      <div id="sb-tier-preview"></div>
+    `;
+
+  const basisSelect = container.querySelector<HTMLSelectElement>("#sb-tier-basis");
+  const tiersInput = container.querySelector<HTMLInputElement>("#sb-tier-tiers");
+  basisSelect?.addEventListener("change", () => {
+    const basis = basisSelect.value as TierBasis;
+    // The other basis' cutoffs mean nothing here: start from this one's defaults
+    if (tiersInput) {
+      tiersInput.value = DEFAULT_TIERS[basis];
+      tiersInput.classList.remove("sb-input-invalid");
+      tiersInput.parentElement?.setAttribute("title", TIERS_HINT[basis]);
+    }
+  });
+
+  const autoSync = container.querySelector<HTMLInputElement>("#sb-tier-auto");
+  autoSync?.addEventListener("change", () => {
+    const next = readConfig(container);
+    if (next) saveTierConfig(next);
+    else autoSync.checked = !autoSync.checked;
+  });
+
+  container.querySelector("#sb-tier-preview-btn")?.addEventListener("click", () => {
+    const next = readConfig(container);
+    if (!next) return;
+    // Automatic syncs use the tiers last previewed
+    saveTierConfig(next);
+    void renderPreview(container, next);
+  });
+}
@@ -0,0 +1,31 @@
+// Tools tab: library-wide maintenance tools, one section each.
+
+import { renderExportTool } from "./exportPanel";
+import { renderImportTool } from "./importPanel";
+import { renderRescaleTool } from "./rescalePanel";
+import { renderSnapshotTool } from "./snapshotPanel";
+import { renderTierTool } from "./tierPanel";
+
+export function renderToolsPanel(): void {
+  const panel = document.getElementById("sb-tools-panel");
+  if (!panel) return;
+
+  panel.innerHTML = `
+      <section id="sb-tool-rescale" class="sb-tool"></section>
+      <section id="sb-tool-snapshots" class="sb-tool"></section>
+      <section id="sb-tool-export" class="sb-tool"></section>
+      <section id="sb-tool-import" class="sb-tool"></section>
+      <section id="sb-tool-tiers" class="sb-tool"></section>
+    `;
+
+  const rescale = panel.querySelector<HTMLElement>("#sb-tool-rescale");
+  if (rescale) renderRescaleTool(rescale);
+  const snapshots = panel.querySelector<HTMLElement>("#sb-tool-snapshots");
+  if (snapshots) renderSnapshotTool(snapshots);
+  const exporter = panel.querySelector<HTMLElement>("#sb-tool-export");
+  if (exporter) renderExportTool(exporter);
+  const importer = panel.querySelector<HTMLElement>("#sb-tool-import");
+  if (importer) renderImportTool(importer);
+  const tiers = panel.querySelector<HTMLElement>("#sb-tool-tiers");
+  if (tiers) renderTierTool(tiers);
+}
@@ -0,0 +1,155 @@
+// Multi-level undo: a snapshot of the pair (or grid), run state and ratings taken just before each choice.
+
+import { uncountBattleResult, uncountChampionTitle, type BattleResult } from "./battleStats";
+import { deleteBattleRecord } from "./history";
+import { getPreciseRating } from "./preciseRating";
+import { flushRatingWrites, updateSceneRating } from "./rating";
+import { restoreEngineState, snapshotEngineState, type EngineSnapshot } from "./ratingEngine";
+import { settings } from "./settings";
+import { state } from "./state";
+import type { CalibrationState } from "./calibration";
+import type { QuickPlaceState } from "./quickPlace";
+import type { RoundRobinState } from "./roundRobin";
+import type { TournamentState } from "./tournament";
+import type { GauntletStart, Mode, Pair, Ranks, Scene, SceneGrid } from "./types";
+
+export interface UndoEntry {
+  mode: Mode;
+  pair: Pair; // Copies holding the pre-choice ratings (both null for a multi-scene choice)
+  ranks: Ranks;
+  grid: SceneGrid | null; // Copy of the grid / rank batch a multi-scene choice was made on
+  gauntletClimber: Scene | null;
+  gauntletWins: number;
+  gauntletClimberRank: number;
+  gauntletDefeated: string[];
+  gauntletFalling: boolean;
+  gauntletFallingScene: Scene | null;
+  gauntletRunStart: GauntletStart;
+  totalScenesCount: number;
+  quickPlace: QuickPlaceState | null;
+  calibration: CalibrationState | null;
+  tournament: TournamentState | null;
+  roundRobin: RoundRobinState | null;
+  ratings: { id: string; rating100: number | null; precise: number | null }[]; // precise null when unrated
+  engine: EngineSnapshot; // Glicko-2 records of the scenes
+  newlyRemovedIds: string[]; // Scenes this choice took out of the filtered pool
+  historyRecords: Promise<number | null>[]; // One per battle (a multi-scene choice records several)
+  battleResults: BattleResult[]; // Counted into the scenes' battle stats
+  championTitles: string[]; // Scenes the choice crowned (won the run / tournament with it)
+}
+
+const undoStack: UndoEntry[] = [];
+
+function cloneScene(scene: Scene | null): Scene | null {
+  return scene ? structuredClone(scene) : null;
+}
+
+/**
+ * Snapshot everything a choice on the current pair — or, with `grid`, on the current grid / rank batch —
+ * can change. `scenes` are the pair ([left, right]) or the grid's scenes. Call before applying the choice.
+ */
+export function pushUndoEntry(scenes: Scene[], grid: SceneGrid | null = null): void {
+  const ids = scenes.map((s) => s.id);
+  undoStack.push({
+    mode: state.currentMode,
+    pair: grid ? { left: null, right: null } : { left: cloneScene(scenes[0]), right: cloneScene(scenes[1]) },
+    ranks: { ...state.currentRanks },
+    grid: grid ? structuredClone(grid) : null,
+    gauntletClimber: cloneScene(state.gauntletClimber),
+    gauntletWins: state.gauntletWins,
+    gauntletClimberRank: state.gauntletClimberRank,
+    gauntletDefeated: [...state.gauntletDefeated],
+    gauntletFalling: state.gauntletFalling,
+    gauntletFallingScene: cloneScene(state.gauntletFallingScene),
+    gauntletRunStart: state.gauntletRunStart,
+    totalScenesCount: state.totalScenesCount,
+    quickPlace: state.quickPlace ? structuredClone(state.quickPlace) : null,
+    calibration: state.calibration ? structuredClone(state.calibration) : null,
+    tournament: state.tournament ? structuredClone(state.tournament) : null,
+    roundRobin: state.roundRobin ? structuredClone(state.roundRobin) : null,
+    ratings: scenes.map((s) => ({
+      id: s.id,
+      rating100: s.rating100 ?? null,
+      precise: s.rating100 ? getPreciseRating(s) : null,
+    })),
+    engine: snapshotEngineState(ids),
+    newlyRemovedIds: ids.filter((id) => !state.removedSceneIds.has(id)),
+    historyRecords: [],
+    battleResults: [],
+    championTitles: [],
+  });
+  while (undoStack.length > settings.undoMaxDepth) undoStack.shift();
+}
+
+/** Link the newest undo entry to a battle history record it wrote so undo can delete it. */
+export function attachHistoryRecord(record: Promise<number | null>): void {
+  const entry = undoStack[undoStack.length - 1];
+  if (entry) entry.historyRecords.push(record);
+}
+
+/** Link the newest undo entry to battle counts it added so undo can take them back. */
+export function attachBattleResult(result: BattleResult): void {
+  const entry = undoStack[undoStack.length - 1];
+  if (entry) entry.battleResults.push(result);
+}
+
+/** Link the newest undo entry to a champion title its choice won so undo can take it back. */
+export function attachChampionTitle(sceneId: string): void {
+  const entry = undoStack[undoStack.length - 1];
+  if (entry) entry.championTitles.push(sceneId);
+}
+
+export function canUndo(): boolean {
+  return undoStack.length > 0;
+}
+
+/** Forget every entry (after a bulk rewrite that older snapshots would undo piecemeal). */
+export function clearUndoStack(): void {
+  undoStack.length = 0;
+}
+
+/**
+ * Pop the newest entry and roll back: ratings are written back to Stash (after any in-flight
+ * writes from the choice settle), the history record, battle counts and titles are taken back and run
+ * state is restored.
+ * Returns the restored entry so the caller can re-render its pair, or null when empty.
+ */
+export async function popAndRestoreUndoEntry(): Promise<UndoEntry | null> {
+  const entry = undoStack.pop();
+  if (!entry) return null;
+
+  await flushRatingWrites();
+  await Promise.all(entry.ratings.map((r) => updateSceneRating(r.id, r.rating100, r.precise ?? undefined)));
+  restoreEngineState(entry.engine);
+
+  for (const record of entry.historyRecords) {
+    const recordId = await record;
+    if (recordId !== null) await deleteBattleRecord(recordId);
+  }
+  entry.battleResults.forEach((result) => void uncountBattleResult(result));
+  entry.championTitles.forEach((sceneId) => void uncountChampionTitle(sceneId));
+
+  state.currentMode = entry.mode;
+  state.currentPair = { left: cloneScene(entry.pair.left), right: cloneScene(entry.pair.right) };
+  state.currentRanks = { ...entry.ranks };
+  state.currentGrid = entry.grid ? structuredClone(entry.grid) : null;
+  state.gauntletClimber = entry.gauntletClimber;
+  state.gauntletWins = entry.gauntletWins;
+  state.gauntletClimberRank = entry.gauntletClimberRank;
+  state.gauntletDefeated = entry.gauntletDefeated;
+  state.gauntletFalling = entry.gauntletFalling;
+  state.gauntletFallingScene = entry.gauntletFallingScene;
+  state.gauntletRunStart = entry.gauntletRunStart;
+  state.totalScenesCount = entry.totalScenesCount;
+  state.quickPlace = entry.quickPlace;
+  state.calibration = entry.calibration;
+  state.tournament = entry.tournament;
+  state.roundRobin = entry.roundRobin;
+  entry.newlyRemovedIds.forEach((id) => state.removedSceneIds.delete(id));
+
+  const undone = entry.grid
+    ? `${entry.mode === "rank" ? "ranking" : "grid pick"} of Scenes ${entry.grid.scenes.map((s) => s.id).join(", ")}`
+    : `choice (Scene ${entry.pair.left?.id} vs Scene ${entry.pair.right?.id})`;
+  console.log(`[Stash Battle] ↶ Undid ${undone}, ${undoStack.length} more undoable`);
+  return entry;
+}